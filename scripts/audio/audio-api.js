@@ -19,10 +19,20 @@ class AudioEngine extends EventTarget {
     this.masterVolume = { left: 1.0, right: 1.0 };
     
     // Playback state
-    this.activeSongs = new Map(); // resourceId -> PlaybackState
+    this.activeSongs = new Map(); // resourceId -> PlaybackState (more than one only while crossfading)
     this.activeSounds = new Map(); // instanceId -> PlaybackState
     this.nextInstanceId = 1;
     
+    // Channel groups mixed with their own volume/mute (sounds default to "sfx", songs use "music")
+    this.channelGroups = new Map();
+    for (const name of AudioEngine.DEFAULT_GROUPS) {
+      this.channelGroups.set(name, { volume: 1.0, muted: false });
+    }
+    
+    // Target hardware emulation (see setVoiceLimit / setOutputFormat)
+    this.voiceLimit = { maxVoices: 0, stealing: 'oldest' };
+    this.outputFormat = { sampleRate: 0, bitDepth: 16 };
+    
     this.isInitialized = false;
   }
   
@@ -141,13 +151,15 @@ class AudioEngine extends EventTarget {
   }
   
   /**
-   * Start playing a song (background music)
+   * Start playing a song (background music). Other songs are stopped unless it fades in,
+   * in which case fadeToSong() takes care of them.
    * @param {string} resourceId - Resource ID
    * @param {number} volume - Volume (0.0 to 1.0+)
    * @param {boolean} loop - Whether to loop
+   * @param {number} fadeSeconds - Fade in from silence over this many seconds (0 = start at full volume)
    * @returns {boolean} Success status
    */
-  async startSong(resourceId, volume = 1.0, loop = true) {
+  async startSong(resourceId, volume = 1.0, loop = true, fadeSeconds = 0) {
     const resource = this.resources.get(resourceId);
     if (!resource) {
       console.warn(`[AudioEngine] Song resource not found: ${resourceId}`);
@@ -167,23 +179,35 @@ class AudioEngine extends EventTarget {
     
     // Stop existing song playback
     this.stopSong(resourceId);
+    if (!fadeSeconds) {
+      for (const otherId of [...this.activeSongs.keys()]) {
+        this.stopSong(otherId);
+      }
+    }
     
     try {
       // Track the current resource being played
       this.currentResourceId = resourceId;
       
-      // Start MOD playback
+      // Each song has its own player in the MOD worker and its own mixer stream
+      const streamId = `mod-${resourceId}`;
       this.modWorker.postMessage({
         type: 'load-mod',
         arrayBuffer: resource.data,
-        sampleRate: this.audioContext.sampleRate
+        sampleRate: this.audioContext.sampleRate,
+        streamId,
+        loop
       });
       
       this.activeSongs.set(resourceId, {
         resourceId,
+        streamId,
         volume,
         loop,
-        isPlaying: true
+        fadeSeconds,
+        isPlaying: true,
+        hasStream: false, // Set once the mixer has the first PCM block
+        position: { order: 0, pattern: 0, row: 0, seconds: 0 }
       });
       
       console.log(`[AudioEngine] Started song: ${resourceId} (volume: ${volume})`);
@@ -207,22 +231,11 @@ class AudioEngine extends EventTarget {
       return false;
     }
     
-    if (pause) {
-      this.workletNode.port.postMessage({ 
-        type: 'stop-stream', 
-        streamId: 'mod-stream' 
-      });
-      playback.isPlaying = false;
-    } else {
-      // Resume - restart the PCM request cycle
-      playback.isPlaying = true;
-      
-      // Restart the worklet playback cycle
+    // The stream keeps its buffered audio and position; the mixer skips it while paused
+    playback.isPlaying = !pause;
+    this.workletNode.port.postMessage({ type: 'pause-stream', streamId: playback.streamId, paused: pause });
+    if (!pause) {
       this.workletNode.port.postMessage({ type: 'start-playing' });
-      this.workletNode.port.postMessage({ type: 'request-pcm' });
-      
-      // Request initial PCM data from MOD worker to kickstart the cycle
-      this.modWorker.postMessage({ type: 'get-pcm', frames: 2048 });
     }
     
     console.log(`[AudioEngine] ${pause ? 'Paused' : 'Resumed'} song: ${resourceId}`);
@@ -240,8 +253,9 @@ class AudioEngine extends EventTarget {
     
     this.workletNode.port.postMessage({ 
       type: 'stop-stream', 
-      streamId: 'mod-stream' 
+      streamId: playback.streamId 
     });
+    this.modWorker.postMessage({ type: 'stop', streamId: playback.streamId });
     
     // Clear current resource if it matches
     if (this.currentResourceId === resourceId) {
@@ -253,13 +267,108 @@ class AudioEngine extends EventTarget {
     return true;
   }
   
+  /**
+   * Crossfade to a song: it fades in (or is faded to the new volume if already playing)
+   * while every other song fades out and stops
+   * @param {string|null} resourceId - Resource ID, or null to fade all music out
+   * @param {number} seconds - Fade length
+   * @param {number} volume - Volume to fade to (0.0 to 1.0+)
+   * @param {boolean} loop - Whether to loop a song that has to be started
+   * @returns {Promise<boolean>} Success status
+   */
+  async fadeToSong(resourceId, seconds, volume = 1.0, loop = true) {
+    seconds = Math.max(0, seconds || 0);
+    for (const otherId of [...this.activeSongs.keys()]) {
+      if (otherId !== resourceId) {
+        this._fadeOutSong(otherId, seconds);
+      }
+    }
+    if (!resourceId) return true;
+    
+    const playback = this.activeSongs.get(resourceId);
+    if (playback) {
+      playback.volume = Math.max(0, volume);
+      this.workletNode.port.postMessage({ type: 'set-stream-volume', streamId: playback.streamId, volume: playback.volume, seconds });
+      console.log(`[AudioEngine] Fading song ${resourceId} to ${playback.volume} over ${seconds}s`);
+      return true;
+    }
+    
+    console.log(`[AudioEngine] Crossfading to song ${resourceId} over ${seconds}s`);
+    return this.startSong(resourceId, volume, loop, seconds);
+  }
+  
+  /**
+   * Last row heard of a song
+   * @param {string} resourceId - Resource ID
+   * @returns {{order: number, pattern: number, row: number, seconds: number}|null} Null if the song is not playing
+   */
+  getSongPosition(resourceId) {
+    const playback = this.activeSongs.get(resourceId);
+    return playback ? { ...playback.position } : null;
+  }
+  
+  /**
+   * Jump to a row of the song's order list
+   * @param {string} resourceId - Resource ID
+   * @param {number} order - Order list index
+   * @param {number} row - Row within the order's pattern
+   * @returns {boolean} Success status
+   */
+  setSongPosition(resourceId, order, row = 0) {
+    const playback = this.activeSongs.get(resourceId);
+    if (!playback) {
+      console.warn(`[AudioEngine] No active song: ${resourceId}`);
+      return false;
+    }
+    
+    this.modWorker.postMessage({ type: 'set-position', streamId: playback.streamId, order, row });
+    // Drop what was already rendered from the old position
+    this.workletNode.port.postMessage({ type: 'flush-stream', streamId: playback.streamId });
+    console.log(`[AudioEngine] Set song position: ${resourceId} = order ${order}, row ${row}`);
+    return true;
+  }
+  
+  /**
+   * Play a song faster or slower without changing its pitch
+   * @param {string} resourceId - Resource ID
+   * @param {number} scale - Tempo multiplier (1.0 = as composed)
+   * @returns {boolean} Success status
+   */
+  setSongTempoScale(resourceId, scale) {
+    const playback = this.activeSongs.get(resourceId);
+    if (!playback) {
+      console.warn(`[AudioEngine] No active song: ${resourceId}`);
+      return false;
+    }
+    
+    playback.tempoScale = Math.min(AudioEngine.MAX_TEMPO_SCALE, Math.max(AudioEngine.MIN_TEMPO_SCALE, scale));
+    this.modWorker.postMessage({ type: 'set-tempo-scale', streamId: playback.streamId, scale: playback.tempoScale });
+    console.log(`[AudioEngine] Set song tempo: ${resourceId} x${playback.tempoScale}`);
+    return true;
+  }
+  
+  /**
+   * Choose the pattern effect command reported in songRow events (e.g. "Z" or "8")
+   * @param {string} effect - Effect letter as shown in trackers, or "" to report none
+   */
+  setSongSyncEffect(effect) {
+    this.modWorker?.postMessage({ type: 'set-sync-effect', effect: String(effect || '') });
+    console.log(`[AudioEngine] Song sync effect: ${effect || 'none'}`);
+  }
+  
   /**
    * Start playing a sound effect
    * @param {string} resourceId - Resource ID
-   * @param {number} volume - Volume (0.0 to 1.0+)
+   * @param {number|Object} options - Volume (0.0 to 1.0+) or voice options
+   * @param {number} [options.volume=1.0] - Voice volume (0.0 to 1.0+)
+   * @param {number} [options.pitch=1.0] - Playback rate (0.5 = one octave down, 2.0 = one octave up)
+   * @param {number} [options.pan=0] - Stereo position (-1.0 left to 1.0 right)
+   * @param {string} [options.group="sfx"] - Channel group the voice is mixed into
+   * @param {number} [options.priority=0] - Voice priority (higher is more important)
+   * @param {boolean} [options.loop=false] - Repeat until stopped (only the WAV's loop region, if it has one)
    * @returns {string|null} Instance ID for the playing sound, or null on failure
    */
-  async startSound(resourceId, volume = 1.0) {
+  async startSound(resourceId, options = 1.0) {
     const resource = this.resources.get(resourceId);
     if (!resource) {
       console.warn(`[AudioEngine] Sound resource not found: ${resourceId}`);
@@ -281,35 +390,36 @@ class AudioEngine extends EventTarget {
     
     try {
       const instanceId = `snd_${this.nextInstanceId++}`;
+      const voice = this._normalizeVoiceOptions(typeof options === 'number' ? { volume: options } : options);
       
-      // Prepare audio data with volume
+      // Volume, pitch and pan are applied by the mixer, so the samples are sent unchanged
       const channels = [];
       for (let ch = 0; ch < resource.audioBuffer.numberOfChannels; ch++) {
-        const originalData = resource.audioBuffer.getChannelData(ch);
-        const volumeAdjusted = new Float32Array(originalData.length);
-        for (let i = 0; i < originalData.length; i++) {
-          volumeAdjusted[i] = originalData[i] * volume;
-        }
-        channels.push(volumeAdjusted);
+        channels.push(resource.audioBuffer.getChannelData(ch));
       }
       
       console.log(`[AudioEngine] Prepared ${channels.length} channels, ${channels[0].length} samples each`);
       
-      // Send to mixer as one-shot
+      // Send to mixer as a voice
       this.workletNode.port.postMessage({
         type: 'play',
+        voiceId: instanceId,
+        resourceId,
         channels: channels,
-        sampleRate: resource.audioBuffer.sampleRate
+        sampleRate: resource.audioBuffer.sampleRate,
+        // Looping sounds repeat their loop region when the WAV has one
+        ...(voice.loop && resource.loopPoints && { loopStart: resource.loopPoints.start, loopEnd: resource.loopPoints.end }),
+        ...voice
       });
       
       this.activeSounds.set(instanceId, {
         resourceId,
         instanceId,
-        volume,
+        ...voice,
         startTime: Date.now()
       });
       
-      console.log(`[AudioEngine] Started sound: ${resourceId} (instance: ${instanceId}, volume: ${volume})`);
+      console.log(`[AudioEngine] Started sound: ${resourceId} (instance: ${instanceId}, volume: ${voice.volume}, pitch: ${voice.pitch}, pan: ${voice.pan}, group: ${voice.group})`);
       return instanceId;
     } catch (error) {
       console.error(`[AudioEngine] Failed to start sound ${resourceId}:`, error);
@@ -328,10 +438,68 @@ class AudioEngine extends EventTarget {
     }
     
     this.activeSounds.delete(instanceId);
+    this.workletNode?.port.postMessage({ type: 'stop-voice', voiceId: instanceId });
     console.log(`[AudioEngine] Stopped sound instance: ${instanceId}`);
     return true;
   }
   
+  /**
+   * Change volume, pitch or pan of a playing sound instance
+   * @param {string} instanceId - Instance ID returned by startSound
+   * @param {Object} params - Any of {volume, pitch, pan}
+   * @returns {boolean} Success status
+   */
+  setSoundParams(instanceId, params) {
+    const playback = this.activeSounds.get(instanceId);
+    if (!playback) {
+      return false;
+    }
+    
+    const voice = this._normalizeVoiceOptions({ ...playback, ...params });
+    Object.assign(playback, voice);
+    this.workletNode.port.postMessage({
+      type: 'set-voice',
+      voiceId: instanceId,
+      volume: voice.volume,
+      pitch: voice.pitch,
+      pan: voice.pan
+    });
+    return true;
+  }
+  
+  /**
+   * Set the volume of every playing instance of a sound resource
+   * @param {string} resourceId - Resource ID
+   * @param {number} volume - Volume (0.0 to 1.0+)
+   * @returns {number} Number of instances changed
+   */
+  setSoundVolume(resourceId, volume) {
+    let count = 0;
+    for (const [instanceId, playback] of this.activeSounds) {
+      if (playback.resourceId === resourceId && this.setSoundParams(instanceId, { volume })) {
+        count++;
+      }
+    }
+    return count;
+  }
+  
+  /**
+   * Check whether a sound instance, or any instance of a sound resource, is still playing
+   * @param {string} id - Instance ID or resource ID
+   * @returns {boolean}
+   */
+  isSoundPlaying(id) {
+    if (this.activeSounds.has(id)) {
+      return true;
+    }
+    for (const playback of this.activeSounds.values()) {
+      if (playback.resourceId === id) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
   /**
    * Stop all sounds from a specific resource
    * @param {string} resourceId - Resource ID
@@ -341,7 +509,7 @@ class AudioEngine extends EventTarget {
     let count = 0;
     for (const [instanceId, playback] of this.activeSounds) {
       if (playback.resourceId === resourceId) {
-        this.activeSounds.delete(instanceId);
+        this.stopSound(instanceId);
         count++;
       }
     }
@@ -371,6 +539,85 @@ class AudioEngine extends EventTarget {
     console.log(`[AudioEngine] Set master volume: L=${this.masterVolume.left}, R=${this.masterVolume.right}`);
   }
   
+  /**
+   * Set the volume of a channel group
+   * @param {string} name - Group name ("sfx", "ui", "music" or a custom group)
+   * @param {number} volume - Volume (0.0 to 1.0+)
+   */
+  setGroupVolume(name, volume) {
+    const group = this._getGroup(name);
+    group.volume = Math.max(0, volume);
+    this._sendGroup(name);
+    console.log(`[AudioEngine] Set group volume: ${name} = ${group.volume}`);
+  }
+  
+  /**
+   * Mute or unmute a channel group
+   * @param {string} name - Group name
+   * @param {boolean} muted - Mute state
+   */
+  setGroupMuted(name, muted) {
+    const group = this._getGroup(name);
+    group.muted = !!muted;
+    this._sendGroup(name);
+    console.log(`[AudioEngine] ${group.muted ? 'Muted' : 'Unmuted'} group: ${name}`);
+  }
+  
+  /**
+   * Get the settings of a channel group
+   * @param {string} name - Group name
+   * @returns {{volume: number, muted: boolean}}
+   */
+  getGroup(name) {
+    return { ...this._getGroup(name) };
+  }
+  
+  /**
+   * Restore every channel group to full volume and unmuted
+   */
+  resetGroups() {
+    for (const [name, group] of this.channelGroups) {
+      group.volume = 1.0;
+      group.muted = false;
+      this._sendGroup(name);
+    }
+  }
+  
+  /**
+   * Limit how many sounds the mixer plays at once, like the target hardware
+   * @param {number} maxVoices - Maximum simultaneous sounds (0 = unlimited); songs are not counted
+   * @param {string} stealing - Voice cut when the limit is reached: 'oldest', 'quietest' or 'priority'
+   *                            ('priority' drops the new sound if everything playing is more important)
+   */
+  setVoiceLimit(maxVoices, stealing = 'oldest') {
+    if (!AudioEngine.VOICE_STEALING_POLICIES.includes(stealing)) {
+      throw new Error(`Unknown voice stealing policy: ${stealing}`);
+    }
+    
+    this.voiceLimit = { maxVoices: Math.max(0, Math.floor(maxVoices) || 0), stealing };
+    this.workletNode?.port.postMessage({ type: 'set-voice-limit', ...this.voiceLimit });
+    console.log(`[AudioEngine] Set voice limit: ${this.voiceLimit.maxVoices || 'unlimited'} (${stealing})`);
+  }
+  
+  /**
+   * Make the mixer output sound like the target hardware's DAC
+   * @param {number} sampleRate - Output sample rate in Hz (0 = native rate)
+   * @param {number} bitDepth - Output bit depth (e.g. 8 or 16)
+   */
+  setOutputFormat(sampleRate, bitDepth = 16) {
+    this.outputFormat = { sampleRate: Math.max(0, sampleRate || 0), bitDepth: Math.min(16, Math.max(1, bitDepth || 16)) };
+    this.workletNode?.port.postMessage({ type: 'set-output-format', ...this.outputFormat });
+    console.log(`[AudioEngine] Set output format: ${this.outputFormat.sampleRate || 'native'} Hz, ${this.outputFormat.bitDepth}-bit`);
+  }
+  
+  /**
+   * Number of sound instances currently playing
+   * @returns {number}
+   */
+  getVoiceCount() {
+    return this.activeSounds.size;
+  }
+  
   /**
    * Set volume for a specific song
    * @param {string} resourceId - Resource ID
@@ -389,8 +636,9 @@ class AudioEngine extends EventTarget {
     // Send volume update to mixer worklet
     if (this.workletNode) {
       this.workletNode.port.postMessage({ 
-        type: 'set-volume', 
-        volume: volume 
+        type: 'set-stream-volume', 
+        streamId: playback.streamId,
+        volume: playback.volume 
       });
       console.log(`[AudioEngine] Set song volume: ${resourceId} = ${volume}`);
     }
@@ -398,6 +646,41 @@ class AudioEngine extends EventTarget {
     return true;
   }
   
+  /**
+   * Start or stop the mixer's level meters; while on, a 'mixerState' event reports the
+   * playing sounds and songs with per-group and master peak/RMS levels every interval
+   * @param {boolean} enabled - Metering state
+   * @param {number} interval - Seconds between reports
+   */
+  setMetering(enabled, interval = 0.05) {
+    this.workletNode?.port.postMessage({ type: 'set-metering', enabled: !!enabled, interval });
+  }
+  
+  /**
+   * Solo a sound instance or song stream; while anything is soloed only soloed sources are heard
+   * @param {string} sourceId - Sound instance ID or song stream ID (as reported by 'mixerState')
+   * @param {boolean} soloed - Solo state
+   */
+  setSourceSolo(sourceId, soloed) {
+    this.workletNode?.port.postMessage({ type: 'set-source-solo', sourceId, soloed: !!soloed });
+  }
+  
+  /**
+   * Mute a single sound instance or song stream
+   * @param {string} sourceId - Sound instance ID or song stream ID (as reported by 'mixerState')
+   * @param {boolean} muted - Mute state
+   */
+  setSourceMuted(sourceId, muted) {
+    this.workletNode?.port.postMessage({ type: 'set-source-mute', sourceId, muted: !!muted });
+  }
+  
+  /**
+   * Remove every solo and mute set with setSourceSolo / setSourceMuted
+   */
+  clearSoloMute() {
+    this.workletNode?.port.postMessage({ type: 'clear-solo-mute' });
+  }
+  
   // Private methods
   
   _createModWorker() {
@@ -417,46 +700,54 @@ class AudioEngine extends EventTarget {
     if (e.data.type === 'log') {
       console.log('[MOD Worker]', e.data.message);
     } else if (e.data.type === 'pcm') {
-      // Forward PCM data to mixer
-      if (e.data.frames > 0) {
+      // Forward PCM data (and the rows it contains) to the song's mixer stream
+      const playback = this._getSongByStream(e.data.streamId);
+      if (e.data.frames > 0 && playback) {
+        const starting = !playback.hasStream;
+        playback.hasStream = true;
         this.workletNode.port.postMessage({
           type: 'play',
-          streamId: 'mod-stream',
+          streamId: playback.streamId,
+          resourceId: playback.resourceId,
           channels: [e.data.left, e.data.right],
-          sampleRate: this.audioContext.sampleRate
+          sampleRate: this.audioContext.sampleRate,
+          rows: e.data.rows,
+          volume: playback.fadeSeconds ? 0 : playback.volume
         });
+        if (starting && playback.fadeSeconds) {
+          this.workletNode.port.postMessage({ type: 'set-stream-volume', streamId: playback.streamId, volume: playback.volume, seconds: playback.fadeSeconds });
+        }
       }
       // Don't automatically request next block - let the mixer worklet request when needed
     } else if (e.data.type === 'song-ended') {
       // MOD playback has ended - clean up the stream
       console.log('[AudioEngine] MOD song ended, cleaning up stream');
-      this.workletNode.port.postMessage({
-        type: 'stop-stream',
-        streamId: 'mod-stream'
-      });
+      const playback = this._getSongByStream(e.data.streamId);
+      if (playback) {
+        this.stopSong(playback.resourceId);
+      }
     } else if (e.data.type === 'mod-loaded') {
       console.log('[AudioEngine] MOD loaded successfully, title:', e.data.title, 'duration:', e.data.duration);
       
-      // Check if this is for a currently playing resource first
-      let handledByCurrentResource = false;
-      if (this.currentResourceId && this.resources.has(this.currentResourceId)) {
-        const resource = this.resources.get(this.currentResourceId);
-        if (resource.type === 'mod') {
-          resource.duration = e.data.duration;
-          resource.title = e.data.title;
-          console.log('[AudioEngine] Updated current MOD resource', this.currentResourceId, 'with duration:', e.data.duration);
-          handledByCurrentResource = true;
-        }
+      // Check if this is for a song that is starting first
+      const playback = e.data.analysisOnly ? null : this._getSongByStream(e.data.streamId);
+      const handledByCurrentResource = !!playback;
+      if (playback) {
+        const resource = this.resources.get(playback.resourceId);
+        resource.duration = e.data.duration;
+        resource.title = e.data.title;
+        console.log('[AudioEngine] Updated playing MOD resource', playback.resourceId, 'with duration:', e.data.duration);
       }
       
       // Only try analysis resource matching if this wasn't handled by current resource
       if (!handledByCurrentResource && this._loadingPromises.size > 0) {
         // Find the correct pending analysis resource by iterating through loading promises
-        let matchingResourceId = null;
-        let matchingResource = null;
+        let matchingResourceId = this._loadingPromises.has(e.data.resourceId) ? e.data.resourceId : null;
+        let matchingResource = matchingResourceId ? this.resources.get(matchingResourceId) : null;
         
         console.log('[AudioEngine] Looking for pending analysis resource, promises count:', this._loadingPromises.size);
         for (const [resourceId, promiseData] of this._loadingPromises.entries()) {
+          if (matchingResource) break;
           const resource = this.resources.get(resourceId);
           if (resource && resource.type === 'mod' && !resource.duration) {
             // This resource doesn't have a duration yet, so it's likely the one we just analyzed
@@ -495,14 +786,12 @@ class AudioEngine extends EventTarget {
         }
       }
       
-      // Only start playing if there's a current resource (meaning this was for playback, not analysis)
-      if (this.currentResourceId) {
+      // Only start playing for a song (not for analysis)
+      if (playback) {
         // Signal worklet to start playing
         this.workletNode.port.postMessage({ type: 'start-playing' });
-        // Start PCM generation
-        this.workletNode.port.postMessage({ type: 'request-pcm' });
         // Request PCM data from MOD worker only for playback
-        this.modWorker.postMessage({ type: 'get-pcm', frames: 2048 });
+        this.modWorker.postMessage({ type: 'get-pcm', streamId: playback.streamId, frames: 2048 });
       }
     } else if (e.data.type === 'error') {
       console.error('[AudioEngine] MOD Worker Error:', e.data.message);
@@ -510,17 +799,86 @@ class AudioEngine extends EventTarget {
   }
   
   _handleWorkletMessage(e) {
+    if (e.data.type === 'voice-ended') {
+      // Routine sound completion - only stolen voices are logged
+      if (e.data.stolen && this.activeSounds.has(e.data.voiceId)) {
+        console.log(`[AudioEngine] Voice limit reached (${this.voiceLimit.maxVoices}, ${this.voiceLimit.stealing}): cut ${e.data.voiceId}`);
+      }
+      this.activeSounds.delete(e.data.voiceId);
+      return;
+    }
+    
+    if (e.data.type === 'stream-row') {
+      // A new row of a song is being heard - routine, so not logged
+      const playback = this._getSongByStream(e.data.streamId);
+      if (playback) {
+        const { order, pattern, row, seconds, events } = e.data;
+        playback.position = { order, pattern, row, seconds };
+        this.dispatchEvent(new CustomEvent('songRow', {
+          detail: { resourceId: playback.resourceId, order, pattern, row, seconds, events }
+        }));
+      }
+      return;
+    }
+    
+    if (e.data.type === 'mixer-state') {
+      // Metering report for the mixer panel - sent every interval, so not logged
+      const groups = {};
+      for (const [name, group] of this.channelGroups) {
+        groups[name] = { ...group, peak: null, rms: null, clipped: false };
+      }
+      for (const [name, levels] of Object.entries(e.data.groups)) {
+        groups[name] = { ...this._getGroup(name), ...levels };
+      }
+      this.dispatchEvent(new CustomEvent('mixerState', {
+        detail: {
+          voices: e.data.voices,
+          songs: e.data.streams,
+          groups,
+          master: { volume: e.data.volume, ...e.data.master },
+          playing: e.data.playing
+        }
+      }));
+      return;
+    }
+    
     console.log('[AudioEngine] Worklet message:', e.data.type);
     
     if (e.data.type === 'request-pcm') {
       // Worklet wants more PCM data
-      if (this.modWorker && this.activeSongs.size > 0) {
+      const playback = this._getSongByStream(e.data.streamId);
+      if (this.modWorker && playback) {
         console.log('[AudioEngine] Requesting more PCM data');
-        this.modWorker.postMessage({ type: 'get-pcm', frames: e.data.frames });
+        this.modWorker.postMessage({ type: 'get-pcm', streamId: playback.streamId, frames: e.data.frames });
+      }
+    } else if (e.data.type === 'stream-faded') {
+      // A crossfade has finished fading this song out
+      const playback = this._getSongByStream(e.data.streamId);
+      if (playback) {
+        this.stopSong(playback.resourceId);
       }
     }
   }
   
+  _getSongByStream(streamId) {
+    for (const playback of this.activeSongs.values()) {
+      if (playback.streamId === streamId) return playback;
+    }
+    return null;
+  }
+  
+  _fadeOutSong(resourceId, seconds) {
+    const playback = this.activeSongs.get(resourceId);
+    if (!playback) return;
+    
+    // Songs the mixer has not heard yet have nothing to fade
+    if (seconds <= 0 || !playback.hasStream) {
+      this.stopSong(resourceId);
+      return;
+    }
+    this.workletNode.port.postMessage({ type: 'set-stream-volume', streamId: playback.streamId, volume: 0, seconds, stopAtEnd: true });
+  }
+  
   async _loadModResource(data, name, resourceId) {
     const resource = {
       name,
@@ -573,14 +931,52 @@ class AudioEngine extends EventTarget {
   
   async _loadWavResource(data, name) {
     const audioBuffer = await this.audioContext.decodeAudioData(data.slice());
+    
+    // Sustain loop from the WAV 'smpl' chunk, scaled to the decoded rate
+    const info = window.AudioClip?.readWavInfo(data);
+    const scale = info?.sampleRate ? audioBuffer.sampleRate / info.sampleRate : 1;
+    const loopPoints = info && info.loopStart !== null
+      ? { start: Math.round(info.loopStart * scale), end: Math.min(audioBuffer.length, Math.round(info.loopEnd * scale)) }
+      : null;
+    
     return {
       name,
       data: data.slice(),
       audioBuffer,
-      duration: audioBuffer.duration
+      duration: audioBuffer.duration,
+      loopPoints: loopPoints && loopPoints.end > loopPoints.start ? loopPoints : null
     };
   }
 
+  /**
+   * Fill in defaults and clamp voice options to what the mixer supports
+   * @param {Object} options - Voice options passed to startSound
+   * @returns {Object} {volume, pitch, pan, group, priority, loop}
+   */
+  _normalizeVoiceOptions(options = {}) {
+    const number = (value, fallback) => Number.isFinite(value) ? value : fallback;
+    return {
+      volume: Math.max(0, number(options.volume, 1.0)),
+      pitch: Math.min(AudioEngine.MAX_PITCH, Math.max(AudioEngine.MIN_PITCH, number(options.pitch, 1.0))),
+      pan: Math.min(1, Math.max(-1, number(options.pan, 0))),
+      group: options.group || 'sfx',
+      priority: number(options.priority, 0),
+      loop: !!options.loop
+    };
+  }
+  
+  _getGroup(name) {
+    if (!this.channelGroups.has(name)) {
+      this.channelGroups.set(name, { volume: 1.0, muted: false });
+    }
+    return this.channelGroups.get(name);
+  }
+  
+  _sendGroup(name) {
+    const group = this.channelGroups.get(name);
+    this.workletNode?.port.postMessage({ type: 'set-group', group: name, volume: group.volume, muted: group.muted });
+  }
+  
   /**
    * Stop all audio playback and clear all buffers
    * This ensures complete silence and prevents static from paused audio
@@ -654,5 +1050,12 @@ class AudioEngine extends EventTarget {
   }
 }
 
+AudioEngine.DEFAULT_GROUPS = ['sfx', 'ui', 'music'];
+AudioEngine.MIN_PITCH = 0.05;
+AudioEngine.MAX_PITCH = 8.0;
+AudioEngine.MIN_TEMPO_SCALE = 0.25;
+AudioEngine.MAX_TEMPO_SCALE = 4.0;
+AudioEngine.VOICE_STEALING_POLICIES = ['oldest', 'quietest', 'priority'];
+
 // Export for use
 window.AudioEngine = AudioEngine;
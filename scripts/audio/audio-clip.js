@@ -0,0 +1,305 @@
+// audio-clip.js
+// Imported recordings (.wav/.ogg/.mp3) processed into game sounds: the .clip format stores
+// trim, fades, normalization, loop points and the output format. Shared by the clip editor
+// preview and ClipBuilder so both produce the same samples.
+
+const AUDIO_CLIP_VERSION = '1.0';
+
+class AudioClip {
+  /**
+   * Settings of a new clip. Times are seconds in the source recording, fades are milliseconds.
+   */
+  static createDefault() {
+    return {
+      type: 'audio_clip',
+      version: AUDIO_CLIP_VERSION,
+      source: null, // Full project path of the recording
+      trimStart: 0,
+      trimEnd: null, // null = end of the recording
+      snapToZeroCrossing: true,
+      fadeIn: 0,
+      fadeOut: 0,
+      normalize: false,
+      normalizePeak: 1.0, // Target peak level (0-1) when normalizing
+      loop: false,
+      loopStart: null, // null = start of the trimmed clip
+      loopEnd: null, // null = end of the trimmed clip
+      sampleRate: 0, // 0 = project target rate (or the source rate when the project has none)
+      bitDepth: 0 // 0 = project target depth
+    };
+  }
+
+  /**
+   * Read a .clip file
+   * @param {string|Object} content - JSON text or parsed object
+   */
+  static parse(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!data || (data.type && data.type !== 'audio_clip')) {
+      throw new Error(`Not an audio clip (type ${data?.type})`);
+    }
+    return { ...AudioClip.createDefault(), ...data, version: AUDIO_CLIP_VERSION };
+  }
+
+  static serialize(clip) {
+    return JSON.stringify({ ...AudioClip.createDefault(), ...clip }, null, 2);
+  }
+
+  /**
+   * Output format of a clip: its own settings, falling back to the project's target format
+   * @param {Object} clip
+   * @param {Object} projectAudio - ProjectConfigManager audio settings ({sampleRate, bitDepth})
+   * @param {number} sourceRate - Sample rate of the decoded recording
+   * @returns {{sampleRate: number, bitDepth: number}}
+   */
+  static resolveFormat(clip, projectAudio, sourceRate) {
+    return {
+      sampleRate: clip.sampleRate || projectAudio?.sampleRate || sourceRate,
+      bitDepth: clip.bitDepth || projectAudio?.bitDepth || 16
+    };
+  }
+
+  /**
+   * Decode a stored recording with the browser's codecs (WAV, OGG and MP3)
+   * @param {Object} fileObj - FileManager file object
+   * @returns {Promise<{channels: Float32Array[], sampleRate: number}>}
+   */
+  static async decodeFile(fileObj) {
+    let data = fileObj?.content;
+    if (!(data instanceof ArrayBuffer)) {
+      if (fileObj?.binaryData && typeof fileObj.fileContent === 'string') {
+        data = Uint8Array.from(atob(fileObj.fileContent), c => c.charCodeAt(0)).buffer;
+      } else {
+        throw new Error('Recording is not stored as binary data');
+      }
+    }
+
+    // decodeAudioData resamples to the context rate, so decode at the recording's own rate when it is known
+    const rate = AudioClip.readWavInfo(data)?.sampleRate || 44100;
+    const context = new OfflineAudioContext(1, 1, rate);
+    const buffer = await context.decodeAudioData(data.slice(0));
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+    return { channels, sampleRate: buffer.sampleRate };
+  }
+
+  /**
+   * Apply a clip's settings to a decoded recording
+   * @param {{channels: Float32Array[], sampleRate: number}} source
+   * @param {Object} clip
+   * @param {{sampleRate: number, bitDepth: number}} format - See resolveFormat
+   * @returns {{samples: Float32Array, sampleRate: number, bitDepth: number, loopStart: number|null, loopEnd: number|null}}
+   *   Mono samples; loop points are sample frames (end exclusive), null without a loop
+   */
+  static process(source, clip, format) {
+    const rate = source.sampleRate;
+    const mono = AudioClip.mixToMono(source.channels);
+
+    // Trim, moving the cut points to the nearest zero crossing to avoid clicks
+    const toFrame = (seconds, fallback) => seconds === null || seconds === undefined
+      ? fallback
+      : Math.max(0, Math.min(mono.length, Math.round(seconds * rate)));
+    const snap = (frame) => clip.snapToZeroCrossing ? AudioClip.findZeroCrossing(mono, frame) : frame;
+    const start = snap(toFrame(clip.trimStart, 0));
+    const end = Math.max(start + 1, snap(toFrame(clip.trimEnd, mono.length)));
+    let samples = mono.slice(start, Math.min(end, mono.length));
+
+    if (clip.normalize) {
+      const peak = samples.reduce((max, s) => Math.max(max, Math.abs(s)), 0);
+      if (peak > 0) {
+        const gain = Math.max(0, Math.min(1, clip.normalizePeak ?? 1)) / peak;
+        samples = samples.map(s => s * gain);
+      }
+    }
+
+    AudioClip.applyFades(samples, Math.round((clip.fadeIn || 0) * rate / 1000), Math.round((clip.fadeOut || 0) * rate / 1000));
+
+    let loopStart = null;
+    let loopEnd = null;
+    if (clip.loop) {
+      loopStart = Math.max(0, Math.min(samples.length - 1, snap(toFrame(clip.loopStart, start)) - start));
+      loopEnd = Math.max(loopStart + 1, Math.min(samples.length, snap(toFrame(clip.loopEnd, end)) - start));
+    }
+
+    // Convert to the target format
+    let outputRate = rate;
+    if (format.sampleRate && format.sampleRate !== rate) {
+      const ratio = format.sampleRate / rate;
+      samples = AudioClip.resample(samples, ratio);
+      outputRate = format.sampleRate;
+      if (clip.loop) {
+        loopStart = Math.min(samples.length - 1, Math.round(loopStart * ratio));
+        loopEnd = Math.max(loopStart + 1, Math.min(samples.length, Math.round(loopEnd * ratio)));
+      }
+    }
+    if (format.bitDepth < 16) {
+      AudioClip.quantize(samples, format.bitDepth);
+    }
+
+    return { samples, sampleRate: outputRate, bitDepth: format.bitDepth, loopStart, loopEnd };
+  }
+
+  static mixToMono(channels) {
+    if (channels.length === 1) return Float32Array.from(channels[0]);
+    const mono = new Float32Array(channels[0].length);
+    for (const channel of channels) {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += channel[i] / channels.length;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * Nearest frame where the signal changes sign (or is silent), searching up to 10 ms each way
+   * @param {Float32Array} samples
+   * @param {number} frame
+   * @param {number} [radius=441]
+   */
+  static findZeroCrossing(samples, frame, radius = 441) {
+    if (frame <= 0 || frame >= samples.length) return frame;
+    const isCrossing = (i) => i > 0 && i < samples.length && (samples[i] === 0 || (samples[i - 1] < 0) !== (samples[i] < 0));
+    for (let offset = 0; offset <= radius; offset++) {
+      if (isCrossing(frame - offset)) return frame - offset;
+      if (isCrossing(frame + offset)) return frame + offset;
+    }
+    return frame;
+  }
+
+  static applyFades(samples, fadeInFrames, fadeOutFrames) {
+    const fadeIn = Math.min(fadeInFrames, samples.length);
+    for (let i = 0; i < fadeIn; i++) {
+      samples[i] *= i / fadeIn;
+    }
+    const fadeOut = Math.min(fadeOutFrames, samples.length);
+    for (let i = 0; i < fadeOut; i++) {
+      samples[samples.length - 1 - i] *= i / fadeOut;
+    }
+  }
+
+  /**
+   * Change the sample rate; downsampling averages the source span of each output sample
+   * so high frequencies do not alias
+   * @param {Float32Array} samples
+   * @param {number} ratio - Output rate / input rate
+   */
+  static resample(samples, ratio) {
+    const length = Math.max(1, Math.round(samples.length * ratio));
+    const output = new Float32Array(length);
+    const step = 1 / ratio;
+    for (let i = 0; i < length; i++) {
+      const pos = i * step;
+      if (ratio < 1) {
+        const from = Math.floor(pos);
+        const to = Math.min(samples.length, Math.max(from + 1, Math.floor(pos + step)));
+        let sum = 0;
+        for (let j = from; j < to; j++) sum += samples[j];
+        output[i] = sum / (to - from);
+      } else {
+        const index = Math.floor(pos);
+        const frac = pos - index;
+        const next = Math.min(samples.length - 1, index + 1);
+        output[i] = samples[index] + (samples[next] - samples[index]) * frac;
+      }
+    }
+    return output;
+  }
+
+  static quantize(samples, bitDepth) {
+    const levels = Math.pow(2, bitDepth - 1);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * levels) / levels;
+    }
+  }
+
+  /**
+   * Encode mono samples as a PCM WAV file; loop points go into a 'smpl' chunk
+   * @param {{samples: Float32Array, sampleRate: number, bitDepth: number, loopStart: number|null, loopEnd: number|null}} audio
+   * @returns {ArrayBuffer}
+   */
+  static encodeWav({ samples, sampleRate, bitDepth, loopStart = null, loopEnd = null }) {
+    const bytesPerSample = bitDepth <= 8 ? 1 : 2;
+    const dataSize = samples.length * bytesPerSample;
+    const paddedDataSize = dataSize + (dataSize % 2);
+    const hasLoop = loopStart !== null && loopEnd !== null;
+    const smplSize = hasLoop ? 8 + 60 : 0;
+
+    const buffer = new ArrayBuffer(44 + paddedDataSize + smplSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, buffer.byteLength - 8, true);
+    writeString(8, 'WAVE');
+
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true);
+    view.setUint16(32, bytesPerSample, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      if (bytesPerSample === 1) {
+        view.setUint8(44 + i, Math.round(sample * 127) + 128); // 8-bit WAV is unsigned
+      } else {
+        view.setInt16(44 + i * 2, Math.round(sample * 32767), true);
+      }
+    }
+
+    if (hasLoop) {
+      const smpl = 44 + paddedDataSize;
+      writeString(smpl, 'smpl');
+      view.setUint32(smpl + 4, 60, true);
+      view.setUint32(smpl + 16, Math.round(1e9 / sampleRate), true); // Sample period in ns
+      view.setUint32(smpl + 20, 60, true); // MIDI unity note
+      view.setUint32(smpl + 36, 1, true); // One loop
+      view.setUint32(smpl + 48, 0, true); // Forward loop
+      view.setUint32(smpl + 52, loopStart, true);
+      view.setUint32(smpl + 56, loopEnd - 1, true); // The end frame is inclusive in WAV files
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Sample rate and first loop of a WAV file, or null for other formats
+   * @param {ArrayBuffer} data
+   * @returns {{sampleRate: number, loopStart: number|null, loopEnd: number|null}|null}
+   *   Loop points are frames at the file's rate (end exclusive)
+   */
+  static readWavInfo(data) {
+    if (!(data instanceof ArrayBuffer) || data.byteLength < 12) return null;
+    const view = new DataView(data);
+    const readString = (offset) => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+    if (readString(0) !== 'RIFF' || readString(8) !== 'WAVE') return null;
+
+    const info = { sampleRate: 0, loopStart: null, loopEnd: null };
+    let offset = 12;
+    while (offset + 8 <= data.byteLength) {
+      const id = readString(offset);
+      const size = view.getUint32(offset + 4, true);
+      if (id === 'fmt ' && offset + 16 <= data.byteLength) {
+        info.sampleRate = view.getUint32(offset + 12, true);
+      } else if (id === 'smpl' && size >= 60 && offset + 68 <= data.byteLength && view.getUint32(offset + 36, true) > 0) {
+        info.loopStart = view.getUint32(offset + 52, true);
+        info.loopEnd = view.getUint32(offset + 56, true) + 1;
+      }
+      offset += 8 + size + (size % 2);
+    }
+    return info;
+  }
+}
+
+AudioClip.SOURCE_EXTENSIONS = ['.wav', '.ogg', '.mp3'];
+
+window.AudioClip = AudioClip;
@@ -4,13 +4,30 @@
 class MixerWorklet extends AudioWorkletProcessor {
   constructor() {
     super();
-    this.buffers = [];
-    this.continuousStreams = new Map(); // For ongoing streams like MOD
+    this.buffers = []; // Sound voices: {voiceId, resourceId, channels, pos, rate, volume, pan, group, priority, loop, loopStart, loopEnd, order, playedFrames}
+    this.continuousStreams = new Map(); // Song streams ("mod-..."): {resourceId, channels, pos, group, volume, fade, paused, markers, endFrame, requestInFlight, playedFrames}
     this.modWorker = null; // Reference to communicate back
     this.isPlaying = false;
     this.bufferSize = 2048; // Buffer size threshold for requesting more data
     this.volume = 0.7; // Default volume (0.0 to 1.0+)
-    this.requestInFlight = false; // Prevent multiple simultaneous requests
+    this.groups = new Map(); // Channel group name -> {volume, muted}; unknown groups play at full volume
+    
+    // Polyphony budget of the target hardware (0 = unlimited)
+    this.maxVoices = 0;
+    this.voiceStealing = 'oldest'; // 'oldest', 'quietest' or 'priority'
+    this.nextVoiceOrder = 0;
+    
+    // Output format emulation: sample-and-hold to a lower rate, then quantize (0 = native rate)
+    this.outputFormat = { sampleRate: 0, bitDepth: 16 };
+    this.holdPhase = 1;
+    this.heldSamples = [];
+    
+    // Solo/mute of single voices and streams by id (any solo silences everything not soloed)
+    this.soloedSources = new Set();
+    this.mutedSources = new Set();
+    
+    // Mixer panel metering (null = off): per-group buses and master levels reported every interval
+    this.metering = null;
     
     this.port.onmessage = (e) => {
       if (e.data.type === 'play') {
@@ -21,9 +38,12 @@ class MixerWorklet extends AudioWorkletProcessor {
             pos: 0,
             sampleRate: e.data.sampleRate
           };
+          const newFrames = newData.channels[0].length;
           
           if (this.continuousStreams.has(e.data.streamId)) {
             const existing = this.continuousStreams.get(e.data.streamId);
+            this.addStreamMarkers(existing, e.data.rows);
+            existing.endFrame += newFrames;
             
             // Only keep unplayed data to prevent buffer accumulation
             const remainingFrames = Math.max(0, existing.channels[0].length - existing.pos);
@@ -55,34 +75,119 @@ class MixerWorklet extends AudioWorkletProcessor {
               existing.channels = newData.channels;
               existing.pos = 0;
             }
+            
+            // Clear the request flag since we got data
+            existing.requestInFlight = false;
           } else {
+            Object.assign(newData, {
+              resourceId: e.data.resourceId || null,
+              group: e.data.group || 'music',
+              volume: e.data.volume ?? 1,
+              fade: null,
+              paused: false,
+              markers: [],
+              endFrame: 0,
+              requestInFlight: false,
+              playedFrames: 0
+            });
+            this.addStreamMarkers(newData, e.data.rows);
+            newData.endFrame = newFrames;
             this.continuousStreams.set(e.data.streamId, newData);
             console.log(`[MixerWorklet] Started stream: ${e.data.streamId}`);
           }
-          
-          // Clear the request flag since we got data
-          this.requestInFlight = false;
         } else {
-          // One-shot buffer (WAV) - no logging for routine playback
-          this.buffers.push({
-            channels: e.data.channels.map(arr => new Float32Array(arr)),
+          // Sound voice (WAV) - no logging for routine playback
+          const channels = e.data.channels.map(arr => new Float32Array(arr));
+          const bufferLength = channels[0]?.length || 0;
+          const loopStart = e.data.loopStart || 0;
+          const loopEnd = e.data.loopEnd || bufferLength;
+          // An empty or out-of-range loop region (e.g. of an empty buffer) plays the sound once
+          const loop = !!e.data.loop && loopStart >= 0 && loopStart < loopEnd && loopEnd <= bufferLength;
+          const voice = {
+            voiceId: e.data.voiceId || null,
+            resourceId: e.data.resourceId || null,
+            channels,
             pos: 0,
-            sampleRate: e.data.sampleRate
-          });
+            sampleRate: e.data.sampleRate,
+            rate: (e.data.pitch || 1) * e.data.sampleRate / sampleRate,
+            volume: e.data.volume ?? 1,
+            pan: e.data.pan || 0,
+            group: e.data.group || 'sfx',
+            priority: e.data.priority || 0,
+            loop,
+            loopStart,
+            loopEnd,
+            order: this.nextVoiceOrder++,
+            playedFrames: 0
+          };
+          if (this.admitVoice(voice)) {
+            this.buffers.push(voice);
+          }
+        }
+      } else if (e.data.type === 'stop-voice') {
+        this.buffers = this.buffers.filter(voice => voice.voiceId !== e.data.voiceId);
+        this.forgetSource(e.data.voiceId);
+      } else if (e.data.type === 'set-voice') {
+        const voice = this.buffers.find(candidate => candidate.voiceId === e.data.voiceId);
+        if (voice) {
+          if (e.data.volume !== undefined) voice.volume = e.data.volume;
+          if (e.data.pan !== undefined) voice.pan = e.data.pan;
+          if (e.data.pitch !== undefined) voice.rate = e.data.pitch * voice.sampleRate / sampleRate;
+        }
+      } else if (e.data.type === 'set-group') {
+        this.groups.set(e.data.group, { volume: Math.max(0, e.data.volume), muted: !!e.data.muted });
+      } else if (e.data.type === 'set-voice-limit') {
+        this.maxVoices = Math.max(0, e.data.maxVoices || 0);
+        this.voiceStealing = e.data.stealing || 'oldest';
+        while (this.maxVoices && this.buffers.length > this.maxVoices) {
+          this.stealVoice(this.findVoiceToSteal());
+        }
+        console.log(`[MixerWorklet] Voice limit: ${this.maxVoices || 'unlimited'} (${this.voiceStealing})`);
+      } else if (e.data.type === 'set-output-format') {
+        this.outputFormat = { sampleRate: e.data.sampleRate || 0, bitDepth: e.data.bitDepth || 16 };
+        this.holdPhase = 1;
+        console.log(`[MixerWorklet] Output format: ${this.outputFormat.sampleRate || 'native'} Hz, ${this.outputFormat.bitDepth}-bit`);
+      } else if (e.data.type === 'set-stream-volume') {
+        const stream = this.continuousStreams.get(e.data.streamId);
+        if (stream) {
+          const frames = Math.round((e.data.seconds || 0) * sampleRate);
+          if (frames > 0) {
+            // Linear ramp; a fade with stopAtEnd removes the stream once it gets there
+            stream.fade = { target: Math.max(0, e.data.volume), step: (Math.max(0, e.data.volume) - stream.volume) / frames, remaining: frames, stopAtEnd: !!e.data.stopAtEnd };
+          } else {
+            stream.volume = Math.max(0, e.data.volume);
+            stream.fade = null;
+          }
+        }
+      } else if (e.data.type === 'pause-stream') {
+        const stream = this.continuousStreams.get(e.data.streamId);
+        if (stream) stream.paused = !!e.data.paused;
+      } else if (e.data.type === 'flush-stream') {
+        // Drop buffered audio (after a seek) so the new position is heard right away
+        const stream = this.continuousStreams.get(e.data.streamId);
+        if (stream) {
+          stream.channels = stream.channels.map(() => new Float32Array(0));
+          stream.pos = 0;
+          stream.markers = [];
         }
       } else if (e.data.type === 'stop-stream') {
         if (this.continuousStreams.has(e.data.streamId)) {
           console.log(`[MixerWorklet] Stopped stream: ${e.data.streamId}`);
         }
         this.continuousStreams.delete(e.data.streamId);
-        this.isPlaying = false;
+        this.forgetSource(e.data.streamId);
+        // Another song may still be playing (crossfade)
+        if (this.continuousStreams.size === 0) {
+          this.isPlaying = false;
+        }
       } else if (e.data.type === 'stop-all-audio') {
         // Clear all audio streams and buffers
         console.log('[MixerWorklet] Stopped all audio');
         this.continuousStreams.clear();
         this.buffers = [];
+        this.soloedSources.clear();
+        this.mutedSources.clear();
         this.isPlaying = false;
-        this.requestInFlight = false;
       } else if (e.data.type === 'start-playing') {
         this.isPlaying = true;
         console.log('[MixerWorklet] Started playing');
@@ -94,6 +199,23 @@ class MixerWorklet extends AudioWorkletProcessor {
         console.log('[MixerWorklet] Resumed audio');
       } else if (e.data.type === 'set-volume') {
         this.volume = Math.max(0, e.data.volume); // Allow volume > 1.0 for boost
+      } else if (e.data.type === 'set-source-solo') {
+        if (e.data.soloed) this.soloedSources.add(e.data.sourceId);
+        else this.soloedSources.delete(e.data.sourceId);
+      } else if (e.data.type === 'set-source-mute') {
+        if (e.data.muted) this.mutedSources.add(e.data.sourceId);
+        else this.mutedSources.delete(e.data.sourceId);
+      } else if (e.data.type === 'clear-solo-mute') {
+        this.soloedSources.clear();
+        this.mutedSources.clear();
+      } else if (e.data.type === 'set-metering') {
+        this.metering = e.data.enabled ? {
+          interval: Math.max(128, Math.round((e.data.interval || 0.05) * sampleRate)),
+          elapsed: 0,
+          buses: new Map(), // Group name -> per-channel Float32Array of the current block
+          levels: new Map() // Group name (and '*' for the master) -> {peak, sumSquares, frames, clipped}
+        } : null;
+        console.log(`[MixerWorklet] Metering ${this.metering ? 'on' : 'off'}`);
       }
     };
   }
@@ -110,46 +232,74 @@ class MixerWorklet extends AudioWorkletProcessor {
     
     // Only process and output audio if playing
     if (!this.isPlaying) {
+      this.meterBlock(output, numChannels, blockSize); // Meters fall back to silence
       return true; // Return early but keep the processor alive
     }
     
-    // Mix one-shot buffers (WAV files)
+    const buses = this.beginMeterBlock(numChannels, blockSize);
+    
+    // Mix sound voices (WAV files), resampled for pitch and panned
     for (let i = this.buffers.length - 1; i >= 0; i--) {
-      const buf = this.buffers[i];
-      const bufferLength = buf.channels[0].length;
+      const voice = this.buffers[i];
+      const bufferLength = voice.channels[0].length;
+      const gain = voice.volume * this.getGroupGain(voice.group) * this.volume * this.getSourceGain(voice.voiceId);
+      const bus = buses && this.getMeterBus(voice.group, numChannels, blockSize);
       
-      for (let c = 0; c < numChannels; c++) {
-        const src = buf.channels[c % buf.channels.length];
-        for (let s = 0; s < blockSize; s++) {
-          const srcIdx = buf.pos + s;
-          if (srcIdx < bufferLength) {
-            output[c][s] += src[srcIdx] * this.volume;
-          }
+      // Balance panning: the centre keeps both sides at full level
+      const channelGains = [Math.min(1, 1 - voice.pan), Math.min(1, 1 + voice.pan)];
+      
+      // Looping voices wrap at the end of their loop region back to its start
+      const end = voice.loop ? voice.loopEnd : bufferLength;
+      const loopLength = voice.loopEnd - voice.loopStart;
+      
+      let pos = voice.pos;
+      for (let s = 0; s < blockSize; s++) {
+        if (pos >= end) {
+          if (!voice.loop || loopLength <= 0) break;
+          while (pos >= end) pos -= loopLength;
         }
+        
+        // Linear interpolation between neighbouring samples
+        const index = Math.floor(pos);
+        const frac = pos - index;
+        const next = index + 1 < end ? index + 1 : (voice.loop ? voice.loopStart : index);
+        for (let c = 0; c < numChannels; c++) {
+          const src = voice.channels[c % voice.channels.length];
+          const sample = (src[index] + (src[next] - src[index]) * frac) * gain * (numChannels === 2 ? channelGains[c] : 1);
+          output[c][s] += sample;
+          if (bus) bus[c][s] += sample;
+        }
+        pos += voice.rate;
       }
+      voice.pos = pos;
+      voice.playedFrames += blockSize;
       
-      buf.pos += blockSize;
-      
-      // Remove finished buffers and clear any remaining references
-      if (buf.pos >= bufferLength) {
-        // Zero out the buffer before removing
-        buf.channels.forEach(channel => channel.fill(0));
+      // Remove finished voices and let the engine know
+      if (!voice.loop && voice.pos >= bufferLength) {
         this.buffers.splice(i, 1);
+        this.forgetSource(voice.voiceId);
+        if (voice.voiceId) {
+          this.port.postMessage({ type: 'voice-ended', voiceId: voice.voiceId });
+        }
       }
     }
     
     // Mix continuous streams
     for (const [streamId, stream] of this.continuousStreams) {
-      if (stream.channels && stream.channels.length > 0) {
+      if (stream.channels && stream.channels.length > 0 && !stream.paused) {
+        const groupGain = this.getGroupGain(stream.group) * this.getSourceGain(streamId);
+        const startVolume = stream.volume;
+        const bus = buses && this.getMeterBus(stream.group, numChannels, blockSize);
         for (let c = 0; c < numChannels; c++) {
           const src = stream.channels[c % stream.channels.length];
           if (src && src.length > 0) {
             for (let s = 0; s < blockSize; s++) {
               const srcIdx = stream.pos + s;
               if (srcIdx < src.length) {
-                const sample = src[srcIdx];
+                const sample = src[srcIdx] * this.volume * groupGain * this.getStreamVolume(stream, startVolume, s); // Apply volume control
                 if (isFinite(sample)) {
-                  output[c][s] += sample * this.volume; // Apply volume control
+                  output[c][s] += sample;
+                  if (bus) bus[c][s] += sample;
                 }
               } else {
                 // Buffer underrun - fill with silence to prevent clicks
@@ -159,12 +309,22 @@ class MixerWorklet extends AudioWorkletProcessor {
           }
         }
         stream.pos += blockSize;
+        stream.playedFrames += blockSize;
+        
+        // Report rows as they are heard, then advance the fade
+        this.postStreamMarkers(streamId, stream);
+        if (stream.fade && this.advanceStreamFade(stream, blockSize)) {
+          this.continuousStreams.delete(streamId);
+          this.forgetSource(streamId);
+          this.port.postMessage({ type: 'stream-faded', streamId });
+          continue;
+        }
         
         // Check if we need more data (request early to avoid gaps)
         const remainingFrames = stream.channels[0].length - stream.pos;
-        if (this.isPlaying && !this.requestInFlight && remainingFrames < this.bufferSize * 3 && streamId === 'mod-stream') {
+        if (this.isPlaying && !stream.requestInFlight && remainingFrames < this.bufferSize * 3 && this.isSongStream(streamId)) {
           // Request more PCM data well before we run out
-          this.requestInFlight = true; // Prevent multiple requests
+          stream.requestInFlight = true; // Prevent multiple requests
           this.port.postMessage({
             type: 'request-pcm',
             streamId: streamId,
@@ -174,11 +334,11 @@ class MixerWorklet extends AudioWorkletProcessor {
         
         // Handle end of buffer more gracefully
         if (stream.pos >= stream.channels[0].length) {
-          if (streamId === 'mod-stream') {
+          if (this.isSongStream(streamId)) {
             // For MOD streams, check if this is truly the end or just waiting for more data
-            if (this.isPlaying && !this.requestInFlight) {
+            if (this.isPlaying && !stream.requestInFlight) {
               // Song might be ending, but request one more buffer to be sure
-              this.requestInFlight = true;
+              stream.requestInFlight = true;
               this.port.postMessage({
                 type: 'request-pcm',
                 streamId: streamId,
@@ -190,16 +350,276 @@ class MixerWorklet extends AudioWorkletProcessor {
           } else {
             // For other streams, remove when finished
             this.continuousStreams.delete(streamId);
+            this.forgetSource(streamId);
             console.log(`[MixerWorklet] Stream ${streamId} finished and removed`);
           }
         }
       }
     }
     
+    this.applyOutputFormat(output, numChannels, blockSize);
+    this.meterBlock(output, numChannels, blockSize);
+    
     // No limiting - let the audio system handle clipping naturally
     // This preserves all dynamics and lets the volume slider control everything
     return true;
   }
+
+  /**
+   * Song streams are named "mod-..." by the engine and keep asking the MOD worker for data
+   */
+  isSongStream(streamId) {
+    return streamId.startsWith('mod-');
+  }
+
+  /**
+   * Queue the row markers of a PCM block; their frames become absolute stream positions
+   * @param {Object} stream - The stream the block is appended to
+   * @param {Array<Object>} rows - {frame, order, pattern, row, seconds, events} relative to the block
+   */
+  addStreamMarkers(stream, rows = []) {
+    for (const row of rows) {
+      stream.markers.push({ ...row, frame: stream.endFrame + row.frame });
+    }
+  }
+
+  /**
+   * Tell the engine about every row whose first frame has been played
+   */
+  postStreamMarkers(streamId, stream) {
+    const played = stream.endFrame - Math.max(0, stream.channels[0].length - stream.pos);
+    while (stream.markers.length > 0 && stream.markers[0].frame <= played) {
+      const { frame, ...position } = stream.markers.shift();
+      this.port.postMessage({ type: 'stream-row', streamId, ...position });
+    }
+  }
+
+  /**
+   * Stream volume at a sample of the current block, following the fade ramp
+   */
+  getStreamVolume(stream, startVolume, sampleIndex) {
+    if (!stream.fade) return startVolume;
+    const steps = Math.min(sampleIndex, stream.fade.remaining);
+    return startVolume + stream.fade.step * steps;
+  }
+
+  /**
+   * Move the fade on by one block
+   * @returns {boolean} True when a fade-out that stops the stream has finished
+   */
+  advanceStreamFade(stream, blockSize) {
+    const fade = stream.fade;
+    fade.remaining -= blockSize;
+    if (fade.remaining > 0) {
+      stream.volume += fade.step * blockSize;
+      return false;
+    }
+    stream.volume = fade.target;
+    stream.fade = null;
+    return fade.stopAtEnd;
+  }
+
+  /**
+   * Make room for a new voice within the voice limit
+   * @param {Object} voice - The voice about to start
+   * @returns {boolean} False when the new voice is dropped instead
+   */
+  admitVoice(voice) {
+    while (this.maxVoices && this.buffers.length >= this.maxVoices) {
+      const victim = this.findVoiceToSteal();
+      if (this.voiceStealing === 'priority' && victim.priority > voice.priority) {
+        // Everything playing is more important - the new sound is dropped
+        this.port.postMessage({ type: 'voice-ended', voiceId: voice.voiceId, stolen: true });
+        return false;
+      }
+      this.stealVoice(victim);
+    }
+    return true;
+  }
+
+  /**
+   * Pick the voice to cut according to the stealing policy
+   * @returns {Object} The oldest, quietest or lowest-priority voice (ties go to the oldest)
+   */
+  findVoiceToSteal() {
+    const score = (voice) => {
+      if (this.voiceStealing === 'quietest') return voice.volume * this.getGroupGain(voice.group);
+      if (this.voiceStealing === 'priority') return voice.priority;
+      return 0;
+    };
+    return this.buffers.reduce((victim, voice) => {
+      const difference = score(voice) - score(victim);
+      return difference < 0 || (difference === 0 && voice.order < victim.order) ? voice : victim;
+    });
+  }
+
+  stealVoice(voice) {
+    this.buffers.splice(this.buffers.indexOf(voice), 1);
+    this.forgetSource(voice.voiceId);
+    this.port.postMessage({ type: 'voice-ended', voiceId: voice.voiceId, stolen: true });
+  }
+
+  /**
+   * Emulate the target hardware's DAC: hold each sample for the length of one output
+   * sample at the target rate (no filtering, so aliasing is audible as on the device),
+   * then quantize to the target bit depth
+   */
+  applyOutputFormat(output, numChannels, blockSize) {
+    const { sampleRate: targetRate, bitDepth } = this.outputFormat;
+    const holdStep = targetRate > 0 && targetRate < sampleRate ? targetRate / sampleRate : 1;
+    const levels = bitDepth < 16 ? Math.pow(2, bitDepth - 1) : 0;
+    if (holdStep === 1 && !levels) return;
+    
+    for (let s = 0; s < blockSize; s++) {
+      this.holdPhase += holdStep;
+      const capture = this.holdPhase >= 1;
+      if (capture) this.holdPhase -= 1;
+      
+      for (let c = 0; c < numChannels; c++) {
+        if (capture) {
+          let sample = output[c][s];
+          if (levels) {
+            sample = Math.max(-1, Math.min(1 - 1 / levels, Math.round(sample * levels) / levels));
+          }
+          this.heldSamples[c] = sample;
+        }
+        output[c][s] = this.heldSamples[c] || 0;
+      }
+    }
+  }
+
+  /**
+   * Clear the group buses for a new block
+   * @returns {Map|null} The buses, or null while metering is off
+   */
+  beginMeterBlock(numChannels, blockSize) {
+    if (!this.metering) return null;
+    for (const bus of this.metering.buses.values()) {
+      for (const channel of bus) channel.fill(0);
+    }
+    return this.metering.buses;
+  }
+
+  getMeterBus(group, numChannels, blockSize) {
+    let bus = this.metering.buses.get(group);
+    if (!bus || bus.length !== numChannels || bus[0].length !== blockSize) {
+      bus = Array.from({ length: numChannels }, () => new Float32Array(blockSize));
+      this.metering.buses.set(group, bus);
+    }
+    return bus;
+  }
+
+  /**
+   * Add the block's group buses and final output (after the DAC emulation, so clipping is
+   * judged on what is heard) to the meters, and post the mixer state once an interval is full
+   */
+  meterBlock(output, numChannels, blockSize) {
+    const metering = this.metering;
+    if (!metering) return;
+
+    this.measureLevels('*', output, numChannels, blockSize);
+    if (this.isPlaying) {
+      for (const [group, bus] of metering.buses) {
+        this.measureLevels(group, bus, numChannels, blockSize);
+      }
+    }
+
+    metering.elapsed += blockSize;
+    if (metering.elapsed < metering.interval) return;
+    metering.elapsed = 0;
+    this.postMixerState();
+  }
+
+  measureLevels(name, channels, numChannels, blockSize) {
+    let levels = this.metering.levels.get(name);
+    if (!levels || levels.peak.length !== numChannels) {
+      levels = { peak: new Array(numChannels).fill(0), sumSquares: new Array(numChannels).fill(0), frames: 0, clipped: false };
+      this.metering.levels.set(name, levels);
+    }
+    for (let c = 0; c < numChannels; c++) {
+      const src = channels[c];
+      let peak = levels.peak[c];
+      let sumSquares = 0;
+      for (let s = 0; s < blockSize; s++) {
+        const magnitude = Math.abs(src[s]);
+        if (magnitude > peak) peak = magnitude;
+        sumSquares += src[s] * src[s];
+      }
+      levels.peak[c] = peak;
+      levels.sumSquares[c] += sumSquares;
+      if (peak > 1) levels.clipped = true;
+    }
+    levels.frames += blockSize;
+  }
+
+  /**
+   * Send the voices, streams and meter levels of the last interval to the mixer panel
+   */
+  postMixerState() {
+    const source = (id, fields) => ({
+      id,
+      ...fields,
+      muted: this.mutedSources.has(id),
+      soloed: this.soloedSources.has(id)
+    });
+    const voices = this.buffers.map(voice => source(voice.voiceId, {
+      resourceId: voice.resourceId,
+      group: voice.group,
+      volume: voice.volume,
+      pan: voice.pan,
+      loop: voice.loop,
+      elapsed: voice.playedFrames / sampleRate
+    }));
+    const streams = [...this.continuousStreams].map(([streamId, stream]) => source(streamId, {
+      resourceId: stream.resourceId,
+      group: stream.group,
+      volume: stream.volume,
+      pan: 0,
+      paused: stream.paused,
+      elapsed: stream.playedFrames / sampleRate
+    }));
+
+    const meters = {};
+    for (const [name, levels] of this.metering.levels) {
+      meters[name] = {
+        peak: levels.peak,
+        rms: levels.sumSquares.map(sum => Math.sqrt(sum / Math.max(1, levels.frames))),
+        clipped: levels.clipped
+      };
+    }
+    const { '*': master, ...groups } = meters;
+    this.metering.levels.clear();
+
+    this.port.postMessage({ type: 'mixer-state', voices, streams, groups, master, playing: this.isPlaying, volume: this.volume });
+  }
+
+  /**
+   * Drop the solo/mute of a voice or stream that has stopped, so a finished solo does not
+   * keep everything else silent
+   */
+  forgetSource(id) {
+    this.soloedSources.delete(id);
+    this.mutedSources.delete(id);
+  }
+
+  /**
+   * Volume multiplier of a single voice or stream from solo/mute (1 or 0)
+   * @param {string} id - Voice or stream id
+   */
+  getSourceGain(id) {
+    if (this.mutedSources.has(id)) return 0;
+    return this.soloedSources.size === 0 || this.soloedSources.has(id) ? 1 : 0;
+  }
+
+  /**
+   * Volume multiplier of a channel group (0 while muted)
+   * @param {string} name - Group name
+   */
+  getGroupGain(name) {
+    const group = this.groups.get(name);
+    if (!group) return 1;
+    return group.muted ? 0 : group.volume;
+  }
 }
 
 registerProcessor('mixer-worklet', MixerWorklet);
@@ -0,0 +1,172 @@
+// module-renderer.js
+// Offline render of tracker modules to WAV: the whole song or an order range, N loops then
+// a fade-out, as one mix or with a stem per channel. Runs in its own OpenMPT worker so live
+// playback in the AudioEngine is not held up.
+
+class ModuleRenderer {
+  constructor() {
+    this.worker = null;
+    this.renderId = 0;
+    this.reject = null;
+  }
+
+  /**
+   * Render a module; parts (the mix, then each channel) are handed to onPart as they finish
+   * @param {ArrayBuffer} data - Module file
+   * @param {Object} options - {sampleRate, startOrder, endOrder (-1 = song end), loops, fadeSeconds, stems}
+   * @param {Object} callbacks - onPart({index, channel, name, sampleRate, frames, silent, left, right}),
+   *   onProgress({part, parts, seconds})
+   * @returns {Promise<{channels: number, orders: number, parts: number}>}
+   */
+  render(data, options = {}, { onPart, onProgress } = {}) {
+    this.cancel();
+    const renderId = ++this.renderId;
+    this.worker = new Worker('scripts/audio/openmpt-integration.js');
+
+    return new Promise((resolve, reject) => {
+      let info = null;
+      this.reject = reject;
+      this.worker.onmessage = (e) => {
+        if (e.data.renderId !== undefined && e.data.renderId !== renderId) return;
+        switch (e.data.type) {
+          case 'log':
+            console.log('[ModuleRenderer]', e.data.message);
+            break;
+          case 'render-started':
+            info = { channels: e.data.channels, orders: e.data.orders, parts: e.data.parts };
+            break;
+          case 'render-progress':
+            onProgress?.(e.data);
+            break;
+          case 'render-part':
+            onPart?.(e.data);
+            break;
+          case 'render-done':
+            this.finish();
+            resolve(info);
+            break;
+          case 'render-error':
+          case 'error':
+            this.finish();
+            reject(new Error(e.data.message));
+            break;
+        }
+      };
+      this.worker.onerror = (error) => {
+        this.finish();
+        reject(new Error(error.message || 'Render worker failed'));
+      };
+
+      // The module bytes are copied so the caller's resource stays intact
+      const arrayBuffer = data.slice(0);
+      this.worker.postMessage({ type: 'render', renderId, arrayBuffer, ...options }, [arrayBuffer]);
+    });
+  }
+
+  cancel() {
+    if (!this.worker) return;
+    const reject = this.reject;
+    this.finish();
+    reject?.(new Error('Render cancelled'));
+  }
+
+  finish() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.reject = null;
+  }
+
+  /**
+   * Render and download: a single WAV for the mix, or a ZIP with the mix and every channel
+   * that makes a sound
+   * @param {string} name - Module file name, used for the output names
+   * @param {ArrayBuffer} data
+   * @param {Object} options - See render()
+   * @param {Function} onStatus - Progress text
+   * @returns {Promise<string[]>} Names of the exported files
+   */
+  async export(name, data, options = {}, onStatus = () => {}) {
+    const baseName = name.replace(/\.[^.]+$/, '');
+    const files = [];
+    let skipped = 0;
+
+    await this.render(data, options, {
+      onProgress: ({ part, parts, seconds }) => {
+        onStatus(`Rendering ${parts > 1 ? `part ${part + 1}/${parts}, ` : ''}${Math.round(seconds)}s...`);
+      },
+      onPart: (part) => {
+        if (part.channel >= 0 && part.silent) {
+          skipped++;
+          return;
+        }
+        const label = part.channel < 0 ? 'mix' : `${String(part.channel + 1).padStart(2, '0')}-${part.name}`;
+        files.push({
+          name: `${baseName}-${label.replace(/[^A-Za-z0-9_-]+/g, '_')}.wav`,
+          data: ModuleRenderer.encodeWav(part.left, part.right, part.sampleRate)
+        });
+      }
+    });
+
+    if (files.length === 1) {
+      this.download(new Blob([files[0].data], { type: 'audio/wav' }), files[0].name);
+    } else {
+      onStatus('Packing stems...');
+      const zip = new JSZip();
+      for (const file of files) {
+        zip.file(file.name, file.data, { binary: true });
+      }
+      this.download(await zip.generateAsync({ type: 'blob' }), `${baseName}-stems.zip`);
+    }
+    console.log(`[ModuleRenderer] Exported ${files.length} file(s) for ${name}${skipped ? `, ${skipped} silent channel(s) skipped` : ''}`);
+    return files.map(file => file.name);
+  }
+
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 16-bit stereo PCM WAV
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} sampleRate
+   * @returns {ArrayBuffer}
+   */
+  static encodeWav(left, right, sampleRate) {
+    const frames = left.length;
+    const buffer = new ArrayBuffer(44 + frames * 4);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + frames * 4, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 2, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 4, true);
+    view.setUint16(32, 4, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, frames * 4, true);
+
+    for (let i = 0, offset = 44; i < frames; i++, offset += 4) {
+      view.setInt16(offset, Math.round(Math.max(-1, Math.min(1, left[i])) * 32767), true);
+      view.setInt16(offset + 2, Math.round(Math.max(-1, Math.min(1, right[i])) * 32767), true);
+    }
+    return buffer;
+  }
+}
+
+window.ModuleRenderer = ModuleRenderer;
@@ -1,18 +1,66 @@
 // openmpt-integration.js
 // Integrates openmpt.js for MOD playback and renders PCM to the audio engine
 
-let modPlayer = null;
-let modBuffer = null;
-let modSampleRate = 48000; // Default, will be set by context
+const players = new Map(); // streamId -> player (several play at once during a crossfade)
+let syncEffect = 'Z'; // Effect command reported to the game as a music event
 let OpenMPTModule = null; // Renamed to avoid conflict
 let moduleLoadingPromise = null; // Track module loading to prevent concurrent loads
 let moduleLoaded = false; // Track if module is already loaded
+let wasmInstanceExports = null; // Instance exports, kept for the function table (ext interface calls)
+
+// Rows are detected between slices of this many frames (~6ms at 44.1kHz)
+const ROW_SLICE_FRAMES = 256;
+
+// libopenmpt pattern command indices (OPENMPT_MODULE_COMMAND_*)
+const COMMAND_EFFECT = 3;
+const COMMAND_PARAMETER = 5;
+
+// Offline renders slice finer so loop and range ends are found within ~1.5ms
+const RENDER_SLICE_FRAMES = 64;
+const RENDER_BLOCK_FRAMES = 65536;
+const MAX_RENDER_SECONDS = 1800;
+
+// openmpt_module_ext_interface_interactive: 16 function pointers, set_channel_mute_status is the 11th
+const INTERACTIVE_INTERFACE_SIZE = 64;
+const SET_CHANNEL_MUTE_SLOT = 10;
 
 // Log function for worker debugging
 function log(message) {
   postMessage({ type: 'log', message: `[ModWorker] ${message}` });
 }
 
+function destroyPlayer(streamId) {
+  const player = players.get(streamId);
+  if (!player) return;
+  try {
+    player.destroy();
+  } catch (error) {
+    log(`Error destroying MOD player: ${error.message}`);
+  }
+  players.delete(streamId);
+}
+
+// Read a NUL-terminated string from WASM memory
+function readCString(memory, ptr) {
+  const bytes = new Uint8Array(memory.buffer);
+  let end = ptr;
+  while (bytes[end]) end++;
+  return String.fromCharCode(...bytes.subarray(ptr, end));
+}
+
+// Call fn with a NUL-terminated copy of text in WASM memory
+function withCString(memory, text, fn) {
+  const ptr = OpenMPTModule._malloc(text.length + 1);
+  const bytes = new Uint8Array(memory.buffer, ptr, text.length + 1);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  bytes[text.length] = 0;
+  try {
+    return fn(ptr);
+  } finally {
+    OpenMPTModule._free(ptr);
+  }
+}
+
 // Load openmpt module (with singleton pattern to prevent multiple loads)
 async function loadModule() {
   // If already loaded, return immediately
@@ -54,9 +102,24 @@ async function loadModule() {
           },
           onRuntimeInitialized: function() {
             log('Runtime initialized');
+          },
+          // Instantiate ourselves to keep the exports: the function table is not exposed otherwise
+          instantiateWasm: function(imports, receiveInstance) {
+            const url = self.Module.locateFile('libopenmpt.wasm');
+            WebAssembly.instantiateStreaming(fetch(url), imports)
+              .catch(() => fetch(url).then(response => response.arrayBuffer()).then(bytes => WebAssembly.instantiate(bytes, imports)))
+              .then(result => {
+                wasmInstanceExports = result.instance.exports;
+                receiveInstance(result.instance, result.module);
+              })
+              .catch(error => log(`Error instantiating WASM: ${error.message}`));
+            return {};
           }
         };
         
+        // libopenmpt.js takes its configuration from the libopenmpt global, not Module
+        self.libopenmpt = self.Module;
+        
         // Import the script from same directory only if not already imported
         importScripts('libopenmpt.js');
       }
@@ -94,17 +157,220 @@ async function loadModule() {
   return await moduleLoadingPromise;
 }
 
+function getWasmExport(type) {
+  return wasmInstanceExports ? Object.values(wasmInstanceExports).find(value => value instanceof type) || null : null;
+}
+
+// A module opened through the ext API so channels can be muted for stems
+function createRenderPlayer(arrayBuffer) {
+  const memory = getWasmExport(WebAssembly.Memory);
+  if (!memory) throw new Error('WASM memory not available');
+  const size = arrayBuffer.byteLength;
+  const dataPtr = OpenMPTModule._malloc(size);
+  if (!dataPtr) throw new Error('Failed to allocate memory for MOD data');
+  new Uint8Array(memory.buffer, dataPtr, size).set(new Uint8Array(arrayBuffer));
+  const ext = OpenMPTModule._openmpt_module_ext_create_from_memory(dataPtr, size, 0, 0, 0, 0, 0, 0, 0);
+  OpenMPTModule._free(dataPtr);
+  if (!ext) throw new Error('Failed to create OpenMPT module - file format not supported or corrupted');
+
+  const modulePtr = OpenMPTModule._openmpt_module_ext_get_module(ext);
+  const bufferPtr = OpenMPTModule._malloc(RENDER_SLICE_FRAMES * 2 * 4);
+  let setChannelMute = null;
+  return {
+    modulePtr,
+    getOrder: () => OpenMPTModule._openmpt_module_get_current_order(modulePtr),
+    setPosition: (order, row) => OpenMPTModule._openmpt_module_set_position_order_row(modulePtr, order, row),
+    setCtl: (name, value) => withCString(memory, name, (ctl) =>
+      withCString(memory, value, (text) => OpenMPTModule._openmpt_module_ctl_set_text(modulePtr, ctl, text))
+    ),
+    // Renders at most RENDER_SLICE_FRAMES into left/right at offset, returns the frame count
+    read: (sampleRate, frames, left, right, offset) => {
+      const count = OpenMPTModule._openmpt_module_read_interleaved_float_stereo(modulePtr, sampleRate, frames, bufferPtr);
+      const data = new Float32Array(memory.buffer, bufferPtr, count * 2);
+      for (let i = 0; i < count; i++) {
+        left[offset + i] = isFinite(data[i * 2]) ? data[i * 2] : 0;
+        right[offset + i] = isFinite(data[i * 2 + 1]) ? data[i * 2 + 1] : 0;
+      }
+      return count;
+    },
+    muteChannel: (channel, mute) => {
+      if (!setChannelMute) {
+        const table = getWasmExport(WebAssembly.Table);
+        const interfacePtr = OpenMPTModule._malloc(INTERACTIVE_INTERFACE_SIZE);
+        new Uint8Array(memory.buffer, interfacePtr, INTERACTIVE_INTERFACE_SIZE).fill(0);
+        const found = withCString(memory, 'interactive', (id) =>
+          OpenMPTModule._openmpt_module_ext_get_interface(ext, id, interfacePtr, INTERACTIVE_INTERFACE_SIZE)
+        );
+        const functionPtr = new Uint32Array(memory.buffer, interfacePtr, INTERACTIVE_INTERFACE_SIZE / 4)[SET_CHANNEL_MUTE_SLOT];
+        OpenMPTModule._free(interfacePtr);
+        if (!table || !found || !functionPtr) throw new Error('Channel muting is not available in this libopenmpt build');
+        setChannelMute = table.get(functionPtr);
+      }
+      setChannelMute(ext, channel, mute ? 1 : 0);
+    },
+    getChannelName: (channel) => {
+      const textPtr = OpenMPTModule._openmpt_module_get_channel_name(modulePtr, channel);
+      if (!textPtr) return '';
+      const name = readCString(memory, textPtr).trim();
+      OpenMPTModule._openmpt_free_string(textPtr);
+      return name;
+    },
+    destroy: () => {
+      OpenMPTModule._free(bufferPtr);
+      OpenMPTModule._openmpt_module_ext_destroy(ext);
+    }
+  };
+}
+
+// Render one pass: N loops of the song (or of an order range), then an optional fade-out.
+// With play.at_end=continue libopenmpt returns no frames exactly at each song end and then
+// carries on from the loop start; a range ends when playback leaves it.
+function renderPass(player, options, onProgress) {
+  const { sampleRate, startOrder, endOrder, loops, fadeSeconds } = options;
+  const ranged = startOrder > 0 || endOrder >= 0;
+  const fadeFrames = Math.round(fadeSeconds * sampleRate);
+  const maxFrames = MAX_RENDER_SECONDS * sampleRate;
+
+  OpenMPTModule._openmpt_module_set_repeat_count(player.modulePtr, 0);
+  player.setCtl('play.at_end', 'continue');
+  if (startOrder > 0) player.setPosition(startOrder, 0);
+
+  const blocks = [];
+  let block = null;
+  let blockFrames = 0;
+  let total = 0;
+  let loopsDone = 0;
+  let fadePosition = -1;
+  let songEnded = false;
+
+  // Returns false when rendering is complete
+  const endLoop = () => {
+    loopsDone++;
+    if (loopsDone >= loops && fadePosition < 0) {
+      if (fadeFrames === 0) return false;
+      fadePosition = 0;
+    }
+    if (ranged) player.setPosition(startOrder, 0);
+    return true;
+  };
+
+  while (total < maxFrames) {
+    if (ranged) {
+      const order = player.getOrder();
+      if ((order < startOrder || (endOrder >= 0 && order > endOrder)) && !endLoop()) break;
+    }
+
+    if (!block || blockFrames === RENDER_BLOCK_FRAMES) {
+      block = { left: new Float32Array(RENDER_BLOCK_FRAMES), right: new Float32Array(RENDER_BLOCK_FRAMES) };
+      blocks.push(block);
+      blockFrames = 0;
+    }
+    const count = player.read(sampleRate, Math.min(RENDER_SLICE_FRAMES, RENDER_BLOCK_FRAMES - blockFrames), block.left, block.right, blockFrames);
+    if (count === 0) {
+      // Two empty reads in a row: the module cannot continue
+      if (songEnded || !endLoop()) break;
+      songEnded = true;
+      continue;
+    }
+    songEnded = false;
+
+    if (fadePosition >= 0) {
+      for (let i = 0; i < count; i++) {
+        const gain = Math.max(0, 1 - (fadePosition + i) / fadeFrames);
+        block.left[blockFrames + i] *= gain;
+        block.right[blockFrames + i] *= gain;
+      }
+      fadePosition += count;
+    }
+    blockFrames += count;
+    total += count;
+    if (total % sampleRate < count) onProgress(total / sampleRate);
+    if (fadePosition >= 0 && fadePosition >= fadeFrames) break;
+  }
+
+  const left = new Float32Array(total);
+  const right = new Float32Array(total);
+  blocks.forEach((rendered, index) => {
+    const frames = Math.min(RENDER_BLOCK_FRAMES, total - index * RENDER_BLOCK_FRAMES);
+    left.set(rendered.left.subarray(0, frames), index * RENDER_BLOCK_FRAMES);
+    right.set(rendered.right.subarray(0, frames), index * RENDER_BLOCK_FRAMES);
+  });
+  return { left, right, frames: total };
+}
+
+// Offline export: the mix first, then one stem per channel; each part is posted (and
+// released) as soon as it is rendered so only one is held in memory
+async function renderOffline(data) {
+  const { renderId, arrayBuffer } = data;
+  if (!OpenMPTModule && !(await loadModule())) {
+    throw new Error('OpenMPT could not be loaded');
+  }
+
+  const probe = createRenderPlayer(arrayBuffer);
+  const channels = OpenMPTModule._openmpt_module_get_num_channels(probe.modulePtr);
+  const orders = OpenMPTModule._openmpt_module_get_num_orders(probe.modulePtr);
+  const channelNames = Array.from({ length: channels }, (_, channel) => probe.getChannelName(channel));
+  probe.destroy();
+
+  const options = {
+    sampleRate: data.sampleRate || 44100,
+    startOrder: Math.max(0, Math.min(orders - 1, data.startOrder || 0)),
+    endOrder: Number.isInteger(data.endOrder) && data.endOrder >= 0 ? Math.min(orders - 1, data.endOrder) : -1,
+    loops: Math.max(1, data.loops || 1),
+    fadeSeconds: Math.max(0, data.fadeSeconds || 0)
+  };
+  const parts = [{ channel: -1, name: 'mix' }];
+  if (data.stems) {
+    channelNames.forEach((name, channel) => parts.push({ channel, name: name || `channel ${channel + 1}` }));
+  }
+  postMessage({ type: 'render-started', renderId, channels, orders, parts: parts.length });
+  log(`Rendering ${parts.length} part(s): orders ${options.startOrder}-${options.endOrder >= 0 ? options.endOrder : 'end'}, ${options.loops} loop(s), ${options.fadeSeconds}s fade`);
+
+  for (let index = 0; index < parts.length; index++) {
+    const part = parts[index];
+    const player = createRenderPlayer(arrayBuffer);
+    try {
+      if (part.channel >= 0) {
+        for (let channel = 0; channel < channels; channel++) {
+          player.muteChannel(channel, channel !== part.channel);
+        }
+      }
+      const result = renderPass(player, options, (seconds) => {
+        postMessage({ type: 'render-progress', renderId, part: index, parts: parts.length, seconds });
+      });
+      let silent = true;
+      for (let i = 0; i < result.frames && silent; i++) {
+        silent = Math.abs(result.left[i]) < 1e-5 && Math.abs(result.right[i]) < 1e-5;
+      }
+      postMessage({
+        type: 'render-part',
+        renderId,
+        index,
+        channel: part.channel,
+        name: part.name,
+        sampleRate: options.sampleRate,
+        frames: result.frames,
+        silent,
+        left: result.left,
+        right: result.right
+      }, [result.left.buffer, result.right.buffer]);
+    } finally {
+      player.destroy();
+    }
+  }
+  postMessage({ type: 'render-done', renderId });
+}
+
 onmessage = async function(e) {
   try {
     if (e.data.type === 'load-mod') {
       log(`Loading MOD file (${e.data.arrayBuffer.byteLength} bytes)`);
       
-      // Clean up previous player
-      if (modPlayer) {
-        if (modPlayer.destroy) {
-          modPlayer.destroy();
-        }
-        modPlayer = null;
+      // Replace the previous player of this stream; analysis loads never touch a playing song
+      const streamId = e.data.streamId || 'mod-stream';
+      const sampleRate = e.data.sampleRate;
+      if (!e.data.analysisOnly) {
+        destroyPlayer(streamId);
       }
       
       // Load module if needed
@@ -227,7 +493,7 @@ onmessage = async function(e) {
           throw new Error('Failed to create OpenMPT module - file format not supported or corrupted');
         }
         
-        modPlayer = {
+        const modPlayer = {
           ptr: modulePtr,
           wasmMemory: wasmMemory,
           getDuration: () => OpenMPTModule._openmpt_module_get_duration_seconds(modulePtr),
@@ -246,7 +512,7 @@ onmessage = async function(e) {
             
             const actualFrames = OpenMPTModule._openmpt_module_read_interleaved_float_stereo(
               modulePtr, 
-              modSampleRate, 
+              sampleRate, 
               frames, 
               bufferPtr
             );
@@ -303,18 +569,59 @@ onmessage = async function(e) {
             OpenMPTModule._free(bufferPtr);
             return { frames: 0, data: null };
           },
+          getPosition: () => ({
+            order: OpenMPTModule._openmpt_module_get_current_order(modulePtr),
+            pattern: OpenMPTModule._openmpt_module_get_current_pattern(modulePtr),
+            row: OpenMPTModule._openmpt_module_get_current_row(modulePtr),
+            seconds: OpenMPTModule._openmpt_module_get_position_seconds(modulePtr)
+          }),
+          setPosition: (order, row) => {
+            OpenMPTModule._openmpt_module_set_position_order_row(modulePtr, order, row);
+            modPlayer.lastRowKey = null; // Report the new row even if it is the same as before
+          },
+          setTempoScale: (scale) => withCString(wasmMemory, 'play.tempo_factor', (ctl) =>
+            OpenMPTModule._openmpt_module_ctl_set_floatingpoint(modulePtr, ctl, scale)
+          ),
+          // Channels of a row that use the sync effect command, with the command's parameter
+          getSyncEvents: (pattern, row) => {
+            const events = [];
+            const numChannels = OpenMPTModule._openmpt_module_get_num_channels(modulePtr);
+            for (let channel = 0; channel < numChannels; channel++) {
+              const textPtr = OpenMPTModule._openmpt_module_format_pattern_row_channel_command(modulePtr, pattern, row, channel, COMMAND_EFFECT);
+              if (!textPtr) continue;
+              const effect = readCString(wasmMemory, textPtr).trim().toUpperCase();
+              OpenMPTModule._openmpt_free_string(textPtr);
+              if (effect === syncEffect) {
+                const param = OpenMPTModule._openmpt_module_get_pattern_row_channel_command(modulePtr, pattern, row, channel, COMMAND_PARAMETER);
+                events.push({ channel, effect, param });
+              }
+            }
+            return events;
+          },
+          lastRowKey: null,
           destroy: () => {
             if (modulePtr) OpenMPTModule._openmpt_module_destroy(modulePtr);
           }
         };
         
-        modSampleRate = e.data.sampleRate;
         const title = modPlayer.getMetadata();
         const duration = modPlayer.getDuration();
         
         log(`MOD loaded successfully: ${title}, duration: ${duration}s`);
+        
+        if (e.data.analysisOnly) {
+          modPlayer.destroy();
+        } else {
+          // -1 repeats forever, 0 plays the song once
+          OpenMPTModule._openmpt_module_set_repeat_count(modulePtr, e.data.loop === false ? 0 : -1);
+          players.set(streamId, modPlayer);
+        }
+        
         postMessage({ 
           type: 'mod-loaded', 
+          streamId,
+          analysisOnly: !!e.data.analysisOnly,
+          resourceId: e.data.resourceId,
           title: title,
           duration: duration
         });
@@ -327,49 +634,74 @@ onmessage = async function(e) {
     } else if (e.data.type === 'stop-all') {
       log('Stopping all MOD playback and cleaning up...');
       
-      // Clean up current player
-      if (modPlayer) {
-        try {
-          if (modPlayer.destroy) {
-            modPlayer.destroy();
-          }
-        } catch (error) {
-          log(`Error destroying MOD player: ${error.message}`);
-        }
-        modPlayer = null;
+      // Clean up every player
+      for (const streamId of [...players.keys()]) {
+        destroyPlayer(streamId);
       }
       
-      // Clear buffers
-      modBuffer = null;
-      
       log('MOD worker cleanup complete');
       
+    } else if (e.data.type === 'stop') {
+      destroyPlayer(e.data.streamId || 'mod-stream');
+      
+    } else if (e.data.type === 'set-position') {
+      players.get(e.data.streamId || 'mod-stream')?.setPosition(e.data.order, e.data.row);
+      
+    } else if (e.data.type === 'set-tempo-scale') {
+      players.get(e.data.streamId || 'mod-stream')?.setTempoScale(e.data.scale);
+      
+    } else if (e.data.type === 'render') {
+      try {
+        await renderOffline(e.data);
+      } catch (error) {
+        log(`Offline render failed: ${error.message}`);
+        postMessage({ type: 'render-error', renderId: e.data.renderId, message: error.message });
+      }
+      
+    } else if (e.data.type === 'set-sync-effect') {
+      syncEffect = String(e.data.effect || '').trim().toUpperCase();
+      
     } else if (e.data.type === 'get-pcm') {
+      const streamId = e.data.streamId || 'mod-stream';
+      const modPlayer = players.get(streamId);
       if (!modPlayer) {
-        log('Warning: get-pcm called but no modPlayer');
+        log(`Warning: get-pcm called but no player for ${streamId}`);
         return;
       }
       
-      // Render N frames of PCM using the new API
+      // Render N frames in small slices, noting the frame at which each new row starts
       const frames = e.data.frames;
-      const result = modPlayer.readStereo(frames);
+      const left = new Float32Array(frames);
+      const right = new Float32Array(frames);
+      const rows = [];
+      let rendered = 0;
       
-      if (result && result.frames > 0 && result.data) {
-        // Deinterleave stereo data
-        const left = new Float32Array(result.frames);
-        const right = new Float32Array(result.frames);
+      while (rendered < frames) {
+        const position = modPlayer.getPosition();
+        const rowKey = `${position.order}:${position.row}`;
+        if (rowKey !== modPlayer.lastRowKey) {
+          modPlayer.lastRowKey = rowKey;
+          rows.push({ frame: rendered, ...position, events: syncEffect ? modPlayer.getSyncEvents(position.pattern, position.row) : [] });
+        }
         
+        const result = modPlayer.readStereo(Math.min(ROW_SLICE_FRAMES, frames - rendered));
+        if (!result || result.frames === 0 || !result.data) break;
+        
+        // Deinterleave stereo data
         for (let i = 0; i < result.frames; i++) {
-          left[i] = result.data[i * 2];
-          right[i] = result.data[i * 2 + 1];
+          left[rendered + i] = result.data[i * 2];
+          right[rendered + i] = result.data[i * 2 + 1];
         }
-        
-        postMessage({ type: 'pcm', left, right, frames: result.frames });
+        rendered += result.frames;
+      }
+      
+      if (rendered > 0) {
+        postMessage({ type: 'pcm', streamId, left: left.slice(0, rendered), right: right.slice(0, rendered), frames: rendered, rows });
       } else {
         // No more data available - song has ended
         log('MOD playback ended - no more PCM data available');
-        postMessage({ type: 'pcm', left: new Float32Array(0), right: new Float32Array(0), frames: 0 });
-        postMessage({ type: 'song-ended' }); // Signal that the song has ended
+        postMessage({ type: 'pcm', streamId, left: new Float32Array(0), right: new Float32Array(0), frames: 0, rows: [] });
+        postMessage({ type: 'song-ended', streamId }); // Signal that the song has ended
       }
     }
   } catch (error) {
@@ -0,0 +1,332 @@
+// sfx-composition.js
+// Multi-layer sound effects (.sfx): jsfxr layers with start offsets, gain, pitch shift,
+// arpeggio/retrigger sequencing and automation curves, mixed down to one mono buffer by the
+// editor and SfxBuilder
+
+const SFX_FORMAT_VERSION = '2.0';
+
+class SfxComposition {
+  /**
+   * @param {Array<Object>} layers - Layer definitions (missing fields get defaults, see createLayer)
+   */
+  constructor(layers = []) {
+    this.layers = layers.map(layer => SfxComposition.createLayer(layer));
+  }
+
+  /**
+   * Build a complete layer from a partial definition
+   * @param {Object} options
+   * @param {string} [options.name] - Display name
+   * @param {Object} [options.parameters] - jsfxr parameters
+   * @param {number} [options.offset=0] - Start time in milliseconds
+   * @param {number} [options.gain=1] - Linear gain
+   * @param {number} [options.pitch=0] - Pitch shift in semitones
+   * @param {boolean} [options.muted=false] - Excluded from the mix
+   * @param {Object} [options.sequence] - {steps, interval}: the layer is retriggered every
+   *   `interval` ms, once per step, shifted by the step's semitones ([0] plays it once)
+   * @param {Object} [options.automation] - Curves per target (see AUTOMATION_TARGETS): sorted
+   *   [time, value] pairs, both 0-1 over the layer's lifetime; an empty curve leaves it alone
+   */
+  static createLayer(options = {}) {
+    const steps = Array.isArray(options.sequence?.steps) && options.sequence.steps.length > 0
+      ? options.sequence.steps.map(step => Number(step) || 0)
+      : [0];
+    return {
+      name: options.name || 'Layer',
+      parameters: { ...SfxComposition.DEFAULT_PARAMETERS, ...(options.parameters || {}) },
+      offset: Math.max(0, Number(options.offset) || 0),
+      gain: Number.isFinite(options.gain) ? Math.max(0, options.gain) : 1,
+      pitch: Number(options.pitch) || 0,
+      muted: !!options.muted,
+      sequence: { steps, interval: Math.max(0, Number(options.sequence?.interval) || 0) },
+      automation: SfxComposition.normalizeAutomation(options.automation)
+    };
+  }
+
+  static normalizeAutomation(automation = {}) {
+    const clamp = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+    const curves = {};
+    for (const target of Object.keys(SfxComposition.AUTOMATION_TARGETS)) {
+      const points = Array.isArray(automation?.[target]) ? automation[target] : [];
+      curves[target] = points
+        .filter(point => Array.isArray(point) && point.length >= 2)
+        .map(([time, value]) => [clamp(time), clamp(value)])
+        .sort((a, b) => a[0] - b[0]);
+    }
+    return curves;
+  }
+
+  /**
+   * Value of an automation curve (linear between points, held before the first and after the last)
+   * @param {Array<number[]>} points - Sorted [time, value] pairs
+   * @param {number} time - 0-1
+   * @returns {number}
+   */
+  static evaluateCurve(points, time) {
+    if (time <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [t1, v1] = points[i];
+      if (time <= t1) {
+        const [t0, v0] = points[i - 1];
+        return t1 > t0 ? v0 + (v1 - v0) * (time - t0) / (t1 - t0) : v1;
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Read a .sfx file
+   * @param {string|Object} content - File content (JSON text or parsed)
+   * @returns {SfxComposition}
+   */
+  static parse(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (Array.isArray(data?.layers) && data.layers.length > 0) {
+      return new SfxComposition(data.layers);
+    }
+
+    // Version 1 files hold a single parameter set
+    return new SfxComposition([{ name: 'Layer 1', parameters: data?.parameters || {} }]);
+  }
+
+  /**
+   * Serialize to the .sfx JSON format
+   * @returns {string}
+   */
+  serialize() {
+    return JSON.stringify({
+      type: 'sound_fx',
+      version: SFX_FORMAT_VERSION,
+      layers: this.layers
+    }, null, 2);
+  }
+
+  /**
+   * Every note a layer plays
+   * @param {Object} layer
+   * @returns {Array<{time: number, pitch: number}>} Start time (ms) and pitch shift (semitones)
+   */
+  static getTriggers(layer) {
+    const { steps, interval } = layer.sequence;
+    return steps.map((step, index) => ({ time: layer.offset + index * interval, pitch: layer.pitch + step }));
+  }
+
+  /**
+   * Synthesize a single layer with jsfxr at its own sample rate and apply its automation
+   * @param {Object} layer
+   * @returns {{samples: ArrayLike<number>, sampleRate: number}}
+   */
+  static renderLayer(layer) {
+    const { duty, frequency, cutoff, volume } = layer.automation || {};
+    let { samples, sampleRate } = duty?.length > 0 && layer.parameters.wave_type === 0
+      ? SfxComposition.synthesizeDutyCurve(layer.parameters, duty)
+      : SfxComposition.synthesize(layer.parameters);
+
+    if (frequency?.length > 0) {
+      samples = SfxComposition.applyFrequencyCurve(samples, frequency);
+    }
+    if (cutoff?.length > 0) {
+      samples = SfxComposition.applyCutoffCurve(samples, cutoff, sampleRate);
+    }
+    if (volume?.length > 0) {
+      samples = Float32Array.from(samples, (sample, i) => sample * SfxComposition.evaluateCurve(volume, i / samples.length));
+    }
+    return { samples, sampleRate };
+  }
+
+  /**
+   * Run jsfxr on one parameter set
+   * @param {Object} parameters - jsfxr parameters
+   * @returns {{samples: ArrayLike<number>, sampleRate: number}}
+   */
+  static synthesize(parameters) {
+    if (typeof window.jsfxr === 'undefined' || typeof window.jsfxr.Params === 'undefined' || typeof window.jsfxr.SoundEffect === 'undefined') {
+      throw new Error('jsfxr library not loaded correctly');
+    }
+
+    const params = new window.jsfxr.Params();
+    Object.keys(parameters).forEach(key => {
+      if (params.hasOwnProperty(key)) {
+        params[key] = parameters[key];
+      }
+    });
+
+    const soundEffect = new window.jsfxr.SoundEffect(params);
+    return {
+      samples: soundEffect.getRawBuffer().normalized,
+      sampleRate: soundEffect.sampleRate || 44100
+    };
+  }
+
+  /**
+   * jsfxr cannot change the square duty per sample, so the layer is rendered at a few fixed
+   * duties (identical timing) and the curve crossfades between neighbouring renders
+   * @param {Object} parameters - jsfxr parameters
+   * @param {Array<number[]>} curve - p_duty over time
+   */
+  static synthesizeDutyCurve(parameters, curve) {
+    const renders = SfxComposition.DUTY_LEVELS.map(level => {
+      return SfxComposition.synthesize({ ...parameters, p_duty: level, p_duty_ramp: 0 });
+    });
+    const length = Math.min(...renders.map(render => render.samples.length));
+    const steps = SfxComposition.DUTY_LEVELS.length - 1;
+
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const position = SfxComposition.evaluateCurve(curve, i / length) * steps;
+      const index = Math.min(Math.floor(position), steps - 1);
+      const frac = position - index;
+      samples[i] = renders[index].samples[i] * (1 - frac) + renders[index + 1].samples[i] * frac;
+    }
+    return { samples, sampleRate: renders[0].sampleRate };
+  }
+
+  /**
+   * Bend the pitch over time by resampling; the curve follows the unbent sound
+   * (0.5 = unchanged, 0/1 = two octaves down/up)
+   */
+  static applyFrequencyCurve(samples, curve) {
+    const last = samples.length - 1;
+    const output = [];
+    for (let pos = 0; pos < last; ) {
+      const index = Math.floor(pos);
+      const frac = pos - index;
+      output.push(samples[index] + (samples[index + 1] - samples[index]) * frac);
+      pos += Math.pow(2, SfxComposition.AUTOMATION_TARGETS.frequency.toValue(SfxComposition.evaluateCurve(curve, pos / last)) / 12);
+    }
+    return Float32Array.from(output);
+  }
+
+  /**
+   * Sweep a 2-pole low-pass filter (1 = fully open)
+   */
+  static applyCutoffCurve(samples, curve, sampleRate) {
+    const output = new Float32Array(samples.length);
+    let stage1 = 0;
+    let stage2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = SfxComposition.evaluateCurve(curve, i / samples.length);
+      if (value >= 0.99) {
+        stage1 = stage2 = output[i] = samples[i];
+        continue;
+      }
+      const frequency = SfxComposition.AUTOMATION_TARGETS.cutoff.toValue(value);
+      const alpha = 1 - Math.exp(-2 * Math.PI * frequency / sampleRate);
+      stage1 += alpha * (samples[i] - stage1);
+      stage2 += alpha * (stage1 - stage2);
+      output[i] = stage2;
+    }
+    return output;
+  }
+
+  /**
+   * Mix all unmuted layers into one buffer
+   * @param {number} sampleRate - Output sample rate
+   * @returns {{samples: Float32Array, sampleRate: number}}
+   */
+  render(sampleRate = 44100) {
+    const voices = [];
+    for (const layer of this.layers) {
+      if (layer.muted || layer.gain === 0) continue;
+
+      const rendered = SfxComposition.renderLayer(layer);
+      for (const trigger of SfxComposition.getTriggers(layer)) {
+        // Pitch shift by resampling, like a tracker: higher notes are also shorter
+        const rate = Math.pow(2, trigger.pitch / 12) * rendered.sampleRate / sampleRate;
+        voices.push({
+          samples: rendered.samples,
+          rate,
+          gain: layer.gain,
+          start: Math.round(trigger.time * sampleRate / 1000),
+          length: Math.floor((rendered.samples.length - 1) / rate) + 1
+        });
+      }
+    }
+
+    const length = voices.reduce((max, voice) => Math.max(max, voice.start + voice.length), 0);
+    const output = new Float32Array(Math.max(1, length));
+    for (const voice of voices) {
+      const last = voice.samples.length - 1;
+      for (let i = 0; i < voice.length; i++) {
+        const pos = i * voice.rate;
+        const index = Math.floor(pos);
+        const frac = pos - index;
+        const a = voice.samples[index];
+        const b = voice.samples[Math.min(index + 1, last)];
+        output[voice.start + i] += (a + (b - a) * frac) * voice.gain;
+      }
+    }
+
+    // Stacked layers can exceed full scale - scale the mix down instead of clipping it
+    let peak = 0;
+    for (let i = 0; i < output.length; i++) {
+      peak = Math.max(peak, Math.abs(output[i]));
+    }
+    if (peak > 1) {
+      for (let i = 0; i < output.length; i++) {
+        output[i] /= peak;
+      }
+    }
+
+    return { samples: output, sampleRate };
+  }
+}
+
+SfxComposition.DEFAULT_PARAMETERS = {
+  wave_type: 0,
+  p_base_freq: 0.3,
+  p_freq_limit: 0,
+  p_freq_ramp: 0,
+  p_freq_dramp: 0,
+  p_vib_strength: 0,
+  p_vib_speed: 0,
+  p_env_attack: 0,
+  p_env_sustain: 0.3,
+  p_env_punch: 0,
+  p_env_decay: 0.4,
+  p_arp_mod: 0,
+  p_arp_speed: 0,
+  p_duty: 0,
+  p_duty_ramp: 0,
+  p_repeat_speed: 0,
+  p_pha_offset: 0,
+  p_pha_ramp: 0,
+  p_lpf_freq: 1,
+  p_lpf_ramp: 0,
+  p_lpf_resonance: 0,
+  p_hpf_freq: 0,
+  p_hpf_ramp: 0
+};
+
+// Automatable targets: curve values are 0-1, toValue maps them to the target's unit
+SfxComposition.AUTOMATION_TARGETS = {
+  frequency: {
+    label: 'Frequency',
+    defaultValue: 0.5,
+    toValue: (value) => (value - 0.5) * 48,
+    format: (value) => `${value >= 0.5 ? '+' : ''}${((value - 0.5) * 48).toFixed(1)} st`
+  },
+  duty: {
+    label: 'Duty (square)',
+    defaultValue: 0,
+    toValue: (value) => value,
+    format: (value) => `duty ${value.toFixed(2)}`
+  },
+  volume: {
+    label: 'Volume',
+    defaultValue: 1,
+    toValue: (value) => value,
+    format: (value) => `${Math.round(value * 100)}%`
+  },
+  cutoff: {
+    label: 'Filter cutoff',
+    defaultValue: 1,
+    toValue: (value) => 20 * Math.pow(1000, value),
+    format: (value) => value >= 0.99 ? 'open' : `${Math.round(20 * Math.pow(1000, value))} Hz`
+  }
+};
+
+// p_duty values rendered for duty automation
+SfxComposition.DUTY_LEVELS = [0, 0.25, 0.5, 0.75, 1];
+
+window.SfxComposition = SfxComposition;
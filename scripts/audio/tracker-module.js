@@ -0,0 +1,1054 @@
+// tracker-module.js
+// Reads MOD, S3M, XM and IT modules into one normalized model, checks it against the
+// limits of the device music player and writes the compact RMOD format it plays.
+//
+// Normalized model:
+// - Notes are 1-120 with 61 = C-5, the note at which a sample plays at its c5Speed;
+//   NOTE_OFF and NOTE_CUT are the only other values
+// - Effects are canonical names (TrackerModule.EFFECTS) so every format is validated
+//   against the same supportedEffects list; sub-commands (MOD Exy, S3M/IT Sxy) become
+//   their own effect with the low nibble as parameter
+// - Instruments (XM, IT instrument mode) are resolved to samples through their note map;
+//   envelopes, fadeout and new note actions are not converted
+// - Sample tuning (MOD/XM finetune, XM relative note) is folded into c5Speed
+//
+// RMOD layout (little-endian):
+//   Header, 32 bytes:
+//     0  'RMOD'          4  u8 version        5  u8 flags (1 = linear slides, 2 = 16-bit samples)
+//     6  u8 source format (0 mod, 1 s3m, 2 xm, 3 it)                7  u8 channel count
+//     8  u8 initial speed 9  u8 initial tempo  10 u16 order count   12 u16 restart order
+//     14 u16 pattern count 16 u16 sample count 18 u16 reserved
+//     20 u32 sample data offset  24 u32 sample data size  28 u32 pattern data offset
+//   Orders: u16 pattern index per order
+//   Sample headers, 24 bytes each: u32 data offset (from sample data start), u32 length,
+//     u32 loop start, u32 loop length (frames), u32 c5Speed, u8 volume (0-64),
+//     u8 flags (1 = loop, 2 = ping-pong), u8 panning (255 = none), u8 reserved
+//   Patterns: u16 rows, u16 packed size, then per row a list of cells ended by 0xFF:
+//     u8 channel, u8 mask (1 note, 2 sample, 4 volume, 8 effect), then the masked fields
+//     as u8 in that order (effect is followed by its parameter)
+//   Sample data: signed 8-bit or 16-bit PCM
+// Effect ids are 1-based positions in TrackerModule.EFFECTS; append new effects, never reorder.
+
+console.log('[TrackerModule] Class definition loading');
+
+class TrackerModule {
+  static NOTE_OFF = 255;
+  static NOTE_CUT = 254;
+  static MIDDLE_C = 61;
+
+  static EFFECTS = [
+    'arpeggio', 'portaUp', 'portaDown', 'tonePorta', 'vibrato', 'tonePortaVolSlide',
+    'vibratoVolSlide', 'tremolo', 'setPanning', 'sampleOffset', 'volumeSlide', 'positionJump',
+    'setVolume', 'patternBreak', 'setSpeed', 'setTempo', 'finePortaUp', 'finePortaDown',
+    'extraFinePortaUp', 'extraFinePortaDown', 'fineVolumeUp', 'fineVolumeDown', 'glissando',
+    'vibratoWaveform', 'tremoloWaveform', 'panbrelloWaveform', 'finetune', 'patternLoop',
+    'retrigger', 'multiRetrig', 'noteCut', 'noteDelay', 'patternDelay', 'globalVolume',
+    'globalVolumeSlide', 'keyOff', 'setEnvelopePosition', 'panningSlide', 'tremor',
+    'channelVolume', 'channelVolumeSlide', 'fineVibrato', 'panbrello', 'tempoSlide',
+    'midiMacro', 'filter', 'invertLoop', 'highOffset', 'soundControl', 'instrumentControl',
+    'fineTickDelay', 'activeMacro'
+  ];
+
+  static FORMAT_IDS = { mod: 0, s3m: 1, xm: 2, it: 3 };
+
+  /**
+   * Device player limits, see ProjectConfigManager.getMusicSettings()
+   */
+  static getDefaultLimits() {
+    return {
+      maxChannels: 8,
+      maxSampleMemory: 131072,
+      maxSampleRate: 16000,
+      maxSampleLength: 65535,
+      downsample: true,
+      truncate: false,
+      sampleBits: 8,
+      supportedEffects: [
+        'arpeggio', 'portaUp', 'portaDown', 'tonePorta', 'vibrato', 'tonePortaVolSlide',
+        'vibratoVolSlide', 'setPanning', 'sampleOffset', 'volumeSlide', 'positionJump',
+        'setVolume', 'patternBreak', 'setSpeed', 'setTempo', 'finePortaUp', 'finePortaDown',
+        'fineVolumeUp', 'fineVolumeDown', 'patternLoop', 'retrigger', 'noteCut', 'noteDelay',
+        'patternDelay', 'keyOff', 'midiMacro'
+      ]
+    };
+  }
+
+  // Missing or null settings fall back to the defaults
+  static resolveLimits(limits = {}) {
+    const settings = TrackerModule.getDefaultLimits();
+    for (const [key, value] of Object.entries(limits || {})) {
+      if (value !== null && value !== undefined) settings[key] = value;
+    }
+    return settings;
+  }
+
+  /**
+   * Parse a module file
+   * @param {ArrayBuffer|Uint8Array} data
+   * @param {string} extension - '.mod', '.s3m', '.xm' or '.it'; the signature wins when it disagrees
+   */
+  static parse(data, extension = '') {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const reader = new TrackerModuleReader(bytes);
+    if (bytes.length >= 17 && reader.string(0, 17) === 'Extended Module: ') return TrackerModule.parseXM(reader);
+    if (bytes.length >= 4 && reader.string(0, 4) === 'IMPM') return TrackerModule.parseIT(reader);
+    if (bytes.length >= 48 && reader.string(44, 4) === 'SCRM') return TrackerModule.parseS3M(reader);
+    if (bytes.length >= 600 && (extension || '').toLowerCase() !== '.xm') return TrackerModule.parseMOD(reader);
+    throw new Error('Not a MOD, S3M, XM or IT module');
+  }
+
+  static createModule(format, title) {
+    return {
+      format,
+      title: title.trim(),
+      channelCount: 0,
+      orders: [],
+      restartOrder: 0,
+      initialSpeed: 6,
+      initialTempo: 125,
+      linearSlides: false,
+      patterns: [], // {rows, cells: rows x channelCount array of cell|null}
+      samples: [], // {name, length, loopStart, loopLength, pingPong, volume, panning, c5Speed, data: Float32Array}
+      issues: [] // {pattern, row, channel, command, effect, message}
+    };
+  }
+
+  static createCell() {
+    return { note: 0, sample: 0, volume: -1, effect: null, param: 0, command: '' };
+  }
+
+  static createPattern(rows, channelCount) {
+    return { rows, cells: Array.from({ length: rows }, () => new Array(channelCount).fill(null)) };
+  }
+
+  static createSample(name, length, c5Speed, volume) {
+    return {
+      name: name.trim(),
+      length,
+      loopStart: 0,
+      loopLength: 0,
+      pingPong: false,
+      volume,
+      panning: -1,
+      c5Speed,
+      data: new Float32Array(length)
+    };
+  }
+
+  static parseMOD(reader) {
+    const module = TrackerModule.createModule('mod', reader.string(0, 20));
+    const signature = reader.string(1080, 4);
+    let channels = 4;
+    let sampleCount = 31;
+    if (['M.K.', 'M!K!', 'FLT4', '4CHN'].includes(signature)) {
+      channels = 4;
+    } else if (['FLT8', 'OCTA', 'CD81'].includes(signature)) {
+      channels = 8;
+    } else if (/^\dCHN$/.test(signature)) {
+      channels = parseInt(signature[0], 10);
+    } else if (/^\d\dC[HN]$/.test(signature)) {
+      channels = parseInt(signature.substring(0, 2), 10);
+    } else {
+      sampleCount = 15; // Original Soundtracker: no signature
+    }
+    if (channels < 1 || channels > 32) throw new Error(`Unsupported MOD channel count: ${channels}`);
+    module.channelCount = channels;
+
+    for (let i = 0; i < sampleCount; i++) {
+      const offset = 20 + i * 30;
+      const finetune = (reader.u8(offset + 24) & 0x0F) << 28 >> 28;
+      const sample = TrackerModule.createSample(reader.string(offset, 22), reader.u16be(offset + 22) * 2,
+        Math.round(8363 * Math.pow(2, finetune / 96)), Math.min(64, reader.u8(offset + 25)));
+      const loopStart = reader.u16be(offset + 26) * 2;
+      const loopLength = reader.u16be(offset + 28) * 2;
+      if (loopLength > 2) {
+        sample.loopStart = loopStart;
+        sample.loopLength = loopLength;
+      }
+      module.samples.push(sample);
+    }
+
+    const headerEnd = sampleCount === 31 ? 950 : 470;
+    const songLength = Math.max(1, Math.min(128, reader.u8(headerEnd)));
+    const restart = reader.u8(headerEnd + 1);
+    const orderTable = Array.from({ length: 128 }, (_, i) => reader.u8(headerEnd + 2 + i) & 0x7F);
+    module.orders = orderTable.slice(0, songLength);
+    module.restartOrder = restart < songLength ? restart : 0;
+    const patternCount = Math.max(...orderTable) + 1;
+
+    let offset = sampleCount === 31 ? 1084 : 600;
+    for (let p = 0; p < patternCount; p++) {
+      const pattern = TrackerModule.createPattern(64, channels);
+      for (let row = 0; row < 64; row++) {
+        for (let channel = 0; channel < channels; channel++, offset += 4) {
+          if (offset + 4 > reader.length) throw new Error('MOD pattern data is truncated');
+          const b0 = reader.u8(offset), b1 = reader.u8(offset + 1), b2 = reader.u8(offset + 2), b3 = reader.u8(offset + 3);
+          const period = ((b0 & 0x0F) << 8) | b1;
+          const cell = TrackerModule.createCell();
+          cell.sample = (b0 & 0xF0) | (b2 >> 4);
+          if (period > 0) {
+            cell.note = Math.max(1, Math.min(120, TrackerModule.MIDDLE_C + Math.round(12 * Math.log2(428 / period))));
+          }
+          TrackerModule.setProtrackerEffect(module, cell, b2 & 0x0F, b3, p, row, channel);
+          pattern.cells[row][channel] = TrackerModule.isEmptyCell(cell) ? null : cell;
+        }
+      }
+      module.patterns.push(pattern);
+    }
+
+    for (const sample of module.samples) {
+      const available = Math.max(0, Math.min(sample.length, reader.length - offset));
+      if (available < sample.length) sample.length = available;
+      sample.data = reader.pcm(offset, available, 8, true, false);
+      offset += available;
+      TrackerModule.clampLoop(sample);
+    }
+    return module;
+  }
+
+  static parseXM(reader) {
+    const module = TrackerModule.createModule('xm', reader.string(17, 20));
+    const headerSize = reader.u32(60);
+    const songLength = reader.u16(64);
+    module.restartOrder = reader.u16(66);
+    module.channelCount = reader.u16(68);
+    const patternCount = reader.u16(70);
+    const instrumentCount = reader.u16(72);
+    module.linearSlides = (reader.u16(74) & 1) !== 0;
+    module.initialSpeed = reader.u16(76) || 6;
+    module.initialTempo = reader.u16(78) || 125;
+    module.orders = Array.from({ length: Math.min(256, songLength) }, (_, i) => reader.u8(80 + i));
+    if (module.restartOrder >= module.orders.length) module.restartOrder = 0;
+    if (module.channelCount < 1 || module.channelCount > 64) throw new Error(`Unsupported XM channel count: ${module.channelCount}`);
+
+    let offset = 60 + headerSize;
+    const rawPatterns = [];
+    for (let p = 0; p < patternCount; p++) {
+      const patternHeaderLength = reader.u32(offset);
+      const rows = reader.u16(offset + 5) || 64;
+      const packedSize = reader.u16(offset + 7);
+      rawPatterns.push({ rows, start: offset + patternHeaderLength, size: packedSize });
+      offset += patternHeaderLength + packedSize;
+    }
+
+    // Instruments: flatten every sample into one list, remember each instrument's note map
+    const instrumentMaps = [null];
+    for (let i = 0; i < instrumentCount; i++) {
+      const instrumentSize = reader.u32(offset);
+      const sampleCount = reader.u16(offset + 27);
+      const firstSample = module.samples.length;
+      const noteMap = new Array(121).fill(0);
+      let sampleHeaderSize = 40;
+      if (sampleCount > 0) {
+        sampleHeaderSize = reader.u32(offset + 29) || 40;
+        for (let n = 0; n < 96; n++) {
+          const local = reader.u8(offset + 33 + n);
+          if (local < sampleCount) noteMap[n + 13] = firstSample + local + 1;
+        }
+        if (reader.u8(offset + 233) & 1) {
+          module.issues.push({ message: `Instrument ${i + 1} volume envelope is not converted` });
+        }
+      }
+      instrumentMaps.push(noteMap);
+      offset += instrumentSize;
+
+      const headers = [];
+      for (let s = 0; s < sampleCount; s++, offset += sampleHeaderSize) {
+        const type = reader.u8(offset + 14);
+        const bits = (type & 0x10) ? 16 : 8;
+        const bytesPerFrame = bits / 8;
+        const finetune = reader.s8(offset + 13);
+        const relativeNote = reader.s8(offset + 16);
+        const sample = TrackerModule.createSample(reader.string(offset + 18, 22), Math.floor(reader.u32(offset) / bytesPerFrame),
+          Math.round(8363 * Math.pow(2, (relativeNote * 128 + finetune) / 1536)), Math.min(64, reader.u8(offset + 12)));
+        if (type & 3) {
+          sample.loopStart = Math.floor(reader.u32(offset + 4) / bytesPerFrame);
+          sample.loopLength = Math.floor(reader.u32(offset + 8) / bytesPerFrame);
+          sample.pingPong = (type & 3) === 2;
+        }
+        sample.panning = reader.u8(offset + 15);
+        headers.push({ sample, bits, adpcm: reader.u8(offset + 17) === 0xAD });
+      }
+      for (const { sample, bits, adpcm } of headers) {
+        if (adpcm) throw new Error(`Sample "${sample.name}" uses ModPlug ADPCM compression, which is not supported`);
+        const byteLength = sample.length * bits / 8;
+        const available = Math.max(0, Math.min(byteLength, reader.length - offset));
+        sample.length = Math.floor(available / (bits / 8));
+        sample.data = reader.deltaPcm(offset, sample.length, bits);
+        offset += byteLength;
+        TrackerModule.clampLoop(sample);
+        module.samples.push(sample);
+      }
+    }
+
+    rawPatterns.forEach(({ rows, start, size }, p) => {
+      const pattern = TrackerModule.createPattern(rows, module.channelCount);
+      let pos = start;
+      const end = start + size;
+      for (let row = 0; row < rows && size > 0; row++) {
+        for (let channel = 0; channel < module.channelCount && pos < end; channel++) {
+          let mask = reader.u8(pos);
+          if (mask & 0x80) {
+            pos++;
+          } else {
+            mask = 0x1F;
+          }
+          const note = (mask & 1) ? reader.u8(pos++) : 0;
+          const instrument = (mask & 2) ? reader.u8(pos++) : 0;
+          const volume = (mask & 4) ? reader.u8(pos++) : 0;
+          const effect = (mask & 8) ? reader.u8(pos++) : 0;
+          const param = (mask & 16) ? reader.u8(pos++) : 0;
+
+          const cell = TrackerModule.createCell();
+          if (note === 97) {
+            cell.note = TrackerModule.NOTE_OFF;
+          } else if (note > 0 && note < 97) {
+            cell.note = note + 12;
+          }
+          if (instrument > 0) {
+            const noteMap = instrumentMaps[instrument];
+            cell.sample = noteMap ? noteMap[cell.note > 0 && cell.note <= 120 ? cell.note : TrackerModule.MIDDLE_C] : 0;
+          }
+          TrackerModule.setXMVolumeColumn(module, cell, volume, p, row, channel);
+          TrackerModule.setProtrackerEffect(module, cell, effect, param, p, row, channel);
+          pattern.cells[row][channel] = TrackerModule.isEmptyCell(cell) ? null : cell;
+        }
+      }
+      module.patterns.push(pattern);
+    });
+    if (module.patterns.length === 0) module.patterns.push(TrackerModule.createPattern(64, module.channelCount));
+    return module;
+  }
+
+  static parseS3M(reader) {
+    const module = TrackerModule.createModule('s3m', reader.string(0, 28));
+    const orderCount = reader.u16(32);
+    const instrumentCount = reader.u16(34);
+    const patternCount = reader.u16(36);
+    const unsignedSamples = reader.u16(42) === 2;
+    module.initialSpeed = reader.u8(49) || 6;
+    module.initialTempo = reader.u8(50) || 125;
+
+    // Enabled channels are numbered in order, disabled ones are dropped
+    const channelMap = new Array(32).fill(-1);
+    for (let c = 0; c < 32; c++) {
+      const setting = reader.u8(64 + c);
+      if (setting < 16) channelMap[c] = module.channelCount++;
+    }
+
+    const orders = Array.from({ length: orderCount }, (_, i) => reader.u8(96 + i));
+    module.orders = TrackerModule.cleanOrders(orders);
+    const pointerBase = 96 + orderCount;
+
+    for (let i = 0; i < instrumentCount; i++) {
+      const offset = reader.u16(pointerBase + i * 2) * 16;
+      const type = reader.u8(offset);
+      const flags = reader.u8(offset + 31);
+      const bits = (flags & 4) ? 16 : 8;
+      const sample = TrackerModule.createSample(reader.string(offset + 48, 28), type === 1 ? reader.u32(offset + 16) : 0,
+        reader.u32(offset + 32) || 8363, Math.min(64, reader.u8(offset + 28)));
+      if (flags & 1) {
+        sample.loopStart = reader.u32(offset + 20);
+        sample.loopLength = Math.max(0, reader.u32(offset + 24) - sample.loopStart);
+      }
+      if (type === 1) {
+        if (reader.u8(offset + 30) !== 0) throw new Error(`Sample "${sample.name}" is packed, which is not supported`);
+        const dataOffset = ((reader.u8(offset + 13) << 16) | reader.u16(offset + 14)) * 16;
+        const available = Math.max(0, Math.min(sample.length, Math.floor((reader.length - dataOffset) / (bits / 8))));
+        sample.length = available;
+        sample.data = reader.pcm(dataOffset, available, bits, !unsignedSamples, true);
+        if (flags & 2) {
+          // Stereo: the right channel follows the left one
+          const right = reader.pcm(dataOffset + available * bits / 8, available, bits, !unsignedSamples, true);
+          for (let f = 0; f < available; f++) sample.data[f] = (sample.data[f] + (right[f] || 0)) / 2;
+        }
+      }
+      TrackerModule.clampLoop(sample);
+      module.samples.push(sample);
+    }
+
+    for (let p = 0; p < patternCount; p++) {
+      const pattern = TrackerModule.createPattern(64, module.channelCount);
+      const pointer = reader.u16(pointerBase + instrumentCount * 2 + p * 2) * 16;
+      let pos = pointer + 2;
+      for (let row = 0; row < 64 && pointer > 0 && pos < reader.length; row++) {
+        for (let what = reader.u8(pos++); what !== 0 && pos < reader.length; what = reader.u8(pos++)) {
+          const cell = TrackerModule.createCell();
+          if (what & 32) {
+            const note = reader.u8(pos++);
+            cell.sample = reader.u8(pos++);
+            if (note === 254) {
+              cell.note = TrackerModule.NOTE_CUT;
+            } else if (note < 254) {
+              cell.note = Math.min(120, (note >> 4) * 12 + (note & 0x0F) + 13);
+            }
+          }
+          if (what & 64) cell.volume = Math.min(64, reader.u8(pos++));
+          const channel = channelMap[what & 31];
+          if (what & 128) {
+            const command = reader.u8(pos++);
+            const param = reader.u8(pos++);
+            if (channel >= 0) TrackerModule.setScreamTrackerEffect(module, cell, command, param, p, row, channel, false);
+          }
+          if (channel >= 0 && !TrackerModule.isEmptyCell(cell)) pattern.cells[row][channel] = cell;
+        }
+      }
+      module.patterns.push(pattern);
+    }
+    return module;
+  }
+
+  static parseIT(reader) {
+    const module = TrackerModule.createModule('it', reader.string(4, 26));
+    const orderCount = reader.u16(32);
+    const instrumentCount = reader.u16(34);
+    const sampleCount = reader.u16(36);
+    const patternCount = reader.u16(38);
+    const compatible = reader.u16(42);
+    const flags = reader.u16(44);
+    const instrumentMode = (flags & 4) !== 0;
+    module.linearSlides = (flags & 8) !== 0;
+    module.initialSpeed = reader.u8(50) || 6;
+    module.initialTempo = reader.u8(51) || 125;
+    module.orders = TrackerModule.cleanOrders(Array.from({ length: orderCount }, (_, i) => reader.u8(192 + i)));
+
+    const instrumentBase = 192 + orderCount;
+    const sampleBase = instrumentBase + instrumentCount * 4;
+    const patternBase = sampleBase + sampleCount * 4;
+
+    for (let i = 0; i < sampleCount; i++) {
+      const offset = reader.u32(sampleBase + i * 4);
+      const sampleFlags = reader.u8(offset + 18);
+      const bits = (sampleFlags & 2) ? 16 : 8;
+      const sample = TrackerModule.createSample(reader.string(offset + 20, 26), (sampleFlags & 1) ? reader.u32(offset + 48) : 0,
+        reader.u32(offset + 60) || 8363, Math.min(64, reader.u8(offset + 19)));
+      if (sampleFlags & 16) {
+        sample.loopStart = reader.u32(offset + 52);
+        sample.loopLength = Math.max(0, reader.u32(offset + 56) - sample.loopStart);
+        sample.pingPong = (sampleFlags & 64) !== 0;
+      }
+      if (sampleFlags & 32) {
+        module.issues.push({ message: `Sample ${i + 1} sustain loop is not converted` });
+      }
+      const defaultPan = reader.u8(offset + 47);
+      if (defaultPan & 0x80) sample.panning = Math.min(255, (defaultPan & 0x7F) * 4);
+      if (sampleFlags & 1) {
+        if (sampleFlags & 8) throw new Error(`Sample "${sample.name}" is IT-compressed; save the module uncompressed to convert it`);
+        const signed = (reader.u8(offset + 46) & 1) !== 0;
+        const dataOffset = reader.u32(offset + 72);
+        const available = Math.max(0, Math.min(sample.length, Math.floor((reader.length - dataOffset) / (bits / 8))));
+        sample.length = available;
+        sample.data = reader.pcm(dataOffset, available, bits, signed, true);
+        if (sampleFlags & 4) {
+          const right = reader.pcm(dataOffset + available * bits / 8, available, bits, signed, true);
+          for (let f = 0; f < available; f++) sample.data[f] = (sample.data[f] + (right[f] || 0)) / 2;
+        }
+      }
+      TrackerModule.clampLoop(sample);
+      module.samples.push(sample);
+    }
+
+    // Instrument keyboard tables: note -> [note to play, sample]
+    const keyboards = [null];
+    for (let i = 0; i < (instrumentMode ? instrumentCount : 0); i++) {
+      const offset = reader.u32(instrumentBase + i * 4);
+      keyboards.push(Array.from({ length: 120 }, (_, n) => [reader.u8(offset + 0x40 + n * 2), reader.u8(offset + 0x41 + n * 2)]));
+      if (compatible >= 0x200 && (reader.u8(offset + 0x130) & 1)) {
+        module.issues.push({ message: `Instrument ${i + 1} volume envelope is not converted` });
+      }
+    }
+
+    const rawPatterns = [];
+    let highestChannel = -1;
+    for (let p = 0; p < patternCount; p++) {
+      const offset = reader.u32(patternBase + p * 4);
+      const rows = offset ? reader.u16(offset + 2) : 64;
+      const events = [];
+      if (offset) {
+        const lastMask = new Array(64).fill(0);
+        const last = Array.from({ length: 64 }, () => ({ note: 0, instrument: 0, volume: 255, command: 0, param: 0 }));
+        let pos = offset + 8;
+        const end = pos + reader.u16(offset);
+        for (let row = 0; row < rows && pos < end; row++) {
+          for (let variable = reader.u8(pos++); variable !== 0 && pos < end; variable = reader.u8(pos++)) {
+            const channel = (variable - 1) & 63;
+            if (variable & 0x80) lastMask[channel] = reader.u8(pos++);
+            const mask = lastMask[channel];
+            const event = { row, channel, note: -1, instrument: 0, volume: 255, command: 0, param: 0 };
+            if (mask & 1) last[channel].note = event.note = reader.u8(pos++);
+            if (mask & 2) last[channel].instrument = event.instrument = reader.u8(pos++);
+            if (mask & 4) last[channel].volume = event.volume = reader.u8(pos++);
+            if (mask & 8) {
+              last[channel].command = event.command = reader.u8(pos++);
+              last[channel].param = event.param = reader.u8(pos++);
+            }
+            if (mask & 16) event.note = last[channel].note;
+            if (mask & 32) event.instrument = last[channel].instrument;
+            if (mask & 64) event.volume = last[channel].volume;
+            if (mask & 128) {
+              event.command = last[channel].command;
+              event.param = last[channel].param;
+            }
+            highestChannel = Math.max(highestChannel, channel);
+            events.push(event);
+          }
+        }
+      }
+      rawPatterns.push({ rows, events });
+    }
+
+    module.channelCount = Math.max(1, highestChannel + 1);
+    rawPatterns.forEach(({ rows, events }, p) => {
+      const pattern = TrackerModule.createPattern(rows, module.channelCount);
+      for (const event of events) {
+        const cell = TrackerModule.createCell();
+        let note = event.note;
+        if (note === 255) {
+          cell.note = TrackerModule.NOTE_OFF;
+        } else if (note === 254) {
+          cell.note = TrackerModule.NOTE_CUT;
+        } else if (note >= 120 && note < 254) {
+          cell.note = TrackerModule.NOTE_OFF; // Note fade
+        } else if (note >= 0) {
+          cell.note = note + 1;
+        }
+        if (event.instrument > 0) {
+          if (instrumentMode) {
+            const keyboard = keyboards[event.instrument];
+            const key = keyboard?.[cell.note > 0 && cell.note <= 120 ? cell.note - 1 : TrackerModule.MIDDLE_C - 1];
+            if (key) {
+              cell.sample = key[1];
+              if (cell.note > 0 && cell.note <= 120 && key[0] < 120) cell.note = key[0] + 1;
+            }
+          } else {
+            cell.sample = event.instrument;
+          }
+        }
+        TrackerModule.setITVolumeColumn(module, cell, event.volume, p, event.row, event.channel);
+        if (event.command) {
+          TrackerModule.setScreamTrackerEffect(module, cell, event.command, event.param, p, event.row, event.channel, true);
+        }
+        if (!TrackerModule.isEmptyCell(cell)) pattern.cells[event.row][event.channel] = cell;
+      }
+      module.patterns.push(pattern);
+    });
+    return module;
+  }
+
+  /**
+   * MOD/XM effect column (0-F plus the XM letters G-X)
+   */
+  static setProtrackerEffect(module, cell, effect, param, pattern, row, channel) {
+    if (effect === 0 && param === 0) return;
+    const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+    const command = `${effect < 16 ? hex(effect, 1) : String.fromCharCode(55 + effect)}${hex(param, 2)}`;
+    const x = param >> 4;
+    const y = param & 0x0F;
+    const extended = ['filter', 'finePortaUp', 'finePortaDown', 'glissando', 'vibratoWaveform', 'finetune', 'patternLoop',
+      'tremoloWaveform', 'setPanning', 'retrigger', 'fineVolumeUp', 'fineVolumeDown', 'noteCut', 'noteDelay', 'patternDelay', 'invertLoop'];
+    const simple = {
+      0: 'arpeggio', 1: 'portaUp', 2: 'portaDown', 3: 'tonePorta', 4: 'vibrato', 5: 'tonePortaVolSlide',
+      6: 'vibratoVolSlide', 7: 'tremolo', 8: 'setPanning', 9: 'sampleOffset', 10: 'volumeSlide', 11: 'positionJump',
+      12: 'setVolume', 16: 'globalVolume', 17: 'globalVolumeSlide', 20: 'keyOff', 21: 'setEnvelopePosition',
+      25: 'panningSlide', 27: 'multiRetrig', 29: 'tremor', 35: 'midiMacro'
+    };
+
+    let name = simple[effect] || null;
+    let value = param;
+    if (effect === 12) {
+      value = Math.min(64, param);
+    } else if (effect === 13) {
+      name = 'patternBreak';
+      value = x * 10 + y;
+    } else if (effect === 14) {
+      name = extended[x];
+      value = x === 8 ? y * 17 : y;
+    } else if (effect === 15) {
+      name = param < 32 ? 'setSpeed' : 'setTempo';
+    } else if (effect === 33 && (x === 1 || x === 2)) {
+      name = x === 1 ? 'extraFinePortaUp' : 'extraFinePortaDown';
+      value = y;
+    }
+    TrackerModule.setEffect(module, cell, name, value, command, pattern, row, channel);
+  }
+
+  /**
+   * S3M/IT effect column (A-Z); IT pattern break parameters are binary, S3M ones BCD
+   */
+  static setScreamTrackerEffect(module, cell, command, param, pattern, row, channel, isIT) {
+    if (command < 1 || command > 26) return;
+    const letter = String.fromCharCode(64 + command);
+    const label = `${letter}${param.toString(16).toUpperCase().padStart(2, '0')}`;
+    const x = param >> 4;
+    const y = param & 0x0F;
+    const simple = {
+      A: 'setSpeed', B: 'positionJump', G: 'tonePorta', H: 'vibrato', I: 'tremor', J: 'arpeggio',
+      K: 'vibratoVolSlide', L: 'tonePortaVolSlide', M: 'channelVolume', N: 'channelVolumeSlide', O: 'sampleOffset',
+      P: 'panningSlide', Q: 'multiRetrig', R: 'tremolo', U: 'fineVibrato', V: 'globalVolume', W: 'globalVolumeSlide',
+      Y: 'panbrello', Z: 'midiMacro'
+    };
+    const extended = ['filter', 'glissando', 'finetune', 'vibratoWaveform', 'tremoloWaveform', 'panbrelloWaveform',
+      'fineTickDelay', 'instrumentControl', 'setPanning', 'soundControl', 'highOffset', 'patternLoop', 'noteCut',
+      'noteDelay', 'patternDelay', 'activeMacro'];
+
+    let name = simple[letter] || null;
+    let value = param;
+    if (letter === 'C') {
+      name = 'patternBreak';
+      value = isIT ? param : x * 10 + y;
+    } else if (letter === 'D') {
+      if (x === 0x0F && y > 0) {
+        name = 'fineVolumeDown';
+        value = y;
+      } else if (y === 0x0F && x > 0) {
+        name = 'fineVolumeUp';
+        value = x;
+      } else {
+        name = 'volumeSlide';
+      }
+    } else if (letter === 'E' || letter === 'F') {
+      const up = letter === 'F';
+      if (x === 0x0F) {
+        name = up ? 'finePortaUp' : 'finePortaDown';
+        value = y;
+      } else if (x === 0x0E) {
+        name = up ? 'extraFinePortaUp' : 'extraFinePortaDown';
+        value = y;
+      } else {
+        name = up ? 'portaUp' : 'portaDown';
+      }
+    } else if (letter === 'S') {
+      name = extended[x];
+      value = x === 8 ? y * 17 : y;
+    } else if (letter === 'T') {
+      name = param >= 0x20 ? 'setTempo' : 'tempoSlide';
+    } else if (letter === 'X') {
+      name = 'setPanning';
+      value = isIT ? param : Math.min(255, param * 2);
+    }
+    TrackerModule.setEffect(module, cell, name, value, label, pattern, row, channel);
+  }
+
+  static setEffect(module, cell, name, value, command, pattern, row, channel) {
+    if (!name) {
+      module.issues.push({ pattern, row, channel, command, effect: null, message: `Unknown effect ${command}` });
+      return;
+    }
+    cell.effect = name;
+    cell.param = value;
+    cell.command = command;
+  }
+
+  /**
+   * XM volume column: set volume is kept, other commands have no place in the device format
+   */
+  static setXMVolumeColumn(module, cell, volume, pattern, row, channel) {
+    if (volume >= 0x10 && volume <= 0x50) {
+      cell.volume = volume - 0x10;
+    } else if (volume >= 0x60) {
+      const names = ['volume slide down', 'volume slide up', 'fine volume down', 'fine volume up', 'vibrato speed',
+        'vibrato depth', 'set panning', 'panning slide left', 'panning slide right', 'tone portamento'];
+      const command = `vol ${names[(volume >> 4) - 6]} ${volume & 0x0F}`;
+      module.issues.push({ pattern, row, channel, command, effect: null, message: `Volume column command ${command} is dropped` });
+    }
+  }
+
+  static setITVolumeColumn(module, cell, volume, pattern, row, channel) {
+    if (volume <= 64) {
+      cell.volume = volume;
+      return;
+    }
+    const ranges = [[65, 'fine volume up'], [75, 'fine volume down'], [85, 'volume slide up'], [95, 'volume slide down'],
+      [105, 'portamento down'], [115, 'portamento up'], [128, 'set panning'], [193, 'tone portamento'], [203, 'vibrato depth']];
+    const range = [...ranges].reverse().find(([start]) => volume >= start);
+    if (!range || volume > 212 || (volume >= 125 && volume < 128)) return;
+    const command = `vol ${range[1]} ${volume - range[0]}`;
+    module.issues.push({ pattern, row, channel, command, effect: null, message: `Volume column command ${command} is dropped` });
+  }
+
+  static isEmptyCell(cell) {
+    return cell.note === 0 && cell.sample === 0 && cell.volume < 0 && !cell.effect;
+  }
+
+  // S3M/IT orders: 254 is a skip marker, 255 ends the song
+  static cleanOrders(orders) {
+    const end = orders.indexOf(255);
+    return (end >= 0 ? orders.slice(0, end) : orders).filter(order => order !== 254);
+  }
+
+  static clampLoop(sample) {
+    if (sample.loopStart >= sample.length || sample.loopLength <= 2) {
+      sample.loopStart = 0;
+      sample.loopLength = 0;
+      sample.pingPong = false;
+    } else {
+      sample.loopLength = Math.min(sample.loopLength, sample.length - sample.loopStart);
+    }
+  }
+
+  /**
+   * Highest channel with any data + 1; trailing empty channels are not played
+   */
+  static getUsedChannelCount(module) {
+    let used = 0;
+    for (const pattern of module.patterns) {
+      for (const cells of pattern.cells) {
+        for (let channel = cells.length - 1; channel >= used; channel--) {
+          if (cells[channel]) {
+            used = channel + 1;
+            break;
+          }
+        }
+      }
+    }
+    return Math.max(1, used);
+  }
+
+  /**
+   * Check a module against the device limits and convert it to RMOD
+   * @param {Object} module - From parse()
+   * @param {Object} limits - See getDefaultLimits()
+   * @returns {{data: Uint8Array, errors: string[], warnings: string[], unsupported: Object[], samples: Object[], sizes: Object, channels: number}}
+   */
+  static convert(module, limits = {}) {
+    const settings = TrackerModule.resolveLimits(limits);
+    const supported = new Set(settings.supportedEffects);
+    const bytesPerFrame = settings.sampleBits === 16 ? 2 : 1;
+    const errors = [];
+    const warnings = module.issues.filter(issue => issue.pattern === undefined).map(issue => issue.message);
+
+    const channels = TrackerModule.getUsedChannelCount(module);
+    if (settings.maxChannels > 0 && channels > settings.maxChannels) {
+      errors.push(`Uses ${channels} channels, the device plays ${settings.maxChannels}`);
+    }
+    if (module.patterns.length > 65535 || module.samples.length > 255) {
+      errors.push('Too many patterns or samples for the RMOD format');
+    }
+
+    // Unsupported effects are reported where they occur and left out of the output
+    const unsupported = module.issues.filter(issue => issue.pattern !== undefined);
+    module.patterns.forEach((pattern, p) => {
+      pattern.cells.forEach((cells, row) => {
+        cells.forEach((cell, channel) => {
+          if (cell?.effect && !supported.has(cell.effect)) {
+            unsupported.push({ pattern: p, row, channel, command: cell.command, effect: cell.effect, message: `Unsupported effect ${cell.effect} (${cell.command})` });
+          }
+        });
+      });
+    });
+
+    // Samples: downsample, truncate, convert; trailing empty slots (MOD always has 31) are left out
+    const sampleCount = module.samples.reduce((last, sample, index) => sample.length > 0 ? index + 1 : last, 0);
+    const samples = module.samples.slice(0, sampleCount).map((source, index) => {
+      let data = source.data;
+      let { c5Speed, loopStart, loopLength } = source;
+      let ratio = 1;
+      const notes = [];
+      if (settings.maxSampleRate > 0 && c5Speed > settings.maxSampleRate && data.length > 0) {
+        if (settings.downsample) {
+          ratio = settings.maxSampleRate / c5Speed;
+          data = AudioClip.resample(data, ratio);
+          loopStart = Math.round(loopStart * ratio);
+          loopLength = Math.min(data.length - loopStart, Math.round(loopLength * ratio));
+          notes.push(`downsampled from ${c5Speed} Hz`);
+          c5Speed = settings.maxSampleRate;
+        } else {
+          warnings.push(`Sample ${index + 1} "${source.name}" plays at ${c5Speed} Hz, above ${settings.maxSampleRate} Hz`);
+        }
+      }
+      if (settings.maxSampleLength > 0 && data.length > settings.maxSampleLength) {
+        if (settings.truncate) {
+          notes.push(`truncated from ${data.length} frames`);
+          data = data.subarray(0, settings.maxSampleLength);
+          if (loopStart >= data.length) {
+            loopStart = 0;
+            loopLength = 0;
+          } else {
+            loopLength = Math.min(loopLength, data.length - loopStart);
+          }
+        } else {
+          errors.push(`Sample ${index + 1} "${source.name}" has ${data.length} frames, the device allows ${settings.maxSampleLength}`);
+        }
+      }
+      return {
+        index: index + 1,
+        name: source.name,
+        sourceLength: source.length,
+        sourceRate: source.c5Speed,
+        length: data.length,
+        loopStart: loopLength > 2 ? loopStart : 0,
+        loopLength: loopLength > 2 ? loopLength : 0,
+        pingPong: source.pingPong && loopLength > 2,
+        volume: source.volume,
+        panning: source.panning,
+        c5Speed,
+        ratio,
+        data,
+        bytes: data.length * bytesPerFrame,
+        notes
+      };
+    });
+
+    const sampleBytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+    if (settings.maxSampleMemory > 0 && sampleBytes > settings.maxSampleMemory) {
+      errors.push(`Sample data is ${sampleBytes} bytes, the device has ${settings.maxSampleMemory}`);
+    }
+
+    const offsetParams = TrackerModule.rescaleSampleOffsets(module, samples.map(sample => sample.ratio), warnings);
+    const patternData = module.patterns.map(pattern => TrackerModule.packPattern(pattern, channels, supported, offsetParams));
+    const data = TrackerModule.write(module, channels, samples, patternData, settings.sampleBits === 16);
+    const sizes = {
+      header: 32,
+      orders: module.orders.length * 2,
+      sampleHeaders: samples.length * 24,
+      patterns: patternData.reduce((sum, packed) => sum + packed.length, 0),
+      samples: sampleBytes,
+      total: data.length
+    };
+    return { data, errors, warnings, unsupported, samples, sizes, channels };
+  }
+
+  /**
+   * Sample offset (9xx) parameters for downsampled samples: the parameter counts 256-frame steps
+   * into the sample on the channel, which is followed through the order list
+   * @param {number[]} ratios - Resample ratio per sample (index 0 is sample 1)
+   * @returns {Map<Object, number>} Cell -> rescaled parameter
+   */
+  static rescaleSampleOffsets(module, ratios, warnings) {
+    const params = new Map();
+    if (ratios.every(ratio => ratio === 1)) return params;
+
+    const conflicts = new Set();
+    const current = [];
+    for (const order of module.orders) {
+      module.patterns[order]?.cells.forEach((cells, row) => {
+        cells.forEach((cell, channel) => {
+          if (!cell) return;
+          if (cell.sample) current[channel] = cell.sample;
+          // 900 repeats the previous offset, which is already rescaled
+          if (cell.effect !== 'sampleOffset' || !cell.param || !current[channel]) return;
+
+          const param = Math.max(1, Math.min(255, Math.round(cell.param * (ratios[current[channel] - 1] ?? 1))));
+          if (!params.has(cell)) {
+            params.set(cell, param);
+          } else if (params.get(cell) !== param && !conflicts.has(cell)) {
+            conflicts.add(cell);
+            warnings.push(`Pattern ${order} row ${row} channel ${channel + 1}: sample offset is used with samples of different rates`);
+          }
+        });
+      });
+    }
+    return params;
+  }
+
+  static packPattern(pattern, channels, supported, offsetParams = new Map()) {
+    const bytes = [pattern.rows & 0xFF, pattern.rows >> 8, 0, 0];
+    for (const cells of pattern.cells) {
+      for (let channel = 0; channel < channels; channel++) {
+        const cell = cells[channel];
+        if (!cell) continue;
+        const effect = cell.effect && supported.has(cell.effect) ? TrackerModule.EFFECTS.indexOf(cell.effect) + 1 : 0;
+        const mask = (cell.note ? 1 : 0) | (cell.sample ? 2 : 0) | (cell.volume >= 0 ? 4 : 0) | (effect ? 8 : 0);
+        if (!mask) continue;
+        bytes.push(channel, mask);
+        if (mask & 1) bytes.push(cell.note);
+        if (mask & 2) bytes.push(cell.sample);
+        if (mask & 4) bytes.push(cell.volume);
+        if (mask & 8) bytes.push(effect, (offsetParams.get(cell) ?? cell.param) & 0xFF);
+      }
+      bytes.push(0xFF);
+    }
+    const size = bytes.length - 4;
+    bytes[2] = size & 0xFF;
+    bytes[3] = (size >> 8) & 0xFF;
+    if (size > 0xFFFF) throw new Error('Packed pattern exceeds 64 KB');
+    return Uint8Array.from(bytes);
+  }
+
+  static write(module, channels, samples, patternData, sixteenBit) {
+    const ordersOffset = 32;
+    const sampleHeadersOffset = ordersOffset + module.orders.length * 2;
+    const patternOffset = sampleHeadersOffset + samples.length * 24;
+    const patternSize = patternData.reduce((sum, packed) => sum + packed.length, 0);
+    const sampleOffset = patternOffset + patternSize + ((patternOffset + patternSize) & 1);
+    const sampleSize = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+
+    const buffer = new ArrayBuffer(sampleOffset + sampleSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    bytes.set([0x52, 0x4D, 0x4F, 0x44]); // 'RMOD'
+    view.setUint8(4, 1);
+    view.setUint8(5, (module.linearSlides ? 1 : 0) | (sixteenBit ? 2 : 0));
+    view.setUint8(6, TrackerModule.FORMAT_IDS[module.format]);
+    view.setUint8(7, channels);
+    view.setUint8(8, Math.min(255, module.initialSpeed));
+    view.setUint8(9, Math.min(255, module.initialTempo));
+    view.setUint16(10, module.orders.length, true);
+    view.setUint16(12, module.restartOrder, true);
+    view.setUint16(14, module.patterns.length, true);
+    view.setUint16(16, samples.length, true);
+    view.setUint32(20, sampleOffset, true);
+    view.setUint32(24, sampleSize, true);
+    view.setUint32(28, patternOffset, true);
+
+    module.orders.forEach((order, i) => view.setUint16(ordersOffset + i * 2, order, true));
+
+    let dataOffset = 0;
+    samples.forEach((sample, i) => {
+      const header = sampleHeadersOffset + i * 24;
+      view.setUint32(header, dataOffset, true);
+      view.setUint32(header + 4, sample.length, true);
+      view.setUint32(header + 8, sample.loopStart, true);
+      view.setUint32(header + 12, sample.loopLength, true);
+      view.setUint32(header + 16, sample.c5Speed, true);
+      view.setUint8(header + 20, sample.volume);
+      view.setUint8(header + 21, (sample.loopLength ? 1 : 0) | (sample.pingPong ? 2 : 0));
+      view.setUint8(header + 22, sample.panning >= 0 ? sample.panning : 255);
+
+      for (let f = 0; f < sample.length; f++) {
+        const value = Math.max(-1, Math.min(1, sample.data[f]));
+        if (sixteenBit) {
+          view.setInt16(sampleOffset + dataOffset + f * 2, Math.round(value * 32767), true);
+        } else {
+          view.setInt8(sampleOffset + dataOffset + f, Math.round(value * 127));
+        }
+      }
+      dataOffset += sample.bytes;
+    });
+
+    let offset = patternOffset;
+    for (const packed of patternData) {
+      bytes.set(packed, offset);
+      offset += packed.length;
+    }
+    return bytes;
+  }
+
+  /**
+   * Human-readable size and validation report
+   */
+  static formatReport(name, module, result, sourceSize, limits = {}) {
+    const settings = TrackerModule.resolveLimits(limits);
+    const fits = result.errors.length === 0;
+    const lines = [
+      `${name} - ${module.format.toUpperCase()} "${module.title}"`,
+      `Result: ${fits ? 'fits the device' : 'DOES NOT FIT the device'}`,
+      '',
+      `Channels: ${result.channels} used of ${module.channelCount} (device: ${settings.maxChannels || 'unlimited'})`,
+      `Orders: ${module.orders.length}, patterns: ${module.patterns.length}, samples: ${module.samples.length}`,
+      `Sample memory: ${result.sizes.samples} bytes (device: ${settings.maxSampleMemory || 'unlimited'}), ${settings.sampleBits}-bit`,
+      '',
+      'Size:',
+      `  Header          ${result.sizes.header}`,
+      `  Orders          ${result.sizes.orders}`,
+      `  Sample headers  ${result.sizes.sampleHeaders}`,
+      `  Patterns        ${result.sizes.patterns}`,
+      `  Sample data     ${result.sizes.samples}`,
+      `  Total           ${result.sizes.total} bytes (source ${sourceSize} bytes)`
+    ];
+
+    if (result.errors.length) lines.push('', 'Errors:', ...result.errors.map(error => `  ${error}`));
+    if (result.warnings.length) lines.push('', 'Warnings:', ...result.warnings.map(warning => `  ${warning}`));
+
+    const used = result.samples.filter(sample => sample.sourceLength > 0);
+    if (used.length) {
+      lines.push('', 'Samples:');
+      for (const sample of used) {
+        const loop = sample.loopLength ? `, loop ${sample.loopStart}+${sample.loopLength}${sample.pingPong ? ' ping-pong' : ''}` : '';
+        const notes = sample.notes.length ? ` (${sample.notes.join(', ')})` : '';
+        lines.push(`  ${String(sample.index).padStart(3)} ${sample.name || '(unnamed)'}: ${sample.length} frames at ${sample.c5Speed} Hz${loop}, ${sample.bytes} bytes${notes}`);
+      }
+    }
+
+    if (result.unsupported.length) {
+      lines.push('', `Unsupported effects (${result.unsupported.length}, left out of the output):`);
+      const byPattern = new Map();
+      for (const issue of result.unsupported) {
+        if (!byPattern.has(issue.pattern)) byPattern.set(issue.pattern, []);
+        byPattern.get(issue.pattern).push(issue);
+      }
+      for (const [pattern, issues] of [...byPattern].sort((a, b) => a[0] - b[0])) {
+        const orders = module.orders.map((order, i) => order === pattern ? i : -1).filter(i => i >= 0);
+        lines.push(`  Pattern ${pattern}${orders.length ? ` (orders ${orders.join(', ')})` : ' (not in the order list)'}:`);
+        for (const issue of issues.sort((a, b) => a.row - b.row || a.channel - b.channel)) {
+          lines.push(`    row ${String(issue.row).padStart(3)} channel ${issue.channel + 1}: ${issue.effect ? `${issue.effect} (${issue.command})` : issue.command}`);
+        }
+      }
+    }
+    lines.push('');
+    return lines.join('\n');
+  }
+}
+
+// Bounds-checked little-endian reads over the module bytes
+class TrackerModuleReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.length = bytes.length;
+  }
+
+  u8(offset) {
+    return offset >= 0 && offset < this.length ? this.bytes[offset] : 0;
+  }
+
+  s8(offset) {
+    return this.u8(offset) << 24 >> 24;
+  }
+
+  u16(offset) {
+    return offset >= 0 && offset + 2 <= this.length ? this.view.getUint16(offset, true) : 0;
+  }
+
+  u16be(offset) {
+    return offset >= 0 && offset + 2 <= this.length ? this.view.getUint16(offset, false) : 0;
+  }
+
+  u32(offset) {
+    return offset >= 0 && offset + 4 <= this.length ? this.view.getUint32(offset, true) : 0;
+  }
+
+  string(offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      const code = this.u8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  // Plain PCM as floats in -1..1
+  pcm(offset, frames, bits, signed, littleEndian) {
+    const data = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+      if (bits === 16) {
+        const position = offset + f * 2;
+        const raw = littleEndian ? this.u16(position) : this.u16be(position);
+        data[f] = (signed ? raw << 16 >> 16 : raw - 32768) / 32768;
+      } else {
+        const raw = this.u8(offset + f);
+        data[f] = (signed ? raw << 24 >> 24 : raw - 128) / 128;
+      }
+    }
+    return data;
+  }
+
+  // XM samples store the difference to the previous value
+  deltaPcm(offset, frames, bits) {
+    const data = new Float32Array(frames);
+    let value = 0;
+    for (let f = 0; f < frames; f++) {
+      if (bits === 16) {
+        value = (value + this.u16(offset + f * 2)) << 16 >> 16;
+        data[f] = value / 32768;
+      } else {
+        value = (value + this.u8(offset + f)) << 24 >> 24;
+        data[f] = value / 128;
+      }
+    }
+    return data;
+  }
+}
+
+window.TrackerModule = TrackerModule;
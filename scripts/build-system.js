@@ -1,11 +1,16 @@
 // build-system.js
-// Top-level build system for processing resources into build output
+// Top-level build system for processing resources into build output. Builds are incremental:
+// a BuildCache remembers what every source was built from, and only sources whose content,
+// dependencies, builder version or settings changed are built again.
+
+const BUILD_CACHE_VERSION = 1;
 
 class BuildSystem {
   constructor() {
     this.builders = new Map();
     this.isBuilding = false;
   this.builderById = new Map();
+    this.cache = new BuildCache();
     
     // Register default builders
     this.registerDefaultBuilders();
@@ -18,15 +23,35 @@ class BuildSystem {
     // SFX builder for .sfx files
     this.registerBuilder('.sfx', new SfxBuilder());
 
+    // Clip builder processes imported recordings (.clip settings) into WAV files
+    this.registerBuilder('.clip', new ClipBuilder());
+
+    // Music builder checks tracker modules against the device player and converts them to RMOD
+    this.registerBuilder('.mod', new MusicBuilder());
+    this.registerBuilder('.xm', new MusicBuilder());
+    this.registerBuilder('.s3m', new MusicBuilder());
+    this.registerBuilder('.it', new MusicBuilder());
+
   // Palette builder for palette-like text formats
   this.registerBuilder('.pal', new PalBuilder());
   this.registerBuilder('.act', new PalBuilder());
   this.registerBuilder('.aco', new PalBuilder());
 
+  // Texture builder packs .texture sources into device pixel data
+  this.registerBuilder('.texture', new TextureBuilder());
+  this.registerBuilder('.tex', new TextureBuilder());
+
+  // Sprite builder validates animations and links them to the built texture
+  this.registerBuilder('.sprite', new SpriteBuilder());
+
   // Also index by IDs for explicit selection
   this.builderById.set('copy', new CopyBuilder());
   this.builderById.set('sfx', new SfxBuilder());
+  this.builderById.set('clip', new ClipBuilder());
+  this.builderById.set('music', new MusicBuilder());
   this.builderById.set('pal', new PalBuilder());
+  this.builderById.set('texture', new TextureBuilder());
+  this.builderById.set('sprite', new SpriteBuilder());
   }
   
   registerBuilder(extension, builder) {
@@ -48,15 +73,31 @@ class BuildSystem {
   getBuilderIdForExtension(extension) {
     switch ((extension || '').toLowerCase()) {
       case '.sfx': return 'sfx';
+      case '.clip': return 'clip';
+      case '.mod':
+      case '.xm':
+      case '.s3m':
+      case '.it':
+        return 'music';
       case '.pal':
       case '.act':
       case '.aco':
         return 'pal';
+      case '.texture':
+      case '.tex':
+        return 'texture';
+      case '.sprite':
+        return 'sprite';
       default: return 'copy';
     }
   }
   
-  async buildProject() {
+  /**
+   * Build every source of the focused project that changed since the last build
+   * @param {Object} options - {clean: true} empties the build folder and cache and rebuilds everything
+   */
+  async buildProject(options = {}) {
+    const { clean = false } = options;
     if (this.isBuilding) {
       console.log('[BuildSystem] Build already in progress');
       return { success: false, error: 'Build already in progress' };
@@ -73,10 +114,17 @@ class BuildSystem {
         await window.gameEditor.tabManager.saveAllOpenTabs();
       }
       
-      // Clear the build folder before starting
-      if (window.gameEditor && window.gameEditor.projectExplorer) {
-        await window.gameEditor.projectExplorer.clearBuildFolder();
+      const fileManager = window.serviceContainer?.get('fileManager');
+      const buildPrefix = window.ProjectPaths?.getBuildStoragePrefix?.() || 'build/';
+      if (clean) {
+        // Clean build: nothing is reused
+        console.log('[BuildSystem] Clean build - clearing build folder and cache');
+        this.cache.clear();
+        await window.serviceContainer?.get('projectExplorer')?.clearBuildFolder();
+      } else {
+        await this.cache.load(fileManager);
       }
+      const existingOutputs = new Set((await fileManager.listFiles(buildPrefix)).map(file => file.path || file));
       
       // Get all resource file paths from project explorer (storage-first approach)
       const resourceFilePaths = this.getAllResourceFilePaths();
@@ -84,15 +132,31 @@ class BuildSystem {
       
       const buildResults = [];
       let successCount = 0;
+      let upToDateCount = 0;
       let errorCount = 0;
+      let warningCount = 0;
       
       // Process each file path by loading from storage
       for (const filePath of resourceFilePaths) {
         try {
-          const result = await this.buildFileFromPath(filePath);
+          const result = await this.buildFileFromPath(filePath, existingOutputs);
           buildResults.push(result);
           
-          if (result.success) {
+          // Built with problems that do not stop the output (e.g. a song that does not fit the device)
+          for (const warning of result.warnings || []) {
+            warningCount++;
+            console.warn(`[BuildSystem] ⚠ ${filePath}: ${warning}`);
+          }
+          
+          if (result.upToDate) {
+            upToDateCount++;
+            // Outputs of a previous session may not be in the tree yet
+            for (const outputPath of [result.outputPath, ...(result.additionalOutputs || [])]) {
+              if (!this.isBuiltFileInExplorer(outputPath)) {
+                await this.addBuiltFileToExplorer(outputPath, filePath);
+              }
+            }
+          } else if (result.success) {
             successCount++;
             console.log(`[BuildSystem] ✓ Built: ${filePath} → ${result.outputPath}`);
             
@@ -101,6 +165,10 @@ class BuildSystem {
             if (projectExplorer && result.outputPath) {
               console.log(`[BuildSystem] Adding built file to explorer: ${result.outputPath}`);
               await this.addBuiltFileToExplorer(result.outputPath, filePath);
+              // Some builders emit companion files (binary data, headers)
+              for (const extraOutput of result.additionalOutputs || []) {
+                await this.addBuiltFileToExplorer(extraOutput, filePath);
+              }
             } else {
               console.log(`[BuildSystem] Skipping addBuiltFileToExplorer - projectExplorer: ${!!projectExplorer}, outputPath: ${!!result.outputPath}`);
             }
@@ -119,8 +187,11 @@ class BuildSystem {
         }
       }
       
+      const removedCount = await this.removeStaleOutputs(resourceFilePaths, fileManager);
+      await this.cache.save(fileManager);
+      
       const totalTime = Date.now() - startTime;
-      console.log(`[BuildSystem] Build completed: ${successCount} success, ${errorCount} errors`);
+      console.log(`[BuildSystem] Build completed: ${successCount} built, ${upToDateCount} up to date, ${errorCount} errors, ${warningCount} warnings, ${removedCount} stale outputs removed (${totalTime}ms)`);
       
       // Invalidate ALL cached resources after any build operation
       const gameEmulator = window.serviceContainer?.get('gameEmulator') || window.gameEmulator;
@@ -139,8 +210,12 @@ class BuildSystem {
         results: buildResults,
         summary: {
           total: resourceFilePaths.length,
-          success: successCount,
+          success: successCount + upToDateCount,
+          built: successCount,
+          upToDate: upToDateCount,
           errors: errorCount,
+          warnings: warningCount,
+          removed: removedCount,
           time: totalTime
         }
       };
@@ -205,6 +280,67 @@ class BuildSystem {
     }
   }
 
+  /**
+   * @param {string} outputPath - Build storage path
+   * @returns {boolean} Whether the project tree already shows the output
+   */
+  isBuiltFileInExplorer(outputPath) {
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const project = projectExplorer?.getFocusedProjectName?.();
+    const uiPath = window.ProjectPaths?.mapStorageToUi?.(outputPath) || outputPath;
+    return !!projectExplorer?.getNodeByPath(project ? `${project}/${uiPath}` : uiPath);
+  }
+
+  /**
+   * Delete the outputs of sources that no longer exist (deleted or renamed since the last build)
+   * @param {string[]} sourcePaths - UI paths of the current sources
+   * @returns {Promise<number>} Number of deleted outputs
+   */
+  async removeStaleOutputs(sourcePaths, fileManager) {
+    const current = new Set(sourcePaths.map(path => window.ProjectPaths?.normalizeStoragePath?.(path) || path));
+    const stale = this.cache.sources().filter(source => !current.has(source));
+    if (stale.length === 0) return 0;
+
+    // An output can also belong to a live source (e.g. name.tex and name.texture)
+    const live = new Set(this.cache.sources().filter(source => current.has(source)).flatMap(source => this.cache.get(source).outputs));
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const buildPrefix = window.ProjectPaths?.getBuildStoragePrefix?.() || 'build/';
+    let removed = 0;
+    for (const source of stale) {
+      for (const outputPath of this.cache.get(source).outputs) {
+        if (live.has(outputPath)) continue;
+        await fileManager.deleteFile(outputPath);
+        projectExplorer?.removeBuildFileFromStructure?.(outputPath.substring(buildPrefix.length));
+        removed++;
+      }
+      this.cache.delete(source);
+      console.log(`[BuildSystem] Removed outputs of deleted source ${source}`);
+    }
+    return removed;
+  }
+
+  /**
+   * What an output depends on: the source, the files the builder reads besides it, the builder
+   * version and the project settings it uses
+   * @returns {Promise<Object>} {builderId, version, source, dependencies: {path: hash}, settings}
+   */
+  async getBuildKey(builderId, builder, file, fileManager) {
+    const dependencies = {};
+    for (const path of await builder.getDependencies(file)) {
+      const storagePath = window.ProjectPaths?.normalizeStoragePath?.(path) || path;
+      const record = await fileManager.loadFile(storagePath);
+      dependencies[storagePath] = record ? BuildCache.hash(record.content ?? record.fileContent) : null;
+    }
+    const settings = await builder.getSettings();
+    return {
+      builderId,
+      version: builder.version,
+      source: BuildCache.hash(file.content),
+      dependencies,
+      settings: settings ? BuildCache.hash(JSON.stringify(settings)) : null
+    };
+  }
+
   async buildFile(file) {
     // Extract filename from path for extension detection
     const filename = file.name || (file.path ? file.path.split('/').pop() : null);
@@ -307,7 +443,12 @@ class BuildSystem {
     return filePaths;
   }
 
-  async buildFileFromPath(filePath) {
+  /**
+   * @param {string} filePath - UI path of the source
+   * @param {Set<string>} existingOutputs - Build storage paths present in storage; when given, the
+   *   build is skipped if the cache says the outputs are up to date (result.upToDate)
+   */
+  async buildFileFromPath(filePath, existingOutputs = null) {
     console.log(`[BuildSystem] Building file from path: ${filePath}`);
     
     // Load current content from storage using FileManager
@@ -345,7 +486,55 @@ class BuildSystem {
       throw new Error(`No builder available for ${filePath}`);
     }
 
-    return await builder.build(legacyFile);
+    const key = await this.getBuildKey(builderId, builder, legacyFile, fileManager);
+    const cached = existingOutputs ? this.cache.get(storagePath) : null;
+    if (cached && BuildCache.matches(cached, key) && cached.outputs.every(outputPath => existingOutputs.has(outputPath))) {
+      console.log(`[BuildSystem] Up to date: ${filePath}`);
+      return {
+        success: true,
+        upToDate: true,
+        inputPath: filePath,
+        outputPath: cached.outputs[0],
+        additionalOutputs: cached.outputs.slice(1),
+        warnings: cached.warnings || [],
+        builder: builderId
+      };
+    }
+
+    const result = await builder.build(legacyFile);
+    const previousOutputs = this.cache.get(storagePath)?.outputs || [];
+    if (result.success) {
+      const outputs = [result.outputPath, ...(result.additionalOutputs || [])];
+      // Outputs the previous build made but this one did not (e.g. an .rmod of a song that no longer fits)
+      await this.deleteOutputs(previousOutputs.filter(outputPath => !outputs.includes(outputPath)), storagePath, fileManager);
+      // Warnings are kept so skipped builds still report them
+      this.cache.set(storagePath, { ...key, outputs, warnings: result.warnings || [] });
+    } else {
+      // Outputs of the last good build would look current, and removeStaleOutputs only sees cached sources
+      await this.deleteOutputs(previousOutputs, storagePath, fileManager);
+      this.cache.delete(storagePath);
+    }
+    return result;
+  }
+
+  /**
+   * Delete build outputs of a source from storage and the explorer, except the ones another
+   * cached source also produces
+   * @param {string[]} outputPaths - Build storage paths
+   * @param {string} source - Storage path of the source they belong to
+   */
+  async deleteOutputs(outputPaths, source, fileManager) {
+    if (outputPaths.length === 0) return;
+
+    const shared = new Set(this.cache.sources().filter(other => other !== source).flatMap(other => this.cache.get(other).outputs));
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const buildPrefix = window.ProjectPaths?.getBuildStoragePrefix?.() || 'build/';
+    for (const outputPath of outputPaths) {
+      if (shared.has(outputPath)) continue;
+      await fileManager.deleteFile(outputPath);
+      projectExplorer?.removeBuildFileFromStructure?.(outputPath.substring(buildPrefix.length));
+      console.log(`[BuildSystem] Removed old output ${outputPath}`);
+    }
   }
   
   extractFilesFromProjectExplorer(projectFiles) {
@@ -428,11 +617,111 @@ class BuildSystem {
   }
 }
 
+// Build cache - per source storage path: the build key it was built with and its outputs.
+// Stored as JSON in the build folder, so a clean build (or deleting the folder) resets it.
+class BuildCache {
+  constructor() {
+    this.path = `${window.ProjectPaths?.getBuildStoragePrefix?.() || 'build/'}.buildcache.json`;
+    this.entries = {};
+  }
+
+  async load(fileManager) {
+    this.entries = {};
+    try {
+      const record = await fileManager.loadFile(this.path);
+      const data = record ? JSON.parse(record.content ?? record.fileContent) : null;
+      if (data && data.version === BUILD_CACHE_VERSION) {
+        this.entries = data.entries || {};
+      }
+    } catch (error) {
+      console.warn('[BuildCache] Ignoring unreadable build cache:', error);
+    }
+  }
+
+  async save(fileManager) {
+    await fileManager.saveFile(this.path, JSON.stringify({ version: BUILD_CACHE_VERSION, entries: this.entries }), { binaryData: false });
+  }
+
+  get(source) {
+    return this.entries[source] || null;
+  }
+
+  set(source, entry) {
+    this.entries[source] = entry;
+  }
+
+  delete(source) {
+    delete this.entries[source];
+  }
+
+  sources() {
+    return Object.keys(this.entries);
+  }
+
+  clear() {
+    this.entries = {};
+  }
+
+  static matches(entry, key) {
+    return entry.builderId === key.builderId &&
+      entry.version === key.version &&
+      entry.source === key.source &&
+      entry.settings === key.settings &&
+      JSON.stringify(entry.dependencies) === JSON.stringify(key.dependencies);
+  }
+
+  /**
+   * FNV-1a hash of text or binary content, with its length
+   * @param {string|ArrayBuffer|ArrayBufferView} content
+   * @returns {string|null}
+   */
+  static hash(content) {
+    let hash = 0x811c9dc5;
+    let length;
+    if (typeof content === 'string') {
+      length = content.length;
+      for (let i = 0; i < length; i++) {
+        hash = Math.imul(hash ^ content.charCodeAt(i), 0x01000193);
+      }
+    } else if (content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+      const bytes = content instanceof ArrayBuffer ? new Uint8Array(content) : new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+      length = bytes.length;
+      for (let i = 0; i < length; i++) {
+        hash = Math.imul(hash ^ bytes[i], 0x01000193);
+      }
+    } else {
+      return null;
+    }
+    return `${(hash >>> 0).toString(16).padStart(8, '0')}-${length}`;
+  }
+}
+
 // Base builder class
 class BaseBuilder {
   async build(file) {
     throw new Error('build() method must be implemented by subclass');
   }
+
+  // Bump in a builder when its output changes for the same input, so cached outputs are rebuilt
+  get version() {
+    return 1;
+  }
+
+  /**
+   * Storage paths of other files the output is built from (source images, palettes, recordings)
+   * @returns {Promise<string[]>}
+   */
+  async getDependencies(file) {
+    return [];
+  }
+
+  /**
+   * Project settings the output depends on
+   * @returns {Promise<Object|null>}
+   */
+  async getSettings() {
+    return null;
+  }
   
   ensureBuildDirectory(outputPath) {
     // Extract directory from output path
@@ -442,6 +731,14 @@ class BaseBuilder {
     }
     return '';
   }
+
+  // Link to another build output, relative to the build root (e.g. "Palettes/default.act")
+  toBuildRelativePath(outputPath) {
+    const buildPrefix = (window.ProjectPaths && typeof window.ProjectPaths.getBuildStoragePrefix === 'function')
+      ? window.ProjectPaths.getBuildStoragePrefix()
+      : 'build/';
+    return outputPath.startsWith(buildPrefix) ? outputPath.substring(buildPrefix.length) : outputPath;
+  }
 }
 
 // Default copy builder - just copies files to build directory
@@ -596,11 +893,11 @@ class SfxBuilder extends BaseBuilder {
         throw new Error(`Invalid file content for ${file.path}: ${typeof text}`);
       }
       
-      const parameters = this.parseParameters(text);
-      console.log(`[SfxBuilder] Parsed SFXR parameters:`, parameters);
+      const composition = this.parseComposition(text);
+      console.log(`[SfxBuilder] Parsed SFX with ${composition.layers.length} layer(s)`);
       
-      // Generate WAV using jsfxr
-      const wavData = await this.generateJsfxrWav(parameters);
+      // Mix the jsfxr layers into one WAV
+      const wavData = await this.generateJsfxrWav(composition);
       if (!wavData) {
         throw new Error('Failed to generate WAV with jsfxr');
       }
@@ -644,73 +941,23 @@ class SfxBuilder extends BaseBuilder {
     }
   }
   
-  parseParameters(jsonContent) {
+  parseComposition(jsonContent) {
     try {
-      const parsed = JSON.parse(jsonContent);
-      
-      // Extract SFXR parameters from the file
-      if (parsed.parameters) {
-        console.log('[SfxBuilder] Found SFXR parameters in file');
-        return parsed.parameters;
-      } else {
-        console.log('[SfxBuilder] No SFXR parameters found, using defaults');
-        // Return default SFXR parameters
-        return {
-          wave_type: 0,
-          p_base_freq: 0.3,
-          p_freq_limit: 0,
-          p_freq_ramp: 0,
-          p_freq_dramp: 0,
-          p_env_attack: 0,
-          p_env_sustain: 0.3,
-          p_env_punch: 0,
-          p_env_decay: 0.4,
-          p_vib_strength: 0,
-          p_vib_speed: 0,
-          p_arp_mod: 0,
-          p_arp_speed: 0,
-          p_duty: 0,
-          p_duty_ramp: 0,
-          p_repeat_speed: 0,
-          p_pha_offset: 0,
-          p_pha_ramp: 0,
-          p_lpf_freq: 1,
-          p_lpf_ramp: 0,
-          p_lpf_resonance: 0,
-          p_hpf_freq: 0,
-          p_hpf_ramp: 0
-        };
-      }
+      return SfxComposition.parse(jsonContent);
     } catch (error) {
       console.error('[SfxBuilder] Failed to parse JSON:', error);
       throw new Error('Invalid SFX file format');
     }
   }
   
-  async generateJsfxrWav(parameters) {
-    // Ensure jsfxr is available
-    if (typeof window.jsfxr === 'undefined' || typeof window.jsfxr.Params === 'undefined' || typeof window.jsfxr.SoundEffect === 'undefined') {
-      throw new Error('jsfxr library not loaded correctly');
-    }
-    
+  async generateJsfxrWav(composition) {
     try {
-      // Create jsfxr parameters object
-      const params = new window.jsfxr.Params();
-      
-      // Map our parameters to jsfxr format
-      Object.keys(parameters).forEach(key => {
-        if (params.hasOwnProperty(key)) {
-          params[key] = parameters[key];
-        }
-      });
-      
-      // Generate audio using jsfxr - use SoundEffect directly for normalized data
-      const soundEffect = new window.jsfxr.SoundEffect(params);
-      const rawBuffer = soundEffect.getRawBuffer();
-      const audioBuffer = rawBuffer.normalized; // Use normalized float array
+      // Render every layer with jsfxr and mix them (normalized float samples)
+      const mix = composition.render(44100);
+      const audioBuffer = mix.samples;
       
       // Convert Float32Array to WAV format manually
-      const sampleRate = soundEffect.sampleRate || 44100;
+      const sampleRate = mix.sampleRate;
       const numChannels = 1;
       const bytesPerSample = 2;
       const blockAlign = numChannels * bytesPerSample;
@@ -861,6 +1108,175 @@ class SfxBuilder extends BaseBuilder {
   }
 }
 
+// Clip builder - trims, fades, normalizes and converts an imported recording into a .wav file
+class ClipBuilder extends BaseBuilder {
+  async getDependencies(file) {
+    try {
+      return [AudioClip.parse(this.getText(file.content)).source].filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  async getSettings() {
+    return await window.ProjectConfigManager?.getAudioSettings?.() || null;
+  }
+
+  getText(content) {
+    return content instanceof ArrayBuffer || ArrayBuffer.isView(content) ? new TextDecoder('utf-8').decode(content) : content;
+  }
+
+  async build(file) {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+
+      const text = this.getText(file.content);
+      if (typeof text !== 'string' || !text) {
+        throw new Error('Empty clip file');
+      }
+      const clip = AudioClip.parse(text);
+
+      if (!clip.source) {
+        throw new Error('Clip has no source recording');
+      }
+      const sourceFile = await fileManager.loadFile(clip.source);
+      if (!sourceFile) {
+        throw new Error(`Recording not found: ${clip.source}`);
+      }
+
+      const recording = await AudioClip.decodeFile(sourceFile);
+      const projectAudio = await window.ProjectConfigManager?.getAudioSettings?.();
+      const format = AudioClip.resolveFormat(clip, projectAudio, recording.sampleRate);
+      const processed = AudioClip.process(recording, clip, format);
+      const wavData = AudioClip.encodeWav(processed);
+
+      const outUiPath = file.path.replace(/\.clip$/i, '.wav');
+      const outputPath = (window.ProjectPaths && typeof window.ProjectPaths.toBuildOutputPath === 'function')
+        ? window.ProjectPaths.toBuildOutputPath(outUiPath)
+        : outUiPath.replace(/^Resources\//, 'build/');
+
+      const saved = await fileManager.saveFile(outputPath, wavData, {
+        type: '.wav',
+        binaryData: true
+      });
+      if (!saved) {
+        throw new Error('Failed to save WAV to persistent storage');
+      }
+      console.log(`[ClipBuilder] Built ${file.path}: ${processed.samples.length} samples at ${processed.sampleRate} Hz, ${processed.bitDepth}-bit${processed.loopStart !== null ? `, loop ${processed.loopStart}-${processed.loopEnd}` : ''}`);
+
+      return {
+        success: true,
+        inputPath: file.path,
+        outputPath,
+        builder: 'clip'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputPath: file.path,
+        error: error.message,
+        builder: 'clip'
+      };
+    }
+  }
+}
+
+// Music builder - the module itself is still copied for preview playback (libopenmpt), the
+// device gets the RMOD conversion; a report lists sizes and everything the player cannot do
+class MusicBuilder extends BaseBuilder {
+  // 2: sample offsets follow downsampled samples
+  get version() {
+    return 2;
+  }
+
+  async getSettings() {
+    return await window.ProjectConfigManager?.getMusicSettings?.() || null;
+  }
+
+  async build(file) {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+
+      const data = this.getBinaryContent(file.content);
+      const extension = (file.path.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+      const limits = await window.ProjectConfigManager?.getMusicSettings?.() || {};
+
+      const toOutputPath = (uiPath) => (window.ProjectPaths && typeof window.ProjectPaths.toBuildOutputPath === 'function')
+        ? window.ProjectPaths.toBuildOutputPath(uiPath)
+        : uiPath.replace(/^Resources\//, 'build/');
+      const outputPath = toOutputPath(file.path);
+      const rmodPath = toOutputPath(file.path.replace(/\.[^./]+$/, '.rmod'));
+      const reportPath = toOutputPath(file.path.replace(/\.[^./]+$/, '.report.txt'));
+      const name = file.path.split('/').pop();
+
+      // The module is copied first so preview keeps working when it cannot be converted or does not
+      // fit; those problems are build warnings and the report explains them
+      await fileManager.saveFile(outputPath, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), { binaryData: true });
+
+      const warnings = [];
+      const additionalOutputs = [reportPath];
+      let report;
+      try {
+        const module = TrackerModule.parse(data, extension);
+        const result = TrackerModule.convert(module, limits);
+        report = TrackerModule.formatReport(name, module, result, data.byteLength, limits);
+        if (result.errors.length > 0) {
+          console.warn(`[MusicBuilder] ${name} does not fit the device:\n${report}`);
+          warnings.push(`Does not fit the device: ${result.errors.join('; ')}`);
+        } else {
+          await fileManager.saveFile(rmodPath, result.data.buffer, { type: '.rmod', binaryData: true });
+          additionalOutputs.unshift(rmodPath);
+          console.log(`[MusicBuilder] Built ${file.path}: ${result.channels} channels, ${result.sizes.total} bytes (source ${data.byteLength}), ${result.unsupported.length} unsupported effects`);
+          if (result.unsupported.length > 0 || result.warnings.length > 0) {
+            console.warn(`[MusicBuilder] ${name} converted with warnings, see ${reportPath}`);
+          }
+        }
+      } catch (error) {
+        console.warn(`[MusicBuilder] ${name} could not be converted:`, error);
+        report = [`${name}`, 'Result: NOT CONVERTED for the device', '', error.message, ''].join('\n');
+        warnings.push(`Not converted for the device: ${error.message}`);
+      }
+      await fileManager.saveFile(reportPath, report, { binaryData: false });
+
+      return {
+        success: true,
+        inputPath: file.path,
+        outputPath,
+        additionalOutputs,
+        warnings,
+        builder: 'music'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputPath: file.path,
+        error: error.message,
+        builder: 'music'
+      };
+    }
+  }
+
+  // Binary files come back from storage as an ArrayBuffer or base64 text
+  getBinaryContent(content) {
+    if (content instanceof ArrayBuffer) {
+      return new Uint8Array(content);
+    }
+    if (ArrayBuffer.isView(content)) {
+      return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+    }
+    if (typeof content === 'string' && content) {
+      return Uint8Array.from(atob(content), c => c.charCodeAt(0));
+    }
+    throw new Error('Empty module file');
+  }
+}
+
 // Palette builder - exports text palettes to build folder (e.g., .pal)
 class PalBuilder extends BaseBuilder {
   async build(file) {
@@ -957,9 +1373,305 @@ class PalBuilder extends BaseBuilder {
   }
 }
 
+// Texture builder - packs .texture sources into d2_mode_* pixel data
+// Outputs (next to each other in Game Objects):
+//   name.texture - JSON descriptor (width, height, stride, format, palette link)
+//   name.bin     - packed pixel data
+//   name.h       - C header with the same descriptor and the pixel data as an array
+class TextureBuilder extends BaseBuilder {
+  async getDependencies(file) {
+    try {
+      const { imagePath, palettePath } = await this.resolveInputs(file, this.parseTextureContent(file.content));
+      return [imagePath, palettePath].filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Storage paths of the source image (relative paths are next to the .texture file) and the
+   * palette (the project default when the texture has none)
+   */
+  async resolveInputs(file, textureData) {
+    const metadata = textureData.metadata || {};
+    const sourceImagePath = metadata.sourceImagePath || textureData.sourceImagePath;
+    const storagePath = (window.ProjectPaths && typeof window.ProjectPaths.normalizeStoragePath === 'function')
+      ? window.ProjectPaths.normalizeStoragePath(file.path)
+      : file.path;
+    const textureDirectory = storagePath.substring(0, storagePath.lastIndexOf('/'));
+    const imagePath = !sourceImagePath ? null : (sourceImagePath.includes('/') ? sourceImagePath : `${textureDirectory}/${sourceImagePath}`);
+
+    let palettePath = metadata.palettePath || null;
+    if (!palettePath && window.ProjectConfigManager?.getDefaultPalette) {
+      palettePath = await window.ProjectConfigManager.getDefaultPalette();
+    }
+    return { imagePath, palettePath };
+  }
+
+  async build(file) {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+
+      const textureData = this.parseTextureContent(file.content);
+      const metadata = textureData.metadata || {};
+      const format = metadata.outputPixelFormat || 'd2_mode_i8';
+      if (!TextureFormat.isSupported(format)) {
+        throw new Error(`Unsupported output pixel format: ${format}`);
+      }
+
+      // Load the source image
+      const { imagePath, palettePath } = await this.resolveInputs(file, textureData);
+      if (!imagePath) {
+        throw new Error('Texture has no source image');
+      }
+      const imageFile = await fileManager.loadFile(imagePath);
+      if (!imageFile) {
+        throw new Error(`Source image not found: ${imagePath}`);
+      }
+      const image = await ImageData.fromFile(imageFile.content ?? imageFile.fileContent, imagePath.split('/').pop());
+      const rgba = image.getSourceRGBAData();
+      if (!rgba) {
+        throw new Error(`Failed to decode source image: ${imagePath}`);
+      }
+
+      // Indexed formats need a palette
+      let paletteColors = null;
+      if (TextureFormat.isIndexed(format)) {
+        if (!palettePath) {
+          throw new Error(`Indexed format ${format} requires a palette`);
+        }
+        const paletteFile = await fileManager.loadFile(palettePath);
+        if (!paletteFile) {
+          throw new Error(`Palette not found: ${palettePath}`);
+        }
+        const palette = await Palette.fromFile(paletteFile.fileContent ?? paletteFile.content, palettePath.split('/').pop());
+        paletteColors = palette.getColors();
+      }
+
+      const paletteOffset = metadata.paletteOffset || 0;
+      const packed = TextureFormat.pack(rgba, image.width, image.height, format, paletteColors, paletteOffset);
+
+      // Output paths
+      const toOutputPath = (uiPath) => (window.ProjectPaths && typeof window.ProjectPaths.toBuildOutputPath === 'function')
+        ? window.ProjectPaths.toBuildOutputPath(uiPath)
+        : uiPath.replace(/^Resources\//, 'build/');
+      const descriptorPath = toOutputPath(file.path.replace(/\.tex(ture)?$/i, '.texture'));
+      const dataPath = toOutputPath(file.path.replace(/\.tex(ture)?$/i, '.bin'));
+      const headerPath = toOutputPath(file.path.replace(/\.tex(ture)?$/i, '.h'));
+      const baseName = descriptorPath.split('/').pop().replace(/\.texture$/, '');
+
+      const descriptor = {
+        name: baseName,
+        width: image.width,
+        height: image.height,
+        stride: packed.stride,
+        format,
+        bitsPerPixel: packed.bitsPerPixel,
+        dataFile: dataPath.split('/').pop(),
+        dataSize: packed.data.length,
+        palette: TextureFormat.isIndexed(format) ? this.toBuildRelativePath(toOutputPath(palettePath)) : null,
+        paletteOffset,
+        colorCount: TextureFormat.isIndexed(format) ? ImageData.getTextureFormatColorCount(format) : 0
+      };
+
+      await fileManager.saveFile(dataPath, packed.data.buffer, { type: '.bin', binaryData: true });
+      await fileManager.saveFile(descriptorPath, JSON.stringify(descriptor, null, 2), { binaryData: false });
+      await fileManager.saveFile(headerPath, this.generateCHeader(descriptor, packed.data), { binaryData: false });
+
+      console.log(`[TextureBuilder] Built ${file.path}: ${descriptor.width}x${descriptor.height} ${format}, ${descriptor.dataSize} bytes`);
+
+      return {
+        success: true,
+        inputPath: file.path,
+        outputPath: descriptorPath,
+        additionalOutputs: [dataPath, headerPath],
+        builder: 'texture'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputPath: file.path,
+        error: error.message,
+        builder: 'texture'
+      };
+    }
+  }
+
+  parseTextureContent(content) {
+    let text = content;
+    if (text instanceof ArrayBuffer || ArrayBuffer.isView(text)) {
+      text = new TextDecoder('utf-8').decode(text);
+    }
+    if (typeof text !== 'string' || !text) {
+      throw new Error('Empty texture file');
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Texture files saved by older versions are base64 encoded
+      return JSON.parse(atob(text));
+    }
+  }
+
+  generateCHeader(descriptor, data) {
+    const symbol = descriptor.name.replace(/[^A-Za-z0-9_]/g, '_');
+    const macro = `TEXTURE_${symbol.toUpperCase()}`;
+    const lines = [
+      `// ${descriptor.name} - generated by RetroStudio TextureBuilder, do not edit`,
+      `#ifndef ${macro}_H`,
+      `#define ${macro}_H`,
+      '',
+      '#include <stdint.h>',
+      '',
+      `#define ${macro}_WIDTH ${descriptor.width}`,
+      `#define ${macro}_HEIGHT ${descriptor.height}`,
+      `#define ${macro}_STRIDE ${descriptor.stride}`,
+      `#define ${macro}_FORMAT ${descriptor.format}`,
+      `#define ${macro}_BPP ${descriptor.bitsPerPixel}`
+    ];
+    if (descriptor.palette) {
+      lines.push(`#define ${macro}_PALETTE "${descriptor.palette}"`);
+      lines.push(`#define ${macro}_PALETTE_OFFSET ${descriptor.paletteOffset}`);
+    }
+    lines.push('', `static const uint8_t texture_${symbol.toLowerCase()}_data[${data.length}] = {`);
+    for (let i = 0; i < data.length; i += 16) {
+      const row = Array.from(data.subarray(i, i + 16)).map(b => '0x' + b.toString(16).padStart(2, '0'));
+      lines.push(`  ${row.join(', ')},`);
+    }
+    lines.push('};', '', `#endif // ${macro}_H`, '');
+    return lines.join('\n');
+  }
+}
+
+class SpriteBuilder extends BaseBuilder {
+  // The built descriptor only links the texture, but a missing texture fails the build
+  async getDependencies(file) {
+    try {
+      const text = file.content instanceof ArrayBuffer || ArrayBuffer.isView(file.content) ? new TextDecoder('utf-8').decode(file.content) : file.content;
+      return [SpriteData.fromJSON(JSON.parse(text)).getPrimaryTextureId()].filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  async build(file) {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+
+      let text = file.content;
+      if (text instanceof ArrayBuffer || ArrayBuffer.isView(text)) {
+        text = new TextDecoder('utf-8').decode(text);
+      }
+      if (typeof text !== 'string' || !text) {
+        throw new Error('Empty sprite file');
+      }
+      const spriteData = SpriteData.fromJSON(JSON.parse(text));
+
+      const texturePath = spriteData.getPrimaryTextureId();
+      if (!texturePath) {
+        throw new Error('Sprite has no texture');
+      }
+      const textureFile = await fileManager.loadFile(texturePath);
+      if (!textureFile) {
+        throw new Error(`Texture not found: ${texturePath}`);
+      }
+
+      const animations = this.validateAnimations(spriteData, texturePath);
+      const defaultAnimation = animations.some(animation => animation.name === spriteData.defaultAnimation)
+        ? spriteData.defaultAnimation
+        : animations[0].name;
+
+      const toOutputPath = (uiPath) => (window.ProjectPaths && typeof window.ProjectPaths.toBuildOutputPath === 'function')
+        ? window.ProjectPaths.toBuildOutputPath(uiPath)
+        : uiPath.replace(/^Resources\//, 'build/');
+      const outputPath = toOutputPath(file.path);
+
+      // The texture link is relative to the build root and points at the TextureBuilder descriptor
+      const descriptor = {
+        name: outputPath.split('/').pop().replace(/\.sprite$/i, ''),
+        texture: this.toBuildRelativePath(toOutputPath(texturePath.replace(/\.tex$/i, '.texture'))),
+        defaultAnimation,
+        animations
+      };
+
+      await fileManager.saveFile(outputPath, JSON.stringify(descriptor, null, 2), { binaryData: false });
+
+      const frameCount = animations.reduce((total, animation) => total + animation.frames.length, 0);
+      console.log(`[SpriteBuilder] Built ${file.path}: ${animations.length} animations, ${frameCount} frames`);
+
+      return {
+        success: true,
+        inputPath: file.path,
+        outputPath,
+        builder: 'sprite'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        inputPath: file.path,
+        error: error.message,
+        builder: 'sprite'
+      };
+    }
+  }
+
+  /**
+   * Turn the SpriteData animations into the frame lists of the built descriptor. The device
+   * draws a frame's origin at the sprite position, so originX/Y is the negated frame offset.
+   * @param {SpriteData} spriteData - Parsed sprite source
+   * @param {string} texturePath - The sprite's texture; frames cut from another texture are rejected
+   */
+  validateAnimations(spriteData, texturePath) {
+    if (spriteData.animations.size === 0) {
+      throw new Error('Sprite has no animations');
+    }
+
+    return Array.from(spriteData.animations, ([name, animation]) => {
+      if (!name.trim()) {
+        throw new Error('Animation without a name');
+      }
+
+      if (!Array.isArray(animation.frames) || animation.frames.length === 0) {
+        throw new Error(`Animation "${name}" has no frames`);
+      }
+
+      const frames = animation.frames.map((frame, index) => {
+        if (!(frame.pixelWidth > 0 && frame.pixelHeight > 0)) {
+          throw new Error(`Animation "${name}" frame ${index} has an empty rectangle`);
+        }
+        if (frame.textureId && frame.textureId !== texturePath) {
+          throw new Error(`Animation "${name}" frame ${index} uses another texture (${frame.textureId})`);
+        }
+        return {
+          x: frame.pixelX | 0,
+          y: frame.pixelY | 0,
+          width: frame.pixelWidth | 0,
+          height: frame.pixelHeight | 0,
+          duration: Math.max(1, frame.duration | 0),
+          originX: -frame.offsetX | 0,
+          originY: -frame.offsetY | 0
+        };
+      });
+
+      return { name, loop: animation.looping !== false, frames };
+    });
+  }
+}
+
 // Export for global use
 window.BuildSystem = BuildSystem;
+window.BuildCache = BuildCache;
 window.BaseBuilder = BaseBuilder;
 window.CopyBuilder = CopyBuilder;
 window.SfxBuilder = SfxBuilder;
+window.ClipBuilder = ClipBuilder;
+window.MusicBuilder = MusicBuilder;
 window.PalBuilder = PalBuilder;
+window.TextureBuilder = TextureBuilder;
+window.SpriteBuilder = SpriteBuilder;
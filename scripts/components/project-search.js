@@ -0,0 +1,477 @@
+// project-search.js
+// Project-wide find and replace over the text resources of the focused project
+// (.lua, .txt, .sfx, .texture, .sprite, .clip and .json files under Sources)
+
+const PROJECT_SEARCH_EXTENSIONS = ['.lua', '.txt', '.sfx', '.texture', '.sprite', '.clip', '.json'];
+const PROJECT_SEARCH_MAX_MATCHES = 2000; // Shown in the list; replace-all still covers every match
+
+class ProjectSearch {
+  constructor() {
+    this.overlay = null;
+    this.project = null;
+    this.files = []; // {name, fullPath, storagePath, builderId, content}
+    this.results = []; // {file, matches: [{line, column, length, text}], included}
+    this.options = { query: '', replacement: '', regex: false, caseSensitive: false, wholeWord: false };
+    this.searchTimer = null;
+    this.onKeyDown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  /**
+   * Show the search dialog for the focused project
+   * @param {string} query - Optional text to search for right away
+   */
+  async open(query = null) {
+    const explorer = window.gameEmulator?.projectExplorer;
+    const project = explorer?.getFocusedProjectName?.();
+    if (!project) {
+      alert('No active project');
+      return;
+    }
+
+    if (this.overlay) this.close();
+    if (query) this.options.query = query;
+    this.project = project;
+    this.createDialog(project);
+    await this.loadFiles(explorer, project);
+    this.search();
+  }
+
+  close() {
+    clearTimeout(this.searchTimer);
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.overlay?.remove();
+    this.overlay = null;
+    this.files = [];
+    this.results = [];
+  }
+
+  createDialog(project) {
+    this.overlay = document.createElement('div');
+    this.overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.7);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10000;
+    `;
+    this.overlay.innerHTML = `
+      <style>
+        .project-search { background: #2d2d2d; color: white; padding: 20px; border-radius: 10px; width: 820px; max-height: 85vh; display: flex; flex-direction: column; gap: 8px; font-family: Arial, sans-serif; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); }
+        .project-search-header { display: flex; justify-content: space-between; align-items: center; }
+        .project-search-header h3 { margin: 0; color: #4CAF50; }
+        .project-search-row { display: flex; gap: 6px; align-items: center; }
+        .project-search input[type="text"] { flex: 1; background: #1e1e1e; color: #ddd; border: 1px solid #555; border-radius: 3px; padding: 5px; font-family: monospace; }
+        .project-search button { background: #444; color: white; border: 1px solid #555; border-radius: 3px; padding: 4px 8px; cursor: pointer; }
+        .project-search button:hover { background: #555; }
+        .project-search button:disabled { opacity: 0.5; cursor: default; }
+        .project-search-option { font-family: monospace; min-width: 30px; }
+        .project-search-option.active { background: #4CAF50; border-color: #4CAF50; }
+        .project-search-status { font-size: 12px; color: #aaa; min-height: 16px; }
+        .project-search-status.error { color: #ff6b6b; }
+        .project-search-results { overflow-y: auto; flex: 1; font-size: 12px; }
+        .project-search-file { margin-bottom: 6px; }
+        .project-search-file-header { display: flex; align-items: center; gap: 6px; padding: 3px 4px; background: #333; border-radius: 3px; }
+        .project-search-file-header small { color: #888; }
+        .project-search-match { display: flex; gap: 8px; padding: 2px 4px 2px 28px; cursor: pointer; font-family: monospace; white-space: pre; overflow: hidden; text-overflow: ellipsis; }
+        .project-search-match:hover { background: #3a3a3a; }
+        .project-search-line { color: #888; min-width: 36px; text-align: right; }
+        .project-search-match mark { background: #806000; color: #fff; }
+        .project-search-match del { background: #6b2020; color: #ddd; }
+        .project-search-match ins { background: #1f5f2a; color: #fff; text-decoration: none; }
+        .project-search-file.excluded .project-search-match { opacity: 0.4; }
+      </style>
+      <div class="project-search">
+        <div class="project-search-header">
+          <h3>Find in Project - ${this.escape(project)}</h3>
+          <button class="project-search-close">✕</button>
+        </div>
+        <div class="project-search-row">
+          <input type="text" class="project-search-query" placeholder="Find">
+          <button class="project-search-option" data-option="caseSensitive" title="Match case">Aa</button>
+          <button class="project-search-option" data-option="wholeWord" title="Whole word">ab</button>
+          <button class="project-search-option" data-option="regex" title="Regular expression (per line, $1 in the replacement)">.*</button>
+        </div>
+        <div class="project-search-row">
+          <input type="text" class="project-search-replacement" placeholder="Replace (leave empty to only search)">
+          <button class="project-search-replace-all" disabled>Replace All</button>
+        </div>
+        <div class="project-search-status">Loading files...</div>
+        <div class="project-search-results"></div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    const dialog = this.overlay.querySelector('.project-search');
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    dialog.querySelector('.project-search-close').addEventListener('click', () => this.close());
+
+    const query = dialog.querySelector('.project-search-query');
+    const replacement = dialog.querySelector('.project-search-replacement');
+    query.value = this.options.query;
+    replacement.value = this.options.replacement;
+    query.addEventListener('input', () => {
+      this.options.query = query.value;
+      this.scheduleSearch();
+    });
+    replacement.addEventListener('input', () => {
+      this.options.replacement = replacement.value;
+      this.renderResults();
+    });
+    query.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.search();
+    });
+    query.focus();
+    query.select();
+
+    dialog.querySelectorAll('.project-search-option').forEach(button => {
+      button.classList.toggle('active', this.options[button.dataset.option]);
+      button.addEventListener('click', () => {
+        this.options[button.dataset.option] = !this.options[button.dataset.option];
+        button.classList.toggle('active', this.options[button.dataset.option]);
+        this.search();
+      });
+    });
+    dialog.querySelector('.project-search-replace-all').addEventListener('click', () => this.replaceAll());
+
+    const list = dialog.querySelector('.project-search-results');
+    list.addEventListener('click', (e) => {
+      const result = this.results[parseInt(e.target.closest('.project-search-file')?.dataset.index, 10)];
+      if (!result) return;
+      if (e.target.matches('input[type="checkbox"]')) {
+        result.included = e.target.checked;
+        e.target.closest('.project-search-file').classList.toggle('excluded', !result.included);
+        this.updateStatus();
+        return;
+      }
+      const match = result.matches[parseInt(e.target.closest('.project-search-match')?.dataset.match, 10)];
+      this.openMatch(result.file, match || result.matches[0]);
+    });
+  }
+
+  /**
+   * Read every text resource of the project once per dialog
+   */
+  async loadFiles(explorer, project) {
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!fileManager) {
+      console.error('[ProjectSearch] FileManager not available');
+      return;
+    }
+
+    const files = explorer.GetFiles(null, PROJECT_SEARCH_EXTENSIONS, project);
+    this.files = [];
+    for (const file of files) {
+      try {
+        const record = await fileManager.loadFile(file.fullPath);
+        const content = record?.content ?? record?.fileContent;
+        if (typeof content !== 'string') continue;
+        this.files.push({
+          name: file.name,
+          fullPath: file.fullPath,
+          storagePath: window.ProjectPaths?.normalizeStoragePath?.(file.fullPath) || file.fullPath,
+          builderId: record.builderId,
+          content
+        });
+      } catch (error) {
+        console.warn(`[ProjectSearch] Could not read ${file.fullPath}:`, error);
+      }
+    }
+    this.files.sort((a, b) => a.fullPath.localeCompare(b.fullPath));
+    console.log(`[ProjectSearch] Loaded ${this.files.length} text files of ${project}`);
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(), 250);
+  }
+
+  search() {
+    clearTimeout(this.searchTimer);
+    if (!this.overlay) return;
+
+    this.results = [];
+    let pattern = null;
+    try {
+      pattern = this.buildPattern();
+    } catch (error) {
+      this.setStatus(`Invalid regular expression: ${error.message}`, true);
+      this.renderResults();
+      return;
+    }
+
+    if (pattern) {
+      for (const file of this.files) {
+        const matches = this.findMatches(file.content, pattern);
+        if (matches.length) {
+          this.results.push({ file, matches, included: true });
+        }
+      }
+    }
+    this.renderResults();
+  }
+
+  /**
+   * @returns {RegExp|null} Global pattern for the current options, null for an empty query
+   */
+  buildPattern() {
+    const { query, regex, caseSensitive, wholeWord } = this.options;
+    if (!query) return null;
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) source = `\\b(?:${source})\\b`;
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  }
+
+  /**
+   * Matches line by line, so a pattern never spans lines
+   * @returns {Array<{line: number, column: number, length: number, text: string, source: string}>}
+   *   1-based line/column; source is the line as stored (text without a trailing \r)
+   */
+  findMatches(content, pattern) {
+    const matches = [];
+    content.split('\n').forEach((source, index) => {
+      for (const match of this.findLineMatches(source, pattern)) {
+        matches.push({ line: index + 1, column: match.index + 1, length: match.length, text: source.replace(/\r$/, ''), source });
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Matches of one line. Empty matches (e.g. of "^" or "a*") are skipped, by search and replace alike.
+   * @returns {Array<{index: number, length: number}>}
+   */
+  findLineMatches(line, pattern) {
+    const matches = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      if (match[0].length === 0) {
+        // An empty match would never advance
+        pattern.lastIndex++;
+        continue;
+      }
+      matches.push({ index: match.index, length: match[0].length });
+    }
+    return matches;
+  }
+
+  /**
+   * Text that replaces the match at index of a line ($1 etc. expanded for regex searches)
+   */
+  getReplacement(line, index, length, pattern) {
+    const template = this.options.regex ? this.options.replacement : this.options.replacement.replace(/\$/g, '$$$$');
+    // A sticky copy replaces only the match at index, with the whole line as context for anchors and lookarounds
+    const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+    sticky.lastIndex = index;
+    const replaced = line.replace(sticky, template);
+    return replaced.slice(index, replaced.length - (line.length - index - length));
+  }
+
+  /**
+   * New content of a file with every match replaced
+   */
+  replaceInContent(content, pattern) {
+    return content.split('\n').map(line => {
+      let result = '';
+      let last = 0;
+      for (const { index, length } of this.findLineMatches(line, pattern)) {
+        result += line.slice(last, index) + this.getReplacement(line, index, length, pattern);
+        last = index + length;
+      }
+      return result + line.slice(last);
+    }).join('\n');
+  }
+
+  renderResults() {
+    const list = this.overlay?.querySelector('.project-search-results');
+    if (!list) return;
+
+    const replacing = this.options.replacement.length > 0;
+    let pattern = null;
+    try {
+      pattern = this.buildPattern();
+    } catch (_) {}
+
+    let shown = 0;
+    list.innerHTML = this.results.map((result, index) => {
+      const rows = [];
+      for (let i = 0; i < result.matches.length && shown < PROJECT_SEARCH_MAX_MATCHES; i++, shown++) {
+        rows.push(this.renderMatch(result.matches[i], i, replacing ? pattern : null));
+      }
+      return `
+        <div class="project-search-file${result.included ? '' : ' excluded'}" data-index="${index}">
+          <div class="project-search-file-header">
+            ${replacing ? `<input type="checkbox" ${result.included ? 'checked' : ''} title="Include in Replace All">` : ''}
+            <span>${this.escape(result.file.name)}</span>
+            <small>${this.escape(result.file.fullPath)} - ${result.matches.length} match${result.matches.length === 1 ? '' : 'es'}</small>
+          </div>
+          ${rows.join('')}
+        </div>
+      `;
+    }).join('');
+
+    this.overlay.querySelector('.project-search-replace-all').disabled = !replacing || this.results.length === 0;
+    this.updateStatus();
+  }
+
+  /**
+   * One result line: the match highlighted, or struck out next to its replacement
+   */
+  renderMatch(match, index, pattern) {
+    const start = match.column - 1;
+    const end = start + match.length;
+    const before = match.text.slice(Math.max(0, start - 60), start);
+    const found = match.text.slice(start, end);
+    const after = match.text.slice(end, end + 80);
+    let highlighted = `<mark>${this.escape(found)}</mark>`;
+    if (pattern) {
+      const replaced = this.getReplacement(match.source, start, match.length, pattern);
+      highlighted = `<del>${this.escape(found)}</del><ins>${this.escape(replaced)}</ins>`;
+    }
+    return `
+      <div class="project-search-match" data-match="${index}" title="Line ${match.line}, column ${match.column}">
+        <span class="project-search-line">${match.line}</span><span>${this.escape(before.trimStart())}${highlighted}${this.escape(after)}</span>
+      </div>
+    `;
+  }
+
+  updateStatus() {
+    if (!this.overlay) return;
+    if (!this.options.query) {
+      this.setStatus(`${this.files.length} text files`);
+      return;
+    }
+    const total = this.results.reduce((sum, result) => sum + result.matches.length, 0);
+    const included = this.results.filter(result => result.included);
+    let status = `${total} match${total === 1 ? '' : 'es'} in ${this.results.length} of ${this.files.length} files`;
+    if (total > PROJECT_SEARCH_MAX_MATCHES) status += ` (showing the first ${PROJECT_SEARCH_MAX_MATCHES})`;
+    if (this.options.replacement && included.length !== this.results.length) status += ` - ${included.length} files selected for replace`;
+    this.setStatus(status);
+  }
+
+  setStatus(text, isError = false) {
+    const status = this.overlay?.querySelector('.project-search-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Replace every match in the selected files and save them; files whose tab has unsaved
+   * edits are skipped so those edits are not overwritten
+   */
+  async replaceAll() {
+    const pattern = this.buildPattern();
+    const tabManager = window.gameEmulator?.tabManager;
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!pattern || !fileManager) return;
+
+    const selected = this.results.filter(result => result.included);
+    const dirty = selected.filter(result => this.hasUnsavedTab(tabManager, result.file));
+    const targets = selected.filter(result => !dirty.includes(result));
+    const count = targets.reduce((sum, result) => sum + result.matches.length, 0);
+    if (count === 0) {
+      alert(dirty.length ? 'All selected files have unsaved changes in their tabs - save them first' : 'Nothing to replace');
+      return;
+    }
+
+    const skipped = dirty.length ? `\n\n${dirty.length} file(s) with unsaved changes in a tab will be skipped.` : '';
+    if (!confirm(`Replace ${count} occurrence(s) in ${targets.length} file(s)? This cannot be undone.${skipped}`)) return;
+
+    const changed = [];
+    for (const { file } of targets) {
+      const content = this.replaceInContent(file.content, pattern);
+      if (content === file.content) continue;
+      const saved = await fileManager.saveFile(file.storagePath, content, file.builderId ? { builderId: file.builderId } : {});
+      if (saved) {
+        file.content = content;
+        changed.push(file.storagePath);
+      } else {
+        console.error(`[ProjectSearch] Failed to save ${file.fullPath}`);
+      }
+    }
+    console.log(`[ProjectSearch] Replaced ${count} occurrence(s) in ${changed.length} file(s)`);
+
+    // Open tabs show the new content
+    await tabManager?.reloadChangedTabs(changed);
+    window.gameEmulator?.updateStatus?.(`Replaced ${count} occurrence(s) in ${changed.length} file(s)`, 'success');
+
+    this.search();
+    if (dirty.length) {
+      this.setStatus(`Replaced in ${changed.length} file(s); skipped ${dirty.length} with unsaved changes: ${dirty.map(result => result.file.name).join(', ')}`);
+    }
+  }
+
+  hasUnsavedTab(tabManager, file) {
+    if (!tabManager) return false;
+    return tabManager.getAllTabs().some(tab => tab.fullPath && tab.viewer?.isModified?.() &&
+      (window.ProjectPaths?.normalizeStoragePath?.(tab.fullPath) || tab.fullPath) === file.storagePath);
+  }
+
+  /**
+   * Open the file in an editor tab and put the cursor on the match (text editors)
+   */
+  async openMatch(file, match) {
+    const explorer = window.gameEmulator?.projectExplorer;
+    const tabManager = window.gameEmulator?.tabManager;
+    if (!explorer || !tabManager) return;
+
+    this.close();
+    await tabManager.openInTab(file.fullPath, explorer._getComponentForFile(file.fullPath, true));
+    if (!match) return;
+
+    // Monaco is created asynchronously after the tab opens
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const viewer = tabManager.getActiveTab()?.viewer;
+      if (viewer?.monacoEditor && typeof viewer.navigateToError === 'function') {
+        viewer.navigateToError(match.line, match.column);
+        viewer.monacoEditor.setSelection({
+          startLineNumber: match.line,
+          startColumn: match.column,
+          endLineNumber: match.line,
+          endColumn: match.column + match.length
+        });
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+// Register in service container if available
+(function initProjectSearch() {
+  try {
+    const services = window.serviceContainer;
+    const instance = new ProjectSearch();
+    if (services && services.registerSingleton) {
+      services.registerSingleton('projectSearch', instance);
+    }
+    window.projectSearch = instance;
+
+    // Ctrl+Shift+F opens the search with the selected text of a text editor
+    document.addEventListener('keydown', (e) => {
+      if (!e.ctrlKey || !e.shiftKey || e.key.toLowerCase() !== 'f') return;
+      e.preventDefault();
+      const editor = window.gameEmulator?.tabManager?.getActiveTab()?.viewer?.monacoEditor;
+      const selection = editor?.getSelection?.();
+      const selected = selection && !selection.isEmpty() ? editor.getModel().getValueInRange(selection) : null;
+      instance.open(selected && !selected.includes('\n') ? selected : null);
+    });
+  } catch (_) {}
+})();
+
+window.ProjectSearch = ProjectSearch;
@@ -0,0 +1,314 @@
+// sfx-browser.js
+// Project-wide library of .sfx files with waveform thumbnails, tags and search
+
+class SfxBrowser {
+  constructor() {
+    this.overlay = null;
+    this.entries = []; // {file, path, tags, samples, sampleRate}
+    this.query = '';
+    this.activeTags = new Set();
+    this.audioContext = null;
+    this.source = null;
+    this.onKeyDown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  /**
+   * Show the library for the focused project
+   */
+  async open() {
+    const explorer = window.gameEmulator?.projectExplorer;
+    const project = explorer?.getFocusedProjectName?.();
+    if (!project) {
+      alert('No active project');
+      return;
+    }
+
+    if (this.overlay) this.close();
+    this.createDialog(project);
+
+    const tags = await (window.ProjectConfigManager?.getSfxTags?.() ?? {});
+    this.entries = explorer.GetSFXFiles(project)
+      .filter(file => file.extension.toLowerCase() === '.sfx')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(file => {
+        const path = this.getProjectRelativePath(file.fullPath);
+        return { file, path, tags: tags[path] || [], samples: null, sampleRate: 44100 };
+      });
+    console.log(`[SfxBrowser] Found ${this.entries.length} sound effects in ${project}`);
+
+    this.render();
+    await this.loadThumbnails();
+  }
+
+  close() {
+    this.stop();
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.overlay?.remove();
+    this.overlay = null;
+    this.entries = [];
+  }
+
+  createDialog(project) {
+    this.overlay = document.createElement('div');
+    this.overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.7);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10000;
+    `;
+    this.overlay.innerHTML = `
+      <style>
+        .sfx-browser { background: #2d2d2d; color: white; padding: 20px; border-radius: 10px; width: 720px; max-height: 80vh; display: flex; flex-direction: column; gap: 10px; font-family: Arial, sans-serif; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); }
+        .sfx-browser-header { display: flex; justify-content: space-between; align-items: center; }
+        .sfx-browser-header h3 { margin: 0; color: #4CAF50; }
+        .sfx-browser input { background: #1e1e1e; color: #ddd; border: 1px solid #555; border-radius: 3px; padding: 5px; }
+        .sfx-browser button { background: #444; color: white; border: 1px solid #555; border-radius: 3px; padding: 4px 8px; cursor: pointer; }
+        .sfx-browser button:hover { background: #555; }
+        .sfx-browser-tags { display: flex; flex-wrap: wrap; gap: 4px; }
+        .sfx-browser-tag { font-size: 11px; padding: 2px 6px; border-radius: 8px; background: #444; cursor: pointer; }
+        .sfx-browser-tag.active { background: #4CAF50; }
+        .sfx-browser-list { overflow-y: auto; flex: 1; display: flex; flex-direction: column; gap: 4px; }
+        .sfx-browser-item { display: flex; align-items: center; gap: 8px; padding: 4px; background: #333; border-radius: 3px; }
+        .sfx-browser-item canvas { flex-shrink: 0; border: 1px solid #444; cursor: pointer; }
+        .sfx-browser-name { flex: 1; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .sfx-browser-name small { color: #888; }
+        .sfx-browser-item input { width: 180px; font-size: 11px; }
+      </style>
+      <div class="sfx-browser">
+        <div class="sfx-browser-header">
+          <h3>SFX Library - ${project}</h3>
+          <button class="sfx-browser-close">✕</button>
+        </div>
+        <input type="search" class="sfx-browser-search" placeholder="Search by name or tag...">
+        <div class="sfx-browser-tags"></div>
+        <div class="sfx-browser-list"></div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    const dialog = this.overlay.querySelector('.sfx-browser');
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    dialog.querySelector('.sfx-browser-close').addEventListener('click', () => this.close());
+
+    const search = dialog.querySelector('.sfx-browser-search');
+    search.value = this.query;
+    search.addEventListener('input', () => {
+      this.query = search.value;
+      this.renderList();
+    });
+    search.focus();
+
+    dialog.querySelector('.sfx-browser-tags').addEventListener('click', (e) => {
+      const tag = e.target.closest('.sfx-browser-tag')?.dataset.tag;
+      if (!tag) return;
+      if (this.activeTags.has(tag)) {
+        this.activeTags.delete(tag);
+      } else {
+        this.activeTags.add(tag);
+      }
+      this.render();
+    });
+
+    const list = dialog.querySelector('.sfx-browser-list');
+    list.addEventListener('click', (e) => {
+      const entry = this.getEntryForElement(e.target);
+      if (!entry) return;
+      if (e.target.closest('.sfx-browser-open')) {
+        this.openEntry(entry);
+      } else if (e.target.closest('.sfx-browser-play') || e.target.tagName === 'CANVAS') {
+        this.play(entry);
+      }
+    });
+    list.addEventListener('dblclick', (e) => {
+      const entry = this.getEntryForElement(e.target);
+      if (entry && e.target.tagName !== 'INPUT') this.openEntry(entry);
+    });
+    list.addEventListener('change', async (e) => {
+      const entry = this.getEntryForElement(e.target);
+      if (!entry || !e.target.classList.contains('sfx-browser-tag-input')) return;
+      await this.setTags(entry, e.target.value.split(','));
+    });
+  }
+
+  render() {
+    if (!this.overlay) return;
+
+    // Tag filter chips: every tag used in the project
+    const allTags = [...new Set(this.entries.flatMap(entry => entry.tags))].sort();
+    for (const tag of this.activeTags) {
+      if (!allTags.includes(tag)) this.activeTags.delete(tag);
+    }
+    this.overlay.querySelector('.sfx-browser-tags').innerHTML = allTags.map(tag =>
+      `<span class="sfx-browser-tag${this.activeTags.has(tag) ? ' active' : ''}" data-tag="${this.escape(tag)}">${this.escape(tag)}</span>`
+    ).join('');
+
+    this.renderList();
+  }
+
+  renderList() {
+    const list = this.overlay?.querySelector('.sfx-browser-list');
+    if (!list) return;
+
+    const visible = this.entries.filter(entry => this.matches(entry));
+    if (visible.length === 0) {
+      list.innerHTML = `<div style="color: #888; padding: 10px;">${this.entries.length ? 'No sound effects match' : 'This project has no .sfx files yet'}</div>`;
+      return;
+    }
+
+    list.innerHTML = visible.map(entry => `
+      <div class="sfx-browser-item" data-path="${this.escape(entry.path)}">
+        <canvas width="120" height="32" title="Play"></canvas>
+        <div class="sfx-browser-name" title="${this.escape(entry.path)}">
+          ${this.escape(entry.file.name)}<br><small>${this.formatDuration(entry)}</small>
+        </div>
+        <input class="sfx-browser-tag-input" value="${this.escape(entry.tags.join(', '))}" placeholder="tags, comma separated">
+        <button class="sfx-browser-play">▶</button>
+        <button class="sfx-browser-open">Open</button>
+      </div>
+    `).join('');
+    list.querySelectorAll('.sfx-browser-item').forEach(item => this.drawEntry(this.getEntryForElement(item)));
+  }
+
+  /**
+   * Search terms must all appear in the name or a tag; active tag chips must all be present
+   */
+  matches(entry) {
+    for (const tag of this.activeTags) {
+      if (!entry.tags.includes(tag)) return false;
+    }
+    const name = entry.file.name.toLowerCase();
+    return this.query.toLowerCase().split(/\s+/).filter(Boolean).every(term =>
+      name.includes(term) || entry.tags.some(tag => tag.includes(term))
+    );
+  }
+
+  /**
+   * Render every sound for its thumbnail, one at a time so the dialog stays responsive
+   */
+  async loadThumbnails() {
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!fileManager) {
+      console.error('[SfxBrowser] FileManager not available');
+      return;
+    }
+
+    // Stops when the dialog is closed or reopened (a new entry list)
+    const entries = this.entries;
+    for (const entry of entries) {
+      if (this.entries !== entries) return;
+      try {
+        const fileObj = await fileManager.loadFile(entry.file.fullPath);
+        const text = fileObj?.content ?? fileObj?.fileContent;
+        if (typeof text !== 'string') throw new Error('No content');
+        const mix = SfxComposition.parse(text).render(44100);
+        entry.samples = mix.samples;
+        entry.sampleRate = mix.sampleRate;
+      } catch (error) {
+        console.warn(`[SfxBrowser] Could not render ${entry.path}:`, error);
+        entry.samples = new Float32Array(0);
+      }
+
+      const item = this.findItem(entry);
+      if (item) {
+        this.drawEntry(entry);
+        item.querySelector('.sfx-browser-name small').textContent = this.formatDuration(entry);
+      }
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  drawEntry(entry) {
+    const canvas = this.findItem(entry)?.querySelector('canvas');
+    if (canvas) WaveformDisplay.drawThumbnail(canvas, entry.samples);
+  }
+
+  async setTags(entry, tags) {
+    const path = entry.path;
+    await window.ProjectConfigManager?.setSfxTags?.(path, tags);
+    entry.tags = (await window.ProjectConfigManager?.getSfxTags?.())?.[path] || [];
+    this.render();
+  }
+
+  play(entry) {
+    this.stop();
+    if (!entry.samples || entry.samples.length === 0) return;
+
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    const buffer = this.audioContext.createBuffer(1, entry.samples.length, entry.sampleRate);
+    buffer.getChannelData(0).set(entry.samples);
+    this.source = this.audioContext.createBufferSource();
+    this.source.buffer = buffer;
+    this.source.connect(this.audioContext.destination);
+    this.source.onended = () => {
+      this.source = null;
+    };
+    this.source.start();
+  }
+
+  stop() {
+    if (this.source) {
+      try {
+        this.source.stop();
+      } catch (error) {
+        // Already finished
+      }
+      this.source = null;
+    }
+  }
+
+  openEntry(entry) {
+    const explorer = window.gameEmulator?.projectExplorer;
+    if (!explorer) return;
+    this.close();
+    explorer.openFileInTab({ name: entry.file.name }, entry.file.path);
+  }
+
+  getEntryForElement(element) {
+    const path = element.closest('.sfx-browser-item')?.dataset.path;
+    return this.entries.find(entry => entry.path === path) || null;
+  }
+
+  findItem(entry) {
+    return [...(this.overlay?.querySelectorAll('.sfx-browser-item') || [])].find(item => item.dataset.path === entry.path) || null;
+  }
+
+  getProjectRelativePath(fullPath) {
+    return window.ProjectPaths?.parseProjectPath?.(fullPath)?.rest || fullPath;
+  }
+
+  formatDuration(entry) {
+    if (!entry.samples) return '...';
+    return `${Math.round(entry.samples.length / entry.sampleRate * 1000)} ms`;
+  }
+
+  escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+// Register in service container if available
+(function initSfxBrowser() {
+  try {
+    const services = window.serviceContainer;
+    const instance = new SfxBrowser();
+    if (services && services.registerSingleton) {
+      services.registerSingleton('sfxBrowser', instance);
+    }
+    window.sfxBrowser = instance;
+  } catch (_) {}
+})();
+
+window.SfxBrowser = SfxBrowser;
@@ -9,12 +9,15 @@ class WaveformDisplay {
     this.audioBuffer = null;
     this.retryCount = 0;
     this.maxRetries = 20; // Maximum retry attempts for canvas sizing
+    this.automation = null; // Editable curve overlay (see setAutomation)
+    this.dragIndex = -1;
     
     this.options = {
       width: 600,
       height: 200,
       backgroundColor: '#1e1e1e',
       gradientColors: ['#4fc3f7', '#29b6f6', '#0288d1'],
+      canvasId: 'waveformCanvas',
       ...options
     };
     
@@ -24,7 +27,7 @@ class WaveformDisplay {
   init() {
     // Create canvas element
     this.canvas = document.createElement('canvas');
-    this.canvas.id = 'waveformCanvas';
+    this.canvas.id = this.options.canvasId;
     this.canvas.style.width = this.options.width + 'px';
     this.canvas.style.height = this.options.height + 'px';
     this.canvas.style.border = '1px solid #333';
@@ -81,6 +84,8 @@ class WaveformDisplay {
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
     this.ctx.fillText('No audio data', width / 2, height / 2);
+    
+    this.drawAutomation(width, height);
   }
   
   updateWaveform(audioBuffer) {
@@ -199,6 +204,163 @@ class WaveformDisplay {
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
     this.ctx.lineWidth = 1;
     this.ctx.stroke();
+    
+    this.drawAutomation(finalWidth, finalHeight);
+  }
+  
+  /**
+   * Show an editable automation curve on top of the waveform. Clicking adds a point,
+   * dragging moves it and double-clicking removes it.
+   * @param {Array<number[]>} points - [time, value] pairs, both 0-1 across the whole sound
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the new points after each edit
+   * @param {number} [options.defaultValue=0.5] - Value drawn while the curve has no points
+   * @param {string} [options.color='#ffb74d'] - Curve color
+   * @param {Function} [options.formatValue] - Label for the value of the point being dragged
+   */
+  setAutomation(points, options = {}) {
+    this.automation = {
+      defaultValue: 0.5,
+      color: '#ffb74d',
+      onChange: null,
+      formatValue: null,
+      ...options,
+      points: points.map(point => [...point])
+    };
+    this.dragIndex = -1;
+    this.attachAutomationHandlers();
+    this.canvas.style.cursor = 'crosshair';
+    this.redraw();
+  }
+  
+  clearAutomation() {
+    this.automation = null;
+    this.dragIndex = -1;
+    if (this.canvas) this.canvas.style.cursor = '';
+    this.redraw();
+  }
+  
+  redraw() {
+    if (this.audioBuffer) {
+      this.drawWaveform();
+    } else {
+      this.drawEmpty();
+    }
+  }
+  
+  drawAutomation(width, height) {
+    if (!this.automation) return;
+    
+    const { points, defaultValue, color, formatValue } = this.automation;
+    const toY = (value) => (1 - value) * height;
+    const ctx = this.ctx;
+    
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    
+    if (points.length === 0) {
+      // No automation: the parameter keeps its normal value
+      ctx.setLineDash([4, 4]);
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(0, toY(defaultValue));
+      ctx.lineTo(width, toY(defaultValue));
+      ctx.stroke();
+      ctx.restore();
+      return;
+    }
+    
+    // Values are held before the first and after the last point
+    ctx.beginPath();
+    ctx.moveTo(0, toY(points[0][1]));
+    for (const [time, value] of points) {
+      ctx.lineTo(time * width, toY(value));
+    }
+    ctx.lineTo(width, toY(points[points.length - 1][1]));
+    ctx.stroke();
+    
+    points.forEach(([time, value], index) => {
+      ctx.fillStyle = index === this.dragIndex ? '#ffffff' : color;
+      ctx.beginPath();
+      ctx.arc(time * width, toY(value), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    
+    const dragged = points[this.dragIndex];
+    if (dragged && formatValue) {
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '11px monospace';
+      ctx.textAlign = dragged[0] > 0.8 ? 'right' : 'left';
+      ctx.textBaseline = 'bottom';
+      const x = dragged[0] * width + (dragged[0] > 0.8 ? -8 : 8);
+      ctx.fillText(formatValue(dragged[1]), x, Math.max(14, toY(dragged[1]) - 4));
+    }
+    ctx.restore();
+  }
+  
+  attachAutomationHandlers() {
+    if (this.automationHandlersAttached || !this.canvas) return;
+    this.automationHandlersAttached = true;
+    
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const toPoint = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return [clamp((e.clientX - rect.left) / rect.width), clamp(1 - (e.clientY - rect.top) / rect.height)];
+    };
+    const hitTest = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return this.automation.points.findIndex(([time, value]) => {
+        const dx = rect.left + time * rect.width - e.clientX;
+        const dy = rect.top + (1 - value) * rect.height - e.clientY;
+        return dx * dx + dy * dy <= 36;
+      });
+    };
+    const notify = () => this.automation?.onChange?.(this.automation.points.map(point => [...point]));
+    
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (!this.automation || e.button !== 0) return;
+      e.preventDefault();
+      
+      const points = this.automation.points;
+      let index = hitTest(e);
+      if (index < 0) {
+        const point = toPoint(e);
+        points.push(point);
+        points.sort((a, b) => a[0] - b[0]);
+        index = points.indexOf(point);
+      }
+      this.dragIndex = index;
+      this.redraw();
+      
+      const move = (ev) => {
+        const [time, value] = toPoint(ev);
+        // Points keep their order: a point cannot be dragged past its neighbours
+        const min = index > 0 ? points[index - 1][0] : 0;
+        const max = index < points.length - 1 ? points[index + 1][0] : 1;
+        points[index] = [Math.max(min, Math.min(max, time)), value];
+        this.redraw();
+      };
+      const up = () => {
+        window.removeEventListener('mousemove', move);
+        window.removeEventListener('mouseup', up);
+        this.dragIndex = -1;
+        this.redraw();
+        notify();
+      };
+      window.addEventListener('mousemove', move);
+      window.addEventListener('mouseup', up);
+    });
+    
+    this.canvas.addEventListener('dblclick', (e) => {
+      if (!this.automation) return;
+      const index = hitTest(e);
+      if (index >= 0) {
+        this.automation.points.splice(index, 1);
+        this.redraw();
+        notify();
+      }
+    });
   }
   
   destroy() {
@@ -208,8 +370,36 @@ class WaveformDisplay {
     this.canvas = null;
     this.ctx = null;
     this.audioBuffer = null;
+    this.automation = null;
     this.retryCount = 0;
   }
+
+  /**
+   * Draw a small peak outline of some samples, for lists of sounds
+   * @param {HTMLCanvasElement} canvas - Target canvas (its width/height are used as-is)
+   * @param {Float32Array|number[]} samples - Mono samples in -1..1
+   * @param {string} [color]
+   */
+  static drawThumbnail(canvas, samples, color = '#4CAF50') {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, width, height);
+    if (!samples || samples.length === 0) return;
+
+    const centerY = height / 2;
+    const step = samples.length / width;
+    ctx.fillStyle = color;
+    for (let x = 0; x < width; x++) {
+      let peak = 0;
+      const end = Math.min(samples.length, Math.floor((x + 1) * step));
+      for (let i = Math.floor(x * step); i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      const h = Math.max(1, peak * centerY);
+      ctx.fillRect(x, centerY - h, 1, h * 2);
+    }
+  }
 }
 
 // Export for use
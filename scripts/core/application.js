@@ -168,9 +168,11 @@ class RetroStudioApplication {
       // Editors
       'scripts/editors/lua-editor.js',
       'scripts/editors/sound-fx-editor.js', 
+      'scripts/editors/audio-clip-editor.js',
       'scripts/editors/palette-editor.js',
       'scripts/editors/mod-xm-tracker-editor.js',
       'scripts/editors/texture-editor.js',
+      'scripts/editors/sprite-editor.js',
       'scripts/editors/editor-registry.js',
       
       // Viewers
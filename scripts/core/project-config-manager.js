@@ -9,6 +9,38 @@ class ProjectConfigManager {
         defaultPalette: null,
         createdAt: null,
         modifiedAt: null
+      },
+      display: {
+        enabled: false,
+        width: 320,
+        height: 240,
+        pixelFormat: 'd2_mode_rgb565'
+      },
+      timing: {
+        fixedTimestep: true,
+        tickRate: 60
+      },
+      input: {
+        bindings: null // Project default controls: {keyboard: {Up: ['ArrowUp']}, gamepad: {Up: [12]}}
+      },
+      audio: {
+        maxVoices: 8, // Simultaneous sounds the target mixer can play (0 = unlimited)
+        voiceStealing: 'oldest', // 'oldest', 'quietest' or 'priority'
+        sampleRate: 0, // Output sample rate in Hz (0 = native)
+        bitDepth: 16
+      },
+      music: {
+        maxChannels: 8, // Channels the device music player mixes (0 = unlimited)
+        maxSampleMemory: 131072, // Bytes of sample data per song (0 = unlimited)
+        maxSampleRate: 16000, // Samples tuned above this rate are downsampled or reported (0 = any)
+        maxSampleLength: 65535, // Frames per sample (0 = unlimited)
+        downsample: true,
+        truncate: false, // Cut samples longer than maxSampleLength instead of failing the build
+        sampleBits: 8, // 8 or 16
+        supportedEffects: null // Canonical effect names the player implements, null = TrackerModule default set
+      },
+      sfx: {
+        tags: {} // Sound effect path relative to the project -> tags, e.g. {'Sources/SFX/coin.sfx': ['pickup']}
       }
     };
     this.config = { ...this.defaultConfig };
@@ -269,6 +301,162 @@ class ProjectConfigManager {
     }
   }
 
+  /**
+   * Get the emulator virtual display settings (resolution and pixel format)
+   */
+  async getDisplaySettings() {
+    await this.ensureLoaded();
+    return { ...this.defaultConfig.display, ...(this.config.display || {}) };
+  }
+
+  /**
+   * Update the emulator virtual display settings (write-through)
+   * @param {Object} settings - Partial settings: enabled, width, height, pixelFormat
+   */
+  async setDisplaySettings(settings) {
+    await this.ensureLoaded();
+    
+    this.config.display = { ...this.defaultConfig.display, ...(this.config.display || {}), ...settings };
+    console.log('[ProjectConfigManager] Setting display to:', this.config.display);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.display.changed', { display: { ...this.config.display } });
+    }
+  }
+
+  /**
+   * Get the emulator game loop settings (fixed timestep and tick rate in Hz)
+   */
+  async getTimingSettings() {
+    await this.ensureLoaded();
+    return { ...this.defaultConfig.timing, ...(this.config.timing || {}) };
+  }
+
+  /**
+   * Update the emulator game loop settings (write-through)
+   * @param {Object} settings - Partial settings: fixedTimestep, tickRate
+   */
+  async setTimingSettings(settings) {
+    await this.ensureLoaded();
+    
+    this.config.timing = { ...this.defaultConfig.timing, ...(this.config.timing || {}), ...settings };
+    console.log('[ProjectConfigManager] Setting timing to:', this.config.timing);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.timing.changed', { timing: { ...this.config.timing } });
+    }
+  }
+
+  /**
+   * Get the project default input bindings (buttons missing here use the built-in mapping)
+   * @returns {Promise<Object|null>} {keyboard, gamepad} or null
+   */
+  async getInputBindings() {
+    await this.ensureLoaded();
+    return this.config.input?.bindings || null;
+  }
+
+  /**
+   * Set the project default input bindings (write-through)
+   * @param {Object|null} bindings - {keyboard, gamepad}; null restores the built-in mapping
+   */
+  async setInputBindings(bindings) {
+    await this.ensureLoaded();
+    
+    this.config.input = { ...(this.config.input || {}), bindings };
+    console.log('[ProjectConfigManager] Setting input bindings to:', bindings);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.input.changed', { bindings });
+    }
+  }
+
+  /**
+   * Get the emulator audio settings (voice limit and output format of the target hardware)
+   * @returns {Promise<Object>} {maxVoices, voiceStealing, sampleRate, bitDepth}
+   */
+  async getAudioSettings() {
+    await this.ensureLoaded();
+    return { ...this.defaultConfig.audio, ...(this.config.audio || {}) };
+  }
+
+  /**
+   * Update the emulator audio settings (write-through)
+   * @param {Object} settings - Partial settings: maxVoices, voiceStealing, sampleRate, bitDepth
+   */
+  async setAudioSettings(settings) {
+    await this.ensureLoaded();
+    
+    this.config.audio = { ...this.defaultConfig.audio, ...(this.config.audio || {}), ...settings };
+    console.log('[ProjectConfigManager] Setting audio to:', this.config.audio);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.audio.changed', { audio: { ...this.config.audio } });
+    }
+  }
+
+  /**
+   * Get the device music player limits used by MusicBuilder
+   * @returns {Promise<Object>} {maxChannels, maxSampleMemory, maxSampleRate, maxSampleLength, downsample, truncate, sampleBits, supportedEffects}
+   */
+  async getMusicSettings() {
+    await this.ensureLoaded();
+    return { ...this.defaultConfig.music, ...(this.config.music || {}) };
+  }
+
+  /**
+   * Update the device music player limits (write-through)
+   * @param {Object} settings - Partial settings, see getMusicSettings
+   */
+  async setMusicSettings(settings) {
+    await this.ensureLoaded();
+    
+    this.config.music = { ...this.defaultConfig.music, ...(this.config.music || {}), ...settings };
+    console.log('[ProjectConfigManager] Setting music to:', this.config.music);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.music.changed', { music: { ...this.config.music } });
+    }
+  }
+
+  /**
+   * Get the tags of every tagged sound effect
+   * @returns {Promise<Object>} Path relative to the project -> array of tags
+   */
+  async getSfxTags() {
+    await this.ensureLoaded();
+    return { ...(this.config.sfx?.tags || {}) };
+  }
+
+  /**
+   * Set the tags of one sound effect (write-through)
+   * @param {string} path - Path relative to the project (Sources/SFX/...)
+   * @param {string[]} tags - An empty list removes the entry
+   */
+  async setSfxTags(path, tags) {
+    await this.ensureLoaded();
+    
+    const all = { ...(this.config.sfx?.tags || {}) };
+    const unique = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (unique.length > 0) {
+      all[path] = unique;
+    } else {
+      delete all[path];
+    }
+    this.config.sfx = { ...(this.config.sfx || {}), tags: all };
+    console.log(`[ProjectConfigManager] Setting tags of ${path} to:`, unique);
+    await this._saveConfigFile();
+    
+    if (window.eventBus) {
+      window.eventBus.emit('project.sfxTags.changed', { path, tags: unique });
+    }
+  }
+
   /**
    * Get the full path to the default palette file
    */
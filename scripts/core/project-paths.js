@@ -43,7 +43,7 @@
       const ext = (extension || '').toLowerCase();
       if (ext === '.lua' || ext === '.txt') return this.getSourcesSubfolder('Lua');
       if (['.mod', '.xm', '.s3m', '.it', '.mptm'].includes(ext)) return this.getSourcesSubfolder('Music');
-      if (ext === '.wav' || ext === '.sfx') return this.getSourcesSubfolder('SFX');
+      if (['.wav', '.sfx', '.ogg', '.mp3', '.clip'].includes(ext)) return this.getSourcesSubfolder('SFX');
       if (['.pal', '.act', '.aco'].includes(ext)) return this.getSourcesSubfolder('Palettes');
       return this.getSourcesSubfolder('Binary');
     },
@@ -0,0 +1,549 @@
+// audio-clip-editor.js
+// Audio clip editor: trims, fades, normalizes and sets loop points on an imported recording
+// (.wav/.ogg/.mp3) and picks the output format. Saves .clip JSON consumed by ClipBuilder.
+
+console.log('[AudioClipEditor] Class definition loading');
+
+class AudioClipEditor extends EditorBase {
+  constructor(fileObject = null, readOnly = false) {
+    super(fileObject, readOnly);
+
+    this.clip = AudioClip.createDefault();
+    this.recording = null; // Decoded source: {channels, sampleRate}
+    this.mono = null;
+    this.processed = null;
+    this.projectAudio = null;
+
+    this.audioContext = null;
+    this.playbackSource = null;
+    this.dragMarker = null;
+
+    this.initializeEditor();
+    this.setupEventListeners();
+    this.loadProjectAudio();
+
+    if (fileObject && !this.isNewResource) {
+      this.loadFileData();
+    } else {
+      this.refreshUI();
+    }
+  }
+
+  initializeEditor() {
+    this.container = document.createElement('div');
+    this.container.className = 'clip-editor';
+    this.container.innerHTML = `
+      <div class="clip-toolbar">
+        <label>Recording
+          <select class="clip-source-select"></select>
+        </label>
+        <button class="btn clip-play-source-btn" title="Play the whole recording">▶ Source</button>
+        <button class="btn clip-play-btn" title="Play the processed clip (loops the loop region)">▶ Clip</button>
+        <button class="btn clip-stop-btn" title="Stop">■</button>
+      </div>
+
+      <div class="clip-waveform-panel">
+        <canvas class="clip-waveform-canvas"></canvas>
+        <div class="clip-hint">Drop a WAV, OGG or MP3 file on the project to import it. Drag the trim (white) and loop (blue) markers on the waveform.</div>
+      </div>
+
+      <div class="clip-settings">
+        <div class="clip-section">
+          <h4>Trim</h4>
+          <label>Start (s) <input type="number" data-field="trimStart" min="0" step="0.001"></label>
+          <label>End (s) <input type="number" data-field="trimEnd" min="0" step="0.001" placeholder="end"></label>
+          <label><input type="checkbox" data-field="snapToZeroCrossing"> Snap to zero crossing</label>
+        </div>
+        <div class="clip-section">
+          <h4>Fades</h4>
+          <label>Fade in (ms) <input type="number" data-field="fadeIn" min="0" step="1"></label>
+          <label>Fade out (ms) <input type="number" data-field="fadeOut" min="0" step="1"></label>
+        </div>
+        <div class="clip-section">
+          <h4>Level</h4>
+          <label><input type="checkbox" data-field="normalize"> Normalize</label>
+          <label>Peak (%) <input type="number" data-field="normalizePeak" data-scale="100" min="1" max="100" step="1"></label>
+        </div>
+        <div class="clip-section">
+          <h4>Loop</h4>
+          <label><input type="checkbox" data-field="loop"> Loop region</label>
+          <label>Start (s) <input type="number" data-field="loopStart" min="0" step="0.001" placeholder="trim start"></label>
+          <label>End (s) <input type="number" data-field="loopEnd" min="0" step="0.001" placeholder="trim end"></label>
+        </div>
+        <div class="clip-section">
+          <h4>Output</h4>
+          <label>Sample rate
+            <select data-field="sampleRate">
+              <option value="0">Project target</option>
+              <option value="44100">44100 Hz</option>
+              <option value="32000">32000 Hz</option>
+              <option value="22050">22050 Hz</option>
+              <option value="16000">16000 Hz</option>
+              <option value="11025">11025 Hz</option>
+              <option value="8000">8000 Hz</option>
+            </select>
+          </label>
+          <label>Bit depth
+            <select data-field="bitDepth">
+              <option value="0">Project target</option>
+              <option value="16">16-bit</option>
+              <option value="8">8-bit</option>
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div class="clip-output-info"></div>
+    `;
+
+    this.sourceSelect = this.container.querySelector('.clip-source-select');
+    this.waveformCanvas = this.container.querySelector('.clip-waveform-canvas');
+    this.hint = this.container.querySelector('.clip-hint');
+    this.fieldInputs = this.container.querySelectorAll('[data-field]');
+    this.outputInfo = this.container.querySelector('.clip-output-info');
+  }
+
+  setupEventListeners() {
+    this.sourceSelect.addEventListener('change', () => {
+      this.clip.source = this.sourceSelect.value || null;
+      // Settings in seconds belong to the previous recording
+      Object.assign(this.clip, { trimStart: 0, trimEnd: null, loopStart: null, loopEnd: null });
+      this.markDirty();
+      this.refreshUI();
+      this.loadRecording();
+    });
+
+    this.fieldInputs.forEach(input => {
+      input.addEventListener('change', () => this.updateField(input));
+    });
+
+    this.container.querySelector('.clip-play-source-btn').addEventListener('click', () => this.playSource());
+    this.container.querySelector('.clip-play-btn').addEventListener('click', () => this.playClip());
+    this.container.querySelector('.clip-stop-btn').addEventListener('click', () => this.stopPlayback());
+
+    this.waveformCanvas.addEventListener('mousedown', (e) => this.onWaveformMouseDown(e));
+    this.waveformCanvas.addEventListener('mousemove', (e) => this.onWaveformMouseMove(e));
+    this.waveformCanvas.addEventListener('mouseup', () => this.onWaveformMouseUp());
+    this.waveformCanvas.addEventListener('mouseleave', () => this.onWaveformMouseUp());
+  }
+
+  getElement() {
+    // Ensure EditorBase-visible root matches the container
+    if (this.element !== this.container) {
+      this.element = this.container;
+      this.element.classList.add('viewer-content', 'editor-content');
+    }
+    return this.element;
+  }
+
+  getDisplayName() {
+    return this.path ? this.path.split('/').pop() : 'New Audio Clip';
+  }
+
+  async loadFileData() {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        console.error('[AudioClipEditor] FileManager not available');
+        return;
+      }
+
+      const fileObj = await fileManager.loadFile(this.path);
+      const content = fileObj ? (fileObj.content ?? fileObj.fileContent) : null;
+      if (content) {
+        this.setContent(content);
+      } else {
+        console.warn(`[AudioClipEditor] No file content found for: ${this.path}`);
+        this.refreshUI();
+      }
+    } catch (error) {
+      console.error('[AudioClipEditor] Failed to load file data:', error);
+    }
+  }
+
+  getContent() {
+    return AudioClip.serialize(this.clip);
+  }
+
+  setContent(content) {
+    let text = content;
+    if (text instanceof ArrayBuffer) {
+      text = new TextDecoder('utf-8').decode(text);
+    }
+
+    try {
+      this.clip = AudioClip.parse(text);
+    } catch (error) {
+      console.error('[AudioClipEditor] Failed to parse clip file:', error);
+      throw new Error(`Invalid clip file format: ${error.message}`);
+    }
+
+    this.refreshUI();
+    this.loadRecording();
+  }
+
+  async refreshContent() {
+    if (this.path && !this.isNewResource) {
+      await this.loadFileData();
+    }
+  }
+
+  async loadProjectAudio() {
+    try {
+      this.projectAudio = await window.ProjectConfigManager?.getAudioSettings?.() || null;
+    } catch (error) {
+      console.warn('[AudioClipEditor] Could not read project audio settings:', error);
+    }
+    this.updateOutput();
+  }
+
+  // ===== RECORDING =====
+
+  populateSourceOptions() {
+    this.sourceSelect.innerHTML = '<option value="">(none)</option>';
+
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const recordings = projectExplorer && typeof projectExplorer.GetSFXFiles === 'function'
+      ? projectExplorer.GetSFXFiles().filter(file => AudioClip.SOURCE_EXTENSIONS.includes(file.extension.toLowerCase()))
+      : [];
+
+    recordings.forEach(file => {
+      const option = document.createElement('option');
+      option.value = file.fullPath;
+      option.textContent = file.name;
+      this.sourceSelect.appendChild(option);
+    });
+
+    // Keep a recording that is not in the project (anymore) visible
+    if (this.clip.source && !recordings.some(file => file.fullPath === this.clip.source)) {
+      const option = document.createElement('option');
+      option.value = this.clip.source;
+      option.textContent = `${this.clip.source.split('/').pop()} (missing)`;
+      this.sourceSelect.appendChild(option);
+    }
+
+    this.sourceSelect.value = this.clip.source || '';
+  }
+
+  async loadRecording() {
+    this.stopPlayback();
+    this.recording = null;
+    this.mono = null;
+
+    if (this.clip.source) {
+      try {
+        const fileManager = window.serviceContainer?.get('fileManager');
+        if (!fileManager) {
+          throw new Error('FileManager not available');
+        }
+        const fileObj = await fileManager.loadFile(this.clip.source);
+        if (!fileObj) {
+          throw new Error(`Recording not found: ${this.clip.source}`);
+        }
+        this.recording = await AudioClip.decodeFile(fileObj);
+        this.mono = AudioClip.mixToMono(this.recording.channels);
+        console.log(`[AudioClipEditor] Loaded recording ${this.clip.source} (${this.getSourceDuration().toFixed(3)}s at ${this.recording.sampleRate} Hz)`);
+      } catch (error) {
+        console.error('[AudioClipEditor] Failed to load recording:', error);
+        this.hint.textContent = `Could not load recording: ${error.message}`;
+      }
+    }
+
+    this.updateOutput();
+  }
+
+  getSourceDuration() {
+    return this.mono ? this.mono.length / this.recording.sampleRate : 0;
+  }
+
+  // ===== SETTINGS =====
+
+  updateField(input) {
+    const field = input.dataset.field;
+    if (input.type === 'checkbox') {
+      this.clip[field] = input.checked;
+    } else if (input.tagName === 'SELECT') {
+      this.clip[field] = parseInt(input.value, 10) || 0;
+    } else {
+      const value = parseFloat(input.value);
+      const scale = parseFloat(input.dataset.scale) || 1;
+      if (Number.isFinite(value)) {
+        this.clip[field] = Math.max(0, value / scale);
+      } else {
+        // An empty time means "start/end of the clip"
+        this.clip[field] = ['trimEnd', 'loopStart', 'loopEnd'].includes(field) ? null : 0;
+      }
+    }
+    this.markDirty();
+    this.refreshUI();
+  }
+
+  refreshUI() {
+    this.populateSourceOptions();
+    this.fieldInputs.forEach(input => {
+      const value = this.clip[input.dataset.field];
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else if (input.tagName === 'SELECT') {
+        input.value = String(value || 0);
+      } else {
+        const scale = parseFloat(input.dataset.scale) || 1;
+        input.value = value === null || value === undefined ? '' : +(value * scale).toFixed(3);
+      }
+    });
+    this.updateOutput();
+  }
+
+  /**
+   * Re-run the processing chain and show the result
+   */
+  updateOutput() {
+    this.processed = null;
+    if (this.recording) {
+      try {
+        const format = AudioClip.resolveFormat(this.clip, this.projectAudio, this.recording.sampleRate);
+        this.processed = AudioClip.process(this.recording, this.clip, format);
+      } catch (error) {
+        console.error('[AudioClipEditor] Processing failed:', error);
+      }
+    }
+
+    if (this.processed) {
+      const { samples, sampleRate, bitDepth, loopStart, loopEnd } = this.processed;
+      const bytes = samples.length * (bitDepth <= 8 ? 1 : 2);
+      const loop = loopStart !== null ? `, loop ${loopStart}-${loopEnd}` : '';
+      this.outputInfo.textContent = `Output: ${(samples.length / sampleRate).toFixed(3)}s, ${sampleRate} Hz, ${bitDepth}-bit mono, ${(bytes / 1024).toFixed(1)} KB${loop}${this.getOutputConflict()}`;
+    } else {
+      this.outputInfo.textContent = this.clip.source ? 'Output: -' : 'Pick a recording to start';
+    }
+    this.drawWaveform();
+  }
+
+  /**
+   * Warn when a .wav recording next to the clip would build to the same file
+   */
+  getOutputConflict() {
+    if (!this.path) return '';
+    const output = this.path.replace(/\.clip$/i, '.wav');
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const files = projectExplorer?.GetSFXFiles?.() || [];
+    return files.some(file => file.fullPath === output) ? ` - ${output.split('/').pop()} already exists and builds to the same file` : '';
+  }
+
+  // ===== WAVEFORM =====
+
+  /**
+   * Positions (seconds) of the draggable markers
+   */
+  getMarkers() {
+    const duration = this.getSourceDuration();
+    const trimStart = this.clip.trimStart || 0;
+    const trimEnd = this.clip.trimEnd ?? duration;
+    const markers = [
+      { field: 'trimStart', time: trimStart, color: '#ffffff' },
+      { field: 'trimEnd', time: trimEnd, color: '#ffffff' }
+    ];
+    if (this.clip.loop) {
+      markers.push(
+        { field: 'loopStart', time: this.clip.loopStart ?? trimStart, color: '#4fc3f7' },
+        { field: 'loopEnd', time: this.clip.loopEnd ?? trimEnd, color: '#4fc3f7' }
+      );
+    }
+    return markers;
+  }
+
+  drawWaveform() {
+    const canvas = this.waveformCanvas;
+    const width = canvas.clientWidth || 600;
+    const height = canvas.clientHeight || 160;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#1e1e1e';
+    ctx.fillRect(0, 0, width, height);
+    if (!this.mono) return;
+
+    const duration = this.getSourceDuration();
+    const toX = (time) => (time / duration) * width;
+    const markers = this.getMarkers();
+    const trimStartX = toX(markers[0].time);
+    const trimEndX = toX(markers[1].time);
+
+    // Loop region
+    if (this.clip.loop) {
+      ctx.fillStyle = 'rgba(79, 195, 247, 0.15)';
+      ctx.fillRect(toX(markers[2].time), 0, toX(markers[3].time) - toX(markers[2].time), height);
+    }
+
+    // Peaks, dimmed outside the trimmed region
+    const centerY = height / 2;
+    const step = this.mono.length / width;
+    for (let x = 0; x < width; x++) {
+      let peak = 0;
+      const end = Math.min(this.mono.length, Math.floor((x + 1) * step));
+      for (let i = Math.floor(x * step); i < end; i++) {
+        peak = Math.max(peak, Math.abs(this.mono[i]));
+      }
+      ctx.fillStyle = x >= trimStartX && x <= trimEndX ? '#4CAF50' : '#3c3c3c';
+      const h = Math.max(1, peak * centerY);
+      ctx.fillRect(x, centerY - h, 1, h * 2);
+    }
+
+    // Fade envelope
+    const fadeInEndX = Math.min(trimEndX, toX(markers[0].time + (this.clip.fadeIn || 0) / 1000));
+    const fadeOutStartX = Math.max(trimStartX, toX(markers[1].time - (this.clip.fadeOut || 0) / 1000));
+    ctx.strokeStyle = '#ffb74d';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(trimStartX, height);
+    ctx.lineTo(fadeInEndX, 0);
+    ctx.lineTo(Math.max(fadeInEndX, fadeOutStartX), 0);
+    ctx.lineTo(trimEndX, height);
+    ctx.stroke();
+
+    markers.forEach(marker => {
+      const x = Math.round(toX(marker.time)) + 0.5;
+      ctx.strokeStyle = marker.color;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    });
+  }
+
+  getWaveformTime(e) {
+    const rect = this.waveformCanvas.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return ratio * this.getSourceDuration();
+  }
+
+  onWaveformMouseDown(e) {
+    if (!this.mono) return;
+    const rect = this.waveformCanvas.getBoundingClientRect();
+    const pixelsPerSecond = rect.width / this.getSourceDuration();
+    const time = this.getWaveformTime(e);
+
+    // Grab the closest marker within a few pixels
+    let closest = null;
+    for (const marker of this.getMarkers()) {
+      const distance = Math.abs(marker.time - time) * pixelsPerSecond;
+      if (distance <= 6 && (!closest || distance < closest.distance)) {
+        closest = { field: marker.field, distance };
+      }
+    }
+    this.dragMarker = closest ? closest.field : null;
+  }
+
+  onWaveformMouseMove(e) {
+    if (!this.dragMarker) return;
+    const time = +this.getWaveformTime(e).toFixed(3);
+    const duration = this.getSourceDuration();
+    const trimStart = this.clip.trimStart || 0;
+    const trimEnd = this.clip.trimEnd ?? duration;
+
+    // Markers cannot cross each other; loop markers stay inside the trimmed region
+    const limits = {
+      trimStart: [0, trimEnd],
+      trimEnd: [trimStart, duration],
+      loopStart: [trimStart, this.clip.loopEnd ?? trimEnd],
+      loopEnd: [this.clip.loopStart ?? trimStart, trimEnd]
+    }[this.dragMarker];
+    this.clip[this.dragMarker] = Math.max(limits[0], Math.min(limits[1], time));
+
+    const input = this.container.querySelector(`[data-field="${this.dragMarker}"]`);
+    if (input) input.value = this.clip[this.dragMarker];
+    this.drawWaveform();
+  }
+
+  onWaveformMouseUp() {
+    if (!this.dragMarker) return;
+    this.dragMarker = null;
+    this.markDirty();
+    this.updateOutput();
+  }
+
+  // ===== PLAYBACK =====
+
+  play(samples, sampleRate, loop = null) {
+    this.stopPlayback();
+    if (!samples || samples.length === 0) return;
+
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+    buffer.getChannelData(0).set(samples);
+
+    this.playbackSource = this.audioContext.createBufferSource();
+    this.playbackSource.buffer = buffer;
+    if (loop) {
+      this.playbackSource.loop = true;
+      this.playbackSource.loopStart = loop.start / sampleRate;
+      this.playbackSource.loopEnd = loop.end / sampleRate;
+    }
+    this.playbackSource.connect(this.audioContext.destination);
+    this.playbackSource.onended = () => {
+      this.playbackSource = null;
+    };
+    this.playbackSource.start();
+  }
+
+  playSource() {
+    if (this.mono) this.play(this.mono, this.recording.sampleRate);
+  }
+
+  playClip() {
+    if (!this.processed) return;
+    const { samples, sampleRate, loopStart, loopEnd } = this.processed;
+    this.play(samples, sampleRate, loopStart !== null ? { start: loopStart, end: loopEnd } : null);
+  }
+
+  stopPlayback() {
+    if (this.playbackSource) {
+      try {
+        this.playbackSource.stop();
+      } catch (error) {
+        // Already finished
+      }
+      this.playbackSource = null;
+    }
+  }
+
+  destroy() {
+    this.stopPlayback();
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    super.destroy();
+  }
+
+  // Static methods for editor registration
+  static getFileExtension() {
+    return '.clip';
+  }
+
+  static getDefaultFolder() {
+    return (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ?
+      `${window.ProjectPaths.getSourcesRootUi()}/SFX` : 'Resources/SFX';
+  }
+
+  static createNew() {
+    return AudioClip.serialize(AudioClip.createDefault());
+  }
+}
+
+// Export the class
+window.AudioClipEditor = AudioClipEditor;
+
+// Static metadata for auto-registration
+AudioClipEditor.getFileExtensions = () => ['.clip'];
+AudioClipEditor.getDisplayName = () => 'Audio Clip';
+AudioClipEditor.getIcon = () => '🎙️';
+AudioClipEditor.getPriority = () => 10;
+AudioClipEditor.getCapabilities = () => ['audio-preview', 'waveform-display', 'buildable'];
+AudioClipEditor.canCreate = true;
+
+// Register the component
+AudioClipEditor.registerComponent();
@@ -128,14 +128,16 @@ class EditorBase extends ViewerBase {
     this._roOverlay = null;
   }
 
-  _isEditableTarget(t) {
+  // By default only fields inside a read-only editor count; textOnly limits it to fields with their own text undo
+  _isEditableTarget(t, { anywhere = false, textOnly = false } = {}) {
     if (!t) return false;
-    if (t.closest && t.closest('.editor-content.readonly') == null) return false;
+    if (!anywhere && t.closest && t.closest('.editor-content.readonly') == null) return false;
     const tag = (t.tagName || '').toLowerCase();
-    if (tag === 'textarea' || tag === 'select') return true;
+    if (tag === 'textarea') return true;
+    if (tag === 'select') return !textOnly;
     if (tag === 'input') {
       const type = (t.getAttribute('type') || 'text').toLowerCase();
-      return type !== 'hidden';
+      return textOnly ? ['text', 'number', 'search'].includes(type) : type !== 'hidden';
     }
     if (t.isContentEditable) return true;
     return false;
@@ -155,6 +157,23 @@ class EditorBase extends ViewerBase {
         this.save();
       }
     });
+    
+    // Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo; removed again in destroy()
+    this._onUndoKeyDown = this._onUndoKeyDown.bind(this);
+    document.addEventListener('keydown', this._onUndoKeyDown);
+  }
+  
+  _onUndoKeyDown(e) {
+    // Text fields keep their own undo
+    if (!e.ctrlKey || !this.supportsUndo() || this._isEditableTarget(e.target, { anywhere: true, textOnly: true }) || !this.isActiveEditor()) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      this.redo();
+    }
   }
   
   isActiveEditor() {
@@ -243,6 +262,69 @@ class EditorBase extends ViewerBase {
     // Override in subclasses
   }
   
+  // ===== UNDO/REDO =====
+  
+  // Snapshot of everything an undo step puts back (override in editors with undo support)
+  captureUndoState() {
+    return null;
+  }
+  
+  // Put a snapshot from captureUndoState back and refresh the UI (override with captureUndoState)
+  restoreUndoState(state) {
+    // Override in subclasses
+  }
+  
+  supportsUndo() {
+    return this.captureUndoState !== EditorBase.prototype.captureUndoState;
+  }
+  
+  /**
+   * Record an undo step - call it right before changing the content
+   * @param {string} label - Shown in the history list, e.g. "Randomize palette"
+   * @param {Object} options - mergeKey folds continuous edits (slider drags) into one step;
+   *   state is a snapshot taken earlier, e.g. when a drag started
+   */
+  recordUndo(label, { mergeKey = null, state = undefined } = {}) {
+    const history = this.getHistoryService();
+    if (!history || history.applying || this.readOnly || !this.supportsUndo()) return;
+    
+    // The state to redo is whatever the undo replaced
+    const snapshot = { before: state !== undefined ? state : this.captureUndoState(), after: null };
+    history.record(this, {
+      label,
+      mergeKey,
+      undo: () => {
+        snapshot.after = this.captureUndoState();
+        this.restoreUndoState(snapshot.before);
+        this.markDirty();
+      },
+      redo: () => {
+        this.restoreUndoState(snapshot.after);
+        this.markDirty();
+      }
+    });
+  }
+  
+  undo() {
+    return this.getHistoryService()?.undo(this) || false;
+  }
+  
+  redo() {
+    return this.getHistoryService()?.redo(this) || false;
+  }
+  
+  /**
+   * Steps of this editor for the history list
+   * @returns {{entries: Array<{label: string, time: number, applied: boolean}>, position: number}}
+   */
+  getUndoHistory() {
+    return this.getHistoryService()?.list(this) || { entries: [], position: 0 };
+  }
+  
+  getHistoryService() {
+    return (window.serviceContainer?.has?.('historyService') ? window.serviceContainer.get('historyService') : window.historyService) || null;
+  }
+  
   // Save the current content
   async save() {
     try {
@@ -341,10 +423,12 @@ class EditorBase extends ViewerBase {
         targetPath = `${sourcesRoot}/Lua`;
       } else if (['.mod', '.xm', '.s3m', '.it', '.mptm'].includes(extension)) {
         targetPath = `${sourcesRoot}/Music`;
-      } else if (extension === '.wav' || extension === '.sfx') {
+      } else if (['.wav', '.sfx', '.ogg', '.mp3', '.clip'].includes(extension)) {
         targetPath = `${sourcesRoot}/SFX`;
       } else if (['.pal', '.act', '.aco'].includes(extension)) {
         targetPath = `${sourcesRoot}/Palettes`;
+      } else if (extension === '.sprite') {
+        targetPath = `${sourcesRoot}/Images`;
       }
       
       uiFolderPath = window.ProjectPaths?.withProjectPrefix ? window.ProjectPaths.withProjectPrefix(project, targetPath) : (project ? `${project}/${targetPath}` : targetPath);
@@ -415,7 +499,7 @@ class EditorBase extends ViewerBase {
     try {
       // Save to persistent storage using the file I/O service
       if (window.fileIOService) {
-        const builderId = extension === '.sfx' ? 'sfx' : undefined;
+        const builderId = extension === '.sfx' ? 'sfx' : extension === '.clip' ? 'clip' : undefined;
         const metadata = {
           type: extension,
           editor: this.constructor.name,
@@ -525,7 +609,7 @@ class EditorBase extends ViewerBase {
       targetPath = `${sourcesRoot}/Lua`;
     } else if (['.mod', '.xm', '.s3m', '.it', '.mptm'].includes(extension)) {
       targetPath = `${sourcesRoot}/Music`;
-    } else if (extension === '.wav' || extension === '.sfx') {
+    } else if (['.wav', '.sfx', '.ogg', '.mp3', '.clip'].includes(extension)) {
       targetPath = `${sourcesRoot}/SFX`;
     } else if (['.pal', '.act', '.aco'].includes(extension)) {
       targetPath = `${sourcesRoot}/Palettes`;
@@ -821,6 +905,8 @@ class EditorBase extends ViewerBase {
       }
     }
     
+    document.removeEventListener('keydown', this._onUndoKeyDown);
+    this.getHistoryService()?.clear(this);
     super.destroy();
   }
   
@@ -28,6 +28,16 @@ class EditorRegistry {
     } catch (error) {
       console.error('[EditorRegistry] Failed to register SoundFXEditor:', error);
     }
+
+    try {
+      if (typeof SpriteEditor !== 'undefined') {
+        this.registerEditor(SpriteEditor);
+      } else {
+        console.warn('[EditorRegistry] SpriteEditor not available yet');
+      }
+    } catch (error) {
+      console.error('[EditorRegistry] Failed to register SpriteEditor:', error);
+    }
     
     console.log('[EditorRegistry] Registered default editors');
   }
@@ -128,6 +138,8 @@ class EditorRegistry {
   targetFolder = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? `${window.ProjectPaths.getSourcesRootUi()}/SFX` : 'Resources/SFX';
       } else if (extension === '.sfx') {
   targetFolder = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? `${window.ProjectPaths.getSourcesRootUi()}/SFX` : 'Resources/SFX';  // SFX source files go to SFX folder
+      } else if (extension === '.sprite') {
+  targetFolder = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? `${window.ProjectPaths.getSourcesRootUi()}/Images` : 'Resources/Images';
       } else {
   targetFolder = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? `${window.ProjectPaths.getSourcesRootUi()}/Binary` : 'Resources/Binary';
       }
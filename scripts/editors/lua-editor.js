@@ -30,7 +30,8 @@ class LuaEditor extends EditorBase {
     // Initialize Monaco Editor
     this.initializeMonacoEditor();
 
-    this.loadFileContent().catch(err => console.error('[LuaEditor] Failed to load content:', err));
+    // Callers that navigate to a line wait for this before touching the model
+    this.contentLoaded = this.loadFileContent().catch(err => console.error('[LuaEditor] Failed to load content:', err));
   }
 
   async initializeMonacoEditor() {
@@ -75,6 +76,7 @@ class LuaEditor extends EditorBase {
         scrollBeyondLastLine: false,
         fontSize: 14,
         lineNumbers: 'on',
+        glyphMargin: true, // Breakpoint column
         renderWhitespace: 'selection', // Restored whitespace rendering
         tabSize: 2,
         insertSpaces: true,
@@ -98,6 +100,9 @@ class LuaEditor extends EditorBase {
         }
       });
 
+      // Breakpoints and the current execution line
+      this.setupDebuggerIntegration();
+
       // Set up IntelliSense (now that we've fixed the performance issue)
       await this.setupIntelliSense();
 
@@ -114,6 +119,110 @@ class LuaEditor extends EditorBase {
     }
   }
 
+  getDebugger() {
+    return window.serviceContainer?.has?.('luaDebugger') ? window.serviceContainer.get('luaDebugger') : window.luaDebugger;
+  }
+
+  /**
+   * Breakpoints are kept by the shared LuaDebugger so they survive closing the tab
+   * and apply to the next run of the game. Runtime errors reported by the game emulator
+   * (already mapped to this file) are shown as markers.
+   */
+  setupDebuggerIntegration() {
+    this.breakpointDecorations = [];
+    this.executionDecorations = [];
+
+    // Click in the glyph margin toggles a breakpoint
+    this.monacoEditor.onMouseDown((e) => {
+      if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) return;
+      const line = e.target.position?.lineNumber;
+      if (line && this.path) {
+        this.getDebugger()?.toggleBreakpoint(this.path, line);
+      }
+    });
+
+    // Decorations move with their lines while editing; store the new lines back
+    this.monacoEditor.onDidChangeModelContent(() => {
+      if (!this._isLoadingContent) {
+        this.storeBreakpointLines();
+      }
+    });
+
+    if (window.eventBus) {
+      this.debuggerListeners = [
+        window.eventBus.on('debugger.breakpoints.changed', (data) => {
+          if (this.isSamePath(data.path)) this.renderBreakpoints();
+        }),
+        window.eventBus.on('debugger.paused', (data) => this.showExecutionLine(data.location)),
+        window.eventBus.on('debugger.resumed', () => this.showExecutionLine(null)),
+        window.eventBus.on('lua.runtime.error', (data) => {
+          if (this.isSamePath(data.path)) this.setRuntimeErrors([{ line: data.line, message: data.message }]);
+        })
+      ];
+    }
+
+    this.refreshDebuggerDecorations();
+  }
+
+  refreshDebuggerDecorations() {
+    this.renderBreakpoints();
+    this.showExecutionLine(this.getDebugger()?.location || null);
+  }
+
+  isSamePath(path) {
+    const luaDebugger = this.getDebugger();
+    return !!(luaDebugger && this.path && path) && luaDebugger.normalizePath(this.path) === luaDebugger.normalizePath(path);
+  }
+
+  renderBreakpoints() {
+    const luaDebugger = this.getDebugger();
+    const model = this.monacoEditor?.getModel();
+    if (!luaDebugger || !model || !this.breakpointDecorations) return;
+
+    const lines = this.path ? luaDebugger.getBreakpoints(this.path) : [];
+    const decorations = lines
+      .filter(line => line <= model.getLineCount())
+      .map(line => ({
+        range: new monaco.Range(line, 1, line, 1),
+        options: {
+          glyphMarginClassName: 'lua-breakpoint-glyph',
+          glyphMarginHoverMessage: { value: 'Breakpoint' },
+          stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+        }
+      }));
+    this.breakpointDecorations = this.monacoEditor.deltaDecorations(this.breakpointDecorations, decorations);
+  }
+
+  storeBreakpointLines() {
+    const luaDebugger = this.getDebugger();
+    const model = this.monacoEditor?.getModel();
+    if (!luaDebugger || !model || !this.path || !this.breakpointDecorations?.length) return;
+
+    const lines = this.breakpointDecorations
+      .map(id => model.getDecorationRange(id)?.startLineNumber)
+      .filter(Boolean);
+    luaDebugger.setBreakpoints(this.path, Array.from(new Set(lines)));
+  }
+
+  /**
+   * Highlight the line the debugger is paused on, or clear the highlight
+   * @param {Object|null} location - {path, line} from LuaDebugger
+   */
+  showExecutionLine(location) {
+    if (!this.monacoEditor || !this.executionDecorations) return;
+
+    const isHere = !!location && this.isSamePath(location.path);
+    const decorations = isHere ? [{
+      range: new monaco.Range(location.line, 1, location.line, 1),
+      options: { isWholeLine: true, className: 'lua-execution-line', glyphMarginClassName: 'lua-execution-glyph' }
+    }] : [];
+    this.executionDecorations = this.monacoEditor.deltaDecorations(this.executionDecorations, decorations);
+
+    if (isHere) {
+      this.monacoEditor.revealLineInCenter(location.line);
+    }
+  }
+
   _applyReadOnly() {
     if (this.monacoEditor) {
       this.monacoEditor.updateOptions({ readOnly: true });
@@ -168,6 +277,7 @@ class LuaEditor extends EditorBase {
         this._isLoadingContent = true;
         this.monacoEditor.setValue(content);
         this._isLoadingContent = false;
+        this.refreshDebuggerDecorations();
         
         // Set up auto-testing for Lua errors (after content is loaded and editor is ready)
         this.setupAutoTesting();
@@ -449,10 +559,6 @@ class LuaEditor extends EditorBase {
           // Parse string error message
           const errorMarkers = this.parseLuaError(new Error(error));
           markers.push(...errorMarkers);
-        } else if (error.message) {
-          // Parse error object
-          const errorMarkers = this.parseLuaError(error);
-          markers.push(...errorMarkers);
         } else if (error.line && error.message) {
           // Direct marker format
           markers.push({
@@ -463,6 +569,10 @@ class LuaEditor extends EditorBase {
             message: error.message,
             severity: monaco.MarkerSeverity.Error
           });
+        } else if (error.message) {
+          // Parse error object
+          const errorMarkers = this.parseLuaError(error);
+          markers.push(...errorMarkers);
         }
       }
       
@@ -531,6 +641,7 @@ class LuaEditor extends EditorBase {
       this._isLoadingContent = true;
       this.monacoEditor.setValue(content || '');
       this._isLoadingContent = false;
+      this.refreshDebuggerDecorations();
       
       // Set up auto-testing for Lua errors (ensure it's set up when content is loaded)
       this.setupAutoTesting();
@@ -590,6 +701,12 @@ class LuaEditor extends EditorBase {
     }
   }
 
+  destroy() {
+    (this.debuggerListeners || []).forEach(unsubscribe => unsubscribe());
+    this.debuggerListeners = [];
+    super.destroy();
+  }
+
   static getFileExtension() { return '.lua'; }
   static getFileExtensions() { return ['.lua', '.txt']; }
   static getDisplayName() { return 'Lua Script'; }
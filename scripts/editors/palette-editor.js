@@ -577,6 +577,24 @@ class PaletteEditor extends EditorBase {
     this.updateColorEditor();
   }
 
+  captureUndoState() {
+    if (!this.palette) return null;
+    return {
+      colors: this.palette.getColors(),
+      name: this.palette.name,
+      selectedColorIndex: this.selectedColorIndex
+    };
+  }
+
+  restoreUndoState(state) {
+    if (!state || !this.palette) return;
+    this.palette.setColors(state.colors);
+    this.palette.name = state.name;
+    this.selectedColorIndex = Math.min(state.selectedColorIndex, Math.max(0, state.colors.length - 1));
+    this.renderPaletteGrid();
+    this.selectColor(this.selectedColorIndex);
+  }
+
   // Legacy compatibility methods - now using abstracted Palette class
   get colors() {
     return this.palette ? this.palette.getColors() : [];
@@ -1053,6 +1071,7 @@ class PaletteEditor extends EditorBase {
 
   setSelectedColor(hex) {
     if (this.palette) {
+      this.recordUndo(`Edit color ${this.selectedColorIndex}`, { mergeKey: `color-${this.selectedColorIndex}` });
       this.palette.setColor(this.selectedColorIndex, hex);
       this.renderPaletteGrid();
       this.updateColorEditor();
@@ -1062,6 +1081,7 @@ class PaletteEditor extends EditorBase {
 
   randomizePalette() {
     if (this.palette) {
+      this.recordUndo('Randomize palette');
       this.palette.randomize();
       this.renderPaletteGrid();
       this.updateColorEditor();
@@ -1072,6 +1092,7 @@ class PaletteEditor extends EditorBase {
   sortPalette() {
     if (this.palette) {
       // For now, sort by hue - could be extended to offer multiple sort options
+      this.recordUndo('Sort palette');
       this.palette.sortByHue();
       this.renderPaletteGrid();
       this.updateColorEditor();
@@ -1136,6 +1157,7 @@ class PaletteEditor extends EditorBase {
       console.log(`PaletteEditor: Reduced from ${reductionResult.originalColors} to ${reductionResult.reducedColors} colors`);
       
       // Update the palette with the reduced colors
+      this.recordUndo('Steal colors');
       this.palette.setColors(reductionResult.palette);
       this.palette.name = `Stolen from ${imageFile.name}`;
       
@@ -1212,6 +1234,7 @@ class PaletteEditor extends EditorBase {
       console.log(`PaletteEditor: Reduced from ${reductionResult.originalColors} to ${reductionResult.reducedColors} colors across ${reductionResult.frameCount} frames`);
       
       // Update the palette with the reduced colors
+      this.recordUndo('Steal colors');
       this.palette.setColors(reductionResult.palette);
       this.palette.name = `Stolen from ${imageFiles.length} images`;
       
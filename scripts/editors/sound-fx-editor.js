@@ -15,34 +15,21 @@ class SoundFXEditor extends CompoundEditor {
     this.isLooping = false;
     this.isPlaying = false;
     
-    // Default SFXR parameters
-    this.defaultParameters = {
-      wave_type: 0,           // Square wave
-      p_base_freq: 0.3,       // Base frequency
-      p_freq_limit: 0,        // Frequency limit
-      p_freq_ramp: 0,         // Frequency ramp
-      p_freq_dramp: 0,        // Frequency delta ramp
-      p_vib_strength: 0,      // Vibrato strength
-      p_vib_speed: 0,         // Vibrato speed
-      p_env_attack: 0,        // Attack time
-      p_env_sustain: 0.3,     // Sustain time
-      p_env_punch: 0,         // Sustain punch
-      p_env_decay: 0.4,       // Decay time
-      p_arp_mod: 0,           // Arpeggio mod
-      p_arp_speed: 0,         // Arpeggio speed
-      p_duty: 0,              // Square duty
-      p_duty_ramp: 0,         // Duty ramp
-      p_repeat_speed: 0,      // Repeat speed
-      p_pha_offset: 0,        // Phaser offset
-      p_pha_ramp: 0,          // Phaser ramp
-      p_lpf_freq: 1,          // Low-pass filter frequency
-      p_lpf_ramp: 0,          // Low-pass filter ramp
-      p_lpf_resonance: 0,     // Low-pass filter resonance
-      p_hpf_freq: 0,          // High-pass filter frequency
-      p_hpf_ramp: 0           // High-pass filter ramp
-    };
+    // Default SFXR parameters (shared with SfxBuilder)
+    this.defaultParameters = { ...SfxComposition.DEFAULT_PARAMETERS };
+    
+    // Layers of the effect; the parameter controls edit the selected one
+    this.layers = [SfxComposition.createLayer({ name: 'Layer 1' })];
+    this.selectedLayer = 0;
+    this.layerDurations = new Map(); // JSON of jsfxr parameters and automation -> rendered length in ms
+    this.timelineDrag = null;
+    this.automationDisplay = null;
+    this.automationTarget = 'frequency';
+    
+    // Every mutate/randomize/preset result of this session, for A/B audition
+    this.variations = [];
+    this.auditionVariation = -1; // Index of the "B" variation
     
-    this.parameters = { ...this.defaultParameters };
     this.isInitializing = true; // Flag to prevent operations during setup
     
     // Load file data if we have a file object
@@ -92,12 +79,9 @@ class SoundFXEditor extends CompoundEditor {
         data = content;
       }
       
-      // Extract parameters from the file data
-      if (data && data.parameters) {
-        this.parameters = { ...this.defaultParameters, ...data.parameters };
-      } else {
-        this.parameters = { ...this.defaultParameters };
-      }
+      // Version 1 files (one parameter set) load as a single layer
+      this.layers = SfxComposition.parse(data).layers;
+      this.selectedLayer = 0;
     } catch (error) {
       console.error('[SoundFXEditor] Failed to parse JSON file data:', error);
       console.error('[SoundFXEditor] Content that failed to parse:', content);
@@ -105,6 +89,17 @@ class SoundFXEditor extends CompoundEditor {
     }
   }
 
+  /**
+   * jsfxr parameters of the selected layer
+   */
+  get parameters() {
+    return this.layers[this.selectedLayer].parameters;
+  }
+
+  set parameters(value) {
+    this.layers[this.selectedLayer].parameters = value;
+  }
+
   // Helper method to detect base64 content
   isBase64(str) {
     // Base64 strings are typically long, contain only base64 characters, and don't start with JSON characters
@@ -273,6 +268,144 @@ class SoundFXEditor extends CompoundEditor {
           font-size: 11px;
           padding: 6px 10px;
         }
+        
+        .sfx-layers {
+          margin: 0 10px 10px 10px;
+          border: 1px solid #444;
+          border-radius: 4px;
+          background: rgba(255, 255, 255, 0.02);
+        }
+        
+        .sfx-layers-toolbar {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          padding: 6px 10px;
+          border-bottom: 1px solid #444;
+        }
+        
+        .sfx-layers-title {
+          font-size: 13px;
+          font-weight: 600;
+          color: #ccc;
+        }
+        
+        .sfx-timeline-scale {
+          margin-left: auto;
+          font-family: monospace;
+          font-size: 11px;
+          color: #888;
+        }
+        
+        .sfx-lane {
+          display: grid;
+          grid-template-columns: 560px 1fr;
+          gap: 10px;
+          align-items: center;
+          padding: 4px 10px;
+          border-left: 3px solid transparent;
+          cursor: pointer;
+        }
+        
+        .sfx-lane.selected {
+          border-left-color: #4CAF50;
+          background: rgba(76, 175, 80, 0.08);
+        }
+        
+        .sfx-lane-header {
+          display: flex;
+          gap: 6px;
+          align-items: center;
+          font-size: 11px;
+          color: #aaa;
+        }
+        
+        .sfx-lane-header input[type="text"],
+        .sfx-lane-header input[type="number"] {
+          background: #2d2d30;
+          border: 1px solid #555;
+          color: #ddd;
+          border-radius: 3px;
+          padding: 2px 4px;
+          font-size: 11px;
+        }
+        
+        .sfx-lane-name {
+          width: 80px;
+        }
+        
+        .sfx-lane-header input[type="number"] {
+          width: 48px;
+        }
+        
+        .sfx-lane-steps {
+          width: 60px;
+        }
+        
+        .sfx-lane-track {
+          position: relative;
+          height: 20px;
+          background: #222;
+          border: 1px solid #444;
+          border-radius: 3px;
+          overflow: hidden;
+        }
+        
+        .sfx-lane-clip {
+          position: absolute;
+          top: 2px;
+          bottom: 2px;
+          min-width: 2px;
+          background: rgba(76, 175, 80, 0.6);
+          border: 1px solid #4CAF50;
+          border-radius: 2px;
+          box-sizing: border-box;
+          cursor: ew-resize;
+        }
+        
+        .sfx-lane-clip.retrigger {
+          background: rgba(76, 175, 80, 0.3);
+          cursor: default;
+        }
+        
+        .sfx-lane.muted .sfx-lane-clip {
+          opacity: 0.3;
+        }
+        
+        .sfx-automation-display {
+          padding: 8px 10px;
+        }
+        
+        .sfx-variations {
+          display: flex;
+          gap: 6px;
+          padding: 6px 10px;
+          overflow-x: auto;
+          min-height: 48px;
+        }
+        
+        .sfx-variation {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 2px;
+          padding: 3px;
+          background: #333;
+          border: 1px solid #444;
+          border-radius: 3px;
+          color: #ccc;
+          font-size: 10px;
+          cursor: pointer;
+          flex-shrink: 0;
+        }
+        
+        .sfx-variation.selected {
+          border-color: #ff9800;
+        }
+        
+        .sfx-variation.current {
+          background: #2e4a2f;
+        }
       </style>
       
       <div class="sound-fx-editor">
@@ -303,6 +436,43 @@ class SoundFXEditor extends CompoundEditor {
           </div>
         </div>
 
+        <!-- Variation History -->
+        <div class="sfx-layers">
+          <div class="sfx-layers-toolbar">
+            <span class="sfx-layers-title">Variations</span>
+            <button id="audition-a-btn" class="preset-btn" title="Play the current sound">▶ A</button>
+            <button id="audition-b-btn" class="preset-btn" title="Play the selected variation">▶ B</button>
+            <button id="keep-variation-btn" class="preset-btn" title="Use the selected variation">✔ Keep B</button>
+            <button id="clear-variations-btn" class="preset-btn">✖ Clear</button>
+          </div>
+          <div class="sfx-variations" id="sfx-variations"></div>
+        </div>
+
+        <!-- Layer Timeline -->
+        <div class="sfx-layers">
+          <div class="sfx-layers-toolbar">
+            <span class="sfx-layers-title">Layers</span>
+            <button id="add-layer-btn" class="preset-btn">➕ Add</button>
+            <button id="duplicate-layer-btn" class="preset-btn">⧉ Duplicate</button>
+            <button id="remove-layer-btn" class="preset-btn">🗑 Remove</button>
+            <span class="sfx-timeline-scale" id="sfx-timeline-scale"></span>
+          </div>
+          <div class="sfx-lanes" id="sfx-lanes"></div>
+        </div>
+
+        <!-- Automation Curves (selected layer) -->
+        <div class="sfx-layers">
+          <div class="sfx-layers-toolbar">
+            <span class="sfx-layers-title">Automation</span>
+            <select id="automation-target-select" class="param-select">
+              ${Object.entries(SfxComposition.AUTOMATION_TARGETS).map(([target, info]) => `<option value="${target}">${info.label}</option>`).join('')}
+            </select>
+            <button id="clear-automation-btn" class="preset-btn">✖ Clear Curve</button>
+            <span class="sfx-timeline-scale">Click to add a point, drag to move, double-click to remove</span>
+          </div>
+          <div class="sfx-automation-display" id="sfx-automation-display"></div>
+        </div>
+
         <!-- Parameters Area -->
         <div class="parameters-scroll">
           <div class="parameters-grid">
@@ -520,6 +690,7 @@ class SoundFXEditor extends CompoundEditor {
       if (!this.isNewResource) {
         this.loadFileData().then(() => {
           this.loadParametersIntoUI();
+          this.renderLayerLanes();
           this.isInitializing = false;
           console.log('[SoundFXEditor] Initialization complete (existing file)');
         }).catch((error) => {
@@ -528,6 +699,7 @@ class SoundFXEditor extends CompoundEditor {
         });
       } else {
         this.loadParametersIntoUI();
+        this.renderLayerLanes();
         this.isInitializing = false;
         console.log('[SoundFXEditor] Initialization complete (new file)');
       }
@@ -569,6 +741,10 @@ class SoundFXEditor extends CompoundEditor {
       this.isLooping = e.target.checked;
     });
     
+    this.setupLayerListeners();
+    this.setupAutomationListeners();
+    this.setupVariationListeners();
+    
     // Initialize waveform display
     if (waveformCanvas) {
       this.waveformCanvas = waveformCanvas;
@@ -577,7 +753,7 @@ class SoundFXEditor extends CompoundEditor {
     }
 
     // Preset buttons
-    const presetButtons = this.controlsContainer.querySelectorAll('.preset-btn');
+    const presetButtons = this.controlsContainer.querySelectorAll('.preset-btn[data-preset]');
     presetButtons.forEach(btn => {
       btn.addEventListener('click', (e) => {
         // Prevent preset application during initialization
@@ -600,6 +776,7 @@ class SoundFXEditor extends CompoundEditor {
     const waveTypeSelect = this.controlsContainer.querySelector('#wave_type_select');
     if (waveTypeSelect) {
       waveTypeSelect.addEventListener('change', (e) => {
+        this.recordUndo('Change wave type');
         this.parameters.wave_type = parseInt(e.target.value);
         
         // Save the updated parameters
@@ -617,6 +794,7 @@ class SoundFXEditor extends CompoundEditor {
       slider.addEventListener('input', (e) => {
         const paramName = e.target.name;
         const value = parseFloat(e.target.value);
+        this.recordUndo(`Change ${paramName}`, { mergeKey: `param-${this.selectedLayer}-${paramName}` });
         this.parameters[paramName] = value;
         
         // Update value display
@@ -688,30 +866,11 @@ class SoundFXEditor extends CompoundEditor {
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       }
       
-      // Ensure jsfxr is available
-      if (typeof window.jsfxr === 'undefined' || typeof window.jsfxr.Params === 'undefined' || typeof window.jsfxr.sfxr === 'undefined') {
-        throw new Error('jsfxr library not loaded correctly');
-      }
-      
-      // Create jsfxr parameters object
-      const params = new window.jsfxr.Params();
-      
-      // Map our parameters to jsfxr format
-      Object.keys(this.parameters).forEach(key => {
-        if (params.hasOwnProperty(key)) {
-          params[key] = this.parameters[key];
-        }
-      });
-      
-      // Use toWebAudio to get a BufferSource with AudioBuffer
-      const bufferSource = window.jsfxr.sfxr.toWebAudio(params, this.audioContext);
-      
-      if (bufferSource && bufferSource.buffer) {
-        this.audioBuffer = bufferSource.buffer;
-        return this.audioBuffer;
-      } else {
-        throw new Error('Failed to generate audio buffer');
-      }
+      // Mix all layers the same way SfxBuilder does
+      const mix = new SfxComposition(this.layers).render(44100);
+      this.audioBuffer = this.audioContext.createBuffer(1, mix.samples.length, mix.sampleRate);
+      this.audioBuffer.getChannelData(0).set(mix.samples);
+      return this.audioBuffer;
 
     } catch (error) {
       console.error('[SoundFXEditor] Error during audio synthesis:', error);
@@ -858,6 +1017,8 @@ class SoundFXEditor extends CompoundEditor {
 
   mutateParameters() {
     console.log('[SoundFXEditor] Mutating parameters');
+    this.recordUndo('Mutate');
+    const previous = { ...this.parameters };
     
     // Randomly adjust some parameters
     const paramKeys = Object.keys(this.parameters);
@@ -874,6 +1035,7 @@ class SoundFXEditor extends CompoundEditor {
       }
     }
     
+    this.recordVariation('Mutate', previous);
     this.loadParametersIntoUI();
     
     // Save the updated parameters
@@ -885,6 +1047,8 @@ class SoundFXEditor extends CompoundEditor {
 
   randomizeParameters() {
     console.log('[SoundFXEditor] Randomizing all parameters');
+    this.recordUndo('Randomize');
+    const previous = { ...this.parameters };
     
     try {
       // Use jsfxr's built-in random method which ensures valid parameters
@@ -956,6 +1120,7 @@ class SoundFXEditor extends CompoundEditor {
       };
     }
     
+    this.recordVariation('Random', previous);
     this.loadParametersIntoUI();
     
     // Save the updated parameters
@@ -1005,6 +1170,8 @@ class SoundFXEditor extends CompoundEditor {
       
       if (typeof params[presetName] === 'function') {
         params[presetName]();
+        this.recordUndo(`Preset ${presetName}`);
+        const previous = { ...this.parameters };
         
         // Copy the preset parameters to our parameters object
         Object.keys(this.defaultParameters).forEach(key => {
@@ -1012,6 +1179,7 @@ class SoundFXEditor extends CompoundEditor {
             this.parameters[key] = params[key];
           }
         });
+        this.recordVariation(presetName, previous);
         
         console.log('[SoundFXEditor] Applied preset parameters:', this.parameters);
         
@@ -1039,11 +1207,434 @@ class SoundFXEditor extends CompoundEditor {
   async updateWaveformPreview() {
     // Use the always-visible waveform display instead
     this.updateWaveformDisplay();
+    this.updateTimeline();
+    this.updateAutomationDisplay();
+  }
+
+  setupVariationListeners() {
+    const list = this.controlsContainer.querySelector('#sfx-variations');
+    list?.addEventListener('click', (e) => {
+      const item = e.target.closest('.sfx-variation');
+      if (!item) return;
+      this.auditionVariation = parseInt(item.dataset.index, 10);
+      this.renderVariations();
+      this.playVariation(this.auditionVariation);
+    });
+    list?.addEventListener('dblclick', (e) => {
+      const item = e.target.closest('.sfx-variation');
+      if (item) this.keepVariation(parseInt(item.dataset.index, 10));
+    });
+
+    this.controlsContainer.querySelector('#audition-a-btn')?.addEventListener('click', () => this.playPreview());
+    this.controlsContainer.querySelector('#audition-b-btn')?.addEventListener('click', () => this.playVariation(this.auditionVariation));
+    this.controlsContainer.querySelector('#keep-variation-btn')?.addEventListener('click', () => this.keepVariation(this.auditionVariation));
+    this.controlsContainer.querySelector('#clear-variations-btn')?.addEventListener('click', () => {
+      this.variations = [];
+      this.auditionVariation = -1;
+      this.renderVariations();
+    });
+
+    this.renderVariations();
+  }
+
+  /**
+   * Remember a generated parameter set of the selected layer
+   * @param {string} label - What produced it (Mutate, Random or a preset name)
+   * @param {Object} previous - Parameters before the change, kept as "Original" when the history is empty
+   */
+  recordVariation(label, previous) {
+    const layer = this.layers[this.selectedLayer];
+    if (this.variations.length === 0 && previous) {
+      this.variations.push({ label: 'Original', layer, parameters: { ...previous } });
+    }
+    this.variations.push({ label, layer, parameters: { ...this.parameters } });
+    if (this.variations.length > SoundFXEditor.MAX_VARIATIONS) {
+      this.variations.splice(0, this.variations.length - SoundFXEditor.MAX_VARIATIONS);
+    }
+    // The previous sound becomes B so mutate -> A/B compares old and new
+    this.auditionVariation = Math.max(0, this.variations.length - 2);
+    this.renderVariations();
+  }
+
+  renderVariations() {
+    const list = this.controlsContainer?.querySelector('#sfx-variations');
+    if (!list) return;
+
+    if (this.variations.length === 0) {
+      list.innerHTML = '<span class="sfx-timeline-scale">Mutate, randomize or pick a preset to collect variations</span>';
+      return;
+    }
+
+    list.innerHTML = '';
+    this.variations.forEach((variation, index) => {
+      const current = variation.layer === this.layers[this.selectedLayer] &&
+        JSON.stringify(variation.parameters) === JSON.stringify(this.parameters);
+      const item = document.createElement('div');
+      item.className = `sfx-variation${index === this.auditionVariation ? ' selected' : ''}${current ? ' current' : ''}`;
+      item.dataset.index = index;
+      item.title = `${variation.label} (${variation.layer.name}) - click to audition as B, double-click to keep`;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 60;
+      canvas.height = 20;
+      try {
+        WaveformDisplay.drawThumbnail(canvas, SfxComposition.renderLayer({ ...variation.layer, parameters: variation.parameters }).samples);
+      } catch (error) {
+        console.warn('[SoundFXEditor] Could not render variation thumbnail:', error);
+      }
+      const label = document.createElement('span');
+      label.textContent = `${index + 1}. ${variation.label}`;
+      item.append(canvas, label);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Play the whole effect with one variation in place of its layer's parameters
+   */
+  async playVariation(index) {
+    const variation = this.variations[index];
+    if (!variation) return;
+
+    this.stopPreview();
+    try {
+      if (!this.audioContext) {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      }
+      const layers = this.layers.map(layer => layer === variation.layer ? { ...layer, parameters: variation.parameters } : layer);
+      const mix = new SfxComposition(layers).render(44100);
+      const buffer = this.audioContext.createBuffer(1, Math.max(1, mix.samples.length), mix.sampleRate);
+      buffer.getChannelData(0).set(mix.samples);
+
+      this.previewSource = this.audioContext.createBufferSource();
+      this.previewSource.buffer = buffer;
+      this.previewSource.connect(this.audioContext.destination);
+      this.previewSource.onended = () => {
+        this.previewSource = null;
+        this.isPlaying = false;
+        this.updatePlayPauseButton();
+      };
+      this.previewSource.start();
+      this.isPlaying = true;
+      this.updatePlayPauseButton();
+    } catch (error) {
+      console.error('[SoundFXEditor] Error playing variation:', error);
+    }
+  }
+
+  /**
+   * Copy a variation's parameters back into its layer
+   */
+  keepVariation(index) {
+    const variation = this.variations[index];
+    if (!variation) return;
+
+    const layerIndex = this.layers.indexOf(variation.layer);
+    if (layerIndex === -1) {
+      console.warn('[SoundFXEditor] The layer of this variation was removed');
+      return;
+    }
+    this.recordUndo(`Keep ${variation.label}`);
+    variation.layer.parameters = { ...variation.parameters };
+    this.selectLayer(layerIndex);
+    this.loadParametersIntoUI();
+    this.markDirty();
+    this.updateWaveformPreview();
+    this.renderVariations();
+    this.playPreview();
+  }
+
+  setupAutomationListeners() {
+    const container = this.controlsContainer.querySelector('#sfx-automation-display');
+    if (container && typeof WaveformDisplay !== 'undefined') {
+      this.automationDisplay = new WaveformDisplay(container, {
+        width: 740,
+        height: 110,
+        canvasId: 'sfx-automation-canvas'
+      });
+    }
+
+    this.controlsContainer.querySelector('#automation-target-select')?.addEventListener('change', (e) => {
+      this.automationTarget = e.target.value;
+      this.updateAutomationDisplay();
+    });
+    this.controlsContainer.querySelector('#clear-automation-btn')?.addEventListener('click', () => {
+      this.setAutomationCurve([]);
+    });
+  }
+
+  /**
+   * Replace a curve of the selected layer
+   * @param {Array<number[]>} points - [time, value] pairs (0-1)
+   */
+  setAutomationCurve(points) {
+    const layer = this.layers[this.selectedLayer];
+    this.recordUndo(points.length ? `Draw ${this.automationTarget} automation` : `Clear ${this.automationTarget} automation`,
+      { mergeKey: points.length ? `automation-${this.selectedLayer}-${this.automationTarget}` : null });
+    layer.automation[this.automationTarget] = SfxComposition.normalizeAutomation({ [this.automationTarget]: points })[this.automationTarget];
+    this.markDirty();
+    this.updateAutomationDisplay();
+    this.updateTimeline();
+  }
+
+  /**
+   * Show the selected layer (with its automation applied) and the curve being edited
+   */
+  updateAutomationDisplay() {
+    if (!this.automationDisplay) return;
+
+    const layer = this.layers[this.selectedLayer];
+    const target = SfxComposition.AUTOMATION_TARGETS[this.automationTarget];
+    this.automationDisplay.setAutomation(layer.automation[this.automationTarget], {
+      defaultValue: target.defaultValue,
+      formatValue: target.format,
+      onChange: (points) => this.setAutomationCurve(points)
+    });
+
+    try {
+      const rendered = SfxComposition.renderLayer(layer);
+      const buffer = new AudioBuffer({ length: Math.max(1, rendered.samples.length), sampleRate: rendered.sampleRate, numberOfChannels: 1 });
+      buffer.getChannelData(0).set(rendered.samples);
+      this.automationDisplay.updateWaveform(buffer);
+    } catch (error) {
+      console.warn('[SoundFXEditor] Could not render layer for automation display:', error);
+    }
+  }
+
+  setupLayerListeners() {
+    const lanes = this.controlsContainer.querySelector('#sfx-lanes');
+    this.controlsContainer.querySelector('#add-layer-btn')?.addEventListener('click', () => {
+      this.addLayer(SfxComposition.createLayer({ name: `Layer ${this.layers.length + 1}` }));
+    });
+    this.controlsContainer.querySelector('#duplicate-layer-btn')?.addEventListener('click', () => {
+      const source = this.layers[this.selectedLayer];
+      this.addLayer(SfxComposition.createLayer(JSON.parse(JSON.stringify({ ...source, name: `${source.name} copy` }))));
+    });
+    this.controlsContainer.querySelector('#remove-layer-btn')?.addEventListener('click', () => this.removeLayer(this.selectedLayer));
+    if (!lanes) return;
+
+    lanes.addEventListener('click', (e) => {
+      const lane = e.target.closest('.sfx-lane');
+      if (lane) this.selectLayer(parseInt(lane.dataset.index, 10));
+    });
+
+    lanes.addEventListener('change', (e) => {
+      const lane = e.target.closest('.sfx-lane');
+      const field = e.target.dataset.field;
+      if (!lane || !field) return;
+      this.updateLayerField(parseInt(lane.dataset.index, 10), field, e.target);
+    });
+
+    // Drag the first clip of a lane to move the layer's start time
+    lanes.addEventListener('mousedown', (e) => {
+      const clip = e.target.closest('.sfx-lane-clip:not(.retrigger)');
+      if (!clip) return;
+      const index = parseInt(clip.closest('.sfx-lane').dataset.index, 10);
+      const track = clip.parentElement;
+      this.timelineDrag = {
+        index,
+        startX: e.clientX,
+        startOffset: this.layers[index].offset,
+        undoState: this.captureUndoState(),
+        msPerPixel: this.getTimelineLength() / track.clientWidth
+      };
+      e.preventDefault();
+
+      // Document listeners only live for the drag, so closed editors leave none behind
+      const move = (moveEvent) => {
+        const { startX, startOffset, msPerPixel } = this.timelineDrag;
+        this.layers[index].offset = Math.max(0, Math.round(startOffset + (moveEvent.clientX - startX) * msPerPixel));
+        const offsetInput = lanes.querySelector(`.sfx-lane[data-index="${index}"] [data-field="offset"]`);
+        if (offsetInput) offsetInput.value = this.layers[index].offset;
+        this.updateTimeline();
+      };
+      const up = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', up);
+        const { startOffset, undoState } = this.timelineDrag;
+        const moved = this.layers[index].offset !== startOffset;
+        this.timelineDrag = null;
+        if (moved) {
+          this.recordUndo('Move layer', { state: undoState });
+          this.markDirty();
+          this.playPreview();
+        }
+      };
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', up);
+    });
+  }
+
+  addLayer(layer) {
+    this.recordUndo('Add layer');
+    this.layers.push(layer);
+    this.markDirty();
+    this.selectLayer(this.layers.length - 1);
+  }
+
+  removeLayer(index) {
+    if (this.layers.length <= 1) {
+      console.warn('[SoundFXEditor] A sound effect needs at least one layer');
+      return;
+    }
+    this.recordUndo(`Remove ${this.layers[index].name}`);
+    this.layers.splice(index, 1);
+    this.selectedLayer = Math.min(this.selectedLayer, this.layers.length - 1);
+    this.markDirty();
+    this.loadParametersIntoUI();
+    this.renderLayerLanes();
+  }
+
+  selectLayer(index) {
+    index = Math.max(0, Math.min(index, this.layers.length - 1));
+    const lanes = this.controlsContainer?.querySelectorAll('.sfx-lane');
+    if (!lanes || lanes.length !== this.layers.length) {
+      this.selectedLayer = index;
+      this.renderLayerLanes();
+    } else if (index !== this.selectedLayer) {
+      // Lanes are updated in place so a clicked input keeps its focus
+      this.selectedLayer = index;
+      lanes.forEach(lane => lane.classList.toggle('selected', parseInt(lane.dataset.index, 10) === index));
+    } else {
+      return;
+    }
+    this.loadParametersIntoUI();
+    this.updateAutomationDisplay();
+  }
+
+  /**
+   * Apply an edit from a lane's inputs
+   * @param {number} index - Layer index
+   * @param {string} field - name, muted, offset, gain, pitch, steps or interval
+   * @param {HTMLInputElement} input
+   */
+  updateLayerField(index, field, input) {
+    const layer = this.layers[index];
+    if (!layer) return;
+
+    this.recordUndo(`Edit layer ${field}`, { mergeKey: `layer-${index}-${field}` });
+    if (field === 'name') {
+      layer.name = input.value.trim() || `Layer ${index + 1}`;
+    } else if (field === 'muted') {
+      layer.muted = !input.checked;
+    } else if (field === 'steps') {
+      // Semitone offsets separated by spaces or commas, e.g. "0 4 7"
+      const steps = input.value.split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+      layer.sequence.steps = steps.length > 0 ? steps : [0];
+      input.value = layer.sequence.steps.join(' ');
+    } else if (field === 'interval') {
+      layer.sequence.interval = Math.max(0, parseFloat(input.value) || 0);
+    } else if (field === 'gain' || field === 'offset') {
+      layer[field] = Math.max(0, parseFloat(input.value) || 0);
+    } else if (field === 'pitch') {
+      layer.pitch = parseFloat(input.value) || 0;
+    }
+
+    input.closest('.sfx-lane')?.classList.toggle('muted', layer.muted);
+    this.markDirty();
+    this.updateTimeline();
+  }
+
+  renderLayerLanes() {
+    const lanes = this.controlsContainer?.querySelector('#sfx-lanes');
+    if (!lanes) return;
+
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    lanes.innerHTML = this.layers.map((layer, index) => `
+      <div class="sfx-lane${index === this.selectedLayer ? ' selected' : ''}${layer.muted ? ' muted' : ''}" data-index="${index}">
+        <div class="sfx-lane-header">
+          <input type="checkbox" data-field="muted" title="Include in mix" ${layer.muted ? '' : 'checked'}>
+          <input type="text" class="sfx-lane-name" data-field="name" value="${escape(layer.name)}">
+          <label title="Start time (ms)">@<input type="number" data-field="offset" min="0" step="10" value="${layer.offset}"></label>
+          <label title="Gain">Gain<input type="number" data-field="gain" min="0" max="4" step="0.05" value="${layer.gain}"></label>
+          <label title="Pitch shift (semitones)">Pitch<input type="number" data-field="pitch" min="-24" max="24" step="1" value="${layer.pitch}"></label>
+          <label title="Arpeggio steps in semitones; repeat 0 to retrigger (e.g. 0 4 7)">Steps<input type="text" class="sfx-lane-steps" data-field="steps" value="${layer.sequence.steps.join(' ')}"></label>
+          <label title="Time between steps (ms)">Every<input type="number" data-field="interval" min="0" step="10" value="${layer.sequence.interval}"></label>
+        </div>
+        <div class="sfx-lane-track"></div>
+      </div>
+    `).join('');
+    this.updateTimeline();
+    this.updateAutomationDisplay();
+  }
+
+  /**
+   * Position the clips of every lane on the shared time scale
+   */
+  updateTimeline() {
+    const lanes = this.controlsContainer?.querySelector('#sfx-lanes');
+    if (!lanes) return;
+
+    const length = this.getTimelineLength();
+    this.layers.forEach((layer, index) => {
+      const track = lanes.querySelector(`.sfx-lane[data-index="${index}"] .sfx-lane-track`);
+      if (!track) return;
+      track.innerHTML = this.getLayerClips(layer).map((clip, clipIndex) => `
+        <div class="sfx-lane-clip${clipIndex > 0 ? ' retrigger' : ''}"
+             style="left: ${(clip.start / length) * 100}%; width: ${(clip.duration / length) * 100}%"
+             title="${clip.start} ms, ${clip.pitch >= 0 ? '+' : ''}${clip.pitch} st"></div>
+      `).join('');
+    });
+
+    const scale = this.controlsContainer.querySelector('#sfx-timeline-scale');
+    if (scale) scale.textContent = `0 - ${Math.round(length)} ms`;
+  }
+
+  /**
+   * Start, length and pitch of every note a layer plays on the timeline
+   */
+  getLayerClips(layer) {
+    const duration = this.getLayerDuration(layer);
+    return SfxComposition.getTriggers(layer).map(trigger => ({
+      start: trigger.time,
+      duration: duration / Math.pow(2, trigger.pitch / 12),
+      pitch: trigger.pitch
+    }));
+  }
+
+  /**
+   * Unshifted length of a layer in ms (rendered once per parameter set and automation)
+   */
+  getLayerDuration(layer) {
+    const key = JSON.stringify([layer.parameters, layer.automation]);
+    if (!this.layerDurations.has(key)) {
+      try {
+        const rendered = SfxComposition.renderLayer(layer);
+        this.layerDurations.set(key, (rendered.samples.length / rendered.sampleRate) * 1000);
+      } catch (error) {
+        console.warn('[SoundFXEditor] Could not measure layer length:', error);
+        return 0;
+      }
+    }
+    return this.layerDurations.get(key);
+  }
+
+  getTimelineLength() {
+    const end = this.layers.reduce((max, layer) => {
+      return this.getLayerClips(layer).reduce((last, clip) => Math.max(last, clip.start + clip.duration), max);
+    }, 0);
+    // Leave room to drag layers later in time
+    return Math.max(500, end * 1.25);
+  }
+
+  captureUndoState() {
+    return { layers: JSON.parse(JSON.stringify(this.layers)), selectedLayer: this.selectedLayer };
+  }
+
+  restoreUndoState(state) {
+    if (!state) return;
+    // Variations of replaced layer objects can no longer be kept, see keepVariation()
+    this.layers = JSON.parse(JSON.stringify(state.layers));
+    this.selectedLayer = Math.min(state.selectedLayer, this.layers.length - 1);
+    this.loadParametersIntoUI();
+    this.renderLayerLanes();
+    this.updateAutomationDisplay();
+    this.updateWaveformPreview();
   }
 
   // File handling methods
   getContent() {
-    const jsonContent = this.parametersToJson(this.parameters);
+    const jsonContent = new SfxComposition(this.layers).serialize();
     console.log('[SoundFXEditor] getContent() returning JSON:', typeof jsonContent, jsonContent.length, 'chars');
     console.log('[SoundFXEditor] getContent() preview:', jsonContent.substring(0, 100) + '...');
     return jsonContent;
@@ -1058,18 +1649,21 @@ class SoundFXEditor extends CompoundEditor {
       }
       
       if (typeof content === 'string') {
-        this.parameters = this.jsonToParameters(content);
+        this.layers = SfxComposition.parse(content).layers;
       } else {
         console.warn('[SoundFXEditor] Unexpected content type:', typeof content);
-        this.parameters = { ...this.defaultParameters };
+        this.layers = [SfxComposition.createLayer({ name: 'Layer 1' })];
       }
+      this.selectedLayer = 0;
       
       this.loadParametersIntoUI();
+      this.renderLayerLanes();
       this.updateWaveformPreview();
       
     } catch (error) {
       console.error('[SoundFXEditor] Error setting content:', error);
-      this.parameters = { ...this.defaultParameters };
+      this.layers = [SfxComposition.createLayer({ name: 'Layer 1' })];
+      this.selectedLayer = 0;
     }
   }
 
@@ -1127,34 +1721,6 @@ class SoundFXEditor extends CompoundEditor {
     console.log(`[SoundFXEditor] Successfully saved existing file: ${this.path}`);
   }
 
-  parametersToJson(params) {
-    const saveData = {
-      type: "sound_fx",
-      version: "1.0",
-      parameters: params
-    };
-    return JSON.stringify(saveData, null, 2);
-  }
-
-  jsonToParameters(jsonString) {
-    try {
-      const data = JSON.parse(jsonString);
-      
-      // If it has SFXR parameters, use them
-      if (data.parameters) {
-        return { ...this.defaultParameters, ...data.parameters };
-      }
-      
-      // Fallback to defaults
-      console.warn('[SoundFXEditor] No parameters found in JSON, using defaults');
-      return { ...this.defaultParameters };
-      
-    } catch (error) {
-      console.error('[SoundFXEditor] Error parsing JSON:', error);
-      return { ...this.defaultParameters };
-    }
-  }
-
   // Static methods for editor registration
   static getFileExtension() {
     return '.sfx';
@@ -1169,36 +1735,8 @@ class SoundFXEditor extends CompoundEditor {
   }
 
   static createNew() {
-    // Return SFX structure with SFXR parameters
-    return JSON.stringify({
-      type: 'sound_fx',
-      version: '1.0',
-      parameters: {
-        wave_type: 0,
-        p_base_freq: 0.3,
-        p_freq_limit: 0,
-        p_freq_ramp: 0,
-        p_freq_dramp: 0,
-        p_vib_strength: 0,
-        p_vib_speed: 0,
-        p_env_attack: 0,
-        p_env_sustain: 0.3,
-        p_env_punch: 0,
-        p_env_decay: 0.4,
-        p_arp_mod: 0,
-        p_arp_speed: 0,
-        p_duty: 0,
-        p_duty_ramp: 0,
-        p_repeat_speed: 0,
-        p_pha_offset: 0,
-        p_pha_ramp: 0,
-        p_lpf_freq: 1,
-        p_lpf_ramp: 0,
-        p_lpf_resonance: 0,
-        p_hpf_freq: 0,
-        p_hpf_ramp: 0
-      }
-    }, null, 2);
+    // One layer with the default SFXR parameters
+    return new SfxComposition([{ name: 'Layer 1' }]).serialize();
   }
 
   // Refresh content method for tab synchronization
@@ -1208,6 +1746,7 @@ class SoundFXEditor extends CompoundEditor {
       try {
         await this.loadFileData();
         this.loadParametersIntoUI();
+        this.renderLayerLanes();
         console.log('[SoundFXEditor] Content refreshed successfully');
       } catch (error) {
         console.error('[SoundFXEditor] Error refreshing content:', error);
@@ -1218,6 +1757,8 @@ class SoundFXEditor extends CompoundEditor {
   }
 }
 
+SoundFXEditor.MAX_VARIATIONS = 32; // Oldest variations are dropped beyond this
+
 // Export the class
 window.SoundFXEditor = SoundFXEditor;
 
@@ -0,0 +1,839 @@
+// sprite-editor.js
+// Sprite animation editor: picks frame rectangles on a .texture sheet, edits per-frame
+// durations and offsets, and previews the animations. Edits a SpriteData model
+// (scripts/models/texture-data.js) and saves its JSON, which SpriteBuilder reads back.
+
+console.log('[SpriteEditor] Class definition loading');
+
+class SpriteEditor extends EditorBase {
+  constructor(fileObject = null, readOnly = false) {
+    super(fileObject, readOnly);
+
+    this.spriteData = SpriteEditor.createDefaultData();
+    this.selectedAnimationName = this.spriteData.defaultAnimation;
+    this.selectedFrameIndex = -1;
+
+    // Sprite sheet (source image of the selected texture)
+    this.sheetImage = null;
+    this.sheetSource = null;
+    this.sheetCanvas = null;
+    this.zoom = 4;
+    this.cells = [];
+    this.dragStart = null;
+    this.dragRect = null;
+
+    // Animation preview
+    this.previewPlaying = true;
+    this.previewFrameIndex = 0;
+    this.previewElapsed = 0;
+    this.previewLastTime = 0;
+    this.previewRequestId = null;
+
+    this.initializeEditor();
+    this.setupEventListeners();
+
+    if (fileObject && !this.isNewResource) {
+      this.loadFileData();
+    } else {
+      this.refreshUI();
+    }
+    this.startPreview();
+  }
+
+  static createDefaultData() {
+    const spriteData = new SpriteData();
+    spriteData.addAnimation('idle', [], true);
+    return spriteData;
+  }
+
+  initializeEditor() {
+    this.container = document.createElement('div');
+    this.container.className = 'sprite-editor';
+    this.container.innerHTML = `
+      <div class="sprite-toolbar">
+        <label>Texture
+          <select class="sprite-texture-select"></select>
+        </label>
+        <label>W <input type="number" class="sprite-grid-input" data-field="frameWidth" min="1"></label>
+        <label>H <input type="number" class="sprite-grid-input" data-field="frameHeight" min="1"></label>
+        <label>Offset X <input type="number" class="sprite-grid-input" data-field="offsetX" min="0"></label>
+        <label>Offset Y <input type="number" class="sprite-grid-input" data-field="offsetY" min="0"></label>
+        <label>Spacing <input type="number" class="sprite-grid-input" data-field="spacing" min="0"></label>
+        <button class="btn slice-btn" title="Slice the texture into a grid of frames">▦ Slice Grid</button>
+        <button class="btn detect-btn" title="Keep only grid cells that contain pixels">🔍 Auto Detect</button>
+        <button class="btn add-all-btn" title="Append every sliced cell to the current animation">➕ Add All</button>
+        <label>Zoom
+          <select class="sprite-zoom-select">
+            <option value="1">1x</option>
+            <option value="2">2x</option>
+            <option value="4">4x</option>
+            <option value="8">8x</option>
+          </select>
+        </label>
+      </div>
+
+      <div class="sprite-main">
+        <div class="sprite-sheet-panel">
+          <canvas class="sprite-sheet-canvas"></canvas>
+          <div class="sprite-sheet-hint">Pick a texture to start. Click a cell to add it as a frame, or drag to select a custom rectangle.</div>
+        </div>
+
+        <div class="sprite-side-panel">
+          <div class="sprite-section">
+            <div class="sprite-section-header">
+              <h4>Animations</h4>
+              <button class="btn add-animation-btn" title="Add animation">➕</button>
+              <button class="btn remove-animation-btn" title="Remove animation">🗑️</button>
+            </div>
+            <select class="sprite-animation-list" size="5"></select>
+            <div class="sprite-animation-props">
+              <label>Name <input type="text" class="animation-name-input"></label>
+              <label><input type="checkbox" class="animation-loop-input"> Loop</label>
+              <label><input type="checkbox" class="animation-default-input"> Default</label>
+            </div>
+          </div>
+
+          <div class="sprite-section">
+            <div class="sprite-section-header">
+              <h4>Frames</h4>
+            </div>
+            <div class="sprite-frame-list"></div>
+          </div>
+
+          <div class="sprite-section">
+            <div class="sprite-section-header">
+              <h4>Preview</h4>
+              <button class="btn preview-toggle-btn" title="Play / pause">⏸</button>
+            </div>
+            <canvas class="sprite-preview-canvas" width="160" height="160"></canvas>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.textureSelect = this.container.querySelector('.sprite-texture-select');
+    this.gridInputs = this.container.querySelectorAll('.sprite-grid-input');
+    this.zoomSelect = this.container.querySelector('.sprite-zoom-select');
+    this.sheetCanvas = this.container.querySelector('.sprite-sheet-canvas');
+    this.sheetHint = this.container.querySelector('.sprite-sheet-hint');
+    this.animationList = this.container.querySelector('.sprite-animation-list');
+    this.animationNameInput = this.container.querySelector('.animation-name-input');
+    this.animationLoopInput = this.container.querySelector('.animation-loop-input');
+    this.animationDefaultInput = this.container.querySelector('.animation-default-input');
+    this.frameList = this.container.querySelector('.sprite-frame-list');
+    this.previewCanvas = this.container.querySelector('.sprite-preview-canvas');
+    this.previewToggleButton = this.container.querySelector('.preview-toggle-btn');
+  }
+
+  setupEventListeners() {
+    this.textureSelect.addEventListener('change', () => {
+      this.setTexture(this.textureSelect.value || null);
+      this.markDirty();
+      this.loadTextureSheet();
+    });
+
+    this.gridInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        const value = parseInt(input.value, 10);
+        const min = parseInt(input.min, 10) || 0;
+        this.spriteData.grid[input.dataset.field] = isNaN(value) ? min : Math.max(min, value);
+        this.markDirty();
+        this.drawSheet();
+      });
+    });
+
+    this.zoomSelect.addEventListener('change', () => {
+      this.zoom = parseInt(this.zoomSelect.value, 10) || 1;
+      this.drawSheet();
+    });
+
+    this.container.querySelector('.slice-btn').addEventListener('click', () => this.sliceGrid());
+    this.container.querySelector('.detect-btn').addEventListener('click', () => this.autoDetectFrames());
+    this.container.querySelector('.add-all-btn').addEventListener('click', () => this.addAllCells());
+
+    this.sheetCanvas.addEventListener('mousedown', (e) => this.onSheetMouseDown(e));
+    this.sheetCanvas.addEventListener('mousemove', (e) => this.onSheetMouseMove(e));
+    this.sheetCanvas.addEventListener('mouseup', (e) => this.onSheetMouseUp(e));
+    this.sheetCanvas.addEventListener('mouseleave', () => {
+      this.dragStart = null;
+      this.dragRect = null;
+      this.drawSheet();
+    });
+
+    this.container.querySelector('.add-animation-btn').addEventListener('click', () => this.addAnimation());
+    this.container.querySelector('.remove-animation-btn').addEventListener('click', () => this.removeAnimation());
+    this.animationList.addEventListener('change', () => {
+      this.selectAnimation(this.animationList.value);
+    });
+
+    this.animationNameInput.addEventListener('change', () => this.renameAnimation(this.animationNameInput.value));
+    this.animationLoopInput.addEventListener('change', () => {
+      const animation = this.getCurrentAnimation();
+      if (!animation) return;
+      animation.looping = this.animationLoopInput.checked;
+      this.markDirty();
+      this.resetPreview();
+    });
+    this.animationDefaultInput.addEventListener('change', () => {
+      const animation = this.getCurrentAnimation();
+      if (!animation) return;
+      // There is always exactly one default animation, so unchecking is not possible
+      if (this.spriteData.defaultAnimation !== animation.name) {
+        this.spriteData.defaultAnimation = animation.name;
+        this.markDirty();
+      }
+      this.refreshAnimationList();
+    });
+
+    this.previewToggleButton.addEventListener('click', () => {
+      this.previewPlaying = !this.previewPlaying;
+      this.previewToggleButton.textContent = this.previewPlaying ? '⏸' : '▶';
+    });
+  }
+
+  getElement() {
+    // Ensure EditorBase-visible root matches the container
+    if (this.element !== this.container) {
+      this.element = this.container;
+      this.element.classList.add('viewer-content', 'editor-content');
+    }
+    return this.element;
+  }
+
+  getDisplayName() {
+    return this.path ? this.path.split('/').pop() : 'New Sprite';
+  }
+
+  async loadFileData() {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        console.error('[SpriteEditor] FileManager not available');
+        return;
+      }
+
+      const fileObj = await fileManager.loadFile(this.path);
+      const content = fileObj ? (fileObj.content ?? fileObj.fileContent) : null;
+      if (content) {
+        this.setContent(content);
+      } else {
+        console.warn(`[SpriteEditor] No file content found for: ${this.path}`);
+        this.refreshUI();
+      }
+    } catch (error) {
+      console.error('[SpriteEditor] Failed to load file data:', error);
+    }
+  }
+
+  getContent() {
+    return JSON.stringify(this.spriteData.toJSON(), null, 2);
+  }
+
+  setContent(content) {
+    let text = content;
+    if (text instanceof ArrayBuffer) {
+      text = new TextDecoder('utf-8').decode(text);
+    }
+
+    try {
+      const data = typeof text === 'string' ? JSON.parse(text) : text;
+      const spriteData = SpriteData.fromJSON(data);
+      if (spriteData.animations.size === 0) {
+        spriteData.addAnimation('idle', [], true);
+      }
+      this.spriteData = spriteData;
+    } catch (error) {
+      console.error('[SpriteEditor] Failed to parse sprite file:', error);
+      throw new Error(`Invalid sprite file format: ${error.message}`);
+    }
+
+    this.selectedAnimationName = this.spriteData.animations.has(this.spriteData.defaultAnimation)
+      ? this.spriteData.defaultAnimation
+      : this.spriteData.animations.keys().next().value;
+    this.selectedFrameIndex = -1;
+    this.refreshUI();
+    this.loadTextureSheet();
+  }
+
+  async refreshContent() {
+    if (this.path && !this.isNewResource) {
+      await this.loadFileData();
+    }
+  }
+
+  // ===== TEXTURE SHEET =====
+
+  /**
+   * UI path of the .texture the frames are cut from; it is the sprite's texture ID
+   */
+  getTexturePath() {
+    return this.spriteData.getPrimaryTextureId();
+  }
+
+  /**
+   * Cut the frames from another texture; the frame rectangles are kept
+   */
+  setTexture(texturePath) {
+    this.spriteData.textures.clear();
+    if (texturePath) {
+      this.spriteData.addTexture(texturePath, {});
+    }
+    this.spriteData.animations.forEach(animation => {
+      animation.frames.forEach(frame => { frame.textureId = texturePath; });
+    });
+  }
+
+  populateTextureOptions() {
+    this.textureSelect.innerHTML = '<option value="">(none)</option>';
+
+    const projectExplorer = window.serviceContainer?.get('projectExplorer');
+    const textureFiles = projectExplorer && typeof projectExplorer.GetImageFiles === 'function'
+      ? projectExplorer.GetImageFiles().filter(file => file.extension.toLowerCase() === '.texture')
+      : [];
+
+    textureFiles.forEach(file => {
+      const option = document.createElement('option');
+      option.value = file.fullPath;
+      option.textContent = file.name;
+      this.textureSelect.appendChild(option);
+    });
+
+    // Keep a texture that is not in the project (anymore) visible
+    const texturePath = this.getTexturePath();
+    if (texturePath && !textureFiles.some(file => file.fullPath === texturePath)) {
+      const option = document.createElement('option');
+      option.value = texturePath;
+      option.textContent = `${texturePath.split('/').pop()} (missing)`;
+      this.textureSelect.appendChild(option);
+    }
+
+    this.textureSelect.value = texturePath || '';
+  }
+
+  /**
+   * Load the source image of the selected .texture so frames can be picked on it
+   */
+  async loadTextureSheet() {
+    this.sheetImage = null;
+    this.cells = [];
+
+    const texturePath = this.getTexturePath();
+    if (!texturePath) {
+      this.drawSheet();
+      return;
+    }
+
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+
+      const textureFile = await fileManager.loadFile(texturePath);
+      if (!textureFile) {
+        throw new Error(`Texture not found: ${texturePath}`);
+      }
+
+      let text = textureFile.content ?? textureFile.fileContent;
+      if (text instanceof ArrayBuffer) {
+        text = new TextDecoder('utf-8').decode(text);
+      }
+      let textureData;
+      try {
+        textureData = JSON.parse(text);
+      } catch (e) {
+        // Texture files saved by older versions are base64 encoded
+        textureData = JSON.parse(atob(text));
+      }
+
+      // Relative source image paths are next to the .texture file
+      const sourceImagePath = textureData.metadata?.sourceImagePath || textureData.sourceImagePath;
+      if (!sourceImagePath) {
+        throw new Error('Texture has no source image');
+      }
+      const textureDirectory = texturePath.substring(0, texturePath.lastIndexOf('/'));
+      const imagePath = sourceImagePath.includes('/') ? sourceImagePath : `${textureDirectory}/${sourceImagePath}`;
+      const imageFile = await fileManager.loadFile(imagePath);
+      if (!imageFile) {
+        throw new Error(`Source image not found: ${imagePath}`);
+      }
+
+      this.sheetImage = await ImageData.fromFile(imageFile.content ?? imageFile.fileContent, imagePath.split('/').pop());
+      this.sheetSource = this.sheetImage.toCanvas();
+      // The texture entry records the sheet size the frame UVs are relative to
+      this.spriteData.textures.set(texturePath, { width: this.sheetImage.width, height: this.sheetImage.height });
+      console.log(`[SpriteEditor] Loaded sprite sheet ${imagePath} (${this.sheetImage.width}x${this.sheetImage.height})`);
+    } catch (error) {
+      console.error('[SpriteEditor] Failed to load texture sheet:', error);
+      this.sheetSource = null;
+      this.sheetHint.textContent = `Could not load texture: ${error.message}`;
+    }
+
+    this.drawSheet();
+  }
+
+  /**
+   * Grid cells that fit completely inside the sheet
+   */
+  getGridCells() {
+    if (!this.sheetSource) return [];
+
+    const { frameWidth, frameHeight, offsetX, offsetY, spacing } = this.spriteData.grid;
+    const cells = [];
+    for (let y = offsetY; y + frameHeight <= this.sheetSource.height; y += frameHeight + spacing) {
+      for (let x = offsetX; x + frameWidth <= this.sheetSource.width; x += frameWidth + spacing) {
+        cells.push({ x, y, width: frameWidth, height: frameHeight });
+      }
+    }
+    return cells;
+  }
+
+  sliceGrid() {
+    this.cells = this.getGridCells();
+    console.log(`[SpriteEditor] Sliced ${this.cells.length} grid cells`);
+    this.drawSheet();
+  }
+
+  /**
+   * Slice with ImageData.extractSprites and keep the cells that contain visible pixels
+   */
+  autoDetectFrames() {
+    if (!this.sheetImage) return;
+
+    const { frameWidth, frameHeight, offsetX, offsetY, spacing } = this.spriteData.grid;
+    if (spacing > 0) {
+      // extractSprites works on a packed grid, so filter the spaced grid ourselves
+      this.cells = this.getGridCells().filter(cell => {
+        const region = this.sheetImage.extractRegion(cell.x, cell.y, cell.width, cell.height);
+        return region && region.colors.some(color => color.a > 0);
+      });
+    } else {
+      this.cells = this.sheetImage.extractSprites(frameWidth, frameHeight, offsetX, offsetY)
+        .filter(entry => entry.sprite.colors.some(color => color.a > 0))
+        .map(entry => ({
+          x: offsetX + entry.col * frameWidth,
+          y: offsetY + entry.row * frameHeight,
+          width: frameWidth,
+          height: frameHeight
+        }));
+    }
+
+    console.log(`[SpriteEditor] Auto-detected ${this.cells.length} non-empty frames`);
+    this.drawSheet();
+  }
+
+  addAllCells() {
+    if (this.cells.length === 0) {
+      this.sliceGrid();
+    }
+    this.cells.forEach(cell => this.addFrame(cell, false));
+    this.refreshFrameList();
+    this.resetPreview();
+    this.drawSheet();
+  }
+
+  drawSheet() {
+    const canvas = this.sheetCanvas;
+    const ctx = canvas.getContext('2d');
+
+    if (!this.sheetSource) {
+      canvas.width = 0;
+      canvas.height = 0;
+      this.sheetHint.style.display = '';
+      return;
+    }
+    this.sheetHint.style.display = 'none';
+
+    const zoom = this.zoom;
+    canvas.width = this.sheetSource.width * zoom;
+    canvas.height = this.sheetSource.height * zoom;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.sheetSource, 0, 0, canvas.width, canvas.height);
+
+    const strokeRect = (rect, color) => {
+      ctx.strokeStyle = color;
+      ctx.strokeRect(rect.x * zoom + 0.5, rect.y * zoom + 0.5, rect.width * zoom - 1, rect.height * zoom - 1);
+    };
+
+    ctx.lineWidth = 1;
+    (this.cells.length > 0 ? this.cells : this.getGridCells()).forEach(cell => {
+      strokeRect(cell, this.cells.length > 0 ? 'rgba(0, 200, 255, 0.7)' : 'rgba(255, 255, 255, 0.25)');
+    });
+
+    const animation = this.getCurrentAnimation();
+    if (animation) {
+      animation.frames.forEach((frame, index) => {
+        strokeRect(this.getFrameRect(frame), index === this.selectedFrameIndex ? '#ffcc00' : '#4ec94e');
+        ctx.fillStyle = '#4ec94e';
+        ctx.font = '10px monospace';
+        ctx.fillText(String(index), frame.pixelX * zoom + 2, frame.pixelY * zoom + 10);
+      });
+    }
+
+    if (this.dragRect) {
+      strokeRect(this.dragRect, '#ff6464');
+    }
+  }
+
+  getSheetPosition(e) {
+    const bounds = this.sheetCanvas.getBoundingClientRect();
+    return {
+      x: Math.floor((e.clientX - bounds.left) / this.zoom),
+      y: Math.floor((e.clientY - bounds.top) / this.zoom)
+    };
+  }
+
+  onSheetMouseDown(e) {
+    if (this.readOnly || !this.sheetSource) return;
+    this.dragStart = this.getSheetPosition(e);
+    this.dragRect = null;
+  }
+
+  onSheetMouseMove(e) {
+    if (!this.dragStart) return;
+    const pos = this.getSheetPosition(e);
+    this.dragRect = {
+      x: Math.min(this.dragStart.x, pos.x),
+      y: Math.min(this.dragStart.y, pos.y),
+      width: Math.abs(pos.x - this.dragStart.x) + 1,
+      height: Math.abs(pos.y - this.dragStart.y) + 1
+    };
+    this.drawSheet();
+  }
+
+  onSheetMouseUp(e) {
+    if (!this.dragStart) return;
+
+    const pos = this.getSheetPosition(e);
+    let rect = this.dragRect;
+    if (!rect || (rect.width <= 2 && rect.height <= 2)) {
+      // A click picks the grid cell under the cursor
+      const cells = this.cells.length > 0 ? this.cells : this.getGridCells();
+      rect = cells.find(cell => pos.x >= cell.x && pos.x < cell.x + cell.width && pos.y >= cell.y && pos.y < cell.y + cell.height) || null;
+    }
+
+    this.dragStart = null;
+    this.dragRect = null;
+
+    if (rect) {
+      this.addFrame(rect);
+    } else {
+      this.drawSheet();
+    }
+  }
+
+  // ===== ANIMATIONS =====
+
+  getCurrentAnimation() {
+    return this.spriteData.getAnimation(this.selectedAnimationName) || null;
+  }
+
+  selectAnimation(name) {
+    this.selectedAnimationName = this.spriteData.animations.has(name) ? name : this.spriteData.animations.keys().next().value;
+    this.selectedFrameIndex = -1;
+    this.refreshAnimationProps();
+    this.refreshFrameList();
+    this.resetPreview();
+    this.drawSheet();
+  }
+
+  addAnimation() {
+    let name = 'anim';
+    let counter = 1;
+    while (this.spriteData.animations.has(`${name}${counter}`)) {
+      counter++;
+    }
+    this.spriteData.addAnimation(`${name}${counter}`, [], true);
+    this.selectedAnimationName = `${name}${counter}`;
+    this.markDirty();
+    this.refreshAnimationList();
+    this.selectAnimation(this.selectedAnimationName);
+  }
+
+  removeAnimation() {
+    if (this.spriteData.animations.size <= 1) {
+      console.warn('[SpriteEditor] A sprite needs at least one animation');
+      return;
+    }
+
+    // Select the neighbour of the removed animation
+    const names = Array.from(this.spriteData.animations.keys());
+    const index = names.indexOf(this.selectedAnimationName);
+    this.spriteData.removeAnimation(this.selectedAnimationName);
+    this.selectedAnimationName = names[index + 1] || names[index - 1];
+    this.markDirty();
+    this.refreshAnimationList();
+    this.selectAnimation(this.selectedAnimationName);
+  }
+
+  renameAnimation(newName) {
+    const animation = this.getCurrentAnimation();
+    const name = (newName || '').trim();
+    if (!animation || !name || name === animation.name) {
+      this.refreshAnimationProps();
+      return;
+    }
+    if (!this.spriteData.renameAnimation(animation.name, name)) {
+      console.warn(`[SpriteEditor] Animation name already in use: ${name}`);
+      this.refreshAnimationProps();
+      return;
+    }
+
+    this.selectedAnimationName = name;
+    this.markDirty();
+    this.refreshAnimationList();
+  }
+
+  // ===== FRAMES =====
+
+  /**
+   * Sheet rectangle of a frame, in the {x, y, width, height} form the grid cells use
+   */
+  getFrameRect(frame) {
+    return { x: frame.pixelX, y: frame.pixelY, width: frame.pixelWidth, height: frame.pixelHeight };
+  }
+
+  /**
+   * Append a frame rectangle to the current animation; offset and duration carry over from the last frame
+   */
+  addFrame(rect, refresh = true) {
+    const animation = this.getCurrentAnimation();
+    if (!animation || this.readOnly) return;
+
+    const previous = animation.frames[animation.frames.length - 1];
+    const frame = new AnimationFrame({
+      textureId: this.getTexturePath(),
+      pixelX: rect.x,
+      pixelY: rect.y,
+      pixelWidth: rect.width,
+      pixelHeight: rect.height,
+      duration: previous ? previous.duration : 100,
+      offsetX: previous ? previous.offsetX : 0,
+      offsetY: previous ? previous.offsetY : 0
+    });
+    if (this.sheetSource) {
+      frame.pixelsToUV(this.sheetSource.width, this.sheetSource.height);
+    }
+    animation.frames.push(frame);
+    this.selectedFrameIndex = animation.frames.length - 1;
+    this.markDirty();
+
+    if (refresh) {
+      this.refreshFrameList();
+      this.resetPreview();
+      this.drawSheet();
+    }
+  }
+
+  moveFrame(index, direction) {
+    const frames = this.getCurrentAnimation()?.frames;
+    const target = index + direction;
+    if (!frames || target < 0 || target >= frames.length) return;
+
+    [frames[index], frames[target]] = [frames[target], frames[index]];
+    this.selectedFrameIndex = target;
+    this.markDirty();
+    this.refreshFrameList();
+    this.drawSheet();
+  }
+
+  removeFrame(index) {
+    const frames = this.getCurrentAnimation()?.frames;
+    if (!frames) return;
+
+    frames.splice(index, 1);
+    this.selectedFrameIndex = Math.min(this.selectedFrameIndex, frames.length - 1);
+    this.markDirty();
+    this.refreshFrameList();
+    this.resetPreview();
+    this.drawSheet();
+  }
+
+  refreshFrameList() {
+    const animation = this.getCurrentAnimation();
+    this.frameList.innerHTML = '';
+    if (!animation || animation.frames.length === 0) {
+      this.frameList.innerHTML = '<div class="sprite-empty">No frames - click the sheet to add some</div>';
+      return;
+    }
+
+    animation.frames.forEach((frame, index) => {
+      const row = document.createElement('div');
+      row.className = 'sprite-frame-row' + (index === this.selectedFrameIndex ? ' selected' : '');
+      row.innerHTML = `
+        <span class="frame-index">${index}</span>
+        <span class="frame-rect">${frame.pixelX},${frame.pixelY} ${frame.pixelWidth}x${frame.pixelHeight}</span>
+        <label>ms <input type="number" data-field="duration" min="1" value="${frame.duration}"></label>
+        <label title="Offset of the frame from the sprite origin">dx <input type="number" data-field="offsetX" value="${frame.offsetX}"></label>
+        <label title="Offset of the frame from the sprite origin">dy <input type="number" data-field="offsetY" value="${frame.offsetY}"></label>
+        <button class="btn frame-up-btn" title="Move up">▲</button>
+        <button class="btn frame-down-btn" title="Move down">▼</button>
+        <button class="btn frame-remove-btn" title="Remove frame">✕</button>
+      `;
+
+      row.addEventListener('click', () => {
+        if (this.selectedFrameIndex === index) return;
+        this.selectedFrameIndex = index;
+        this.frameList.querySelectorAll('.sprite-frame-row').forEach((el, i) => el.classList.toggle('selected', i === index));
+        this.drawSheet();
+      });
+
+      row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          const value = parseInt(input.value, 10);
+          if (isNaN(value) || (input.dataset.field === 'duration' && value < 1)) {
+            input.value = frame[input.dataset.field];
+            return;
+          }
+          frame[input.dataset.field] = value;
+          this.markDirty();
+        });
+      });
+
+      row.querySelector('.frame-up-btn').addEventListener('click', (e) => { e.stopPropagation(); this.moveFrame(index, -1); });
+      row.querySelector('.frame-down-btn').addEventListener('click', (e) => { e.stopPropagation(); this.moveFrame(index, 1); });
+      row.querySelector('.frame-remove-btn').addEventListener('click', (e) => { e.stopPropagation(); this.removeFrame(index); });
+
+      this.frameList.appendChild(row);
+    });
+  }
+
+  refreshAnimationList() {
+    this.animationList.innerHTML = '';
+    this.spriteData.animations.forEach(animation => {
+      const option = document.createElement('option');
+      option.value = animation.name;
+      option.textContent = animation.name === this.spriteData.defaultAnimation ? `${animation.name} ★` : animation.name;
+      this.animationList.appendChild(option);
+    });
+    this.animationList.value = this.selectedAnimationName;
+    this.refreshAnimationProps();
+  }
+
+  refreshAnimationProps() {
+    const animation = this.getCurrentAnimation();
+    this.animationNameInput.value = animation ? animation.name : '';
+    this.animationLoopInput.checked = !!animation?.looping;
+    this.animationDefaultInput.checked = !!animation && animation.name === this.spriteData.defaultAnimation;
+  }
+
+  refreshUI() {
+    this.populateTextureOptions();
+    this.gridInputs.forEach(input => {
+      input.value = this.spriteData.grid[input.dataset.field];
+    });
+    this.zoomSelect.value = String(this.zoom);
+    this.refreshAnimationList();
+    this.refreshFrameList();
+    this.resetPreview();
+    this.drawSheet();
+  }
+
+  // ===== PREVIEW =====
+
+  resetPreview() {
+    this.previewFrameIndex = 0;
+    this.previewElapsed = 0;
+  }
+
+  startPreview() {
+    const tick = (time) => {
+      if (this.isDestroyed) return;
+
+      const delta = this.previewLastTime ? time - this.previewLastTime : 0;
+      this.previewLastTime = time;
+      if (this.previewPlaying) {
+        this.advancePreview(delta);
+      }
+      this.drawPreview();
+      this.previewRequestId = requestAnimationFrame(tick);
+    };
+    this.previewRequestId = requestAnimationFrame(tick);
+  }
+
+  advancePreview(delta) {
+    const frames = this.getCurrentAnimation()?.frames || [];
+    if (frames.length === 0) return;
+
+    this.previewElapsed += delta;
+    while (this.previewElapsed >= (frames[this.previewFrameIndex]?.duration || 100)) {
+      this.previewElapsed -= frames[this.previewFrameIndex]?.duration || 100;
+      if (this.previewFrameIndex < frames.length - 1) {
+        this.previewFrameIndex++;
+      } else if (this.getCurrentAnimation().looping) {
+        this.previewFrameIndex = 0;
+      } else {
+        this.previewElapsed = 0;
+        break;
+      }
+    }
+  }
+
+  drawPreview() {
+    const canvas = this.previewCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#1e1e1e';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const frames = this.getCurrentAnimation()?.frames || [];
+    const frame = frames[Math.min(this.previewFrameIndex, frames.length - 1)];
+    if (!frame || !this.sheetSource) return;
+
+    // The sprite origin is the crosshair in the middle of the preview
+    const largest = Math.max(...frames.map(f => Math.max(f.pixelWidth, f.pixelHeight)));
+    const scale = Math.max(1, Math.floor((canvas.width * 0.5) / largest));
+    const anchorX = Math.floor(canvas.width / 2);
+    const anchorY = Math.floor(canvas.height / 2);
+    ctx.drawImage(
+      this.sheetSource,
+      frame.pixelX, frame.pixelY, frame.pixelWidth, frame.pixelHeight,
+      anchorX + frame.offsetX * scale, anchorY + frame.offsetY * scale,
+      frame.pixelWidth * scale, frame.pixelHeight * scale
+    );
+
+    ctx.strokeStyle = 'rgba(255, 100, 100, 0.8)';
+    ctx.beginPath();
+    ctx.moveTo(anchorX - 6, anchorY + 0.5);
+    ctx.lineTo(anchorX + 6, anchorY + 0.5);
+    ctx.moveTo(anchorX + 0.5, anchorY - 6);
+    ctx.lineTo(anchorX + 0.5, anchorY + 6);
+    ctx.stroke();
+  }
+
+  destroy() {
+    if (this.previewRequestId) {
+      cancelAnimationFrame(this.previewRequestId);
+      this.previewRequestId = null;
+    }
+    super.destroy();
+  }
+
+  // Static methods for editor registration
+  static getFileExtension() {
+    return '.sprite';
+  }
+
+  static getDefaultFolder() {
+    return (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ?
+      `${window.ProjectPaths.getSourcesRootUi()}/Images` : 'Resources/Images';
+  }
+
+  static createNew() {
+    return JSON.stringify(SpriteEditor.createDefaultData().toJSON(), null, 2);
+  }
+}
+
+// Export the class
+window.SpriteEditor = SpriteEditor;
+
+// Static metadata for auto-registration
+SpriteEditor.getFileExtensions = () => ['.sprite'];
+SpriteEditor.getDisplayName = () => 'Sprite';
+SpriteEditor.getIcon = () => '🏃';
+SpriteEditor.getPriority = () => 10;
+SpriteEditor.getCapabilities = () => ['sprite-editing', 'animation-preview', 'buildable'];
+SpriteEditor.canCreate = true;
+
+// Register the component
+SpriteEditor.registerComponent();
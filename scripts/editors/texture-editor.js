@@ -1437,7 +1437,11 @@ class TextureEditor extends EditorBase {
       opacity: 0.5;
     `;
 
-    this.applyBtn.addEventListener('click', () => this.applyPaletteToImage());
+    this.applyBtn.addEventListener('click', () => {
+      // Auto-generation applies the palette as well, only the button press is an undo step
+      this.recordUndo('Apply palette');
+      this.applyPaletteToImage();
+    });
     
     // Apply button hover effect
     this.applyBtn.addEventListener('mouseenter', () => {
@@ -2015,6 +2019,43 @@ class TextureEditor extends EditorBase {
     return '';
   }
 
+  captureUndoState() {
+    if (!this.textureData) return null;
+    const output = this.outputCanvas && this.outputCanvas.width > 0
+      ? this.outputCanvas.getContext('2d').getImageData(0, 0, this.outputCanvas.width, this.outputCanvas.height)
+      : null;
+    return {
+      metadata: { ...this.textureData.metadata },
+      currentPalette: this.currentPalette,
+      lastReductionResult: this.lastReductionResult,
+      processedImageData: this.textureData.processedImageData,
+      output
+    };
+  }
+
+  restoreUndoState(state) {
+    if (!state || !this.textureData) return;
+    // Written directly so the metadataChanged handler does not reload the palette or reset the offset
+    Object.assign(this.textureData.metadata, state.metadata);
+    this.currentPalette = state.currentPalette;
+    this.lastReductionResult = state.lastReductionResult;
+    this.textureData.processedImageData = state.processedImageData;
+
+    this.updateMetadataDisplay();
+    const format = ImageData.getTextureFormatOptions().find(f => f.value === state.metadata.outputPixelFormat);
+    if (format && this.formatLabel) {
+      this.formatLabel.innerHTML = `Output Format: <span style="color: #4a9eff;">${format.label}</span>`;
+    }
+    if (this.paletteDisplay) {
+      this.displayPalette(this.currentPalette ? this.currentPalette.getColors() : null);
+    }
+    if (this.outputCanvas && state.output) {
+      this.outputCanvas.width = state.output.width;
+      this.outputCanvas.height = state.output.height;
+      this.outputCanvas.getContext('2d').putImageData(state.output, 0, 0);
+    }
+  }
+
   setContent(content) {
     try {
       const data = JSON.parse(content);
@@ -2951,7 +2992,11 @@ class TextureEditor extends EditorBase {
       );
 
       if (selectedPalette) {
+        const state = this.captureUndoState();
         await this.loadPaletteFromProject(selectedPalette);
+        if (this.currentPalette?.name === selectedPalette) {
+          this.recordUndo(`Load palette ${selectedPalette}`, { state });
+        }
       }
     } catch (error) {
       console.error('[TextureEditor] Error in palette load modal:', error);
@@ -2979,9 +3024,11 @@ class TextureEditor extends EditorBase {
         formatItems
       );
 
-      if (result) {
+      if (result && result !== this.textureData.outputPixelFormat) {
         // Update the format in texture data
+        this.recordUndo('Change output format');
         this.textureData.outputPixelFormat = result;
+        this.markDirty();
         
         // Update the UI label
         const format = formats.find(f => f.value === result);
@@ -3106,6 +3153,7 @@ class TextureEditor extends EditorBase {
       const palette = Palette.fromColors(result.palette, `Generated Palette (${algorithm})`);
       
       // Store the palette and the reduction result (including indexed frames)
+      this.recordUndo(`Extract palette (${algorithm})`);
       this.currentPalette = palette;
       this.lastReductionResult = result;  // Store for later application
       this.displayPalette(palette.getColors());
@@ -3293,6 +3341,7 @@ class TextureEditor extends EditorBase {
       // Add click handler to select this chunk
       chunkContainer.addEventListener('click', () => {
         // Update palette offset in metadata
+        this.recordUndo(`Palette offset ${startIndex}`);
         this.textureData.metadata.paletteOffset = startIndex;
         
         // Refresh display to show new selection
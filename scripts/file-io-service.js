@@ -1,6 +1,9 @@
 // file-io-service.js
 // Handles file persistence across different environments
 
+// Files read from a folder on disk as text; everything else is loaded as an ArrayBuffer
+const FILE_IO_TEXT_EXTENSIONS = ['.lua', '.txt', '.pal', '.sfx', '.clip', '.replay', '.texture', '.sprite', '.json'];
+
 class FileIOService {
   constructor(options = {}) {
     this.storageType = 'indexeddb'; // 'indexeddb', 'localstorage', 'filesystem', 'nodejs'
@@ -10,6 +13,18 @@ class FileIOService {
     this.initPromise = null; // Track initialization
     this.clearOnStartup = options.clearOnStartup || false; // Clear IndexedDB on startup
     
+    // Project folder on disk ('filesystem' and 'nodejs' storage)
+    this.directoryHandle = null; // File System Access API directory handle
+    this.rootPath = options.rootPath || null; // Node.js project directory
+    this.folderOpen = false; // Set by openDirectory()
+    this.fileIndex = new Map(); // path -> "size:lastModified" of the last scan, to spot external edits
+    this.pollInterval = options.pollInterval || 2000; // ms between scans of a browser-opened folder
+    this.pollTimer = null;
+    this.watcher = null;
+    this.scanTimer = null;
+    this.scanning = false;
+    this.pendingWrites = 0;
+    
     this.initPromise = this.initialize();
   }
   
@@ -17,7 +32,8 @@ class FileIOService {
     // Try to determine the best storage method
     if (this.isNodeEnvironment()) {
       this.storageType = 'nodejs';
-      console.log('[FileIOService] Using Node.js filesystem');
+      this.rootPath = require('path').resolve(this.rootPath || process.env.RETROSTUDIO_PROJECT_DIR || process.cwd());
+      console.log(`[FileIOService] Using Node.js filesystem: ${this.rootPath}`);
     } else if (this.supportsIndexedDB()) {
       this.storageType = 'indexeddb';
       await this.initIndexedDB();
@@ -56,6 +72,16 @@ class FileIOService {
     return 'showOpenFilePicker' in window && 'showSaveFilePicker' in window;
   }
   
+  // A project folder can be opened from disk (directory picker or Node.js host)
+  supportsLocalFolders() {
+    return this.isNodeEnvironment() || 'showDirectoryPicker' in window;
+  }
+  
+  // True while files are read from and written to a folder on disk
+  isLocalFolder() {
+    return this.folderOpen;
+  }
+  
   supportsIndexedDB() {
     return 'indexedDB' in window;
   }
@@ -187,6 +213,8 @@ class FileIOService {
       switch (this.storageType) {
         case 'indexeddb':
           return await this.saveToIndexedDB(fileData);
+        case 'filesystem':
+          return await this.saveToFileSystem(fileData);
         case 'nodejs':
           return await this.saveToNodeFS(fileData);
         default:
@@ -207,6 +235,8 @@ class FileIOService {
       switch (this.storageType) {
         case 'indexeddb':
           return await this.loadFromIndexedDB(path);
+        case 'filesystem':
+          return await this.loadFromFileSystem(path);
         case 'nodejs':
           return await this.loadFromNodeFS(path);
         default:
@@ -305,56 +335,369 @@ class FileIOService {
   // localStorage implementation (for simple fallback)
   // Removed localStorage fallbacks for pure IndexedDB approach
   
+  // Open a folder on disk as the project storage: a FileSystemDirectoryHandle in the browser,
+  // a directory path on a Node.js host. Files keep their storage paths inside it
+  // (Sources/..., build/...), so the folder can be kept in git and edited with other tools.
+  async openDirectory(directory) {
+    await this.ensureReady();
+    this.stopWatching();
+    
+    if (this.isNodeEnvironment()) {
+      this.rootPath = require('path').resolve(directory || this.rootPath);
+      await require('fs').promises.mkdir(this.rootPath, { recursive: true });
+      this.storageType = 'nodejs';
+    } else {
+      const mode = { mode: 'readwrite' };
+      let permission = directory.queryPermission ? await directory.queryPermission(mode) : 'granted';
+      if (permission !== 'granted' && directory.requestPermission) {
+        permission = await directory.requestPermission(mode);
+      }
+      if (permission !== 'granted') {
+        throw new Error(`Write access to "${directory.name}" was denied`);
+      }
+      this.directoryHandle = directory;
+      this.storageType = 'filesystem';
+    }
+    
+    const files = await this.listFiles();
+    this.fileIndex = new Map(files.map(file => [file.path, this.getIndexKey(file)]));
+    this.folderOpen = true;
+    this.startWatching();
+    console.log(`[FileIOService] Opened folder ${this.getDirectoryName()} (${files.length} files)`);
+    return files;
+  }
+  
+  // Go back to browser storage
+  closeDirectory() {
+    if (!this.isLocalFolder()) return;
+    this.stopWatching();
+    this.fileIndex.clear();
+    this.folderOpen = false;
+    this.directoryHandle = null;
+    if (!this.isNodeEnvironment()) {
+      this.storageType = 'indexeddb';
+    }
+    console.log('[FileIOService] Closed project folder');
+  }
+  
+  getDirectoryName() {
+    if (this.storageType === 'filesystem') return this.directoryHandle?.name || null;
+    if (this.storageType === 'nodejs') return require('path').basename(this.rootPath);
+    return null;
+  }
+  
+  isTextPath(path) {
+    const lower = path.toLowerCase();
+    return FILE_IO_TEXT_EXTENSIONS.some(ext => lower.endsWith(ext));
+  }
+  
+  // Bytes or text to write to disk for a record built by saveFile
+  getDiskContent(fileData) {
+    return fileData.binaryData ? new Uint8Array(this.fromBase64(fileData.fileContent)) : fileData.fileContent;
+  }
+  
+  // Record in the shape loadFromIndexedDB returns (base64 fileContent for binary files)
+  createDiskRecord(path, content, size, lastModified) {
+    const binary = typeof content !== 'string';
+    return {
+      ...this.createListRecord(path, size, lastModified),
+      fileContent: binary ? this.toBase64(content) : content,
+      content,
+      binaryData: binary
+    };
+  }
+  
+  createListRecord(path, size, lastModified) {
+    return {
+      path,
+      filename: path.split('/').pop(),
+      directory: path.substring(0, path.lastIndexOf('/')),
+      size,
+      lastModified
+    };
+  }
+  
+  toBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+  
+  fromBase64(base64) {
+    const binary = atob(base64 || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  }
+  
+  // Dot folders (.git) and node_modules are not part of the project
+  isIgnoredEntry(name) {
+    return name.startsWith('.') || name === 'node_modules';
+  }
+  
   // File System Access API implementation
-  async saveToFileSystem(fileData) { throw new Error('File System Access not supported'); }
-  async loadFromFileSystem(path) { throw new Error('File System Access not supported'); }
+  async getFileSystemParent(path, create = false) {
+    if (!this.directoryHandle) {
+      throw new Error('No project folder open');
+    }
+    const parts = path.split('/').filter(Boolean);
+    const fileName = parts.pop();
+    let directory = this.directoryHandle;
+    for (const part of parts) {
+      directory = await directory.getDirectoryHandle(part, { create });
+    }
+    return { directory, fileName };
+  }
+  
+  async saveToFileSystem(fileData) {
+    this.pendingWrites++;
+    try {
+      const { directory, fileName } = await this.getFileSystemParent(fileData.path, true);
+      const handle = await directory.getFileHandle(fileName, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(this.getDiskContent(fileData));
+      await writable.close();
+      
+      // Remember our own write so the next scan does not report it as an external change
+      const file = await handle.getFile();
+      this.fileIndex.set(fileData.path, this.getIndexKey(file));
+      console.log(`[FileIOService] Saved to folder: ${fileData.path}`);
+      return fileData;
+    } finally {
+      this.pendingWrites--;
+    }
+  }
+  
+  async loadFromFileSystem(path) {
+    try {
+      const { directory, fileName } = await this.getFileSystemParent(path);
+      const file = await (await directory.getFileHandle(fileName)).getFile();
+      const content = this.isTextPath(path) ? await file.text() : await file.arrayBuffer();
+      console.log(`[FileIOService] Loaded from folder: ${path}`);
+      return this.createDiskRecord(path, content, file.size, file.lastModified);
+    } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+        return null; // File not found
+      }
+      throw error;
+    }
+  }
+  
+  async listFromFileSystem(directoryPath) {
+    const results = [];
+    const walk = async (directory, base) => {
+      for await (const entry of directory.values()) {
+        if (this.isIgnoredEntry(entry.name)) continue;
+        const path = base ? `${base}/${entry.name}` : entry.name;
+        if (entry.kind === 'directory') {
+          await walk(entry, path);
+        } else {
+          const file = await entry.getFile();
+          results.push(this.createListRecord(path, file.size, file.lastModified));
+        }
+      }
+    };
+    await walk(this.directoryHandle, '');
+    return results.filter(record => this.isInDirectory(record, directoryPath));
+  }
+  
+  async deleteFromFileSystem(path) {
+    try {
+      const { directory, fileName } = await this.getFileSystemParent(path);
+      await directory.removeEntry(fileName);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') throw error;
+    }
+    this.fileIndex.delete(path);
+    return true;
+  }
   
   // Node.js filesystem implementation
+  resolveNodePath(path) {
+    const pathModule = require('path');
+    const fullPath = pathModule.resolve(this.rootPath, path);
+    if (fullPath !== this.rootPath && !fullPath.startsWith(this.rootPath + pathModule.sep)) {
+      throw new Error(`Path outside the project folder: ${path}`);
+    }
+    return fullPath;
+  }
+  
   async saveToNodeFS(fileData) {
-    if (typeof require === 'function') {
-      const fs = require('fs').promises;
-      const path = require('path');
-      
-      const fullPath = path.join(process.cwd(), fileData.path);
-      const dir = path.dirname(fullPath);
-      
+    if (typeof require !== 'function') {
+      throw new Error('Node.js environment not available');
+    }
+    const fs = require('fs').promises;
+    const pathModule = require('path');
+    const fullPath = this.resolveNodePath(fileData.path);
+    
+    this.pendingWrites++;
+    try {
       // Ensure directory exists
-      await fs.mkdir(dir, { recursive: true });
+      await fs.mkdir(pathModule.dirname(fullPath), { recursive: true });
       
       // Write file
-      await fs.writeFile(fullPath, fileData.content, 'utf8');
+      const content = this.getDiskContent(fileData);
+      await fs.writeFile(fullPath, typeof content === 'string' ? content : Buffer.from(content), typeof content === 'string' ? 'utf8' : undefined);
+      
+      const stats = await fs.stat(fullPath);
+      this.fileIndex.set(fileData.path, this.getIndexKey({ size: stats.size, lastModified: stats.mtimeMs }));
       return fileData;
+    } finally {
+      this.pendingWrites--;
     }
-    throw new Error('Node.js environment not available');
   }
   
   async loadFromNodeFS(path) {
-    if (typeof require === 'function') {
-      const fs = require('fs').promises;
-      const pathModule = require('path');
-      
-      const fullPath = pathModule.join(process.cwd(), path);
-      
+    if (typeof require !== 'function') {
+      throw new Error('Node.js environment not available');
+    }
+    const fs = require('fs').promises;
+    const fullPath = this.resolveNodePath(path);
+    
+    try {
+      const stats = await fs.stat(fullPath);
+      let content;
+      if (this.isTextPath(path)) {
+        content = await fs.readFile(fullPath, 'utf8');
+      } else {
+        const buffer = await fs.readFile(fullPath);
+        content = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+      }
+      return this.createDiskRecord(path, content, stats.size, stats.mtimeMs);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        return null; // File not found
+      }
+      throw error;
+    }
+  }
+  
+  async listFromNodeFS(directoryPath) {
+    const fs = require('fs').promises;
+    const pathModule = require('path');
+    const results = [];
+    const walk = async (directory, base) => {
+      let entries;
       try {
-        const content = await fs.readFile(fullPath, 'utf8');
-        const stats = await fs.stat(fullPath);
-        
-        return {
-          path: path,
-          filename: pathModule.basename(path),
-          directory: pathModule.dirname(path),
-          content: content,
-          lastModified: stats.mtime.getTime(),
-          size: stats.size
-        };
+        entries = await fs.readdir(directory, { withFileTypes: true });
       } catch (error) {
-        if (error.code === 'ENOENT') {
-          return null; // File not found
-        }
+        if (error.code === 'ENOENT') return;
         throw error;
       }
+      for (const entry of entries) {
+        if (this.isIgnoredEntry(entry.name)) continue;
+        const path = base ? `${base}/${entry.name}` : entry.name;
+        const fullPath = pathModule.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath, path);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(fullPath);
+          results.push(this.createListRecord(path, stats.size, stats.mtimeMs));
+        }
+      }
+    };
+    await walk(this.rootPath, '');
+    return results.filter(record => this.isInDirectory(record, directoryPath));
+  }
+  
+  async deleteFromNodeFS(path) {
+    try {
+      await require('fs').promises.unlink(this.resolveNodePath(path));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.fileIndex.delete(path);
+    return true;
+  }
+  
+  // External changes: fs.watch on a Node.js host, polling (and window focus) in the browser.
+  // Either way a scan compares sizes and modification times with the last one and reports
+  // the difference as a 'storage.files.changed' event {added, changed, deleted}.
+  startWatching() {
+    this.stopWatching();
+    if (this.storageType === 'nodejs') {
+      try {
+        this.watcher = require('fs').watch(this.rootPath, { recursive: true }, () => this.scheduleScan());
+      } catch (error) {
+        // Recursive watching is missing on some platforms, fall back to polling
+        console.warn('[FileIOService] fs.watch unavailable, polling instead:', error.message);
+      }
+    }
+    if (!this.watcher) {
+      this.pollTimer = setInterval(() => this.scheduleScan(), this.pollInterval);
+    }
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this.focusHandler = () => this.scheduleScan();
+      window.addEventListener('focus', this.focusHandler);
+    }
+  }
+  
+  stopWatching() {
+    this.watcher?.close();
+    this.watcher = null;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    clearTimeout(this.scanTimer);
+    this.scanTimer = null;
+    if (this.focusHandler) {
+      window.removeEventListener('focus', this.focusHandler);
+      this.focusHandler = null;
+    }
+  }
+  
+  scheduleScan() {
+    // Editors saving several files at once trigger many watch events; scan once they settle
+    clearTimeout(this.scanTimer);
+    this.scanTimer = setTimeout(() => this.scanForChanges(), 200);
+  }
+  
+  getIndexKey(file) {
+    return `${file.size}:${Math.round(file.lastModified)}`;
+  }
+  
+  /**
+   * Compare the folder with the last scan and report files changed by other programs
+   * @returns {Promise<{added: string[], changed: string[], deleted: string[]}|null>} null when nothing changed
+   */
+  async scanForChanges() {
+    if (this.scanning || !this.isLocalFolder()) return null;
+    if (this.pendingWrites > 0) {
+      this.scheduleScan();
+      return null;
+    }
+    
+    this.scanning = true;
+    try {
+      const files = await this.listFiles();
+      const seen = new Map(files.map(file => [file.path, this.getIndexKey(file)]));
+      const changes = { added: [], changed: [], deleted: [] };
+      for (const [path, key] of seen) {
+        if (!this.fileIndex.has(path)) {
+          changes.added.push(path);
+        } else if (this.fileIndex.get(path) !== key) {
+          changes.changed.push(path);
+        }
+      }
+      for (const path of this.fileIndex.keys()) {
+        if (!seen.has(path)) changes.deleted.push(path);
+      }
+      this.fileIndex = seen;
+      
+      if (!changes.added.length && !changes.changed.length && !changes.deleted.length) return null;
+      console.log(`[FileIOService] External changes: ${changes.added.length} added, ${changes.changed.length} changed, ${changes.deleted.length} deleted`);
+      window.eventBus?.emit('storage.files.changed', changes);
+      return changes;
+    } catch (error) {
+      console.error('[FileIOService] Scanning the project folder failed:', error);
+      return null;
+    } finally {
+      this.scanning = false;
     }
-    throw new Error('Node.js environment not available');
   }
   
   // List files in a directory
@@ -363,6 +706,10 @@ class FileIOService {
       switch (this.storageType) {
         case 'indexeddb':
           return await this.listFromIndexedDB(directoryPath);
+        case 'filesystem':
+          return await this.listFromFileSystem(directoryPath);
+        case 'nodejs':
+          return await this.listFromNodeFS(directoryPath);
         default:
           return [];
       }
@@ -372,11 +719,16 @@ class FileIOService {
     }
   }
   
+  // Exact directory listing and prefix search (case-insensitive)
+  isInDirectory(record, directoryPath) {
+    if (typeof directoryPath !== 'string' || directoryPath.length === 0) return true;
+    const dirLower = directoryPath.toLowerCase();
+    const path = (record.path || '').toLowerCase();
+    const dir = (record.directory || '').toLowerCase();
+    return dir === dirLower || path.startsWith(dirLower + '/') || path.startsWith(dirLower);
+  }
+  
   async listFromIndexedDB(directoryPath) {
-    // Support exact directory listing and prefix search (case-insensitive)
-    const hasDir = typeof directoryPath === 'string' && directoryPath.length > 0;
-    const dirLower = hasDir ? directoryPath.toLowerCase() : '';
-    
     return new Promise((resolve, reject) => {
       try {
         const transaction = this.db.transaction(['files'], 'readonly');
@@ -387,15 +739,8 @@ class FileIOService {
         request.onsuccess = (event) => {
           const cursor = event.target.result;
           if (cursor) {
-            const value = cursor.value;
-            if (!hasDir) {
-              results.push(value);
-            } else {
-              const path = (value.path || '').toLowerCase();
-              const dir = (value.directory || '').toLowerCase();
-              if (dir === dirLower || path.startsWith(dirLower + '/') || path.startsWith(dirLower)) {
-                results.push(value);
-              }
+            if (this.isInDirectory(cursor.value, directoryPath)) {
+              results.push(cursor.value);
             }
             cursor.continue();
           } else {
@@ -417,6 +762,10 @@ class FileIOService {
       switch (this.storageType) {
         case 'indexeddb':
           return await this.deleteFromIndexedDB(path);
+        case 'filesystem':
+          return await this.deleteFromFileSystem(path);
+        case 'nodejs':
+          return await this.deleteFromNodeFS(path);
         default:
           return false;
       }
@@ -0,0 +1,232 @@
+// audio-mixer-panel.js
+// Docked mixer panel of the game emulator: the sounds and songs the AudioEngine is mixing,
+// per-group and master peak/RMS meters with clip lamps, and solo/mute of single voices.
+// Levels come from the MixerWorklet's metering reports ('mixerState' events), which only
+// run while the panel is open.
+
+const AUDIO_MIXER_METER_FLOOR_DB = -60;
+
+class AudioMixerPanel {
+  /**
+   * @param {HTMLElement} container - The docked panel element
+   * @param {AudioEngine} audioEngine
+   */
+  constructor(container, audioEngine) {
+    this.container = container;
+    this.audioEngine = audioEngine;
+    this.isOpen = false;
+    this.clipped = new Set(); // Meters whose clip lamp is lit until clicked ('master' or a group name)
+    this.sourceRows = new Map(); // Voice/stream id -> table row
+    this.meterRows = new Map(); // Meter name -> row
+
+    this.onMixerState = (e) => this.update(e.detail);
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <div class="audio-mixer-header">
+        <span class="audio-mixer-title">Mixer</span>
+        <button class="debug-btn audio-mixer-clear" title="Clear every solo and mute">Clear S/M</button>
+      </div>
+      <div class="audio-mixer-body">
+        <div class="audio-mixer-section">
+          <h5>Levels</h5>
+          <div class="audio-mixer-meters"></div>
+        </div>
+        <div class="audio-mixer-section">
+          <h5>Playing</h5>
+          <table class="audio-mixer-sources">
+            <thead>
+              <tr><th>Resource</th><th>Group</th><th>Vol</th><th>Pan</th><th>Time</th><th></th></tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+          <div class="audio-mixer-empty">Nothing playing</div>
+        </div>
+      </div>
+    `;
+    this.metersElement = this.container.querySelector('.audio-mixer-meters');
+    this.sourcesElement = this.container.querySelector('.audio-mixer-sources tbody');
+    this.emptyElement = this.container.querySelector('.audio-mixer-empty');
+
+    this.container.querySelector('.audio-mixer-clear').addEventListener('click', () => {
+      this.audioEngine?.clearSoloMute();
+    });
+
+    // Rows are updated in place every report, so clicks are handled on the containers
+    this.sourcesElement.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const row = button?.closest('tr');
+      if (!row) return;
+      const pressed = !button.classList.contains('active');
+      if (button.dataset.action === 'solo') {
+        this.audioEngine?.setSourceSolo(row.dataset.sourceId, pressed);
+      } else {
+        this.audioEngine?.setSourceMuted(row.dataset.sourceId, pressed);
+      }
+      button.classList.toggle('active', pressed);
+    });
+    this.metersElement.addEventListener('click', (e) => {
+      const lamp = e.target.closest('.audio-mixer-clip');
+      if (!lamp) return;
+      this.clipped.delete(lamp.closest('.audio-mixer-meter').dataset.meter);
+      lamp.classList.remove('lit');
+    });
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen || !this.audioEngine) return;
+    this.isOpen = true;
+    this.container.classList.add('open');
+    this.audioEngine.addEventListener('mixerState', this.onMixerState);
+    this.audioEngine.setMetering(true);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.container.classList.remove('open');
+    this.audioEngine.removeEventListener('mixerState', this.onMixerState);
+    this.audioEngine.setMetering(false);
+  }
+
+  /**
+   * Show one metering report
+   * @param {Object} state - 'mixerState' event detail: {voices, songs, groups, master, playing}
+   */
+  update(state) {
+    this.updateMeter('master', 'Master', state.master, state.master.volume);
+    for (const [name, group] of Object.entries(state.groups)) {
+      this.updateMeter(name, name, group, group.volume, group.muted);
+    }
+
+    const sources = [...state.songs, ...state.voices];
+    const seen = new Set();
+    for (const source of sources) {
+      seen.add(source.id);
+      this.updateSource(source);
+    }
+    for (const [id, row] of this.sourceRows) {
+      if (!seen.has(id)) {
+        row.remove();
+        this.sourceRows.delete(id);
+      }
+    }
+    this.emptyElement.style.display = sources.length ? 'none' : '';
+  }
+
+  /**
+   * @param {string} name - 'master' or a group name
+   * @param {string} label
+   * @param {Object} levels - {peak, rms, clipped}; peak/rms are per-channel arrays or null for a silent group
+   * @param {number} volume - Fader setting
+   * @param {boolean} muted
+   */
+  updateMeter(name, label, levels, volume, muted = false) {
+    let row = this.meterRows.get(name);
+    if (!row) {
+      row = document.createElement('div');
+      row.className = 'audio-mixer-meter';
+      row.dataset.meter = name;
+      row.innerHTML = `
+        <span class="audio-mixer-meter-label">${this.escapeHtml(label)}</span>
+        <div class="audio-mixer-meter-bars"></div>
+        <span class="audio-mixer-meter-value"></span>
+        <span class="audio-mixer-clip" title="Clipped (click to reset)">CLIP</span>
+      `;
+      this.metersElement.appendChild(row);
+      this.meterRows.set(name, row);
+    }
+
+    const peaks = levels.peak || [0, 0];
+    const rms = levels.rms || peaks.map(() => 0);
+    const bars = row.querySelector('.audio-mixer-meter-bars');
+    if (bars.children.length !== peaks.length) {
+      bars.innerHTML = peaks.map(() => '<div class="audio-mixer-bar"><div class="audio-mixer-rms"></div><div class="audio-mixer-peak"></div></div>').join('');
+    }
+    peaks.forEach((peak, channel) => {
+      const bar = bars.children[channel];
+      bar.querySelector('.audio-mixer-rms').style.width = `${this.meterPosition(rms[channel])}%`;
+      bar.querySelector('.audio-mixer-peak').style.left = `${this.meterPosition(peak)}%`;
+    });
+
+    const loudest = Math.max(...peaks);
+    row.querySelector('.audio-mixer-meter-value').textContent = loudest > 0 ? `${this.toDecibels(loudest).toFixed(1)} dB` : '-∞ dB';
+    row.title = `${label}: volume ${Math.round(volume * 100)}%${muted ? ' (muted)' : ''}`;
+    row.classList.toggle('muted', !!muted);
+
+    if (levels.clipped) this.clipped.add(name);
+    row.querySelector('.audio-mixer-clip').classList.toggle('lit', this.clipped.has(name));
+  }
+
+  /**
+   * @param {Object} source - {id, resourceId, group, volume, pan, elapsed, paused, muted, soloed}
+   */
+  updateSource(source) {
+    let row = this.sourceRows.get(source.id);
+    if (!row) {
+      row = document.createElement('tr');
+      row.dataset.sourceId = source.id;
+      row.innerHTML = `
+        <td class="audio-mixer-resource"></td>
+        <td class="audio-mixer-group"></td>
+        <td class="audio-mixer-volume"></td>
+        <td class="audio-mixer-pan"></td>
+        <td class="audio-mixer-elapsed"></td>
+        <td class="audio-mixer-actions">
+          <button class="audio-mixer-toggle" data-action="solo" title="Solo">S</button>
+          <button class="audio-mixer-toggle" data-action="mute" title="Mute">M</button>
+        </td>
+      `;
+      this.sourcesElement.appendChild(row);
+      this.sourceRows.set(source.id, row);
+    }
+
+    const resource = source.resourceId ? this.audioEngine.getResource(source.resourceId) : null;
+    const cells = row.children;
+    cells[0].textContent = source.resourceId || source.id;
+    cells[0].title = `${source.id}${resource?.name ? ` - ${resource.name}` : ''}`;
+    cells[1].textContent = source.group;
+    cells[2].textContent = `${Math.round(source.volume * 100)}%`;
+    cells[3].textContent = source.pan === 0 ? 'C' : `${source.pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(source.pan) * 100)}`;
+    cells[4].textContent = `${this.formatTime(source.elapsed)}${source.paused ? ' ⏸' : ''}`;
+    cells[5].querySelector('[data-action="solo"]').classList.toggle('active', source.soloed);
+    cells[5].querySelector('[data-action="mute"]').classList.toggle('active', source.muted);
+    row.classList.toggle('muted', source.muted);
+  }
+
+  /**
+   * Bar position of a level on the dB scale (0-100, the right end is 0 dBFS)
+   */
+  meterPosition(level) {
+    if (!(level > 0)) return 0;
+    const db = this.toDecibels(level);
+    return Math.max(0, Math.min(100, (db - AUDIO_MIXER_METER_FLOOR_DB) / -AUDIO_MIXER_METER_FLOOR_DB * 100));
+  }
+
+  toDecibels(level) {
+    return 20 * Math.log10(level);
+  }
+
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+}
+
+window.AudioMixerPanel = AudioMixerPanel;
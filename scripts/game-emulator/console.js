@@ -10,6 +10,8 @@ class GameConsole {
       maxMessages: options.maxMessages || 10000,
       autoScroll: options.autoScroll !== false,
       showLineNumbers: options.showLineNumbers || false,
+      // Called with (path, line, message) when a "file.lua:12:" message is clicked
+      onLocationClick: options.onLocationClick || null,
       ...options
     };
   }
@@ -102,6 +104,17 @@ class GameConsole {
         this.toggleSettings();
       });
     }
+
+    // Error locations open the source file
+    const consoleOutput = this.container.querySelector('#console-output');
+    if (consoleOutput) {
+      consoleOutput.addEventListener('click', (e) => {
+        const link = e.target.closest('.console-link');
+        if (link && this.options.onLocationClick) {
+          this.options.onLocationClick(link.dataset.path, parseInt(link.dataset.line, 10), link.textContent.trim());
+        }
+      });
+    }
   }
 
   // No monitoring needed - only Lua print() writes to console
@@ -179,15 +192,13 @@ class GameConsole {
     const filterInput = this.container.querySelector('#console-filter-input');
     const filterValue = this.currentFilter || (filterInput ? filterInput.value.trim() : '');
 
-    if (!filterValue) {
-      // No filter, show all messages
-      consoleOutput.textContent = this.rawMessages.join('');
-    } else {
+    let messages = this.rawMessages;
+    if (filterValue) {
       // Apply filter
       const filter = this.parseFilterString(filterValue);
-      const filteredMessages = this.rawMessages.filter(message => this.matchesFilter(message, filter));
-      consoleOutput.textContent = filteredMessages.join('');
+      messages = this.rawMessages.filter(message => this.matchesFilter(message, filter));
     }
+    this.renderMessages(consoleOutput, messages);
 
     // Auto-scroll to bottom if enabled
     if (this.options.autoScroll) {
@@ -195,6 +206,40 @@ class GameConsole {
     }
   }
 
+  // Render messages as plain text, turning "path.lua:12: ..." errors into clickable links
+  renderMessages(consoleOutput, messages) {
+    const locationPattern = /^(?:\[[^\]]*\] )?(.+?\.lua):(\d+):/;
+    if (!this.options.onLocationClick || !messages.some(message => locationPattern.test(message))) {
+      consoleOutput.textContent = messages.join('');
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let pendingText = '';
+    for (const message of messages) {
+      const match = message.match(locationPattern);
+      if (!match) {
+        pendingText += message;
+        continue;
+      }
+      if (pendingText) {
+        fragment.appendChild(document.createTextNode(pendingText));
+        pendingText = '';
+      }
+      const link = document.createElement('span');
+      link.className = 'console-message error console-link';
+      link.dataset.path = match[1];
+      link.dataset.line = match[2];
+      link.title = 'Open in editor';
+      link.textContent = message;
+      fragment.appendChild(link);
+    }
+    if (pendingText) {
+      fragment.appendChild(document.createTextNode(pendingText));
+    }
+    consoleOutput.replaceChildren(fragment);
+  }
+
   // Parse filter string into structured filter object
   parseFilterString(filterStr) {
     if (!filterStr || !filterStr.trim()) return null;
@@ -30,7 +30,19 @@ class GameEmulator {
     this.isPaused = false; // Pause state
     this.frameCount = 0;
     this.lastFrameTime = 0;
+    this.gameLoopId = 0; // Bumped on every start so a stale frame callback cannot keep running
+    this.timingSettings = { fixedTimestep: true, tickRate: 60 }; // Project loop timing (Sources/config.json)
+    this.speedMultiplier = 1; // Game speed relative to real time (0.25x - 4x)
+    this.tickAccumulator = 0; // Unsimulated time carried to the next frame in fixed-timestep mode
+    this.gameClock = { startDate: Date.now(), time: 0, frame: 0, deltaTime: 0 }; // Virtual clock read by the Time API
+    this.frameStats = { frames: 0, windowStart: 0, fps: 0, frameTime: 0, lastRender: 0 };
+    this.randomSeed = 0; // Seed of Math.Random / math.random for the current run
+    this.replayRequest = null; // {mode: 'record'} or {mode: 'play', replay, name} applied on the next run
+    this.inputRecording = null; // InputReplay being recorded
+    this.activeReplay = null; // InputReplay being played back
     this.extensionLoader = null; // Lua extension loader
+    this.hasDrawCallback = false; // Whether the script defines Draw()
+    this.virtualDisplay = null; // Device framebuffer (null = draw straight to the canvas)
 
     // Initialize the game engine panel content
     this.initializeGameEnginePanel();
@@ -133,6 +145,20 @@ class GameEmulator {
       services?.register?.('projectExplorer', this.projectExplorer);
     }
     
+    // Obtain the Lua debugger (shared with LuaEditor, which owns the breakpoints)
+    if (services) {
+      try {
+        this.luaDebugger = services.get('luaDebugger');
+      } catch (_) { /* not registered yet */ }
+    }
+    if (!this.luaDebugger) {
+      this.luaDebugger = window.luaDebugger || null;
+    }
+    if (window.eventBus) {
+      window.eventBus.on('debugger.paused', (data) => this.onDebuggerPaused(data));
+      window.eventBus.on('debugger.resumed', () => this.onDebuggerResumed());
+    }
+    
     // Listen for file added events from ProjectExplorer
     document.addEventListener('projectFileAdded', this.handleFileAddedEvent.bind(this));
     
@@ -209,7 +235,8 @@ class GameEmulator {
         this.gameConsole = new GameConsole({
           showTimestamps: false,
           maxMessages: 5000,
-          autoScroll: true
+          autoScroll: true,
+          onLocationClick: (path, line, message) => this.openSourceLocation(path, line, message)
         });
         
         const consoleContainer = consoleSlidePanel.querySelector('#game-console-container');
@@ -401,9 +428,12 @@ class GameEmulator {
     }
   }
   
-  async buildProject() {
+  /**
+   * @param {Object} options - {clean: true} rebuilds every file instead of only the changed ones
+   */
+  async buildProject(options = {}) {
     console.log('[GameEditor] Building project...');
-    this.updateStatus('Building project...', 'info');
+    this.updateStatus(options.clean ? 'Clean building project...' : 'Building project...', 'info');
     
     try {
       // Initialize BuildSystem if it wasn't available during startup
@@ -435,7 +465,7 @@ class GameEmulator {
       }
       
       // Build the project using the build system (it will read from projectExplorer directly)
-      const buildResult = await this.buildSystem.buildProject();
+      const buildResult = await this.buildSystem.buildProject(options);
       
       // Expand the Build folder to show new build files (they are added as they are built)
       if (this.projectExplorer && buildResult && buildResult.success !== false) {
@@ -451,7 +481,12 @@ class GameEmulator {
         await this.tabManager.refreshBuildTabs(buildFiles);
       }
       
-      this.updateStatus('Project built successfully!', 'success');
+      const summary = buildResult?.summary;
+      if (summary?.warnings > 0) {
+        this.updateStatus(`Project built with ${summary.warnings} warning(s), see the console (${summary.built} built, ${summary.upToDate} up to date)`, 'warning');
+      } else {
+        this.updateStatus(summary ? `Project built successfully! (${summary.built} built, ${summary.upToDate} up to date)` : 'Project built successfully!', 'success');
+      }
     } catch (error) {
       console.error('[GameEditor] Build failed:', error);
       this.updateStatus(`Build failed: ${error.message}`, 'error');
@@ -566,6 +601,13 @@ class GameEmulator {
 
     // Get file extension and base name
     const fileExtension = file.name.split('.').pop().toLowerCase();
+
+    // Textures and sprites live next to their source images, so they get their own namespace instead of the folder name
+    if (fileExtension === 'texture') {
+      folderMatch = 'TEXTURES';
+    } else if (fileExtension === 'sprite') {
+      folderMatch = 'SPRITES';
+    }
     const fileName = file.name.replace(new RegExp(`\\.${fileExtension}$`), '');
     
     // Create resource ID: FOLDERNAME.FILENAME
@@ -576,9 +618,12 @@ class GameEmulator {
       'SFX': ['wav'],
       'MUSIC': ['mod', 'xm', 's3m', 'it'],
       'GRAPHICS': ['png', 'jpg', 'jpeg', 'gif', 'bmp'],
+      'IMAGES': ['png', 'jpg', 'jpeg', 'gif', 'bmp'],
       'DATA': ['json', 'txt', 'xml'],
       'SHADERS': ['glsl', 'frag', 'vert'],
-      'PALETTES': ['pal', 'act', 'aco']
+      'PALETTES': ['pal', 'act', 'aco'],
+      'TEXTURES': ['texture'],
+      'SPRITES': ['sprite']
     };
 
     // Check if this file type is supported for this folder
@@ -599,7 +644,9 @@ class GameEmulator {
       name: file.name,
       extension: fileExtension,
       loaded: false,
-      audioResource: null
+      audioResource: null,
+      texture: null,
+      sprite: null
     };
   }
 
@@ -635,6 +682,34 @@ class GameEmulator {
               resource.audioResource = null;
             });
           
+          preloadPromises.push(loadPromise);
+        } else if (resource.type === 'TEXTURES') {
+          const loadPromise = this.preloadTextureResource(resource)
+            .then((texture) => {
+              resource.loaded = true;
+              resource.texture = texture;
+              console.log(`[GameEmulator] Successfully preloaded texture: ${resourceId} (${texture.width}x${texture.height} ${texture.format})`);
+            })
+            .catch((error) => {
+              console.warn(`[GameEmulator] Failed to preload ${resourceId}:`, error);
+              resource.loaded = false;
+              resource.texture = null;
+            });
+
+          preloadPromises.push(loadPromise);
+        } else if (resource.type === 'SPRITES') {
+          const loadPromise = this.preloadSpriteResource(resource)
+            .then((sprite) => {
+              resource.loaded = true;
+              resource.sprite = sprite;
+              console.log(`[GameEmulator] Successfully preloaded sprite: ${resourceId} (${Object.keys(sprite.animations).length} animations)`);
+            })
+            .catch((error) => {
+              console.warn(`[GameEmulator] Failed to preload ${resourceId}:`, error);
+              resource.loaded = false;
+              resource.sprite = null;
+            });
+
           preloadPromises.push(loadPromise);
         } else {
           // For non-audio resources, just mark as loaded (no preloading needed)
@@ -645,7 +720,7 @@ class GameEmulator {
       }
     }
     
-    // Wait for all audio resources to load
+    // Wait for all audio and texture resources to load
     await Promise.all(preloadPromises);
     
     const loadedCount = Array.from(this.resourceMap.values()).filter(r => r.loaded).length;
@@ -698,7 +773,29 @@ class GameEmulator {
         console.warn('[GameEmulator] DEBUG: No SFX constants to create');
       }
       
-      // TODO: Add other resource type constants here (Graphics, Music, etc.)
+      // Create TEXTURES constants
+      const textureConstants = this.GetResourceConstants('TEXTURES');
+      if (Object.keys(textureConstants).length > 0) {
+        let luaCode = 'TEXTURES = TEXTURES or {}\n';
+        for (const [constantName, resourceId] of Object.entries(textureConstants)) {
+          luaCode += `TEXTURES.${constantName} = "${resourceId}"\n`;
+        }
+        this.luaState.execute(luaCode);
+        console.log(`[GameEmulator] Created ${Object.keys(textureConstants).length} TEXTURES constants in Lua`);
+      }
+
+      // Create SPRITES constants
+      const spriteConstants = this.GetResourceConstants('SPRITES');
+      if (Object.keys(spriteConstants).length > 0) {
+        let luaCode = 'SPRITES = SPRITES or {}\n';
+        for (const [constantName, resourceId] of Object.entries(spriteConstants)) {
+          luaCode += `SPRITES.${constantName} = "${resourceId}"\n`;
+        }
+        this.luaState.execute(luaCode);
+        console.log(`[GameEmulator] Created ${Object.keys(spriteConstants).length} SPRITES constants in Lua`);
+      }
+      
+      // TODO: Add other resource type constants here (Music, etc.)
       
     } catch (error) {
       console.error('[GameEmulator] DEBUG: Failed to create Lua constants:', error);
@@ -1060,6 +1157,157 @@ class GameEmulator {
     }
   }
 
+  /**
+   * Decode a built texture (TextureBuilder descriptor + packed .bin) into a canvas the
+   * Graphics extension can draw from, so the preview shows exactly the device pixel data.
+   * @param {Object} resource - TEXTURES resource mapping
+   * @returns {Promise<Object>} {canvas, width, height, format}
+   */
+  async preloadTextureResource(resource) {
+    console.log(`[GameEmulator] Preloading texture resource: ${resource.id} from ${resource.filePath}`);
+
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!fileManager) {
+      throw new Error('FileManager not available');
+    }
+
+    const descriptorFile = await fileManager.loadFile(resource.filePath);
+    if (!descriptorFile) {
+      throw new Error(`Failed to load texture from storage: ${resource.filePath}`);
+    }
+
+    let descriptorJson = descriptorFile.content ?? descriptorFile.fileContent;
+    if (descriptorJson instanceof ArrayBuffer) {
+      descriptorJson = new TextDecoder().decode(descriptorJson);
+    }
+    const descriptor = JSON.parse(descriptorJson);
+    if (!descriptor.dataFile) {
+      throw new Error(`Texture ${resource.id} is not a built texture descriptor - rebuild the project`);
+    }
+
+    // Packed pixel data sits next to the descriptor
+    const storagePath = window.ProjectPaths?.normalizeStoragePath?.(resource.filePath) || resource.filePath;
+    const dataPath = `${storagePath.substring(0, storagePath.lastIndexOf('/'))}/${descriptor.dataFile}`;
+    const dataFile = await fileManager.loadFile(dataPath);
+    if (!dataFile) {
+      throw new Error(`Failed to load texture data: ${dataPath}`);
+    }
+
+    let bytes;
+    const dataContent = dataFile.content ?? dataFile.fileContent;
+    if (dataContent instanceof ArrayBuffer) {
+      bytes = new Uint8Array(dataContent);
+    } else if (ArrayBuffer.isView(dataContent)) {
+      bytes = new Uint8Array(dataContent.buffer, dataContent.byteOffset, dataContent.byteLength);
+    } else if (typeof dataContent === 'string') {
+      const binaryString = atob(dataContent);
+      bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+    } else {
+      throw new Error(`Unsupported file data format for ${dataPath}`);
+    }
+
+    // The palette link is relative to the build root
+    let palette = null;
+    if (descriptor.palette) {
+      const buildPrefix = window.ProjectPaths?.getBuildStoragePrefix?.() || 'build/';
+      palette = await this.loadPaletteColors(`${buildPrefix}${descriptor.palette}`);
+    }
+
+    const rgbaData = TextureFormat.unpack(
+      bytes, descriptor.width, descriptor.height, descriptor.stride,
+      descriptor.format, palette, descriptor.paletteOffset || 0
+    );
+    const canvas = document.createElement('canvas');
+    canvas.width = descriptor.width;
+    canvas.height = descriptor.height;
+    const ctx = canvas.getContext('2d');
+    // window.ImageData is our image class, so ask the context for a pixel buffer
+    const pixels = ctx.createImageData(descriptor.width, descriptor.height);
+    pixels.data.set(rgbaData);
+    ctx.putImageData(pixels, 0, 0);
+
+    return { canvas, width: descriptor.width, height: descriptor.height, format: descriptor.format };
+  }
+
+  /**
+   * Load a built sprite descriptor (SpriteBuilder output) and resolve its texture link
+   * to the TEXTURES resource that holds the decoded pixels.
+   * @param {Object} resource - SPRITES resource mapping
+   * @returns {Promise<Object>} {name, textureId, defaultAnimation, animations: {name: {loop, frames}}}
+   */
+  async preloadSpriteResource(resource) {
+    console.log(`[GameEmulator] Preloading sprite resource: ${resource.id} from ${resource.filePath}`);
+
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!fileManager) {
+      throw new Error('FileManager not available');
+    }
+
+    const descriptorFile = await fileManager.loadFile(resource.filePath);
+    if (!descriptorFile) {
+      throw new Error(`Failed to load sprite from storage: ${resource.filePath}`);
+    }
+
+    let descriptorJson = descriptorFile.content ?? descriptorFile.fileContent;
+    if (descriptorJson instanceof ArrayBuffer) {
+      descriptorJson = new TextDecoder().decode(descriptorJson);
+    }
+    const descriptor = JSON.parse(descriptorJson);
+    if (!descriptor.texture || !Array.isArray(descriptor.animations)) {
+      throw new Error(`Sprite ${resource.id} is not a built sprite descriptor - rebuild the project`);
+    }
+
+    // The texture link is relative to the build root
+    const textureSuffix = `/${descriptor.texture}`;
+    const textureResource = this.GetResourcesByType('TEXTURES').find(texture => {
+      const storagePath = window.ProjectPaths?.normalizeStoragePath?.(texture.filePath) || texture.filePath;
+      return storagePath.endsWith(textureSuffix);
+    });
+    if (!textureResource) {
+      throw new Error(`Texture ${descriptor.texture} used by sprite ${resource.id} is not built`);
+    }
+
+    const animations = {};
+    for (const animation of descriptor.animations) {
+      animations[animation.name] = { loop: animation.loop !== false, frames: animation.frames };
+    }
+
+    return {
+      name: descriptor.name,
+      textureId: textureResource.id,
+      defaultAnimation: descriptor.defaultAnimation,
+      animations
+    };
+  }
+
+  /**
+   * Load the colors of a palette file, falling back to the project default palette
+   * @param {string} palettePath - Palette storage path (optional)
+   * @returns {Promise<Array|null>} Array of '#RRGGBB' strings
+   */
+  async loadPaletteColors(palettePath) {
+    let path = palettePath;
+    if (!path && window.ProjectConfigManager?.getDefaultPalette) {
+      path = await window.ProjectConfigManager.getDefaultPalette();
+    }
+    if (!path) {
+      return null;
+    }
+
+    const fileManager = window.serviceContainer?.get('fileManager');
+    const paletteFile = await fileManager.loadFile(path);
+    if (!paletteFile) {
+      console.warn(`[GameEmulator] Texture palette not found: ${path}`);
+      return null;
+    }
+
+    const palette = await Palette.fromFile(paletteFile.fileContent ?? paletteFile.content, path.split('/').pop());
+    return palette.getColors();
+  }
+
   // Load an audio file on demand (called by viewers)
   async loadAudioFileOnDemand(filename, forceReload = false) {
     console.log(`[GameEditor] Loading audio file on demand: ${filename}${forceReload ? ' (force reload)' : ''}`);
@@ -1303,15 +1551,23 @@ class GameEmulator {
     
     let concatenatedContent = '';
     let hasSetupFunction = false;
+    // Where each file starts in the concatenated script, used to map line numbers back
+    const lineMap = [];
+    
+    // Only the entry script runs; every other file is a module loaded on demand by require()
+    const entryPath = this.findEntryScriptPath(luaFiles);
+    const runPaths = this.findRequiredModulePaths(entryPath, luaFiles);
     
     // Add header comment
     concatenatedContent += '-- Auto-generated concatenated Lua script\n';
     concatenatedContent += `-- Generated at: ${new Date().toISOString()}\n`;
     concatenatedContent += `-- Files included: ${luaFiles.map(f => f.name).join(', ')}\n\n`;
     
-    // Concatenate all Lua files
+    // Wrap each file in a module function; the wrapper shares the file's header comment
+    // line so line numbers inside the file are unchanged
     for (const file of luaFiles) {
-      concatenatedContent += `-- === File: ${file.name} ===\n`;
+      const modulePath = this.getModulePath(file.path || file.name);
+      concatenatedContent += `__rs_define_module(${JSON.stringify(modulePath)}, function(...) -- === File: ${file.name} ===\n`;
       
       let content = file.content;
       
@@ -1321,16 +1577,26 @@ class GameEmulator {
         content = content ? String(content) : '';
       }
       
-      // Check if this file contains a Setup function
-      if (content.includes('function Setup()') || content.includes('function Setup (')) {
+      // Check if this file contains a Setup function; files that are never required do not run
+      if (runPaths.has(this.getModulePath(file.path || file.name)) &&
+          (content.includes('function Setup()') || content.includes('function Setup ('))) {
         hasSetupFunction = true;
         console.log(`[GameEditor] Found Setup() function in ${file.name}`);
       }
       
+      lineMap.push({
+        path: file.path || file.name,
+        name: file.name,
+        startLine: concatenatedContent.split('\n').length,
+        lineCount: content.split('\n').length
+      });
+      
       concatenatedContent += content;
-      concatenatedContent += '\n\n';
+      concatenatedContent += '\nend)\n';
     }
     
+    concatenatedContent += `\n-- Entry point\n__rs_require_path(${JSON.stringify(entryPath)})\n`;
+    
     // If no Setup function was found, add a default one
     if (!hasSetupFunction) {
       console.log('[GameEditor] No Setup() function found, adding default one');
@@ -1341,10 +1607,161 @@ class GameEmulator {
       content: concatenatedContent,
       fileCount: luaFiles.length,
       hasSetup: hasSetupFunction,
-      files: luaFiles.map(f => f.path || f.name) // Include file paths for error reporting
+      entryPath,
+      files: luaFiles.map(f => f.path || f.name), // Include file paths for error reporting
+      lineMap
     };
   }
   
+  /**
+   * Storage path used as the module key of a Lua file (e.g. "Sources/Lua/enemies/ai.lua")
+   */
+  getModulePath(filePath) {
+    return window.ProjectPaths?.normalizeStoragePath?.(filePath) || filePath;
+  }
+
+  /**
+   * Pick the script that runs first: main.lua (see findMainLuaScript), falling back to the
+   * first Lua file in the project
+   * @param {Array} luaFiles - Files from getAllLuaFiles()
+   * @returns {string} Module path of the entry script
+   */
+  findEntryScriptPath(luaFiles) {
+    const modulePaths = luaFiles.map(file => this.getModulePath(file.path || file.name));
+    
+    const mainScript = this.findMainLuaScript();
+    const mainPath = mainScript?.path ? this.getModulePath(mainScript.path) : null;
+    if (mainPath && modulePaths.includes(mainPath)) {
+      return mainPath;
+    }
+    
+    const mainIndex = luaFiles.findIndex(file => file.name.toLowerCase() === 'main.lua');
+    const entryPath = modulePaths[mainIndex >= 0 ? mainIndex : 0];
+    console.log(`[GameEditor] Using ${entryPath} as the entry script`);
+    return entryPath;
+  }
+
+  /**
+   * Module paths of the entry script and the modules it requires, directly or through other
+   * modules. require() calls are found by scanning the source for literal module names.
+   * @param {string} entryPath - Module path of the entry script
+   * @param {Array} luaFiles - Files from getAllLuaFiles()
+   * @returns {Set<string>} Module paths that run
+   */
+  findRequiredModulePaths(entryPath, luaFiles) {
+    const contents = new Map(luaFiles.map(file => [this.getModulePath(file.path || file.name), String(file.content || '')]));
+    const found = new Set();
+    const pending = [entryPath];
+    while (pending.length > 0) {
+      const path = pending.pop();
+      if (found.has(path) || !contents.has(path)) continue;
+      found.add(path);
+      
+      const code = contents.get(path).replace(/--[^\n]*/g, '');
+      for (const match of code.matchAll(/\brequire\s*\(?\s*(["'])([^"'\n]+)\1/g)) {
+        const required = this.getModuleCandidates(match[2]).find(candidate => contents.has(candidate));
+        if (required) pending.push(required);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Module paths require(name) tries, in order; mirrors candidates() in installModuleSystem
+   */
+  getModuleCandidates(name) {
+    const sourcesRoot = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? window.ProjectPaths.getSourcesRootUi() : 'Sources';
+    let moduleName = name.replace(/\\/g, '/').replace(/\.lua$/, '');
+    if (!moduleName.includes('/')) {
+      moduleName = moduleName.replace(/\./g, '/');
+    }
+    return [
+      `${sourcesRoot}/${moduleName}.lua`,
+      `${sourcesRoot}/Lua/${moduleName}.lua`,
+      `${sourcesRoot}/${moduleName}/init.lua`,
+      `${sourcesRoot}/Lua/${moduleName}/init.lua`
+    ];
+  }
+
+  /**
+   * Install require() for project modules. Modules are resolved against the Sources tree,
+   * run once and cached; a module that requires itself through a chain is reported as a cycle.
+   * @param {Object} L - Lua state
+   */
+  installModuleSystem(L) {
+    const sourcesRoot = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? window.ProjectPaths.getSourcesRootUi() : 'Sources';
+    
+    L.execute(`
+      local sources_root = ${JSON.stringify(sourcesRoot)}
+      local defined = {}
+      local loaded = {}
+      local loading = {}
+      local loading_stack = {}
+      
+      function __rs_define_module(path, fn)
+        defined[path] = fn
+      end
+      
+      function __rs_require_path(path, name)
+        if loaded[path] ~= nil then
+          return loaded[path]
+        end
+        
+        if loading[path] then
+          local chain = {}
+          for i = 1, #loading_stack do chain[i] = loading_stack[i] end
+          chain[#chain + 1] = path
+          error("cyclic require: " .. table.concat(chain, " -> "), 3)
+        end
+        
+        loading[path] = true
+        loading_stack[#loading_stack + 1] = path
+        -- A module that fails is not loading anymore, or requiring it again would report a cycle
+        local ok, result = pcall(defined[path], name or path, path)
+        loading_stack[#loading_stack] = nil
+        loading[path] = nil
+        if not ok then
+          error(result, 0)
+        end
+        
+        -- Modules without a return value are cached as true, like standard Lua
+        if result == nil then result = true end
+        loaded[path] = result
+        return result
+      end
+      
+      -- "enemies/ai", "enemies.ai" and "Lua/enemies/ai" all resolve relative to Sources and Sources/Lua
+      local function candidates(name)
+        local module_name = name:gsub("\\\\", "/"):gsub("%.lua$", "")
+        if not module_name:find("/") then
+          module_name = module_name:gsub("%.", "/")
+        end
+        return {
+          sources_root .. "/" .. module_name .. ".lua",
+          sources_root .. "/Lua/" .. module_name .. ".lua",
+          sources_root .. "/" .. module_name .. "/init.lua",
+          sources_root .. "/Lua/" .. module_name .. "/init.lua"
+        }
+      end
+      
+      function require(name)
+        if type(name) ~= "string" then
+          error("bad argument #1 to 'require' (string expected, got " .. type(name) .. ")", 2)
+        end
+        
+        local tried = candidates(name)
+        for _, path in ipairs(tried) do
+          if defined[path] then
+            -- Not a tail call, so a cycle error can point at the require() line
+            local result = __rs_require_path(path, name)
+            return result
+          end
+        end
+        error("module '" .. name .. "' not found:\\n\\tno file '" .. table.concat(tried, "'\\n\\tno file '") .. "'", 2)
+      end
+    `);
+  }
+
   async getAllLuaFiles() {
     const luaFiles = [];
     
@@ -1486,6 +1903,7 @@ class GameEmulator {
       // Create a new Lua state
       const L = new window.Lua.State();
       this.luaState = L;
+      this.hasDrawCallback = false;
       
       // Initialize print output capture
       // GameConsole will handle all output display
@@ -1515,11 +1933,17 @@ class GameEmulator {
         end
       `);
       
+      // require() for project modules (each Lua file is wrapped as a module by concatenateLuaScripts)
+      this.installModuleSystem(L);
+      
       // Initialize centralized resource mappings
       console.log('[GameEmulator] DEBUG: About to initialize resource mappings...');
       await this.initializeResourceMappings();
       console.log('[GameEmulator] DEBUG: Resource mappings initialization completed');
       
+      // Set up the device framebuffer before Graphics binds to a render target
+      await this.initializeVirtualDisplay();
+      
       // Load and initialize Lua extensions
       console.log('[GameEmulator] Loading Lua extensions...');
       try {
@@ -1547,10 +1971,26 @@ class GameEmulator {
       console.log('[GameEmulator] Concatenated Lua script:');
       console.log(scriptData.content);
       
+      // Per-file line offsets used to report errors against the original files
+      this.scriptLineMap = scriptData.lineMap || [];
+
+      // Start the virtual clock before any user code can read the time
+      this.timingSettings = await this.loadTimingSettings();
+      this.resetGameClock();
+      this.beginInputSession();
+      await this.applyAudioSettings();
+      
+      // Attach the debugger before any user code runs so breakpoints in top-level code are hit
+      let scriptSource = scriptData.content;
+      if (this.luaDebugger) {
+        this.luaDebugger.attach(L, scriptData.lineMap);
+        scriptSource = this.luaDebugger.instrument(scriptData.content);
+      }
+      
       // Load the concatenated script into Lua
       console.log('[GameEmulator] Loading script into Lua engine...');
       try {
-        L.execute(scriptData.content);
+        await this.callLua(scriptSource);
         console.log('[GameEmulator] Script loaded successfully');
         
         // Check what functions are defined in the global scope
@@ -1568,13 +2008,15 @@ class GameEmulator {
         }
         
       } catch (error) {
+        if (error.debuggerStopped) return;
         console.error('[GameEmulator] Lua script loading error:', error);
-        this.updateStatus(`Script loading error: ${error.message}`, 'error');
+        const luaError = this.reportLuaError(error);
+        this.updateStatus(`Script loading error: ${luaError.message}`, 'error');
         
         await this.showErrorPopup(
           'Script Loading Error', 
           'An error occurred while loading the Lua script.',
-          `Error: ${error.message}\n\nThis usually indicates a syntax error in your Lua code.`
+          `Error: ${luaError.message}\n\nThis usually indicates a syntax error in your Lua code.`
         );
         return;
       }
@@ -1586,17 +2028,19 @@ class GameEmulator {
         L.execute('if Setup == nil then error("Setup function is not defined") end');
         console.log('[GameEmulator] Setup function exists, calling it...');
         
-        L.execute('Setup()');
+        await this.callLua('Setup()');
         console.log('[GameEmulator] Setup() function executed successfully');
         // Capture any print output from Setup()
         this.captureLuaPrintOutput();
       } catch (error) {
+        if (error.debuggerStopped) return;
         console.log('[GameEmulator] Setup() function issue:', error.message);
         if (error.message.includes('Setup function is not defined')) {
           console.log('[GameEmulator] Setup() function not found - this is optional, continuing...');
         } else {
           console.error('[GameEmulator] Setup() function failed during execution:', error);
-          this.updateStatus(`Setup() error: ${error.message}`, 'warning');
+          const luaError = this.reportLuaError(error);
+          this.updateStatus(`Setup() error: ${luaError.message}`, 'warning');
         }
       }
       
@@ -1618,19 +2062,26 @@ class GameEmulator {
           return;
         }
         
-        // Function exists, now test calling it
-        L.execute('Update(16.67)');
+        // Function exists, now test calling it (this is the game's first tick)
+        await this.runTick(this.getTickInterval());
         console.log('[GameEmulator] Update() function test successful');
+        
+        // Draw() is optional - it renders the frame after Update()
+        const drawExists = L.execute('return type(Draw) == "function"');
+        this.hasDrawCallback = !!(drawExists && drawExists[0]);
+        await this.runDrawCallback();
         // Capture any print output from test Update()
         this.captureLuaPrintOutput();
       } catch (error) {
+        if (error.debuggerStopped) return;
         console.error('[GameEmulator] Update() function runtime error:', error);
-        this.updateStatus(`Update() runtime error: ${error.message}`, 'error');
+        const luaError = this.reportLuaError(error);
+        this.updateStatus(`Update() runtime error: ${luaError.message}`, 'error');
         
         await this.showErrorPopup(
           'Update() Function Runtime Error', 
           'Your Update() function exists but has a runtime error.',
-          `Lua Error: ${error.message}\n\nPlease fix the error in your Update() function.`
+          `Lua Error: ${luaError.message}\n\nPlease fix the error in your Update() function.`
         );
         return;
       }
@@ -1664,31 +2115,38 @@ class GameEmulator {
     this.isPaused = false; // Make sure we start unpaused
     this.lastFrameTime = performance.now();
     this.frameCount = 0;
+    this.tickAccumulator = 0;
+    this.frameStats = { frames: 0, windowStart: this.lastFrameTime, fps: 0, frameTime: 0, lastRender: 0 };
+    const loopId = ++this.gameLoopId;
     
     // Update button appearance
     this.updatePlayPauseButton();
+    this.updateDebugControls();
     
-    const runFrame = () => {
-      if (!this.isRunning || !this.luaState) {
+    const runFrame = async () => {
+      if (!this.isRunning || !this.luaState || loopId !== this.gameLoopId) {
         console.log('[GameEmulator] Game loop stopped - isRunning:', this.isRunning, 'luaState:', !!this.luaState);
         return;
       }
       
       const currentTime = performance.now();
-      const deltaTime = currentTime - this.lastFrameTime;
+      const elapsed = (currentTime - this.lastFrameTime) * this.speedMultiplier;
       this.lastFrameTime = currentTime;
       this.frameCount++;
       
       try {
-        // Update input manager first (processes input for this frame)
-        if (this.inputManager) {
-          this.inputManager.updateFrame();
-        }
-        
         // Only update if not paused
         if (!this.isPaused) {
-          // Call Update(deltaTime) in Lua
-          this.luaState.execute(`Update(${deltaTime})`);
+          const frameStart = performance.now();
+          
+          // Run Update() for this frame's share of game time - waits here while the debugger is paused
+          const ticks = await this.runLoopTicks(elapsed);
+          
+          // Render the frame once, however many ticks ran
+          if (ticks > 0) {
+            await this.runDrawCallback();
+            this.recordFrameStats(performance.now() - frameStart);
+          }
         }
         
         // Always check for new print output from Lua (even when paused, to capture any buffered output)
@@ -1704,130 +2162,834 @@ class GameEmulator {
           }
         }
       } catch (error) {
-        console.error('[GameEmulator] Error in Update() function:', error);
+        // Stopping while paused at a breakpoint abandons the frame
+        if (error.debuggerStopped) return;
+        console.error('[GameEmulator] Error in Update()/Draw() function:', error);
+        const luaError = this.reportLuaError(error);
         this.stopGameLoop();
-        this.updateStatus(`Update() error: ${error.message}`, 'error');
+        this.updateStatus(`Update() error: ${luaError.message}`, 'error');
         
         return;
       }
       
-      // Schedule next frame (60fps = ~16.67ms)
-      setTimeout(() => {
-        if (this.isRunning) {
-          requestAnimationFrame(runFrame);
-        }
-      }, 1000 / 60);
+      if (this.timingSettings.fixedTimestep) {
+        // The accumulator decides how many ticks each display frame runs
+        requestAnimationFrame(runFrame);
+      } else {
+        // Schedule next frame (60fps = ~16.67ms)
+        setTimeout(() => {
+          if (this.isRunning) {
+            requestAnimationFrame(runFrame);
+          }
+        }, 1000 / 60);
+      }
     };
     
     console.log('[GameEmulator] Starting first frame...');
     requestAnimationFrame(runFrame);
   }
-  
-  stopGameLoop() {
-    console.log('[GameEmulator] Stopping game loop...');
-    this.isRunning = false;
-    this.isPaused = false; // Reset pause state when stopping
-    this.updateStatus('Game loop stopped', 'info');
+
+  /**
+   * Advance the game by the elapsed (speed-scaled) time. With a fixed timestep this runs as
+   * many whole ticks as fit and carries the remainder; otherwise it runs one variable tick.
+   * @param {number} elapsed - Game time since the previous frame in milliseconds
+   * @returns {Promise<number>} Number of Update() calls made
+   */
+  async runLoopTicks(elapsed) {
+    if (!this.timingSettings.fixedTimestep) {
+      await this.runTick(elapsed);
+      return 1;
+    }
     
-    // Update button appearance
-    this.updatePlayPauseButton();
+    // Drop time we cannot catch up on (slow frames, background tabs) rather than fast-forwarding
+    const interval = this.getTickInterval();
+    this.tickAccumulator = Math.min(this.tickAccumulator + elapsed, interval * 5);
+    
+    let ticks = 0;
+    while (this.tickAccumulator >= interval && this.isRunning && !this.isPaused) {
+      this.tickAccumulator -= interval;
+      await this.runTick(interval);
+      ticks++;
+    }
+    return ticks;
   }
 
   /**
-   * Stop the currently running project
+   * Run one game tick: sample input, advance the virtual clock and call Update()
+   * @param {number} deltaTime - Game time covered by this tick in milliseconds
    */
-  stopProject() {
-    console.log('[GameEmulator] Stopping project...');
-    this.stopGameLoop();
+  async runTick(deltaTime) {
+    // Variable-timestep replays reuse the recorded tick lengths
+    deltaTime = this.activeReplay?.getDeltaTime(this.gameClock.frame) ?? deltaTime;
     
-    // Reset all extensions (clear old state)
-    if (this.extensionLoader) {
-      this.extensionLoader.resetExtensions();
-    }
+    // Update input manager first (processes input for this tick)
+    this.inputManager?.updateFrame(deltaTime);
     
-    // Stop all audio
-    if (this.audioEngine) {
-      this.audioEngine.stopAllAudio();
+    this.gameClock.frame++;
+    this.gameClock.time += deltaTime;
+    this.gameClock.deltaTime = deltaTime;
+    
+    // Music rows heard since the last tick (OnMusicRow/OnMusicEvent) are delivered before Update()
+    const musicCallbacks = this.extensionLoader?.getExtension('Music')?.takePendingCallbacks();
+    if (musicCallbacks) {
+      await this.callLua(musicCallbacks);
     }
     
-    this.updateStatus('Project stopped', 'info');
+    await this.callLua(`Update(${deltaTime})`);
+    
+    // Advance sprite animations by the same amount of game time
+    this.extensionLoader?.getExtension('Sprite')?.update(deltaTime);
+    
+    if (this.activeReplay && this.gameClock.frame >= this.activeReplay.frameCount) {
+      this.finishReplay();
+    }
   }
 
   /**
-   * Toggle play/pause state - main control button
+   * Run exactly one tick and draw it while the game is paused
    */
-  async togglePlayPause() {
-    if (!this.isRunning) {
-      // Not running, so start playing
-      await this.playProject();
-    } else if (this.isPaused) {
-      // Currently paused, so resume
-      this.resumeGame();
-    } else {
-      // Currently running, so pause
-      this.pauseGame();
+  async stepFrame() {
+    if (!this.isRunning || !this.isPaused || this.isSteppingFrame || this.luaDebugger?.isPaused()) {
+      return;
     }
     
-    // Update button appearance
-    this.updatePlayPauseButton();
+    this.isSteppingFrame = true;
+    try {
+      const frameStart = performance.now();
+      await this.runTick(this.getTickInterval());
+      await this.runDrawCallback();
+      this.captureLuaPrintOutput();
+      this.frameStats.frameTime = performance.now() - frameStart;
+      this.renderFrameStats();
+      this.updateStatus(`Stepped to frame ${this.gameClock.frame}`, 'info');
+    } catch (error) {
+      if (error.debuggerStopped) return;
+      console.error('[GameEmulator] Error in Update()/Draw() function:', error);
+      const luaError = this.reportLuaError(error);
+      this.stopGameLoop();
+      this.updateStatus(`Update() error: ${luaError.message}`, 'error');
+    } finally {
+      this.isSteppingFrame = false;
+    }
   }
 
   /**
-   * Pause the game (separate from toggle for clarity)
+   * Length of one tick in milliseconds; variable-rate games step at 60 Hz
    */
-  pauseGame() {
-    if (!this.isRunning) {
-      console.log('[GameEmulator] Cannot pause - game is not running');
-      return;
-    }
+  getTickInterval() {
+    const tickRate = this.timingSettings.fixedTimestep ? this.timingSettings.tickRate : 60;
+    return 1000 / (tickRate || 60);
+  }
 
-    this.isPaused = true;
-    console.log('[GameEmulator] Game paused');
+  /**
+   * Restart the virtual clock from the current wall-clock time
+   */
+  resetGameClock() {
+    this.gameClock = { startDate: Date.now(), time: 0, frame: 0, deltaTime: 0 };
+    this.tickAccumulator = 0;
+  }
+
+  /**
+   * Read the loop timing from the project config
+   * @returns {Promise<Object>} {fixedTimestep, tickRate}
+   */
+  async loadTimingSettings() {
+    const settings = await window.ProjectConfigManager?.getTimingSettings?.();
+    return settings || { fixedTimestep: true, tickRate: 60 };
+  }
+
+  /**
+   * Apply the tick-rate selector, persisting it to the project config
+   * @param {string} value - "variable" or a tick rate in Hz
+   */
+  async changeTimingSettings(value) {
+    const settings = value === 'variable'
+      ? { fixedTimestep: false }
+      : { fixedTimestep: true, tickRate: parseInt(value, 10) };
     
-    if (this.audioEngine && this.audioEngine.workletNode) {
-      console.log('[GameEmulator] Pausing audio at mixer level');
-      this.audioEngine.workletNode.port.postMessage({ type: 'pause-audio' });
-    }
+    // A running game switches over on its next frame
+    this.timingSettings = { ...this.timingSettings, ...settings };
+    this.tickAccumulator = 0;
+    this.renderFrameStats();
     
-    this.updateStatus('Game paused', 'info');
+    await window.ProjectConfigManager?.setTimingSettings?.(settings);
   }
 
   /**
-   * Resume the game (separate from toggle for clarity)
+   * Set the game speed; the loop scales elapsed time by this factor
+   * @param {number} multiplier - 0.25 to 4
    */
-  resumeGame() {
-    if (!this.isRunning) {
-      console.log('[GameEmulator] Cannot resume - game is not running');
-      return;
+  setSpeedMultiplier(multiplier) {
+    this.speedMultiplier = Math.min(4, Math.max(0.25, multiplier || 1));
+    this.renderFrameStats();
+  }
+
+  /**
+   * Fill the tick-rate and speed selectors from the project config
+   */
+  async updateLoopControls() {
+    const tickRateSelect = this.contentContainer?.querySelector('#tickRateSelect');
+    const speedSelect = this.contentContainer?.querySelector('#speedSelect');
+    if (speedSelect) speedSelect.value = String(this.speedMultiplier);
+    if (!tickRateSelect) return;
+    
+    const settings = await this.loadTimingSettings();
+    const value = settings.fixedTimestep ? String(settings.tickRate) : 'variable';
+    if (!Array.from(tickRateSelect.options).some(option => option.value === value)) {
+      tickRateSelect.add(new Option(`${value} Hz`, value));
     }
+    tickRateSelect.value = value;
+  }
 
-    this.isPaused = false;
-    console.log('[GameEmulator] Game resumed');
+  /**
+   * Accumulate FPS and Lua frame time (Update + Draw) for the stats overlay
+   * @param {number} frameTime - Milliseconds spent in Lua for this frame
+   */
+  recordFrameStats(frameTime) {
+    const stats = this.frameStats;
+    const now = performance.now();
+    stats.frames++;
+    stats.frameTime = frameTime;
     
-    if (this.audioEngine && this.audioEngine.workletNode) {
-      console.log('[GameEmulator] Resuming audio at mixer level');
-      this.audioEngine.workletNode.port.postMessage({ type: 'resume-audio' });
+    if (now - stats.windowStart >= 1000) {
+      stats.fps = Math.round(stats.frames * 1000 / (now - stats.windowStart));
+      stats.frames = 0;
+      stats.windowStart = now;
     }
     
-    this.updateStatus('Game resumed', 'info');
+    // Refreshing the overlay a few times a second is enough to read it
+    if (now - stats.lastRender >= 250) {
+      stats.lastRender = now;
+      this.renderFrameStats();
+    }
   }
 
   /**
-   * Stop the game - when play is pressed again, it will reload
+   * Write the current stats into the overlay (only while it is shown)
    */
-  stopGame() {
-    console.log('[GameEmulator] Stopping game...');
-    this.stopProject();
-    this.updatePlayPauseButton();
+  renderFrameStats() {
+    const overlay = this.contentContainer?.querySelector('#frameStatsOverlay');
+    if (!overlay || !overlay.classList.contains('visible')) return;
+    
+    const { fps, frameTime } = this.frameStats;
+    const timing = this.timingSettings.fixedTimestep ? `${this.timingSettings.tickRate} Hz` : 'Variable';
+    const maxVoices = this.audioEngine?.voiceLimit.maxVoices;
+    const voices = `Voices ${this.audioEngine?.getVoiceCount() || 0}/${maxVoices || '∞'}`;
+    overlay.textContent = `${fps} FPS | ${frameTime.toFixed(2)} ms | ${timing} | ${this.speedMultiplier}x | Frame ${this.gameClock.frame} | ${voices}`;
   }
 
   /**
-   * Toggle pause/resume state
+   * Seed the RNGs and hook up input recording or playback for a new run. A replay brings its
+   * own seed, start date and timing so every tick sees the same state as when it was recorded.
    */
-  togglePauseResume() {
-    if (!this.isRunning) {
-      console.log('[GameEmulator] Cannot pause/resume - game is not running');
-      return;
+  beginInputSession() {
+    const request = this.replayRequest;
+    this.replayRequest = null;
+    this.inputRecording = null;
+    this.activeReplay = null;
+    this.inputManager?.stopRecording();
+    this.inputManager?.stopPlayback();
+    
+    const replay = request?.mode === 'play' ? request.replay : null;
+    if (replay) {
+      this.timingSettings = { ...replay.timing };
+      this.gameClock.startDate = replay.startDate;
+    }
+    this.applyRandomSeed(replay ? replay.seed : Math.floor(Math.random() * 0x7fffffff));
+    
+    if (replay) {
+      this.activeReplay = replay;
+      this.inputManager?.startPlayback(replay);
+      this.gameConsole?.writeToConsole(`[Replay] Playing ${request.name} (${replay.frameCount} frames, seed ${replay.seed})\n`);
+    } else if (request?.mode === 'record') {
+      this.inputRecording = new InputReplay({
+        seed: this.randomSeed,
+        startDate: this.gameClock.startDate,
+        timing: this.timingSettings
+      });
+      this.inputManager?.startRecording(this.inputRecording);
+      this.gameConsole?.writeToConsole(`[Replay] Recording input (seed ${this.randomSeed})\n`);
+    }
+    
+    this.updateReplayControls();
+  }
+
+  /**
+   * Seed Math.Random and Lua's math.random for this run
+   * @param {number} seed - 31-bit seed
+   */
+  applyRandomSeed(seed) {
+    this.randomSeed = seed;
+    this.extensionLoader?.getExtension('Math')?.setSeed(seed);
+    this.luaState?.execute(`math.randomseed(${seed})`);
+  }
+
+  /**
+   * Start recording from a fresh run (the game restarts so the replay begins at frame 0),
+   * or stop and save the recording in progress
+   */
+  async toggleInputRecording() {
+    if (this.inputRecording) {
+      await this.stopInputRecording();
+      return;
+    }
+    
+    this.replayRequest = { mode: 'record' };
+    await this.reloadGame();
+  }
+
+  /**
+   * Stop recording and save the replay to the project
+   */
+  async stopInputRecording() {
+    const recording = this.inputRecording;
+    if (!recording) return;
+    
+    this.inputRecording = null;
+    this.inputManager?.stopRecording();
+    this.updateReplayControls();
+    
+    if (recording.frameCount === 0) {
+      this.updateStatus('Recording discarded - no frames were recorded', 'warning');
+      return;
+    }
+    
+    const fileName = await this.saveReplay(recording);
+    this.gameConsole?.writeToConsole(`[Replay] Saved ${recording.frameCount} frames to ${fileName}\n`);
+  }
+
+  /**
+   * Write a replay to Sources/Replays
+   * @param {InputReplay} replay - Finished recording
+   * @returns {Promise<string>} Name of the new file
+   */
+  async saveReplay(replay) {
+    const project = this.projectExplorer?.getFocusedProjectName?.();
+    if (!project) {
+      throw new Error('No active project to save the replay in');
+    }
+    
+    const sourcesRoot = window.ProjectPaths?.getSourcesRootUi?.() || 'Sources';
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '_');
+    const fileName = `replay_${stamp}.replay`;
+    const file = new File([replay.serialize()], fileName, { type: 'application/json', lastModified: Date.now() });
+    
+    await this.projectExplorer.addFileToProject(file, `${project}/${sourcesRoot}/Replays`, true, false);
+    console.log(`[GameEmulator] Saved replay ${fileName} (${replay.frameCount} frames)`);
+    return fileName;
+  }
+
+  /**
+   * Restart the game with a recorded replay feeding the input
+   * @param {string} fileName - Replay file in Sources/Replays
+   */
+  async playReplay(fileName) {
+    try {
+      const fileManager = window.serviceContainer?.get('fileManager');
+      if (!fileManager) {
+        throw new Error('FileManager not available');
+      }
+      
+      const project = this.projectExplorer?.getFocusedProjectName?.();
+      const sourcesRoot = window.ProjectPaths?.getSourcesRootUi?.() || 'Sources';
+      const uiPath = `${project}/${sourcesRoot}/Replays/${fileName}`;
+      const storagePath = window.ProjectPaths?.normalizeStoragePath?.(uiPath) || uiPath;
+      
+      const fileData = await fileManager.loadFile(storagePath);
+      let text = fileData?.content ?? fileData?.fileContent;
+      if (text instanceof ArrayBuffer) {
+        text = new TextDecoder().decode(text);
+      }
+      if (!text) {
+        throw new Error(`Failed to load replay: ${storagePath}`);
+      }
+      
+      this.replayRequest = { mode: 'play', replay: InputReplay.parse(text), name: fileName };
+      await this.reloadGame();
+    } catch (error) {
+      console.error('[GameEmulator] Failed to play replay:', error);
+      this.updateStatus(`Replay failed: ${error.message}`, 'error');
+      this.gameConsole?.writeToConsole(`[Replay] ${error.message}\n`);
+    }
+  }
+
+  /**
+   * The recording ran out: pause on its last frame and hand input back to the keyboard
+   */
+  finishReplay() {
+    const frameCount = this.activeReplay.frameCount;
+    this.activeReplay = null;
+    this.inputManager?.stopPlayback();
+    
+    this.pauseGame();
+    this.updatePlayPauseButton();
+    this.updateDebugControls();
+    this.updateReplayControls();
+    this.gameConsole?.writeToConsole(`[Replay] Finished after ${frameCount} frames - game paused\n`);
+  }
+
+  /**
+   * Names of the .replay files in Sources/Replays
+   */
+  getReplayFiles() {
+    const project = this.projectExplorer?.getFocusedProjectName?.();
+    const sourcesRoot = window.ProjectPaths?.getSourcesRootUi?.() || 'Sources';
+    const replayFolder = project
+      ? this.projectExplorer?.projectData?.structure?.[project]?.children?.[sourcesRoot]?.children?.Replays?.children
+      : null;
+    
+    return Object.keys(replayFolder || {})
+      .filter(name => name.toLowerCase().endsWith('.replay'))
+      .sort();
+  }
+
+  /**
+   * Refresh the replay selector and the record button state
+   */
+  updateReplayControls() {
+    const recordBtn = this.contentContainer?.querySelector('#recordInputBtn');
+    if (recordBtn) {
+      recordBtn.classList.toggle('recording', !!this.inputRecording);
+      recordBtn.title = this.inputRecording ? 'Stop Recording and Save Replay' : 'Record Input (restarts the game)';
+    }
+    
+    const replaySelect = this.contentContainer?.querySelector('#replaySelect');
+    if (replaySelect) {
+      replaySelect.innerHTML = `<option value="">${this.activeReplay ? 'Replaying...' : 'Replays...'}</option>` +
+        this.getReplayFiles().map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+    }
+  }
+  
+  stopGameLoop() {
+    console.log('[GameEmulator] Stopping game loop...');
+    this.isRunning = false;
+    this.isPaused = false; // Reset pause state when stopping
+    this.updateStatus('Game loop stopped', 'info');
+    
+    // Abandon any call that is suspended at a breakpoint
+    this.luaDebugger?.detach();
+    
+    // Keep what was recorded up to here (a crash is exactly what a replay should reproduce)
+    if (this.inputRecording) {
+      this.stopInputRecording().catch(error => {
+        console.error('[GameEmulator] Failed to save input recording:', error);
+      });
+    }
+    this.inputManager?.stopPlayback();
+    this.activeReplay = null;
+    this.updateReplayControls();
+    
+    // Update button appearance
+    this.updatePlayPauseButton();
+    this.updateDebugControls();
+  }
+
+  /**
+   * The debugger stopped at a breakpoint or step: flush output, show the watch pane
+   * and open the source file at the paused line
+   */
+  onDebuggerPaused(data) {
+    if (!this.luaState) return;
+    
+    const { location } = data;
+    this.captureLuaPrintOutput();
+    this.updateStatus(`Paused at ${location.name}:${location.line}`, 'warning');
+    this.updateDebugControls();
+    this.renderDebugWatch();
+    this.contentContainer?.querySelector('#debugWatchPanel')?.classList.add('open');
+    
+    if (location.path) {
+      this.openSourceLocation(location.path, location.line);
+    }
+  }
+
+  onDebuggerResumed() {
+    // Time spent paused does not count towards the next frame's deltaTime
+    this.lastFrameTime = performance.now();
+    if (this.isRunning) {
+      this.updateStatus('Game running', 'info');
+    }
+    this.updateDebugControls();
+    this.renderDebugWatch();
+  }
+
+  /**
+   * Enable the debugger and frame-step buttons that make sense for the current state
+   */
+  updateDebugControls() {
+    const paused = !!this.luaDebugger?.isPaused();
+    const attached = !!this.luaDebugger?.isAttached();
+    const states = {
+      '#debugBreakBtn': attached && !paused,
+      '#debugContinueBtn': paused,
+      '#debugStepOverBtn': paused,
+      '#debugStepIntoBtn': paused,
+      '#stepFrameBtn': this.isRunning && this.isPaused && !paused
+    };
+    for (const [selector, enabled] of Object.entries(states)) {
+      const button = this.contentContainer?.querySelector(selector);
+      if (button) button.disabled = !enabled;
+    }
+  }
+
+  /**
+   * Fill the watch pane with the call stack, locals and user globals of the paused script
+   */
+  renderDebugWatch() {
+    const body = this.contentContainer?.querySelector('#debugWatchBody');
+    const locationLabel = this.contentContainer?.querySelector('#debugWatchLocation');
+    if (!body || !locationLabel) return;
+    
+    if (!this.luaDebugger?.isPaused()) {
+      locationLabel.textContent = 'Not paused';
+      body.innerHTML = '';
+      return;
+    }
+    
+    const { location } = this.luaDebugger;
+    const snapshot = this.luaDebugger.inspect();
+    locationLabel.textContent = `${location.name}:${location.line}`;
+    
+    const renderVariables = (variables) => variables.length === 0
+      ? '<div class="debug-watch-empty">None</div>'
+      : `<table class="debug-watch-table">${variables.map(variable => `
+          <tr title="${this.escapeHtml(variable.type)}">
+            <td class="debug-watch-name">${this.escapeHtml(variable.name)}</td>
+            <td class="debug-watch-value debug-type-${variable.type}">${this.escapeHtml(variable.value)}</td>
+          </tr>`).join('')}</table>`;
+    
+    body.innerHTML = `
+      <div class="debug-watch-section">
+        <h5>Call Stack</h5>
+        ${snapshot.stack.map(frame => `
+          <div class="debug-watch-frame">${this.escapeHtml(frame.functionName)} <span>${this.escapeHtml(frame.name)}:${frame.line}</span></div>
+        `).join('')}
+      </div>
+      <div class="debug-watch-section">
+        <h5>Locals</h5>
+        ${renderVariables(snapshot.locals)}
+      </div>
+      <div class="debug-watch-section">
+        <h5>Globals</h5>
+        ${renderVariables(snapshot.globals)}
+      </div>
+    `;
+  }
+
+  /**
+   * Map a Lua error from the concatenated script back to the file and line it came from
+   * @param {Error|string} error
+   * @returns {{message: string, path: string|null, line: number|null}}
+   */
+  translateLuaError(error) {
+    if (this.luaDebugger) {
+      return this.luaDebugger.translateError(error, this.scriptLineMap || []);
+    }
+    return { message: String(error?.message ?? error), path: null, line: null };
+  }
+
+  /**
+   * Report a Lua error in the console (clickable when it has a location) and
+   * as a marker in the editor of the file it came from
+   * @returns {{message: string, path: string|null, line: number|null}} The translated error
+   */
+  reportLuaError(error) {
+    const luaError = this.translateLuaError(error);
+    
+    let consoleText = luaError.message;
+    if (luaError.path && !consoleText.startsWith(`${luaError.path}:`)) {
+      consoleText = `${luaError.path}:${luaError.line}: ${consoleText}`;
+    }
+    this.gameConsole?.writeToConsole(`${consoleText}\n`);
+    
+    if (luaError.path) {
+      window.eventBus?.emit('lua.runtime.error', luaError);
+    }
+    return luaError;
+  }
+
+  /**
+   * Open a Lua source file in its editor tab and move to a line
+   * @param {string} path - Storage path (e.g. "Sources/Lua/main.lua")
+   * @param {number} line - 1-based line number
+   * @param {string} message - Optional error text to mark on that line
+   */
+  async openSourceLocation(path, line, message = null) {
+    if (!this.tabManager || !path) return;
+    
+    try {
+      const project = this.projectExplorer?.getFocusedProjectName?.();
+      const uiPath = window.ProjectPaths?.withProjectPrefix?.(project, path) || path;
+      const tabId = await this.tabManager.openInTab(uiPath, null, { isReadOnly: false });
+      const editor = this.tabManager.dedicatedTabs?.get(tabId)?.viewer;
+      if (!editor || typeof editor.navigateToError !== 'function') return;
+      
+      await editor.contentLoaded;
+      if (message) {
+        editor.setRuntimeErrors([{ line, message }]);
+      }
+      editor.navigateToError(line);
+    } catch (error) {
+      console.warn(`[GameEmulator] Could not open ${path}:${line}:`, error);
+    }
+  }
+
+  /**
+   * Run Lua code through the debugger when it is attached, so breakpoints and stepping apply.
+   * Resolves once the code has finished, which is later than the call if execution pauses.
+   * @param {string} code - Lua statements
+   */
+  async callLua(code) {
+    if (this.luaDebugger?.isAttached()) {
+      await this.luaDebugger.call(code);
+      return;
+    }
+    this.luaState.execute(code);
+  }
+
+  /**
+   * Call the script's Draw() function, wrapped in a Graphics frame so clip state is reset afterwards
+   */
+  async runDrawCallback() {
+    if (!this.hasDrawCallback || !this.luaState) {
+      return;
+    }
+    
+    const graphics = this.extensionLoader?.getExtension('Graphics');
+    graphics?.beginFrame();
+    try {
+      await this.callLua('Draw()');
+    } finally {
+      graphics?.endFrame();
+    }
+    
+    if (this.virtualDisplay) {
+      this.virtualDisplay.present(document.getElementById('game-canvas'));
+    }
+  }
+
+  /**
+   * Create (or drop) the virtual display from the project display settings.
+   * Indexed formats use the project default palette.
+   */
+  async initializeVirtualDisplay() {
+    try {
+      const settings = await window.ProjectConfigManager?.getDisplaySettings?.();
+      if (!settings || !settings.enabled) {
+        this.virtualDisplay = null;
+        console.log('[GameEmulator] Virtual display disabled - drawing directly to the game canvas');
+        return;
+      }
+      
+      if (typeof VirtualDisplay === 'undefined') {
+        await this.loadScript('scripts/game-emulator/virtual-display.js');
+      }
+      
+      const palette = await this.loadPaletteColors(null);
+      this.virtualDisplay = new VirtualDisplay({
+        width: settings.width,
+        height: settings.height,
+        pixelFormat: settings.pixelFormat,
+        palette
+      });
+      console.log(`[GameEmulator] Virtual display: ${settings.width}x${settings.height} ${settings.pixelFormat}`);
+    } catch (error) {
+      console.error('[GameEmulator] Failed to initialize virtual display:', error);
+      this.virtualDisplay = null;
+    }
+  }
+
+  /**
+   * Apply display selector changes, persisting them to the project config
+   * @param {Object} settings - Partial display settings
+   */
+  async changeDisplaySettings(settings) {
+    const projectConfig = window.ProjectConfigManager;
+    if (!projectConfig?.setDisplaySettings) return;
+    
+    await projectConfig.setDisplaySettings(settings);
+    
+    // Rebuild the framebuffer for a running game; Graphics picks up the new target on its next call
+    if (this.isRunning) {
+      await this.initializeVirtualDisplay();
+      if (!this.virtualDisplay) {
+        const canvas = document.getElementById('game-canvas');
+        canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+      }
+    }
+  }
+
+  /**
+   * Fill the display selectors from the project config
+   */
+  async updateDisplayControls() {
+    const formatSelect = this.contentContainer?.querySelector('#displayFormatSelect');
+    const resolutionSelect = this.contentContainer?.querySelector('#displayResolutionSelect');
+    if (!formatSelect || !resolutionSelect) return;
+    
+    const settings = await window.ProjectConfigManager?.getDisplaySettings?.();
+    if (!settings) return;
+    
+    formatSelect.value = settings.enabled ? settings.pixelFormat : '';
+    const resolution = `${settings.width}x${settings.height}`;
+    if (!Array.from(resolutionSelect.options).some(option => option.value === resolution)) {
+      resolutionSelect.add(new Option(resolution, resolution));
+    }
+    resolutionSelect.value = resolution;
+    resolutionSelect.disabled = !settings.enabled;
+  }
+
+  /**
+   * Configure the mixer like the target hardware from the project audio settings
+   * (voice limit, stealing policy and output sample rate/bit depth)
+   */
+  async applyAudioSettings() {
+    const settings = await window.ProjectConfigManager?.getAudioSettings?.();
+    if (!settings || !this.audioEngine) return;
+    
+    try {
+      this.audioEngine.setVoiceLimit(settings.maxVoices, settings.voiceStealing);
+      this.audioEngine.setOutputFormat(settings.sampleRate, settings.bitDepth);
+    } catch (error) {
+      console.error('[GameEmulator] Invalid audio settings:', error);
+    }
+  }
+
+  /**
+   * Apply audio selector changes, persisting them to the project config
+   * @param {Object} settings - Partial audio settings
+   */
+  async changeAudioSettings(settings) {
+    const projectConfig = window.ProjectConfigManager;
+    if (!projectConfig?.setAudioSettings) return;
+    
+    await projectConfig.setAudioSettings(settings);
+    await this.applyAudioSettings();
+  }
+
+  /**
+   * Fill the audio selectors from the project config
+   */
+  async updateAudioControls() {
+    const formatSelect = this.contentContainer?.querySelector('#audioFormatSelect');
+    const voiceLimitSelect = this.contentContainer?.querySelector('#voiceLimitSelect');
+    const stealingSelect = this.contentContainer?.querySelector('#voiceStealingSelect');
+    if (!formatSelect || !voiceLimitSelect || !stealingSelect) return;
+    
+    const settings = await window.ProjectConfigManager?.getAudioSettings?.();
+    if (!settings) return;
+    
+    const format = `${settings.sampleRate}:${settings.bitDepth}`;
+    if (!Array.from(formatSelect.options).some(option => option.value === format)) {
+      formatSelect.add(new Option(`${settings.sampleRate} Hz ${settings.bitDepth}-bit`, format));
+    }
+    formatSelect.value = format;
+    
+    const maxVoices = String(settings.maxVoices);
+    if (!Array.from(voiceLimitSelect.options).some(option => option.value === maxVoices)) {
+      voiceLimitSelect.add(new Option(`${maxVoices} voices`, maxVoices));
+    }
+    voiceLimitSelect.value = maxVoices;
+    stealingSelect.value = settings.voiceStealing;
+    stealingSelect.disabled = settings.maxVoices === 0;
+  }
+
+  /**
+   * Stop the currently running project
+   */
+  stopProject() {
+    console.log('[GameEmulator] Stopping project...');
+    this.stopGameLoop();
+    
+    // Reset all extensions (clear old state)
+    if (this.extensionLoader) {
+      this.extensionLoader.resetExtensions();
+    }
+    
+    // Stop all audio
+    if (this.audioEngine) {
+      this.audioEngine.stopAllAudio();
+    }
+    
+    this.updateStatus('Project stopped', 'info');
+  }
+
+  /**
+   * Toggle play/pause state - main control button
+   */
+  async togglePlayPause() {
+    if (!this.isRunning) {
+      // Not running, so start playing
+      await this.playProject();
+    } else if (this.isPaused) {
+      // Currently paused, so resume
+      this.resumeGame();
+    } else {
+      // Currently running, so pause
+      this.pauseGame();
+    }
+    
+    // Update button appearance
+    this.updatePlayPauseButton();
+    this.updateDebugControls();
+  }
+
+  /**
+   * Pause the game (separate from toggle for clarity)
+   */
+  pauseGame() {
+    if (!this.isRunning) {
+      console.log('[GameEmulator] Cannot pause - game is not running');
+      return;
+    }
+
+    this.isPaused = true;
+    console.log('[GameEmulator] Game paused');
+    
+    if (this.audioEngine && this.audioEngine.workletNode) {
+      console.log('[GameEmulator] Pausing audio at mixer level');
+      this.audioEngine.workletNode.port.postMessage({ type: 'pause-audio' });
+    }
+    
+    this.updateStatus('Game paused', 'info');
+  }
+
+  /**
+   * Resume the game (separate from toggle for clarity)
+   */
+  resumeGame() {
+    if (!this.isRunning) {
+      console.log('[GameEmulator] Cannot resume - game is not running');
+      return;
+    }
+
+    this.isPaused = false;
+    console.log('[GameEmulator] Game resumed');
+    
+    if (this.audioEngine && this.audioEngine.workletNode) {
+      console.log('[GameEmulator] Resuming audio at mixer level');
+      this.audioEngine.workletNode.port.postMessage({ type: 'resume-audio' });
+    }
+    
+    this.updateStatus('Game resumed', 'info');
+  }
+
+  /**
+   * Stop the game - when play is pressed again, it will reload
+   */
+  stopGame() {
+    console.log('[GameEmulator] Stopping game...');
+    this.stopProject();
+    this.updatePlayPauseButton();
+  }
+
+  /**
+   * Toggle pause/resume state
+   */
+  togglePauseResume() {
+    if (!this.isRunning) {
+      console.log('[GameEmulator] Cannot pause/resume - game is not running');
+      return;
     }
 
     this.isPaused = !this.isPaused;
@@ -1835,6 +2997,7 @@ class GameEmulator {
     
     // Update button appearance
     this.updatePauseResumeButton();
+    this.updateDebugControls();
     
     if (this.isPaused) {
       // Pause all audio at the mixer level (preserves all playback state)
@@ -2211,6 +3374,60 @@ class GameEmulator {
           <span class="btn-icon">🔄</span>
           <span class="btn-text">Reload</span>
         </button>
+        <div class="debug-controls">
+          <button class="debug-btn" id="debugBreakBtn" title="Break at the next statement" disabled>⏸</button>
+          <button class="debug-btn" id="debugContinueBtn" title="Continue" disabled>▶</button>
+          <button class="debug-btn" id="debugStepOverBtn" title="Step Over" disabled>⤼</button>
+          <button class="debug-btn" id="debugStepIntoBtn" title="Step Into" disabled>⤵</button>
+          <button class="debug-btn" id="debugWatchToggleBtn" title="Toggle Locals/Globals Watch">🐞</button>
+        </div>
+        <div class="loop-controls">
+          <button class="debug-btn" id="stepFrameBtn" title="Step One Frame (while paused)" disabled>⏭</button>
+          <select class="display-select" id="tickRateSelect" title="Game Loop Tick Rate">
+            <option value="variable">Variable</option>
+            <option value="30">30 Hz</option>
+            <option value="60">60 Hz</option>
+          </select>
+          <select class="display-select" id="speedSelect" title="Game Speed">
+            ${[0.25, 0.5, 1, 2, 4].map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+          </select>
+          <button class="debug-btn" id="frameStatsBtn" title="Toggle FPS/Frame Time Overlay">📊</button>
+        </div>
+        <div class="replay-controls">
+          <button class="debug-btn" id="recordInputBtn" title="Record Input (restarts the game)">⏺</button>
+          <select class="display-select" id="replaySelect" title="Play Back a Recorded Replay">
+            <option value="">Replays...</option>
+          </select>
+        </div>
+        <div class="display-controls">
+          <select class="display-select" id="displayFormatSelect" title="Display Pixel Format">
+            <option value="">Native (RGBA)</option>
+            ${ImageData.getTextureFormatOptions().map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+          </select>
+          <select class="display-select" id="displayResolutionSelect" title="Display Resolution">
+            ${['128x128', '160x128', '160x144', '240x240', '320x240', '390x390', '454x454', '480x272', '800x600']
+              .map(resolution => `<option value="${resolution}">${resolution}</option>`).join('')}
+          </select>
+        </div>
+        <div class="audio-format-controls">
+          <select class="display-select" id="audioFormatSelect" title="Audio Output Format">
+            <option value="0:16">Native Audio</option>
+            <option value="44100:16">44100 Hz 16-bit</option>
+            <option value="22050:16">22050 Hz 16-bit</option>
+            <option value="22050:8">22050 Hz 8-bit</option>
+            <option value="11025:8">11025 Hz 8-bit</option>
+          </select>
+          <select class="display-select" id="voiceLimitSelect" title="Maximum Simultaneous Sounds">
+            <option value="0">No Voice Limit</option>
+            ${[4, 8, 16, 32].map(count => `<option value="${count}">${count} voices</option>`).join('')}
+          </select>
+          <select class="display-select" id="voiceStealingSelect" title="Sound Cut When the Voice Limit Is Reached">
+            <option value="oldest">Steal Oldest</option>
+            <option value="quietest">Steal Quietest</option>
+            <option value="priority">Steal Lowest Priority</option>
+          </select>
+          <button class="debug-btn" id="audioMixerToggleBtn" title="Toggle Mixer (voices, songs and level meters)">🎚</button>
+        </div>
         <div class="volume-controls">
           <button class="mute-btn" id="muteBtn" title="Mute/Unmute Audio">🔊</button>
           <input type="range" id="volumeSlider" min="0" max="100" value="75" title="Volume Control">
@@ -2223,10 +3440,25 @@ class GameEmulator {
       
       <div class="game-main-area">
         <div class="game-canvas-container">
-          <canvas id="game-canvas" width="800" height="600"></canvas>
+          <div class="game-canvas-frame">
+            <canvas id="game-canvas" width="800" height="600"></canvas>
+            <div class="frame-stats-overlay" id="frameStatsOverlay"></div>
+          </div>
           <div class="game-info">Game running... (simulated)</div>
         </div>
         
+        <!-- Debugger Watch Panel -->
+        <div class="debug-watch-panel" id="debugWatchPanel">
+          <div class="debug-watch-header">
+            <span class="debug-watch-title">Debugger</span>
+            <span class="debug-watch-location" id="debugWatchLocation">Not paused</span>
+          </div>
+          <div class="debug-watch-body" id="debugWatchBody"></div>
+        </div>
+        
+        <!-- Audio Mixer Panel -->
+        <div class="audio-mixer-panel" id="audioMixerPanel"></div>
+        
         <!-- Console Slide Panel -->
         <div class="console-slide-panel" id="consoleSlidePanel">
           <!-- GameConsole will be rendered here -->
@@ -2237,57 +3469,16 @@ class GameEmulator {
       <div class="key-bindings-popup" id="keyBindingsPopup" style="display: none;">
         <div class="key-bindings-container">
           <div class="key-bindings-header">
-            <h4>🎮 Keyboard Mapping</h4>
+            <h4>🎮 Controls</h4>
             <button class="close-popup-btn" id="closeKeyBindingsBtn">✕</button>
           </div>
           <div class="key-bindings-body">
-            <div class="key-mapping-grid">
-              <div class="key-mapping-section">
-                <h5>D-Pad</h5>
-                <div class="key-mapping-item">
-                  <span class="key">↑</span><span class="button">Up</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">↓</span><span class="button">Down</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">←</span><span class="button">Left</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">→</span><span class="button">Right</span>
-                </div>
-              </div>
-              <div class="key-mapping-section">
-                <h5>Action Buttons</h5>
-                <div class="key-mapping-item">
-                  <span class="key">Z</span><span class="button">B Button</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">X</span><span class="button">A Button</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">A</span><span class="button">Y Button</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">S</span><span class="button">X Button</span>
-                </div>
-              </div>
-              <div class="key-mapping-section">
-                <h5>System</h5>
-                <div class="key-mapping-item">
-                  <span class="key">Space</span><span class="button">Select</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">Enter</span><span class="button">Start</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">L-Shift</span><span class="button">L Shoulder</span>
-                </div>
-                <div class="key-mapping-item">
-                  <span class="key">R-Shift</span><span class="button">R Shoulder</span>
-                </div>
-              </div>
+            <table class="control-bindings-table" id="controlBindingsTable"></table>
+            <div class="control-bindings-actions">
+              <button class="debug-btn" id="resetBindingsBtn" title="Drop your own bindings and use the project defaults">Reset to Project Defaults</button>
+              <button class="debug-btn" id="saveProjectBindingsBtn" title="Store these bindings in Sources/config.json for everyone working on the project">Save as Project Defaults</button>
             </div>
+            <div class="gamepad-status" id="gamepadStatus"></div>
             <div class="input-status">
               <strong>Click the canvas above to activate input capture</strong>
             </div>
@@ -2325,6 +3516,7 @@ class GameEmulator {
       
       if (success) {
         console.log('[GameEmulator] Input manager initialized successfully');
+        await this.loadInputBindings();
         
         // Focus the canvas to activate input capture
         setTimeout(() => {
@@ -2361,6 +3553,146 @@ class GameEmulator {
     });
   }
 
+  /**
+   * Apply the controls: built-in mapping, then the project defaults from Sources/config.json,
+   * then the user's own bindings from ConfigManager
+   */
+  async loadInputBindings() {
+    if (!this.inputManager) return;
+    
+    const projectBindings = await window.ProjectConfigManager?.getInputBindings?.();
+    const userBindings = window.configManager?.get('input.bindings', null);
+    this.inputManager.setBindings(window.GameInputManager.mergeBindings(projectBindings, userBindings));
+    this.renderControlBindings();
+  }
+
+  /**
+   * Persist the user's binding overrides and apply them
+   * @param {Object|null} bindings - Partial {keyboard, gamepad}; null falls back to the project defaults
+   */
+  async saveUserInputBindings(bindings) {
+    this.cancelBindingCapture();
+    window.configManager?.set('input.bindings', bindings);
+    await window.configManager?.saveToStorage();
+    await this.loadInputBindings();
+  }
+
+  /**
+   * Make the current bindings the project defaults and drop the user's overrides
+   */
+  async saveProjectInputBindings() {
+    if (!this.inputManager || !window.ProjectConfigManager?.setInputBindings) return;
+    
+    this.cancelBindingCapture();
+    await window.ProjectConfigManager.setInputBindings(this.inputManager.bindings);
+    await this.saveUserInputBindings(null);
+    this.updateStatus('Saved controls as project defaults', 'info');
+  }
+
+  /**
+   * Wait for the key or gamepad button that should drive a button
+   * @param {string} device - "keyboard" or "gamepad"
+   * @param {string} button - Emulated button name (e.g. "Start")
+   * @param {HTMLElement} cell - Binding cell that shows the prompt
+   */
+  startBindingCapture(device, button, cell) {
+    this.cancelBindingCapture();
+    this.bindingCapture = { device, button, cell };
+    cell.classList.add('capturing');
+    cell.textContent = device === 'keyboard' ? 'Press a key...' : 'Press a button...';
+    
+    if (device === 'gamepad') {
+      // Ignore buttons that were already down when the capture started
+      const alreadyPressed = this.inputManager?.getPressedGamepadButtons() || [];
+      const poll = () => {
+        if (this.bindingCapture?.cell !== cell) return;
+        const index = this.inputManager?.getPressedGamepadButtons().find(pressed => !alreadyPressed.includes(pressed));
+        if (index !== undefined) {
+          this.completeBindingCapture(index);
+          return;
+        }
+        requestAnimationFrame(poll);
+      };
+      requestAnimationFrame(poll);
+    }
+  }
+
+  cancelBindingCapture() {
+    if (!this.bindingCapture) return;
+    this.bindingCapture = null;
+    this.renderControlBindings();
+  }
+
+  /**
+   * Bind the captured key or gamepad button; a key drives one button only, so it is
+   * taken away from any other button that had it
+   * @param {string|number|null} value - Key code, gamepad button index, or null to unbind
+   */
+  async completeBindingCapture(value) {
+    const { device, button } = this.bindingCapture;
+    this.bindingCapture = null;
+    
+    const current = this.inputManager?.bindings || window.GameInputManager.mergeBindings();
+    const userBindings = window.configManager?.get('input.bindings', null) || {};
+    const deviceBindings = { ...(userBindings[device] || {}) };
+    
+    if (value !== null) {
+      for (const [other, values] of Object.entries(current[device])) {
+        if (other !== button && values.includes(value)) {
+          deviceBindings[other] = values.filter(bound => bound !== value);
+        }
+      }
+    }
+    deviceBindings[button] = value === null ? [] : [value];
+    
+    await this.saveUserInputBindings({ ...userBindings, [device]: deviceBindings });
+  }
+
+  /**
+   * Fill the controls dialog with the active bindings and the connected gamepads
+   */
+  renderControlBindings() {
+    const table = this.contentContainer?.querySelector('#controlBindingsTable');
+    if (!table || this.bindingCapture) return;
+    
+    const bindings = this.inputManager?.bindings;
+    if (!bindings) {
+      table.innerHTML = '<tr><td>Input is not initialized yet</td></tr>';
+      return;
+    }
+    
+    const label = (device, values) => values.length
+      ? values.map(value => window.GameInputManager.getBindingLabel(device, value)).join(', ')
+      : '—';
+    const groups = {
+      'D-Pad': ['Up', 'Down', 'Left', 'Right'],
+      'Action Buttons': ['A', 'B', 'X', 'Y'],
+      'System': ['Start', 'Select', 'L', 'R']
+    };
+    
+    let html = '<tr><th>Button</th><th>Keyboard</th><th>Gamepad</th></tr>';
+    for (const [group, buttons] of Object.entries(groups)) {
+      html += `<tr class="control-bindings-group"><td colspan="3">${group}</td></tr>`;
+      for (const button of buttons) {
+        html += `
+          <tr>
+            <td class="control-button-name">${button}</td>
+            <td><button class="binding-cell" data-device="keyboard" data-button="${button}">${this.escapeHtml(label('keyboard', bindings.keyboard[button]))}</button></td>
+            <td><button class="binding-cell" data-device="gamepad" data-button="${button}">${this.escapeHtml(label('gamepad', bindings.gamepad[button]))}</button></td>
+          </tr>`;
+      }
+    }
+    table.innerHTML = html;
+    
+    const status = this.contentContainer.querySelector('#gamepadStatus');
+    if (status) {
+      const pads = this.inputManager.getGamepads();
+      status.textContent = pads.length
+        ? `Gamepad: ${pads.map(pad => pad.id).join(', ')}`
+        : 'No gamepad detected - press a button on the controller to connect it';
+    }
+  }
+
   setupGameEngineEvents() {
     // Key bindings popup handling
     const keyBindingsBtn = this.contentContainer.querySelector('#keyBindingsBtn');
@@ -2370,15 +3702,45 @@ class GameEmulator {
     if (keyBindingsBtn) {
       keyBindingsBtn.addEventListener('click', () => {
         keyBindingsPopup.style.display = 'flex';
+        this.renderControlBindings();
       });
     }
 
     if (closeKeyBindingsBtn) {
       closeKeyBindingsBtn.addEventListener('click', () => {
+        this.cancelBindingCapture();
         keyBindingsPopup.style.display = 'none';
       });
     }
 
+    // Click a binding to rebind it: the next key (or gamepad button) replaces it
+    this.contentContainer.querySelector('#controlBindingsTable')?.addEventListener('click', (e) => {
+      const cell = e.target.closest('.binding-cell');
+      if (cell) {
+        this.startBindingCapture(cell.dataset.device, cell.dataset.button, cell);
+      }
+    });
+    this.contentContainer.querySelector('#resetBindingsBtn')?.addEventListener('click', () => this.saveUserInputBindings(null));
+    this.contentContainer.querySelector('#saveProjectBindingsBtn')?.addEventListener('click', () => this.saveProjectInputBindings());
+
+    if (!this.bindingCaptureListener) {
+      // Capture phase, so the key never reaches the game or the editor
+      this.bindingCaptureListener = (e) => {
+        if (!this.bindingCapture) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        
+        if (e.code === 'Escape') {
+          this.cancelBindingCapture();
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+          this.completeBindingCapture(null);
+        } else if (this.bindingCapture.device === 'keyboard') {
+          this.completeBindingCapture(e.code);
+        }
+      };
+      window.addEventListener('keydown', this.bindingCaptureListener, true);
+    }
+
     // Make key bindings popup draggable
     if (keyBindingsPopup) {
       this.makeElementDraggable(keyBindingsPopup, keyBindingsPopup.querySelector('.key-bindings-header'));
@@ -2430,6 +3792,62 @@ class GameEmulator {
       });
     }
 
+    // Debugger controls
+    const debugActions = {
+      '#debugBreakBtn': () => this.luaDebugger?.pause(),
+      '#debugContinueBtn': () => this.luaDebugger?.continue(),
+      '#debugStepOverBtn': () => this.luaDebugger?.stepOver(),
+      '#debugStepIntoBtn': () => this.luaDebugger?.stepInto(),
+      '#debugWatchToggleBtn': () => this.contentContainer.querySelector('#debugWatchPanel')?.classList.toggle('open')
+    };
+    for (const [selector, action] of Object.entries(debugActions)) {
+      this.contentContainer.querySelector(selector)?.addEventListener('click', action);
+    }
+    this.updateDebugControls();
+
+    // Game loop controls
+    const tickRateSelect = this.contentContainer.querySelector('#tickRateSelect');
+    const speedSelect = this.contentContainer.querySelector('#speedSelect');
+
+    this.contentContainer.querySelector('#stepFrameBtn')?.addEventListener('click', () => this.stepFrame());
+    this.contentContainer.querySelector('#frameStatsBtn')?.addEventListener('click', () => {
+      this.contentContainer.querySelector('#frameStatsOverlay')?.classList.toggle('visible');
+      this.renderFrameStats();
+    });
+
+    if (tickRateSelect) {
+      tickRateSelect.addEventListener('change', (e) => {
+        this.changeTimingSettings(e.target.value);
+      });
+    }
+
+    if (speedSelect) {
+      speedSelect.addEventListener('change', (e) => {
+        this.setSpeedMultiplier(parseFloat(e.target.value));
+      });
+    }
+
+    this.updateLoopControls();
+
+    // Input recording and replay
+    const replaySelect = this.contentContainer.querySelector('#replaySelect');
+
+    this.contentContainer.querySelector('#recordInputBtn')?.addEventListener('click', () => this.toggleInputRecording());
+
+    if (replaySelect) {
+      // List replays recorded since the toolbar was built
+      replaySelect.addEventListener('focus', () => this.updateReplayControls());
+      replaySelect.addEventListener('change', (e) => {
+        const fileName = e.target.value;
+        e.target.value = '';
+        if (fileName) {
+          this.playReplay(fileName);
+        }
+      });
+    }
+
+    this.updateReplayControls();
+
     // Volume controls
     const muteBtn = this.contentContainer.querySelector('#muteBtn');
     const volumeSlider = this.contentContainer.querySelector('#volumeSlider');
@@ -2446,6 +3864,76 @@ class GameEmulator {
         this.setVolume(volume);
       });
     }
+
+    // Virtual display controls
+    const displayFormatSelect = this.contentContainer.querySelector('#displayFormatSelect');
+    const displayResolutionSelect = this.contentContainer.querySelector('#displayResolutionSelect');
+
+    if (displayFormatSelect) {
+      displayFormatSelect.addEventListener('change', async (e) => {
+        const pixelFormat = e.target.value;
+        await this.changeDisplaySettings(pixelFormat ? { enabled: true, pixelFormat } : { enabled: false });
+        this.updateDisplayControls();
+      });
+    }
+
+    if (displayResolutionSelect) {
+      displayResolutionSelect.addEventListener('change', async (e) => {
+        const [width, height] = e.target.value.split('x').map(value => parseInt(value, 10));
+        await this.changeDisplaySettings({ width, height });
+      });
+    }
+
+    this.updateDisplayControls();
+
+    // Target hardware audio controls
+    const audioFormatSelect = this.contentContainer.querySelector('#audioFormatSelect');
+    const voiceLimitSelect = this.contentContainer.querySelector('#voiceLimitSelect');
+    const voiceStealingSelect = this.contentContainer.querySelector('#voiceStealingSelect');
+
+    if (audioFormatSelect) {
+      audioFormatSelect.addEventListener('change', async (e) => {
+        const [sampleRate, bitDepth] = e.target.value.split(':').map(value => parseInt(value, 10));
+        await this.changeAudioSettings({ sampleRate, bitDepth });
+      });
+    }
+
+    if (voiceLimitSelect) {
+      voiceLimitSelect.addEventListener('change', async (e) => {
+        await this.changeAudioSettings({ maxVoices: parseInt(e.target.value, 10) });
+        this.updateAudioControls();
+      });
+    }
+
+    if (voiceStealingSelect) {
+      voiceStealingSelect.addEventListener('change', async (e) => {
+        await this.changeAudioSettings({ voiceStealing: e.target.value });
+      });
+    }
+
+    this.updateAudioControls();
+
+    this.contentContainer.querySelector('#audioMixerToggleBtn')?.addEventListener('click', () => this.toggleAudioMixer());
+
+    // Keep indexed display modes in sync with the project palette
+    if (window.eventBus && !this.displayPaletteListener) {
+      this.displayPaletteListener = async () => {
+        if (this.virtualDisplay) {
+          this.virtualDisplay.setPalette(await this.loadPaletteColors(null));
+        }
+      };
+      window.eventBus.on('project.defaultPalette.changed', this.displayPaletteListener);
+    }
+
+    // Pick up project default controls and show gamepad (dis)connections
+    if (window.eventBus && !this.inputBindingsListener) {
+      this.inputBindingsListener = () => this.loadInputBindings();
+      window.eventBus.on('project.input.changed', this.inputBindingsListener);
+      window.eventBus.on('input.gamepad.changed', (data) => {
+        this.gameConsole?.writeToConsole(`[Input] Gamepad ${data.connected ? 'connected' : 'disconnected'}: ${data.id}\n`);
+        this.renderControlBindings();
+      });
+    }
   }
   
   // Make an element draggable by its header
@@ -2514,8 +4002,22 @@ class GameEmulator {
     this.gameConsole.clearConsole();
   }
 
+  /**
+   * Open or close the docked mixer panel (metering only runs while it is open)
+   */
+  toggleAudioMixer() {
+    const panel = this.contentContainer?.querySelector('#audioMixerPanel');
+    if (!panel || !this.audioEngine) return;
+    if (!this.audioMixerPanel || this.audioMixerPanel.container !== panel) {
+      this.audioMixerPanel = new AudioMixerPanel(panel, this.audioEngine);
+    }
+    this.audioMixerPanel.toggle();
+    this.contentContainer.querySelector('#audioMixerToggleBtn')?.classList.toggle('active', this.audioMixerPanel.isOpen);
+  }
+
   // Cleanup method for when the component is destroyed
   cleanup() {
+    this.audioMixerPanel?.close();
     // Cleanup GameConsole
     this.gameConsole.cleanup();
     this.gameConsole = null;
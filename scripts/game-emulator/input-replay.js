@@ -0,0 +1,112 @@
+// input-replay.js
+// Per-tick input recording (.replay files) used to reproduce a run frame-for-frame
+
+const INPUT_REPLAY_VERSION = 1;
+
+class InputReplay {
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - RNG seed the run started with
+   * @param {number} options.startDate - Wall-clock start of the virtual clock (ms since epoch)
+   * @param {Object} options.timing - Loop timing the run used ({fixedTimestep, tickRate})
+   * @param {Array<number[]>} [options.frames] - [held, pressed, released] per tick
+   * @param {number[]|null} [options.deltas] - Tick lengths, only recorded for variable timesteps
+   */
+  constructor({ seed, startDate, timing, frames = [], deltas = null }) {
+    this.seed = seed;
+    this.startDate = startDate;
+    this.timing = { ...timing };
+    this.frames = frames;
+    this.deltas = deltas || (this.timing.fixedTimestep ? null : []);
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Append the input state of one tick
+   * @param {Object} keys - {held, pressed, released} bitmasks
+   * @param {number} deltaTime - Tick length in milliseconds (kept for variable timesteps only)
+   */
+  addFrame(keys, deltaTime) {
+    this.frames.push([keys.held, keys.pressed, keys.released]);
+    if (this.deltas) {
+      this.deltas.push(deltaTime);
+    }
+  }
+
+  /**
+   * Input state of a tick, or null past the end of the recording
+   * @param {number} index - 0-based tick index
+   */
+  getFrame(index) {
+    const frame = this.frames[index];
+    return frame ? { held: frame[0], pressed: frame[1], released: frame[2] } : null;
+  }
+
+  /**
+   * Recorded length of a tick (variable timesteps only)
+   * @param {number} index - 0-based tick index
+   * @returns {number|null}
+   */
+  getDeltaTime(index) {
+    return this.deltas?.[index] ?? null;
+  }
+
+  /**
+   * Serialize to the .replay JSON format. Runs of identical frames are stored once with a
+   * repeat count, since input usually stays the same for many ticks in a row.
+   */
+  serialize() {
+    const runs = [];
+    for (const frame of this.frames) {
+      const last = runs[runs.length - 1];
+      if (last && last[1] === frame[0] && last[2] === frame[1] && last[3] === frame[2]) {
+        last[0]++;
+      } else {
+        runs.push([1, ...frame]);
+      }
+    }
+
+    return JSON.stringify({
+      version: INPUT_REPLAY_VERSION,
+      createdAt: new Date().toISOString(),
+      seed: this.seed,
+      startDate: this.startDate,
+      timing: this.timing,
+      frameCount: this.frames.length,
+      frames: runs,
+      ...(this.deltas && { deltas: this.deltas })
+    });
+  }
+
+  /**
+   * Read a .replay file
+   * @param {string} text - File content
+   * @returns {InputReplay}
+   */
+  static parse(text) {
+    const data = JSON.parse(text);
+    if (!data || data.version !== INPUT_REPLAY_VERSION || !Array.isArray(data.frames)) {
+      throw new Error(`Unsupported replay format (version ${data?.version})`);
+    }
+
+    const frames = [];
+    for (const [count, held, pressed, released] of data.frames) {
+      for (let i = 0; i < count; i++) {
+        frames.push([held, pressed, released]);
+      }
+    }
+
+    return new InputReplay({
+      seed: data.seed,
+      startDate: data.startDate,
+      timing: data.timing || { fixedTimestep: true, tickRate: 60 },
+      frames,
+      deltas: data.deltas || null
+    });
+  }
+}
+
+window.InputReplay = InputReplay;
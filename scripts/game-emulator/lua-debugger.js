@@ -0,0 +1,639 @@
+// lua-debugger.js
+// Step-through debugger for the game emulator.
+// The concatenated script is instrumented with a line probe in front of every statement
+// (on the same line, so line numbers never move) and all calls into Lua run inside a
+// coroutine. A probe that hits a breakpoint or a step target yields the coroutine,
+// which leaves the Lua state suspended until the user continues from the emulator panel.
+
+// Lua keywords - an identifier that is one of these is never a plain name
+const LUA_DEBUGGER_KEYWORDS = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in',
+  'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'
+]);
+
+// Keywords that can begin a statement, so a probe may be placed in front of them
+const LUA_DEBUGGER_STATEMENT_KEYWORDS = new Set([
+  'break', 'do', 'for', 'function', 'goto', 'if', 'local', 'repeat', 'return', 'while'
+]);
+
+// Keywords that may end the previous statement (or open a block) directly before a probe
+const LUA_DEBUGGER_BOUNDARY_KEYWORDS = new Set([
+  'break', 'do', 'else', 'end', 'false', 'nil', 'repeat', 'then', 'true'
+]);
+
+// Runtime installed into the Lua state when the debugger attaches
+const LUA_DEBUGGER_RUNTIME = `
+__rs_dbg = { breakpoints = {}, mode = nil, depth = 0, co = nil, source = nil, builtins = {} }
+for name in pairs(_G) do __rs_dbg.builtins[name] = true end
+
+local function stack_depth()
+  local level = 2
+  while debug.getinfo(level, 'l') do level = level + 1 end
+  return level
+end
+
+function __rs_dbg_line(line)
+  local dbg = __rs_dbg
+  if not dbg.breakpoints[line] then
+    if dbg.mode == nil then return end
+    if dbg.mode == 'over' and stack_depth() > dbg.depth then return end
+  end
+  -- Only the debug coroutine can be suspended; user coroutines and callbacks from JS run through
+  if coroutine.running() ~= dbg.co then return end
+  dbg.depth = stack_depth()
+  dbg.mode = nil
+  pcall(coroutine.yield, '__rs_break', line)
+end
+
+function __rs_dbg_resume()
+  local co = __rs_dbg.co
+  local ok, tag, line = coroutine.resume(co)
+  if not ok then
+    __rs_dbg.co = nil
+    error(tag, 0)
+  end
+  if coroutine.status(co) == 'dead' then
+    __rs_dbg.co = nil
+    return 'done'
+  end
+  if tag == '__rs_break' then
+    return 'paused', line
+  end
+  __rs_dbg.co = nil
+  error('attempt to yield from outside a coroutine', 0)
+end
+
+function __rs_dbg_start(fn)
+  __rs_dbg.co = coroutine.create(fn)
+  return __rs_dbg_resume()
+end
+
+local function describe(value)
+  local kind = type(value)
+  if kind == 'string' then
+    return kind, (string.format('%q', value):gsub('\\\\\\n', '\\\\n'))
+  elseif kind == 'table' then
+    local count = 0
+    for _ in pairs(value) do count = count + 1 end
+    return kind, 'table (' .. count .. ' entries)'
+  end
+  return kind, tostring(value)
+end
+
+function __rs_dbg_inspect()
+  local out = {}
+  local function add(scope, name, value)
+    local kind, text = describe(value)
+    out[#out + 1] = scope .. '\\31' .. name .. '\\31' .. kind .. '\\31' .. text
+  end
+
+  local co = __rs_dbg.co
+  if co then
+    local level = 0
+    local seenUserFrame = false
+    while true do
+      local info = debug.getinfo(co, level, 'Slnf')
+      if not info then break end
+      if info.source == __rs_dbg.source and info.func ~= __rs_dbg_line and info.currentline > 0 then
+        if not seenUserFrame then
+          seenUserFrame = true
+          local index = 1
+          while true do
+            local name, value = debug.getlocal(co, level, index)
+            if not name then break end
+            if name:sub(1, 1) ~= '(' then add('local', name, value) end
+            index = index + 1
+          end
+        end
+        out[#out + 1] = 'stack\\31' .. (info.name or '') .. '\\31\\31' .. info.currentline
+      end
+      level = level + 1
+    end
+  end
+
+  for name, value in pairs(_G) do
+    if type(name) == 'string' and not __rs_dbg.builtins[name] and type(value) ~= 'function' then
+      add('global', name, value)
+    end
+  end
+  return table.concat(out, '\\30')
+end
+`;
+
+class LuaDebugger {
+  constructor() {
+    // Breakpoints per storage path (e.g. "Sources/Lua/main.lua") -> Set of 1-based lines
+    this.breakpoints = new Map();
+
+    this.luaState = null;
+    this.lineMap = [];
+    this.probeLines = new Set();
+
+    // 'idle' (not attached), 'running' or 'paused'
+    this.state = 'idle';
+    this.location = null;
+    this.pendingCall = null;
+    this.pauseRequested = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Breakpoints
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get the breakpoint lines of a file
+   * @param {string} filePath - UI or storage path of a Lua file
+   * @returns {number[]} Sorted 1-based line numbers
+   */
+  getBreakpoints(filePath) {
+    const lines = this.breakpoints.get(this.normalizePath(filePath));
+    return lines ? Array.from(lines).sort((a, b) => a - b) : [];
+  }
+
+  /**
+   * Replace the breakpoint lines of a file (editors call this after edits move lines around)
+   * @param {string} filePath - UI or storage path of a Lua file
+   * @param {number[]} lines - 1-based line numbers
+   */
+  setBreakpoints(filePath, lines) {
+    const key = this.normalizePath(filePath);
+    const next = new Set(lines.filter(line => Number.isInteger(line) && line > 0));
+    const previous = this.breakpoints.get(key) || new Set();
+    if (next.size === previous.size && Array.from(next).every(line => previous.has(line))) {
+      return;
+    }
+
+    if (next.size > 0) {
+      this.breakpoints.set(key, next);
+    } else {
+      this.breakpoints.delete(key);
+    }
+    this.onBreakpointsChanged(key);
+  }
+
+  /**
+   * Add or remove a breakpoint
+   * @param {string} filePath - UI or storage path of a Lua file
+   * @param {number} line - 1-based line number
+   * @returns {boolean} True when the line now has a breakpoint
+   */
+  toggleBreakpoint(filePath, line) {
+    const lines = new Set(this.getBreakpoints(filePath));
+    const enabled = !lines.has(line);
+    if (enabled) {
+      lines.add(line);
+    } else {
+      lines.delete(line);
+    }
+    this.setBreakpoints(filePath, Array.from(lines));
+    return enabled;
+  }
+
+  onBreakpointsChanged(path) {
+    this.syncBreakpoints();
+    window.eventBus?.emit('debugger.breakpoints.changed', { path, lines: this.getBreakpoints(path) });
+  }
+
+  normalizePath(filePath) {
+    return window.ProjectPaths?.normalizeStoragePath?.(filePath) || filePath;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Session
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Prepare a freshly created Lua state for debugging
+   * @param {Object} luaState - lua.vm.js state
+   * @param {Array} lineMap - [{path, name, startLine, lineCount}] from GameEmulator.concatenateLuaScripts()
+   */
+  attach(luaState, lineMap = []) {
+    this.detach();
+
+    this.luaState = luaState;
+    this.lineMap = lineMap;
+    this.probeLines = new Set();
+    this.luaState.execute(LUA_DEBUGGER_RUNTIME);
+    this.state = 'running';
+    console.log('[LuaDebugger] Attached to Lua state');
+  }
+
+  /**
+   * Leave the current session. A call that is suspended at a breakpoint is rejected with
+   * an error flagged `debuggerStopped` so the game loop can unwind quietly.
+   */
+  detach() {
+    if (!this.luaState) return;
+
+    const wasPaused = this.state === 'paused';
+    const pending = this.pendingCall;
+    this.pendingCall = null;
+    this.luaState = null;
+    this.lineMap = [];
+    this.probeLines = new Set();
+    this.state = 'idle';
+    this.location = null;
+    this.pauseRequested = false;
+
+    if (pending) {
+      const error = new Error('Debugging session stopped');
+      error.debuggerStopped = true;
+      pending.reject(error);
+    }
+    if (wasPaused) {
+      window.eventBus?.emit('debugger.resumed', {});
+    }
+    console.log('[LuaDebugger] Detached');
+  }
+
+  isAttached() {
+    return !!this.luaState;
+  }
+
+  isPaused() {
+    return this.state === 'paused';
+  }
+
+  /**
+   * Run a chunk of Lua inside the debug coroutine
+   * @param {string} code - Lua statements (e.g. "Update(16)")
+   * @returns {Promise<void>} Resolves when the code has finished, which may be after any number of pauses
+   */
+  call(code) {
+    if (!this.luaState) {
+      return Promise.reject(new Error('Debugger is not attached'));
+    }
+    if (this.state === 'paused') {
+      return Promise.reject(new Error('Cannot call into Lua while the debugger is paused'));
+    }
+
+    if (this.pauseRequested) {
+      this.pauseRequested = false;
+      this.luaState.execute(`__rs_dbg.mode = 'into'`);
+    }
+
+    // Keep the code on the first line of the wrapper so line numbers are unchanged
+    const result = this.luaState.execute(`return __rs_dbg_start(function(...) ${code}\nend)`);
+    if (!result || result[0] !== 'paused') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pendingCall = { resolve, reject };
+      this.enterPause(result[1]);
+    });
+  }
+
+  /**
+   * Break at the next executed statement
+   */
+  pause() {
+    if (this.state !== 'running') return;
+    this.pauseRequested = true;
+  }
+
+  continue() {
+    this.resume(null);
+  }
+
+  stepOver() {
+    this.resume('over');
+  }
+
+  stepInto() {
+    this.resume('into');
+  }
+
+  resume(mode) {
+    if (this.state !== 'paused' || !this.luaState) return;
+
+    this.luaState.execute(`__rs_dbg.mode = ${mode ? `'${mode}'` : 'nil'}`);
+    this.state = 'running';
+    this.location = null;
+    window.eventBus?.emit('debugger.resumed', { mode });
+
+    const pending = this.pendingCall;
+    let result;
+    try {
+      result = this.luaState.execute('return __rs_dbg_resume()');
+    } catch (error) {
+      this.pendingCall = null;
+      pending?.reject(error);
+      return;
+    }
+
+    if (result && result[0] === 'paused') {
+      this.enterPause(result[1]);
+      return;
+    }
+
+    this.pendingCall = null;
+    pending?.resolve();
+  }
+
+  enterPause(concatLine) {
+    this.state = 'paused';
+    this.location = { ...this.mapLine(concatLine), concatLine };
+    console.log(`[LuaDebugger] Paused at ${this.location.name}:${this.location.line}`);
+    window.eventBus?.emit('debugger.paused', { location: this.location });
+  }
+
+  /**
+   * Read locals, call stack and user globals of the paused coroutine
+   * @returns {{locals: Array, globals: Array, stack: Array}}
+   */
+  inspect() {
+    const snapshot = { locals: [], globals: [], stack: [] };
+    if (this.state !== 'paused' || !this.luaState) return snapshot;
+
+    let encoded = '';
+    try {
+      encoded = this.luaState.execute('return __rs_dbg_inspect()')[0] || '';
+    } catch (error) {
+      console.error('[LuaDebugger] Failed to inspect Lua state:', error);
+      return snapshot;
+    }
+
+    for (const record of encoded.split('\x1e')) {
+      if (!record) continue;
+      const [scope, name, type, value] = record.split('\x1f');
+      if (scope === 'stack') {
+        const location = this.mapLine(parseInt(value, 10));
+        snapshot.stack.push({ ...location, functionName: name || '(main chunk)' });
+      } else {
+        snapshot[scope === 'local' ? 'locals' : 'globals'].push({ name, type, value });
+      }
+    }
+    snapshot.globals.sort((a, b) => a.name.localeCompare(b.name));
+    return snapshot;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Line mapping
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Map a line of the concatenated script back to its source file
+   * @param {number} concatLine - 1-based line in the concatenated script
+   * @param {Array} lineMap - Defaults to the line map of the attached session
+   * @returns {{path: string|null, name: string, line: number}}
+   */
+  mapLine(concatLine, lineMap = this.lineMap) {
+    const segment = lineMap.find(entry =>
+      concatLine >= entry.startLine && concatLine < entry.startLine + entry.lineCount);
+    if (!segment) {
+      return { path: null, name: '(generated)', line: concatLine };
+    }
+    return { path: segment.path, name: segment.name, line: concatLine - segment.startLine + 1 };
+  }
+
+  /**
+   * Rewrite the `[string "..."]:N:` locations in a Lua error message to `path:line:`
+   * @param {Error|string} error - Error thrown by the Lua state
+   * @param {Array} lineMap - Defaults to the line map of the attached session
+   * @returns {{message: string, path: string|null, line: number|null}} Rewritten message and the first mapped location
+   */
+  translateError(error, lineMap = this.lineMap) {
+    const raw = typeof error === 'string' ? error : String(error?.message ?? error);
+    let first = null;
+
+    const message = raw.replace(/\[string "(?:[^"]|"(?!\]))*"\]:(\d+):/g, (match, lineText) => {
+      const location = this.mapLine(parseInt(lineText, 10), lineMap);
+      // Lines outside every file belong to generated code (wrappers, the default Setup)
+      if (!location.path) return match;
+      if (!first) first = location;
+      return `${location.path}:${location.line}:`;
+    });
+
+    return { message, path: first?.path || null, line: first?.line || null };
+  }
+
+  /**
+   * Map a source file line to the concatenated script
+   * @returns {number|null}
+   */
+  toConcatenatedLine(filePath, line) {
+    const key = this.normalizePath(filePath);
+    const segment = this.lineMap.find(entry => this.normalizePath(entry.path) === key);
+    if (!segment || line < 1 || line > segment.lineCount) return null;
+    return segment.startLine + line - 1;
+  }
+
+  /**
+   * Push the breakpoint table into the running Lua state. Breakpoints on lines without a
+   * statement (blank lines, comments, continuation lines) move down to the next statement.
+   */
+  syncBreakpoints() {
+    if (!this.luaState) return;
+
+    const lines = [];
+    for (const [path, fileLines] of this.breakpoints) {
+      const segment = this.lineMap.find(entry => this.normalizePath(entry.path) === path);
+      if (!segment) continue;
+
+      const lastLine = segment.startLine + segment.lineCount - 1;
+      for (const line of fileLines) {
+        let concatLine = this.toConcatenatedLine(path, line);
+        while (concatLine !== null && concatLine <= lastLine && !this.probeLines.has(concatLine)) {
+          concatLine++;
+        }
+        if (concatLine !== null && concatLine <= lastLine) {
+          lines.push(concatLine);
+        }
+      }
+    }
+
+    try {
+      this.luaState.execute(`__rs_dbg.breakpoints = { ${lines.map(line => `[${line}] = true`).join(', ')} }`);
+    } catch (error) {
+      console.error('[LuaDebugger] Failed to update breakpoints:', error);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Instrumentation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insert a `__rs_dbg_line(n)` probe at the start of every line that begins a statement
+   * @param {string} source - Concatenated Lua source
+   * @returns {string} Instrumented source with the same line numbering
+   */
+  instrument(source) {
+    const tokens = this.tokenize(source);
+    const probeLines = new Set();
+    // Lines that begin inside a multi-line string or comment
+    const continuationLines = new Set();
+    // Open brackets and blocks; probes are only valid when the innermost entry is a block
+    const stack = [];
+    let previous = null;
+
+    for (const token of tokens) {
+      for (let line = token.line + 1; line <= token.endLine; line++) {
+        continuationLines.add(line);
+      }
+      if (token.type === 'comment') continue;
+
+      const firstOnLine = !previous || previous.endLine < token.line;
+      if (firstOnLine && !continuationLines.has(token.line) &&
+          this.canStartStatement(token) && this.canEndStatement(previous) &&
+          (stack.length === 0 || stack[stack.length - 1] === 'block')) {
+        probeLines.add(token.line);
+      }
+
+      if (token.type === 'symbol') {
+        if (token.value === '(' || token.value === '[' || token.value === '{') {
+          stack.push(token.value);
+        } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+          stack.pop();
+        }
+      } else if (token.type === 'keyword') {
+        if (['function', 'do', 'if', 'repeat'].includes(token.value)) {
+          stack.push('block');
+        } else if (token.value === 'end' || token.value === 'until') {
+          while (stack.length > 0 && stack.pop() !== 'block') {
+            // Drop unbalanced brackets left by a syntax error
+          }
+        }
+      }
+      previous = token;
+    }
+
+    this.probeLines = probeLines;
+    this.syncBreakpoints();
+
+    // The first line also records the chunk name, which inspect() uses to tell script frames apart
+    return source
+      .split('\n')
+      .map((text, index) => probeLines.has(index + 1) ? `__rs_dbg_line(${index + 1}) ${text}` : text)
+      .map((text, index) => index === 0 ? `__rs_dbg.source = debug.getinfo(1, 'S').source ${text}` : text)
+      .join('\n');
+  }
+
+  canStartStatement(token) {
+    if (token.type === 'name') return true;
+    return token.type === 'keyword' && LUA_DEBUGGER_STATEMENT_KEYWORDS.has(token.value);
+  }
+
+  canEndStatement(token) {
+    if (!token) return true;
+    switch (token.type) {
+      case 'name':
+      case 'number':
+      case 'string':
+        return true;
+      case 'keyword':
+        return LUA_DEBUGGER_BOUNDARY_KEYWORDS.has(token.value);
+      default:
+        return [')', ']', '}', ';', '::', '...'].includes(token.value);
+    }
+  }
+
+  /**
+   * Split Lua source into tokens with the lines they start and end on
+   * @returns {Array<{type: string, value: string, line: number, endLine: number}>}
+   */
+  tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+
+    const countLines = (start, end) => {
+      let count = 0;
+      for (let i = start; i < end; i++) {
+        if (source[i] === '\n') count++;
+      }
+      return count;
+    };
+
+    // Length of a long bracket opener ("[[", "[==[") at position, or 0
+    const longBracketLevel = (position) => {
+      const match = /^\[(=*)\[/.exec(source.slice(position, position + 64));
+      return match ? match[0].length : 0;
+    };
+
+    const push = (type, start, end) => {
+      const startLine = line;
+      line += countLines(start, end);
+      tokens.push({ type, value: source.slice(start, end), line: startLine, endLine: line });
+      index = end;
+    };
+
+    const readLongBracket = (start, openerLength) => {
+      const closer = ']' + '='.repeat(openerLength - 2) + ']';
+      const close = source.indexOf(closer, start + openerLength);
+      return close === -1 ? source.length : close + closer.length;
+    };
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (char === '\n') {
+        line++;
+        index++;
+        continue;
+      }
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (source.startsWith('--', index)) {
+        const level = longBracketLevel(index + 2);
+        if (level) {
+          push('comment', index, readLongBracket(index + 2, level));
+        } else {
+          const newline = source.indexOf('\n', index);
+          push('comment', index, newline === -1 ? source.length : newline);
+        }
+        continue;
+      }
+
+      if (char === '[') {
+        const level = longBracketLevel(index);
+        if (level) {
+          push('string', index, readLongBracket(index, level));
+          continue;
+        }
+      }
+
+      if (char === '"' || char === "'") {
+        let end = index + 1;
+        while (end < source.length && source[end] !== char) {
+          if (source[end] === '\\') end++;
+          else if (source[end] === '\n') break;
+          end++;
+        }
+        push('string', index, Math.min(end + 1, source.length));
+        continue;
+      }
+
+      const number = /^(0[xX][0-9a-fA-F.]*([pP][+-]?\d+)?|\d*\.?\d+([eE][+-]?\d+)?)/.exec(source.slice(index, index + 64));
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+        push('number', index, index + number[0].length);
+        continue;
+      }
+
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index, index + 256));
+      if (name) {
+        push(LUA_DEBUGGER_KEYWORDS.has(name[0]) ? 'keyword' : 'name', index, index + name[0].length);
+        continue;
+      }
+
+      const symbol = ['...', '..', '::', '==', '~=', '<=', '>=', '//', '<<', '>>']
+        .find(candidate => source.startsWith(candidate, index));
+      push('symbol', index, index + (symbol ? symbol.length : 1));
+    }
+
+    return tokens;
+  }
+}
+
+// Register as a service and make the class available globally
+(function registerLuaDebugger() {
+  const luaDebugger = new LuaDebugger();
+  window.serviceContainer?.registerSingleton?.('luaDebugger', luaDebugger);
+  window.luaDebugger = luaDebugger;
+})();
+
+window.LuaDebugger = LuaDebugger;
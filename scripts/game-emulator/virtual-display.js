@@ -0,0 +1,249 @@
+// virtual-display.js
+// Device-accurate framebuffer for the game emulator.
+// Scripts draw into a low resolution framebuffer; every presented frame is quantized
+// to the target d2_mode_* pixel format (and palette for indexed modes) before it is
+// scaled up onto the visible game canvas.
+
+// Bits per channel for the direct color formats
+const VIRTUAL_DISPLAY_CHANNEL_FORMATS = {
+  'd2_mode_rgb565':   { r: 5, g: 6, b: 5, a: 0 },
+  'd2_mode_argb1555': { r: 5, g: 5, b: 5, a: 1 },
+  'd2_mode_rgba5551': { r: 5, g: 5, b: 5, a: 1 },
+  'd2_mode_rgb555':   { r: 5, g: 5, b: 5, a: 0 },
+  'd2_mode_argb4444': { r: 4, g: 4, b: 4, a: 4 },
+  'd2_mode_rgba4444': { r: 4, g: 4, b: 4, a: 4 },
+  'd2_mode_rgb444':   { r: 4, g: 4, b: 4, a: 0 },
+  'd2_mode_rgb888':   { r: 8, g: 8, b: 8, a: 0 },
+  'd2_mode_argb8888': { r: 8, g: 8, b: 8, a: 8 },
+  'd2_mode_rgba8888': { r: 8, g: 8, b: 8, a: 8 }
+};
+
+class VirtualDisplay {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Framebuffer width in device pixels
+   * @param {number} options.height - Framebuffer height in device pixels
+   * @param {string} options.pixelFormat - d2_mode_* format value
+   * @param {Array} options.palette - Array of '#RRGGBB' strings (indexed formats)
+   */
+  constructor(options = {}) {
+    this.width = options.width || 320;
+    this.height = options.height || 240;
+    this.pixelFormat = options.pixelFormat || 'd2_mode_rgb565';
+
+    // Scripts draw into this canvas
+    this.framebuffer = document.createElement('canvas');
+    this.framebuffer.width = this.width;
+    this.framebuffer.height = this.height;
+    this.ctx = this.framebuffer.getContext('2d', { willReadFrequently: true });
+    this.ctx.imageSmoothingEnabled = false;
+
+    // Quantized output, scaled onto the visible canvas in present()
+    this.output = document.createElement('canvas');
+    this.output.width = this.width;
+    this.output.height = this.height;
+    this.outputCtx = this.output.getContext('2d');
+
+    this.channelTables = new Map();
+    this.paletteRgb = [];
+    this.paletteCache = new Map();
+    this.setPalette(options.palette || null);
+  }
+
+  /**
+   * Change the active palette used by indexed formats
+   * @param {Array|null} colors - Array of '#RRGGBB' strings
+   */
+  setPalette(colors) {
+    this.paletteRgb = (colors || [])
+      .map(color => this.parseHexColor(color))
+      .filter(Boolean);
+    this.paletteCache.clear();
+  }
+
+  /**
+   * Change the target pixel format
+   * @param {string} pixelFormat - d2_mode_* format value
+   */
+  setPixelFormat(pixelFormat) {
+    this.pixelFormat = pixelFormat;
+    this.paletteCache.clear();
+  }
+
+  /**
+   * Quantize the framebuffer and draw it, integer scaled and centered, onto a canvas
+   * @param {HTMLCanvasElement} targetCanvas - The visible game canvas
+   */
+  present(targetCanvas) {
+    if (!targetCanvas) return;
+
+    const frame = this.ctx.getImageData(0, 0, this.width, this.height);
+    this.quantize(frame.data);
+    this.outputCtx.putImageData(frame, 0, 0);
+
+    const targetCtx = targetCanvas.getContext('2d');
+    const scale = Math.max(1, Math.floor(Math.min(targetCanvas.width / this.width, targetCanvas.height / this.height)));
+    const drawWidth = this.width * scale;
+    const drawHeight = this.height * scale;
+    const offsetX = Math.floor((targetCanvas.width - drawWidth) / 2);
+    const offsetY = Math.floor((targetCanvas.height - drawHeight) / 2);
+
+    targetCtx.save();
+    targetCtx.setTransform(1, 0, 0, 1, 0, 0);
+    targetCtx.imageSmoothingEnabled = false;
+    targetCtx.fillStyle = '#000000';
+    targetCtx.fillRect(0, 0, targetCanvas.width, targetCanvas.height);
+    targetCtx.drawImage(this.output, offsetX, offsetY, drawWidth, drawHeight);
+    targetCtx.restore();
+  }
+
+  /**
+   * Quantize RGBA pixels in place to what the target format can represent
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   */
+  quantize(data) {
+    const format = this.pixelFormat;
+
+    if (VIRTUAL_DISPLAY_CHANNEL_FORMATS[format]) {
+      this.quantizeDirect(data, VIRTUAL_DISPLAY_CHANNEL_FORMATS[format]);
+    } else if (format === 'd2_mode_ai44') {
+      this.quantizeIndexed(data, 16, 4);
+    } else if (/^d2_mode_i[1248]$/.test(format)) {
+      this.quantizeIndexed(data, ImageData.getTextureFormatColorCount(format), 0);
+    } else if (/^d2_mode_alpha[1248]$/.test(format)) {
+      this.quantizeAlpha(data, parseInt(format.replace('d2_mode_alpha', ''), 10));
+    } else {
+      console.warn(`[VirtualDisplay] Unsupported pixel format: ${format}, showing full color`);
+    }
+  }
+
+  quantizeDirect(data, channels) {
+    const rTable = this.getChannelTable(channels.r);
+    const gTable = this.getChannelTable(channels.g);
+    const bTable = this.getChannelTable(channels.b);
+    const aTable = channels.a ? this.getChannelTable(channels.a) : null;
+
+    for (let i = 0; i < data.length; i += 4) {
+      let a = data[i + 3];
+      if (aTable) {
+        a = aTable[a];
+      } else {
+        // No alpha on the device - blend over black, then the pixel is opaque
+        data[i] = data[i] * a / 255;
+        data[i + 1] = data[i + 1] * a / 255;
+        data[i + 2] = data[i + 2] * a / 255;
+        a = 255;
+      }
+      data[i] = rTable[data[i]];
+      data[i + 1] = gTable[data[i + 1]];
+      data[i + 2] = bTable[data[i + 2]];
+      data[i + 3] = a;
+    }
+  }
+
+  quantizeIndexed(data, colorCount, alphaBits) {
+    const aTable = alphaBits ? this.getChannelTable(alphaBits) : null;
+    const palette = this.getIndexedPalette(colorCount);
+
+    for (let i = 0; i < data.length; i += 4) {
+      let r = data[i];
+      let g = data[i + 1];
+      let b = data[i + 2];
+      let a = data[i + 3];
+
+      if (aTable) {
+        a = aTable[a];
+      } else {
+        r = r * a / 255;
+        g = g * a / 255;
+        b = b * a / 255;
+        a = 255;
+      }
+
+      const color = palette[this.findPaletteIndex(r, g, b, palette)];
+      data[i] = color[0];
+      data[i + 1] = color[1];
+      data[i + 2] = color[2];
+      data[i + 3] = a;
+    }
+  }
+
+  quantizeAlpha(data, bits) {
+    const table = this.getChannelTable(bits);
+    for (let i = 0; i < data.length; i += 4) {
+      // Alpha-only formats store coverage; show it as white over black
+      const luminance = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+      const level = table[Math.round(luminance * data[i + 3] / 255)];
+      data[i] = level;
+      data[i + 1] = level;
+      data[i + 2] = level;
+      data[i + 3] = 255;
+    }
+  }
+
+  /**
+   * Palette entries available to an indexed mode; without a project palette a grey ramp is used
+   */
+  getIndexedPalette(colorCount) {
+    if (this.paletteRgb.length > 0) {
+      return this.paletteRgb.slice(0, colorCount);
+    }
+
+    const ramp = [];
+    for (let i = 0; i < colorCount; i++) {
+      const level = colorCount > 1 ? Math.round(i * 255 / (colorCount - 1)) : 0;
+      ramp.push([level, level, level]);
+    }
+    return ramp;
+  }
+
+  findPaletteIndex(r, g, b, palette) {
+    const key = ((r & 0xFF) << 16) | ((g & 0xFF) << 8) | (b & 0xFF);
+    const cached = this.paletteCache.get(key);
+    if (cached !== undefined && cached < palette.length) {
+      return cached;
+    }
+
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = r - palette[i][0];
+      const dg = g - palette[i][1];
+      const db = b - palette[i][2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = i;
+      }
+    }
+
+    this.paletteCache.set(key, closestIndex);
+    return closestIndex;
+  }
+
+  /**
+   * Lookup table that truncates an 8-bit channel to `bits` (as the hardware does) and expands it back
+   */
+  getChannelTable(bits) {
+    if (!this.channelTables.has(bits)) {
+      const table = new Uint8Array(256);
+      const maxLevel = (1 << bits) - 1;
+      for (let v = 0; v < 256; v++) {
+        table[v] = Math.round((v >> (8 - bits)) * 255 / maxLevel);
+      }
+      this.channelTables.set(bits, table);
+    }
+    return this.channelTables.get(bits);
+  }
+
+  parseHexColor(color) {
+    if (typeof color !== 'string') return null;
+    const match = color.match(/^#?([0-9a-f]{6})$/i);
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+  }
+}
+
+// Export for use in other modules
+window.VirtualDisplay = VirtualDisplay;
@@ -0,0 +1,312 @@
+// texture-format.js
+// Packs and unpacks pixel data for the Dave2D (d2_mode_*) texture formats
+//
+// Layout rules (matching what the D/AVE 2D hardware reads):
+// - Every row starts on a byte boundary; stride = ceil(width * bitsPerPixel / 8)
+// - Sub-byte formats (i4/i2/i1, alpha4/2/1) are LSB-first: the leftmost pixel
+//   occupies the lowest bits of each byte
+// - ai44 stores alpha in the high nibble and the palette index in the low nibble
+// - Multi-byte pixels are little-endian
+
+console.log('[TextureFormat] Class definition loading');
+
+class TextureFormat {
+  // Storage size per pixel (formats like rgb444/rgb555 still occupy 16 bits)
+  static getStorageBits(format) {
+    const bitsMap = {
+      'd2_mode_i1': 1,
+      'd2_mode_i2': 2,
+      'd2_mode_i4': 4,
+      'd2_mode_i8': 8,
+      'd2_mode_ai44': 8,
+      'd2_mode_alpha1': 1,
+      'd2_mode_alpha2': 2,
+      'd2_mode_alpha4': 4,
+      'd2_mode_alpha8': 8,
+      'd2_mode_rgb444': 16,
+      'd2_mode_rgb555': 16,
+      'd2_mode_rgb565': 16,
+      'd2_mode_argb1555': 16,
+      'd2_mode_rgba5551': 16,
+      'd2_mode_argb4444': 16,
+      'd2_mode_rgba4444': 16,
+      'd2_mode_rgb888': 24,
+      'd2_mode_argb8888': 32,
+      'd2_mode_rgba8888': 32
+    };
+    return bitsMap[format] || 0;
+  }
+
+  static isSupported(format) {
+    return TextureFormat.getStorageBits(format) > 0;
+  }
+
+  static isIndexed(format) {
+    return /^d2_mode_i[1248]$/.test(format) || format === 'd2_mode_ai44';
+  }
+
+  static getStride(width, format) {
+    return Math.ceil(width * TextureFormat.getStorageBits(format) / 8);
+  }
+
+  /**
+   * Pack RGBA pixels into the binary layout of a d2_mode_* format
+   * @param {Uint8ClampedArray} rgba - Source pixels (width * height * 4)
+   * @param {number} width
+   * @param {number} height
+   * @param {string} format - d2_mode_* format value
+   * @param {Array} palette - Array of '#RRGGBB' strings (indexed formats)
+   * @param {number} paletteOffset - First palette entry used by the texture
+   * @returns {{data: Uint8Array, stride: number, bitsPerPixel: number}}
+   */
+  static pack(rgba, width, height, format, palette = null, paletteOffset = 0) {
+    const bitsPerPixel = TextureFormat.getStorageBits(format);
+    if (!bitsPerPixel) {
+      throw new Error(`Unsupported texture format: ${format}`);
+    }
+
+    const stride = TextureFormat.getStride(width, format);
+    const data = new Uint8Array(stride * height);
+    const colors = TextureFormat.isIndexed(format)
+      ? TextureFormat.getPaletteWindow(palette, paletteOffset, ImageData.getTextureFormatColorCount(format))
+      : null;
+    const indexCache = new Map();
+
+    for (let y = 0; y < height; y++) {
+      const rowOffset = y * stride;
+      for (let x = 0; x < width; x++) {
+        const src = (y * width + x) * 4;
+        const r = rgba[src];
+        const g = rgba[src + 1];
+        const b = rgba[src + 2];
+        const a = rgba[src + 3];
+
+        let value;
+        switch (format) {
+          case 'd2_mode_i1':
+          case 'd2_mode_i2':
+          case 'd2_mode_i4':
+          case 'd2_mode_i8':
+            value = TextureFormat.findClosestIndex(r, g, b, colors, indexCache);
+            break;
+          case 'd2_mode_ai44':
+            value = ((a >> 4) << 4) | (TextureFormat.findClosestIndex(r, g, b, colors, indexCache) & 0x0F);
+            break;
+          case 'd2_mode_alpha1':
+          case 'd2_mode_alpha2':
+          case 'd2_mode_alpha4':
+          case 'd2_mode_alpha8':
+            value = a >> (8 - bitsPerPixel);
+            break;
+          case 'd2_mode_rgb444':
+            value = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            break;
+          case 'd2_mode_rgb555':
+            value = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            break;
+          case 'd2_mode_rgb565':
+            value = ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+            break;
+          case 'd2_mode_argb1555':
+            value = ((a > 127 ? 1 : 0) << 15) | ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            break;
+          case 'd2_mode_rgba5551':
+            value = ((r >> 3) << 11) | ((g >> 3) << 6) | ((b >> 3) << 1) | (a > 127 ? 1 : 0);
+            break;
+          case 'd2_mode_argb4444':
+            value = ((a >> 4) << 12) | ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            break;
+          case 'd2_mode_rgba4444':
+            value = ((r >> 4) << 12) | ((g >> 4) << 8) | ((b >> 4) << 4) | (a >> 4);
+            break;
+          case 'd2_mode_rgb888':
+            value = (r << 16) | (g << 8) | b;
+            break;
+          case 'd2_mode_argb8888':
+            value = ((a << 24) | (r << 16) | (g << 8) | b) >>> 0;
+            break;
+          case 'd2_mode_rgba8888':
+            value = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+            break;
+        }
+
+        TextureFormat.writePixel(data, rowOffset, x, bitsPerPixel, value);
+      }
+    }
+
+    return { data, stride, bitsPerPixel };
+  }
+
+  /**
+   * Decode packed pixel data back to RGBA for display
+   * @param {Uint8Array} data - Packed pixel data
+   * @param {number} width
+   * @param {number} height
+   * @param {number} stride - Bytes per row
+   * @param {string} format - d2_mode_* format value
+   * @param {Array} palette - Array of '#RRGGBB' strings (indexed formats)
+   * @param {number} paletteOffset - First palette entry used by the texture
+   * @returns {Uint8ClampedArray} RGBA pixels
+   */
+  static unpack(data, width, height, stride, format, palette = null, paletteOffset = 0) {
+    const bitsPerPixel = TextureFormat.getStorageBits(format);
+    if (!bitsPerPixel) {
+      throw new Error(`Unsupported texture format: ${format}`);
+    }
+
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const colors = TextureFormat.isIndexed(format)
+      ? TextureFormat.getPaletteWindow(palette, paletteOffset, ImageData.getTextureFormatColorCount(format))
+          .map(color => TextureFormat.parseHexColor(color) || [0, 0, 0])
+      : null;
+    const expand = (value, bits) => Math.round(value * 255 / ((1 << bits) - 1));
+
+    for (let y = 0; y < height; y++) {
+      const rowOffset = y * stride;
+      for (let x = 0; x < width; x++) {
+        const value = TextureFormat.readPixel(data, rowOffset, x, bitsPerPixel);
+        let r = 0, g = 0, b = 0, a = 255;
+
+        switch (format) {
+          case 'd2_mode_i1':
+          case 'd2_mode_i2':
+          case 'd2_mode_i4':
+          case 'd2_mode_i8':
+            [r, g, b] = colors[value] || [0, 0, 0];
+            break;
+          case 'd2_mode_ai44':
+            [r, g, b] = colors[value & 0x0F] || [0, 0, 0];
+            a = expand(value >> 4, 4);
+            break;
+          case 'd2_mode_alpha1':
+          case 'd2_mode_alpha2':
+          case 'd2_mode_alpha4':
+          case 'd2_mode_alpha8':
+            r = g = b = 255;
+            a = expand(value, bitsPerPixel);
+            break;
+          case 'd2_mode_rgb444':
+            r = expand((value >> 8) & 0x0F, 4); g = expand((value >> 4) & 0x0F, 4); b = expand(value & 0x0F, 4);
+            break;
+          case 'd2_mode_rgb555':
+            r = expand((value >> 10) & 0x1F, 5); g = expand((value >> 5) & 0x1F, 5); b = expand(value & 0x1F, 5);
+            break;
+          case 'd2_mode_rgb565':
+            r = expand((value >> 11) & 0x1F, 5); g = expand((value >> 5) & 0x3F, 6); b = expand(value & 0x1F, 5);
+            break;
+          case 'd2_mode_argb1555':
+            a = (value >> 15) ? 255 : 0;
+            r = expand((value >> 10) & 0x1F, 5); g = expand((value >> 5) & 0x1F, 5); b = expand(value & 0x1F, 5);
+            break;
+          case 'd2_mode_rgba5551':
+            r = expand((value >> 11) & 0x1F, 5); g = expand((value >> 6) & 0x1F, 5); b = expand((value >> 1) & 0x1F, 5);
+            a = (value & 1) ? 255 : 0;
+            break;
+          case 'd2_mode_argb4444':
+            a = expand((value >> 12) & 0x0F, 4);
+            r = expand((value >> 8) & 0x0F, 4); g = expand((value >> 4) & 0x0F, 4); b = expand(value & 0x0F, 4);
+            break;
+          case 'd2_mode_rgba4444':
+            r = expand((value >> 12) & 0x0F, 4); g = expand((value >> 8) & 0x0F, 4); b = expand((value >> 4) & 0x0F, 4);
+            a = expand(value & 0x0F, 4);
+            break;
+          case 'd2_mode_rgb888':
+            r = (value >> 16) & 0xFF; g = (value >> 8) & 0xFF; b = value & 0xFF;
+            break;
+          case 'd2_mode_argb8888':
+            a = (value >>> 24) & 0xFF; r = (value >> 16) & 0xFF; g = (value >> 8) & 0xFF; b = value & 0xFF;
+            break;
+          case 'd2_mode_rgba8888':
+            r = (value >>> 24) & 0xFF; g = (value >> 16) & 0xFF; b = (value >> 8) & 0xFF; a = value & 0xFF;
+            break;
+        }
+
+        const dst = (y * width + x) * 4;
+        rgba[dst] = r;
+        rgba[dst + 1] = g;
+        rgba[dst + 2] = b;
+        rgba[dst + 3] = a;
+      }
+    }
+
+    return rgba;
+  }
+
+  static writePixel(data, rowOffset, x, bitsPerPixel, value) {
+    if (bitsPerPixel < 8) {
+      const bitIndex = x * bitsPerPixel;
+      const byteIndex = rowOffset + (bitIndex >> 3);
+      const shift = bitIndex & 7;
+      const mask = ((1 << bitsPerPixel) - 1) << shift;
+      data[byteIndex] = (data[byteIndex] & ~mask) | ((value << shift) & mask);
+      return;
+    }
+
+    const bytesPerPixel = bitsPerPixel >> 3;
+    const offset = rowOffset + x * bytesPerPixel;
+    for (let i = 0; i < bytesPerPixel; i++) {
+      data[offset + i] = (value >>> (i * 8)) & 0xFF;
+    }
+  }
+
+  static readPixel(data, rowOffset, x, bitsPerPixel) {
+    if (bitsPerPixel < 8) {
+      const bitIndex = x * bitsPerPixel;
+      const byteIndex = rowOffset + (bitIndex >> 3);
+      const shift = bitIndex & 7;
+      return (data[byteIndex] >> shift) & ((1 << bitsPerPixel) - 1);
+    }
+
+    const bytesPerPixel = bitsPerPixel >> 3;
+    const offset = rowOffset + x * bytesPerPixel;
+    let value = 0;
+    for (let i = 0; i < bytesPerPixel; i++) {
+      value |= data[offset + i] << (i * 8);
+    }
+    return value >>> 0;
+  }
+
+  // The slice of the palette an indexed texture can address
+  static getPaletteWindow(palette, paletteOffset, colorCount) {
+    const colors = palette || [];
+    return colors.slice(paletteOffset, paletteOffset + colorCount);
+  }
+
+  static findClosestIndex(r, g, b, colors, cache) {
+    if (!colors || colors.length === 0) return 0;
+
+    const key = (r << 16) | (g << 8) | b;
+    if (cache.has(key)) return cache.get(key);
+
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+      const rgb = TextureFormat.parseHexColor(colors[i]);
+      if (!rgb) continue;
+      const dr = r - rgb[0];
+      const dg = g - rgb[1];
+      const db = b - rgb[2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = i;
+      }
+    }
+
+    cache.set(key, closestIndex);
+    return closestIndex;
+  }
+
+  static parseHexColor(color) {
+    if (typeof color !== 'string') return null;
+    const match = color.match(/^#?([0-9a-f]{6})$/i);
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.TextureFormat = TextureFormat;
+}
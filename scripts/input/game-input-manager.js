@@ -2,6 +2,29 @@
 // Dedicated input manager for game emulator that captures keyboard input
 // without interfering with other controls like Monaco Editor
 
+// Built-in controls; projects and users override them per button (see mergeBindings)
+const DEFAULT_INPUT_BINDINGS = {
+  keyboard: {
+    B: ['KeyZ'], A: ['KeyX'], Y: ['KeyA'], X: ['KeyS'],
+    Up: ['ArrowUp'], Down: ['ArrowDown'], Left: ['ArrowLeft'], Right: ['ArrowRight'],
+    Start: ['Enter'], Select: ['Space'], L: ['ShiftLeft'], R: ['ShiftRight']
+  },
+  // Button indices of the W3C "standard" gamepad mapping
+  gamepad: {
+    B: [0], A: [1], Y: [2], X: [3],
+    Up: [12], Down: [13], Left: [14], Right: [15],
+    Start: [9], Select: [8], L: [4], R: [5]
+  }
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+  'South', 'East', 'West', 'North', 'LB', 'RB', 'LT', 'RT',
+  'Back', 'Start', 'L-Stick', 'R-Stick', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home'
+];
+
+// Left stick deflection that counts as a D-pad press
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+
 class GameInputManager {
   constructor() {
     this.isActive = false;
@@ -13,30 +36,31 @@ class GameInputManager {
       released: 0   // Keys released this frame (bitmask)
     };
     
+    // Keyboard state collected between frames; latched into frameKeys by updateFrame()
+    this.liveKeys = { held: 0, pressed: 0, released: 0 };
+    
     // Previous frame state for calculating pressed/released
     this.previousKeys = 0;
     
-    // Key mappings based on the Lua interface
-    this.buttonMap = {
-      // Main action buttons
-      'KeyZ': 0x0001,     // B button (bit 0)
-      'KeyX': 0x0100,     // A button (bit 8) 
-      'KeyA': 0x0002,     // Y button (bit 1)
-      'KeyS': 0x0200,     // X button (bit 9)
-      
-      // D-pad
-      'ArrowUp': 0x0010,    // Up (bit 4)
-      'ArrowDown': 0x0020,  // Down (bit 5)
-      'ArrowLeft': 0x0040,  // Left (bit 6)
-      'ArrowRight': 0x0080, // Right (bit 7)
-      
-      // System buttons
-      'Enter': 0x0008,      // Start (bit 3)
-      'Space': 0x0004,      // Select (bit 2)
-      'ShiftLeft': 0x0400,  // L shoulder (bit 10)
-      'ShiftRight': 0x0800  // R shoulder (bit 11)
+    // Input replay (see InputReplay): frames are appended while recording,
+    // and read instead of the keyboard during playback
+    this.recording = null;
+    this.playback = null;
+    this.playbackFrame = 0;
+    
+    // Button bits based on the Lua interface (Keys table)
+    this.buttonBits = {
+      B: 0x0001, Y: 0x0002, Select: 0x0004, Start: 0x0008,
+      Up: 0x0010, Down: 0x0020, Left: 0x0040, Right: 0x0080,
+      A: 0x0100, X: 0x0200, L: 0x0400, R: 0x0800
     };
     
+    // Key code -> button bits and gamepad button index -> button bits, built by setBindings()
+    this.bindings = null;
+    this.buttonMap = {};
+    this.gamepadMap = {};
+    this.gamepadHeld = 0; // Gamepad buttons held at the previous poll
+    
     // Reverse mapping for debugging
     this.buttonNames = {
       0x0001: 'B',
@@ -59,7 +83,10 @@ class GameInputManager {
     this.boundFocus = this.handleFocus.bind(this);
     this.boundBlur = this.handleBlur.bind(this);
     this.boundClick = this.handleClick.bind(this);
+    this.boundGamepadConnected = this.handleGamepadConnection.bind(this);
+    this.boundGamepadDisconnected = this.handleGamepadConnection.bind(this);
     
+    this.setBindings(GameInputManager.mergeBindings());
     console.log('[GameInputManager] Initialized with button mappings:', this.buttonMap);
   }
   
@@ -145,6 +172,10 @@ class GameInputManager {
     window.addEventListener('keydown', this.boundKeyDown);
     window.addEventListener('keyup', this.boundKeyUp);
     
+    // Gamepads are polled every frame; these only report (dis)connections
+    window.addEventListener('gamepadconnected', this.boundGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this.boundGamepadDisconnected);
+    
     console.log('[GameInputManager] Event listeners added');
   }
   
@@ -160,6 +191,8 @@ class GameInputManager {
     
     window.removeEventListener('keydown', this.boundKeyDown);
     window.removeEventListener('keyup', this.boundKeyUp);
+    window.removeEventListener('gamepadconnected', this.boundGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this.boundGamepadDisconnected);
     
     console.log('[GameInputManager] Event listeners removed');
   }
@@ -221,9 +254,9 @@ class GameInputManager {
       console.log(`[GameInputManager] Key pressed: ${event.code} -> ${buttonName} (0x${button.toString(16).padStart(4, '0')})`);
       this.keyStates.set(event.code, true);
       
-      // Update frame key states
-      this.frameKeys.held |= button;
-      this.frameKeys.pressed |= button;
+      // Update live key states
+      this.liveKeys.held |= button;
+      this.liveKeys.pressed |= button;
     }
   }
   
@@ -247,9 +280,13 @@ class GameInputManager {
       console.log(`[GameInputManager] Key released: ${event.code} -> ${buttonName} (0x${button.toString(16).padStart(4, '0')})`);
       this.keyStates.delete(event.code);
       
-      // Update frame key states
-      this.frameKeys.held &= ~button;
-      this.frameKeys.released |= button;
+      // Update live key states; another key bound to the same button keeps it held
+      let stillHeld = 0;
+      for (const code of this.keyStates.keys()) {
+        stillHeld |= this.buttonMap[code] || 0;
+      }
+      this.liveKeys.held = stillHeld;
+      this.liveKeys.released |= button & ~stillHeld;
     }
   }
   
@@ -274,10 +311,10 @@ class GameInputManager {
    */
   clearKeyStates() {
     this.keyStates.clear();
-    this.frameKeys.held = 0;
-    this.frameKeys.pressed = 0;
-    this.frameKeys.released = 0;
+    this.frameKeys = { held: 0, pressed: 0, released: 0 };
+    this.liveKeys = { held: 0, pressed: 0, released: 0 };
     this.previousKeys = 0;
+    this.gamepadHeld = 0;
     console.log('[GameInputManager] Cleared all key states');
   }
   
@@ -314,16 +351,197 @@ class GameInputManager {
   }
   
   /**
-   * Update input state - called once per frame by the game loop
-   * This processes frame-based input events and resets pressed/released states
+   * Update input state - called once per frame by the game loop, before Update()
+   * Latches the input seen since the previous frame (or the recorded frame during playback)
+   * so Lua reads the same state for the whole frame
+   * @param {number} deltaTime - Length of the frame in milliseconds (stored in recordings)
    */
-  updateFrame() {
-    // Reset pressed and released states for next frame
-    this.frameKeys.pressed = 0;
-    this.frameKeys.released = 0;
-    
-    // Store current held state for next frame calculations
+  updateFrame(deltaTime = 0) {
+    // Store the previous held state before it is replaced
     this.previousKeys = this.frameKeys.held;
+    
+    if (this.playback) {
+      // Feed the recording instead of the keyboard; nothing is held past its end
+      this.frameKeys = this.playback.getFrame(this.playbackFrame++) || { held: 0, pressed: 0, released: 0 };
+    } else {
+      // Gamepads have no events for buttons, so edges are found by comparing with the last poll
+      const padHeld = this.pollGamepads();
+      const padPressed = padHeld & ~this.gamepadHeld;
+      const padReleased = this.gamepadHeld & ~padHeld;
+      this.gamepadHeld = padHeld;
+      
+      this.frameKeys = {
+        held: this.liveKeys.held | padHeld,
+        pressed: this.liveKeys.pressed | padPressed,
+        released: this.liveKeys.released | padReleased
+      };
+      
+      // Reset pressed and released states for next frame
+      this.liveKeys.pressed = 0;
+      this.liveKeys.released = 0;
+    }
+    
+    if (this.recording) {
+      this.recording.addFrame(this.frameKeys, deltaTime);
+    }
+  }
+  
+  /**
+   * Replace the key and gamepad mappings
+   * @param {Object} bindings - Complete bindings from mergeBindings(): {keyboard: {Up: ['ArrowUp']}, gamepad: {Up: [12]}}
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.buttonMap = {};
+    this.gamepadMap = {};
+    
+    for (const [button, bit] of Object.entries(this.buttonBits)) {
+      for (const code of bindings.keyboard[button] || []) {
+        this.buttonMap[code] = (this.buttonMap[code] || 0) | bit;
+      }
+      for (const index of bindings.gamepad[button] || []) {
+        this.gamepadMap[index] = (this.gamepadMap[index] || 0) | bit;
+      }
+    }
+    
+    // Keys held under the old mapping would never be released under the new one
+    this.clearKeyStates();
+  }
+  
+  /**
+   * Read all connected gamepads into one button bitmask; the left stick also drives the D-pad
+   * @returns {number} Held button bits
+   */
+  pollGamepads() {
+    let held = 0;
+    for (const pad of this.getGamepads()) {
+      pad.buttons.forEach((button, index) => {
+        if (button.pressed) {
+          held |= this.gamepadMap[index] || 0;
+        }
+      });
+      
+      const [x = 0, y = 0] = pad.axes;
+      if (x <= -GAMEPAD_STICK_THRESHOLD) held |= this.buttonBits.Left;
+      if (x >= GAMEPAD_STICK_THRESHOLD) held |= this.buttonBits.Right;
+      if (y <= -GAMEPAD_STICK_THRESHOLD) held |= this.buttonBits.Up;
+      if (y >= GAMEPAD_STICK_THRESHOLD) held |= this.buttonBits.Down;
+    }
+    return held;
+  }
+  
+  /**
+   * Connected gamepads (navigator.getGamepads() has empty slots)
+   */
+  getGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  }
+  
+  /**
+   * Indices of the gamepad buttons currently pressed on any pad (used to rebind buttons)
+   * @returns {number[]}
+   */
+  getPressedGamepadButtons() {
+    const pressed = new Set();
+    for (const pad of this.getGamepads()) {
+      pad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed.add(index);
+      });
+    }
+    return Array.from(pressed);
+  }
+  
+  /**
+   * Report gamepad connections so the controls dialog can show them
+   */
+  handleGamepadConnection(event) {
+    const connected = event.type === 'gamepadconnected';
+    console.log(`[GameInputManager] Gamepad ${connected ? 'connected' : 'disconnected'}: ${event.gamepad.id}`);
+    if (window.eventBus) {
+      window.eventBus.emit('input.gamepad.changed', { connected, id: event.gamepad.id });
+    }
+  }
+  
+  /**
+   * Combine binding layers, later layers overriding earlier ones per button and device.
+   * Buttons no layer mentions keep the built-in mapping; an empty list unbinds a button.
+   * @param {...Object} layers - Partial bindings ({keyboard, gamepad}), null entries are skipped
+   * @returns {Object} Complete bindings
+   */
+  static mergeBindings(...layers) {
+    const merged = { keyboard: {}, gamepad: {} };
+    for (const device of Object.keys(merged)) {
+      for (const [button, defaults] of Object.entries(DEFAULT_INPUT_BINDINGS[device])) {
+        const override = layers.reduce((found, layer) => Array.isArray(layer?.[device]?.[button]) ? layer[device][button] : found, null);
+        merged[device][button] = [...(override || defaults)];
+      }
+    }
+    return merged;
+  }
+  
+  /**
+   * Readable name of a bound key code or gamepad button index
+   * @param {string} device - "keyboard" or "gamepad"
+   * @param {string|number} value - KeyboardEvent.code or button index
+   */
+  static getBindingLabel(device, value) {
+    if (device === 'gamepad') {
+      return GAMEPAD_BUTTON_NAMES[value] || `Button ${value}`;
+    }
+    
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[value]) return arrows[value];
+    return value
+      .replace(/^Key|^Digit/, '')
+      .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, (_, key, side) => `${side[0]}-${key}`);
+  }
+  
+  /**
+   * Append every following frame to a replay
+   * @param {InputReplay} replay - Replay to record into
+   */
+  startRecording(replay) {
+    this.stopPlayback();
+    this.recording = replay;
+    console.log('[GameInputManager] Recording input');
+  }
+  
+  /**
+   * Stop recording
+   * @returns {InputReplay|null} The finished recording
+   */
+  stopRecording() {
+    const replay = this.recording;
+    this.recording = null;
+    if (replay) {
+      console.log(`[GameInputManager] Recorded ${replay.frameCount} frames`);
+    }
+    return replay;
+  }
+  
+  /**
+   * Feed a replay into the following frames instead of the keyboard
+   * @param {InputReplay} replay - Replay to play back from its first frame
+   */
+  startPlayback(replay) {
+    this.stopRecording();
+    this.playback = replay;
+    this.playbackFrame = 0;
+    console.log(`[GameInputManager] Playing back ${replay.frameCount} recorded frames`);
+  }
+  
+  /**
+   * Return to keyboard input
+   */
+  stopPlayback() {
+    if (!this.playback) return;
+    this.playback = null;
+    this.playbackFrame = 0;
+    
+    // Start from what the keyboard holds now rather than from the recording
+    this.frameKeys = { ...this.liveKeys };
+    console.log('[GameInputManager] Playback stopped');
   }
   
   // === PUBLIC API FOR LUA INTERFACE ===
@@ -393,7 +611,9 @@ class GameInputManager {
       keysPressed: `0x${this.frameKeys.pressed.toString(16).padStart(4, '0')}`,
       keysReleased: `0x${this.frameKeys.released.toString(16).padStart(4, '0')}`,
       buttonsHeld: heldButtons.join(', ') || 'none',
-      activeKeyStates: Array.from(this.keyStates.keys())
+      activeKeyStates: Array.from(this.keyStates.keys()),
+      gamepads: this.getGamepads().map(pad => pad.id),
+      source: this.playback ? `replay frame ${this.playbackFrame}/${this.playback.frameCount}` : 'keyboard'
     };
   }
   
@@ -0,0 +1,104 @@
+// audio.js - Audio Extensions for Lua
+// Controls the mixer's channel groups ("sfx", "ui", "music"), each with its own volume and mute
+
+class LuaAudioExtensions extends BaseLuaExtension {
+  constructor(gameEmulator) {
+    super();
+    this.gameEmulator = gameEmulator;
+    this.audioEngine = null;
+  }
+
+  /**
+   * Initialize the Audio extension
+   * @param {Object} luaState - The Lua execution state
+   */
+  async initialize(luaState) {
+    console.log('[LuaAudioExtensions] Initializing Audio extension...');
+    this.setLuaState(luaState);
+
+    this.audioEngine = window.serviceContainer?.get?.('audioEngine') || this.gameEmulator?.audioEngine;
+    if (!this.audioEngine) {
+      console.warn('[LuaAudioExtensions] AudioEngine not available - Audio functionality will be limited');
+    }
+
+    // Every run starts with all groups at full volume
+    this.audioEngine?.resetGroups();
+    console.log('[LuaAudioExtensions] Audio extension initialized');
+  }
+
+  /**
+   * Reset extension state (called when the project stops)
+   */
+  reset() {
+    this.audioEngine?.resetGroups();
+  }
+
+  /**
+   * Set the volume of a channel group
+   * Lua usage: Audio.SetGroupVolume("music", 0.5)
+   */
+  SetGroupVolume() {
+    const group = this.getGroupName();
+    const volume = parseFloat(this.luaState.raw_tostring(3));
+    if (!Number.isFinite(volume)) {
+      const errorMsg = `Invalid volume for group ${group}`;
+      console.error(`[LuaAudioExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    this.getAudioEngine().setGroupVolume(group, volume);
+    return true;
+  }
+
+  /**
+   * Get the volume of a channel group
+   * Lua usage: Audio.GetGroupVolume("music")
+   */
+  GetGroupVolume() {
+    return this.getAudioEngine().getGroup(this.getGroupName()).volume;
+  }
+
+  /**
+   * Mute or unmute a channel group
+   * Lua usage: Audio.SetGroupMuted("sfx", true)
+   */
+  SetGroupMuted() {
+    const muted = this.luaState.raw_tostring(3) === 'true';
+    this.getAudioEngine().setGroupMuted(this.getGroupName(), muted);
+    return true;
+  }
+
+  /**
+   * Check whether a channel group is muted
+   * Lua usage: Audio.IsGroupMuted("sfx")
+   */
+  IsGroupMuted() {
+    return this.getAudioEngine().getGroup(this.getGroupName()).muted;
+  }
+
+  /**
+   * Read the group name argument (first parameter)
+   * @returns {string}
+   */
+  getGroupName() {
+    const group = this.luaState.raw_tostring(2);
+    if (!group || group === 'nil') {
+      const errorMsg = 'Channel group name is required';
+      console.error(`[LuaAudioExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+    return group;
+  }
+
+  getAudioEngine() {
+    if (!this.audioEngine) {
+      const errorMsg = 'Audio system not available';
+      console.error(`[LuaAudioExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+    return this.audioEngine;
+  }
+}
+
+// Make the class available globally
+window.LuaAudioExtensions = LuaAudioExtensions;
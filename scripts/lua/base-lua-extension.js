@@ -15,8 +15,9 @@ class BaseLuaExtension {
    * @param {string} luaFunctionName - Name to register in Lua
    * @param {Function} jsMethod - JavaScript method to wrap
    * @param {string} className - Class name for Lua namespace (optional)
+   * @param {Array<Object>} parameters - Parameter definitions from extensions.json (optional)
    */
-  registerMethod(luaFunctionName, jsMethod, className) {
+  registerMethod(luaFunctionName, jsMethod, className, parameters = []) {
     if (!this.luaState) {
       throw new Error('Lua state not set. Call setLuaState() first.');
     }
@@ -43,6 +44,7 @@ class BaseLuaExtension {
 
    
     // Register as part of a class/namespace using Lua script
+    const callArgs = this.buildArgumentExpansion(parameters);
     this.luaState.execute(`
     -- Ensure class table exists
     if not ${className} then
@@ -54,10 +56,46 @@ class BaseLuaExtension {
         local args = {...}
         -- Debug: print the arguments being passed
         --print("Lua calling ${className}.${luaFunctionName} with args:", unpack(args))
-        return js.global.${globalFunctionName}(unpack(args))          
+        ${callArgs.setup}
+        local ok, result = pcall(js.global.${globalFunctionName}, ${callArgs.call})
+        if not ok then
+            -- Level 2 reports the error at the script line that made the call
+            error("${className}.${luaFunctionName}: " .. tostring(result), 2)
+        end
+        return result
     end
     `);
    }
+
+  /**
+   * Build the Lua that turns the arguments into the values passed to JavaScript.
+   * Table parameters (type "table" with a "fields" list) cannot be read from the JS side,
+   * so their fields are passed as separate positional arguments in the listed order.
+   * A non-table value given for a table parameter is used as its first field.
+   * @param {Array<Object>} parameters - Parameter definitions from extensions.json
+   * @returns {{setup: string, call: string}} Lua statements and the argument list for the call
+   */
+  buildArgumentExpansion(parameters = []) {
+    if (!parameters.some(param => param.type === 'table' && Array.isArray(param.fields))) {
+      return { setup: '', call: 'unpack(args)' };
+    }
+
+    const lines = ['local call, n = {}, 0'];
+    parameters.forEach((param, index) => {
+      const arg = `args[${index + 1}]`;
+      if (param.type === 'table' && Array.isArray(param.fields)) {
+        lines.push(`local opts = ${arg}`);
+        lines.push(`if type(opts) ~= "table" then opts = { ${param.fields[0]} = opts } end`);
+        for (const field of param.fields) {
+          lines.push(`n = n + 1; call[n] = opts.${field}`);
+        }
+      } else {
+        lines.push(`n = n + 1; call[n] = ${arg}`);
+      }
+    });
+
+    return { setup: lines.join('\n        '), call: 'unpack(call, 1, n)' };
+  }
 }
 
 // Export for module system
@@ -177,7 +177,7 @@ class LuaExtensionLoader {
       
       // Check if the method exists on the extension instance
       if (typeof extensionInstance[methodName] === 'function') {
-        extensionInstance.registerMethod(methodName, extensionInstance[methodName], categoryName);
+        extensionInstance.registerMethod(methodName, extensionInstance[methodName], categoryName, funcConfig.parameters);
         console.log(`[LuaExtensionLoader] Registered ${categoryName}.${methodName}`);
       } else {
         console.error(`[LuaExtensionLoader] Method ${methodName} not found on ${categoryName} extension`);
@@ -0,0 +1,314 @@
+// graphics.js - Graphics Extensions for Lua
+// Provides texture, sprite and primitive drawing on the game canvas
+
+class LuaGraphicsExtensions extends BaseLuaExtension {
+  constructor(gameEmulator) {
+    super();
+    this.gameEmulator = gameEmulator;
+    this.canvas = null;
+    this.ctx = null;
+    this.clipActive = false;
+  }
+
+  /**
+   * Initialize the Graphics extension
+   * @param {Object} luaState - The Lua execution state
+   */
+  async initialize(luaState) {
+    console.log('[LuaGraphicsExtensions] Initializing Graphics extension...');
+    this.setLuaState(luaState);
+    this.getContext();
+    console.log('[LuaGraphicsExtensions] Graphics extension initialized');
+  }
+
+  /**
+   * Resolve the render target: the virtual display framebuffer when enabled, otherwise
+   * the game canvas (which is re-created when the emulator tab is re-rendered)
+   * @returns {CanvasRenderingContext2D|null}
+   */
+  getContext() {
+    const display = this.gameEmulator?.virtualDisplay;
+    if (display) {
+      if (this.canvas !== display.framebuffer) {
+        this.clearClip();
+        this.canvas = display.framebuffer;
+        this.ctx = display.ctx;
+      }
+      return this.ctx;
+    }
+
+    if (!this.canvas || !this.canvas.isConnected) {
+      this.canvas = document.getElementById('game-canvas');
+      this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+      this.clipActive = false;
+      if (this.ctx) {
+        this.ctx.imageSmoothingEnabled = false;
+      }
+    }
+    return this.ctx;
+  }
+
+  /**
+   * Called by GameEmulator before Draw() runs
+   */
+  beginFrame() {
+    const ctx = this.getContext();
+    if (ctx) {
+      ctx.imageSmoothingEnabled = false;
+    }
+  }
+
+  /**
+   * Called by GameEmulator after Draw() returns - clip rectangles never leak into the next frame
+   */
+  endFrame() {
+    this.clearClip();
+  }
+
+  /**
+   * Reset extension state (called when the project stops)
+   */
+  reset() {
+    this.clearClip();
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  /**
+   * Clear the whole canvas with a color
+   * Lua usage: Graphics.Clear(color)
+   */
+  Clear() {
+    const ctx = this.getContext();
+    if (!ctx) return false;
+
+    const color = this.parseColor(this.luaState.raw_tostring(2), '#000000');
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    return true;
+  }
+
+  /**
+   * Get the width of the screen in pixels
+   * Lua usage: Graphics.GetWidth()
+   */
+  GetWidth() {
+    this.getContext();
+    return this.canvas ? this.canvas.width : 0;
+  }
+
+  /**
+   * Get the height of the screen in pixels
+   * Lua usage: Graphics.GetHeight()
+   */
+  GetHeight() {
+    this.getContext();
+    return this.canvas ? this.canvas.height : 0;
+  }
+
+  /**
+   * Draw a built texture resource
+   * Lua usage: Graphics.DrawTexture(TEXTURES.LOGO, x, y, scale)
+   */
+  DrawTexture() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const x = this.getNumber(3, 0);
+    const y = this.getNumber(4, 0);
+    const scale = this.getNumber(5, 1);
+
+    const ctx = this.getContext();
+    const texture = this.getTexture(resourceId);
+    if (!ctx || !texture) return false;
+
+    ctx.drawImage(
+      texture.canvas,
+      Math.floor(x), Math.floor(y),
+      Math.round(texture.width * scale), Math.round(texture.height * scale)
+    );
+    return true;
+  }
+
+  /**
+   * Draw a rectangular region of a texture (one frame of a sprite sheet)
+   * Lua usage: Graphics.DrawSprite(TEXTURES.HERO, srcX, srcY, srcW, srcH, x, y, flipX)
+   */
+  DrawSprite() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const srcX = this.getNumber(3, 0);
+    const srcY = this.getNumber(4, 0);
+    const srcW = this.getNumber(5, 0);
+    const srcH = this.getNumber(6, 0);
+    const x = Math.floor(this.getNumber(7, 0));
+    const y = Math.floor(this.getNumber(8, 0));
+    const flipX = this.luaState.raw_tostring(9) === 'true';
+
+    const ctx = this.getContext();
+    const texture = this.getTexture(resourceId);
+    if (!ctx || !texture || srcW <= 0 || srcH <= 0) return false;
+
+    if (flipX) {
+      ctx.save();
+      ctx.translate(x + srcW, y);
+      ctx.scale(-1, 1);
+      ctx.drawImage(texture.canvas, srcX, srcY, srcW, srcH, 0, 0, srcW, srcH);
+      ctx.restore();
+    } else {
+      ctx.drawImage(texture.canvas, srcX, srcY, srcW, srcH, x, y, srcW, srcH);
+    }
+    return true;
+  }
+
+  /**
+   * Draw a filled or outlined rectangle
+   * Lua usage: Graphics.DrawRect(x, y, width, height, color, filled)
+   */
+  DrawRect() {
+    const x = Math.floor(this.getNumber(2, 0));
+    const y = Math.floor(this.getNumber(3, 0));
+    const width = Math.floor(this.getNumber(4, 0));
+    const height = Math.floor(this.getNumber(5, 0));
+    const color = this.parseColor(this.luaState.raw_tostring(6), '#FFFFFF');
+    const filled = this.luaState.raw_tostring(7) !== 'false';
+
+    const ctx = this.getContext();
+    if (!ctx || width <= 0 || height <= 0) return false;
+
+    if (filled) {
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y, width, height);
+    } else {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+    }
+    return true;
+  }
+
+  /**
+   * Draw a 1-pixel line
+   * Lua usage: Graphics.DrawLine(x1, y1, x2, y2, color)
+   */
+  DrawLine() {
+    const x1 = Math.floor(this.getNumber(2, 0));
+    const y1 = Math.floor(this.getNumber(3, 0));
+    const x2 = Math.floor(this.getNumber(4, 0));
+    const y2 = Math.floor(this.getNumber(5, 0));
+    const color = this.parseColor(this.luaState.raw_tostring(6), '#FFFFFF');
+
+    const ctx = this.getContext();
+    if (!ctx) return false;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x1 + 0.5, y1 + 0.5);
+    ctx.lineTo(x2 + 0.5, y2 + 0.5);
+    ctx.stroke();
+    return true;
+  }
+
+  /**
+   * Draw text with the top-left corner at (x, y)
+   * Lua usage: Graphics.DrawText(text, x, y, color, size)
+   */
+  DrawText() {
+    const text = this.luaState.raw_tostring(2) || '';
+    const x = Math.floor(this.getNumber(3, 0));
+    const y = Math.floor(this.getNumber(4, 0));
+    const color = this.parseColor(this.luaState.raw_tostring(5), '#FFFFFF');
+    const size = Math.max(1, Math.floor(this.getNumber(6, 8)));
+
+    const ctx = this.getContext();
+    if (!ctx) return false;
+
+    ctx.fillStyle = color;
+    ctx.font = `${size}px monospace`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, x, y);
+    return true;
+  }
+
+  /**
+   * Restrict drawing to a rectangle; call without arguments to remove the clip
+   * Lua usage: Graphics.SetClip(x, y, width, height)
+   */
+  SetClip() {
+    const ctx = this.getContext();
+    if (!ctx) return false;
+
+    this.clearClip();
+
+    const width = this.getNumber(4, 0);
+    const height = this.getNumber(5, 0);
+    if (width <= 0 || height <= 0) {
+      return true;
+    }
+
+    const x = Math.floor(this.getNumber(2, 0));
+    const y = Math.floor(this.getNumber(3, 0));
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, Math.floor(width), Math.floor(height));
+    ctx.clip();
+    this.clipActive = true;
+    return true;
+  }
+
+  clearClip() {
+    if (this.clipActive && this.ctx) {
+      this.ctx.restore();
+    }
+    this.clipActive = false;
+  }
+
+  /**
+   * Look up a built texture through the centralized resource system
+   * @param {string} resourceId - Resource ID (e.g., "TEXTURES.LOGO")
+   * @returns {Object|null} Decoded texture ({canvas, width, height, format}) or null while it is still loading
+   */
+  getTexture(resourceId) {
+    if (!resourceId) {
+      console.warn('[LuaGraphicsExtensions] Draw called with empty texture ID');
+      return null;
+    }
+
+    const resource = this.gameEmulator.GetResource(resourceId);
+    if (!resource) {
+      const errorMsg = `Texture resource not found: ${resourceId}`;
+      console.error(`[LuaGraphicsExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    if (resource.type !== 'TEXTURES') {
+      const errorMsg = `Resource is not a texture: ${resourceId}`;
+      console.error(`[LuaGraphicsExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    return resource.texture || null;
+  }
+
+  getNumber(index, fallback) {
+    const value = parseFloat(this.luaState.raw_tostring(index));
+    return isNaN(value) ? fallback : value;
+  }
+
+  /**
+   * Accepts CSS color strings ("#FF0000", "red") or numbers in 0xRRGGBB form
+   */
+  parseColor(value, fallback) {
+    if (value === null || value === undefined || value === '' || value === 'nil') {
+      return fallback;
+    }
+
+    const str = String(value).trim();
+    if (/^\d+(\.0+)?$/.test(str)) {
+      const rgb = parseInt(str, 10) & 0xFFFFFF;
+      return '#' + rgb.toString(16).padStart(6, '0');
+    }
+    return str;
+  }
+}
+
+// Make the class available globally
+window.LuaGraphicsExtensions = LuaGraphicsExtensions;
@@ -5,6 +5,28 @@ class LuaMathExtensions extends BaseLuaExtension {
   constructor(gameEmulator) {
     super();
     this.gameEmulator = gameEmulator;
+    this.seed = 0;
+    this.rngState = 0;
+  }
+
+  /**
+   * Seed Math.Random; GameEmulator picks the seed at game start (or takes it from a replay)
+   * @param {number} seed - 32-bit seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.rngState = this.seed;
+  }
+
+  /**
+   * Next value from the seeded generator (mulberry32), in [0, 1)
+   */
+  nextRandom() {
+    this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+    let t = this.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   }
 
   /**
@@ -207,7 +229,7 @@ class LuaMathExtensions extends BaseLuaExtension {
   Random() {
     const min = parseInt(this.luaState.raw_tostring(2) || 0);
     const max = parseInt(this.luaState.raw_tostring(3) || 100);
-    const result = Math.floor(Math.random() * (max - min)) + min;
+    const result = Math.floor(this.nextRandom() * (max - min)) + min;
     return result;
   }
 
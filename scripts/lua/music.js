@@ -1,6 +1,8 @@
 /**
  * Music (Background Music) Lua Extension
- * Provides background music playback functionality using centralized resource management
+ * Provides background music playback functionality using centralized resource management.
+ * Rows heard from a playing song are handed to the script's OnMusicRow(order, row, pattern, resourceId)
+ * and, for rows using the sync effect command, OnMusicEvent(param, channel, resourceId).
  */
 class LuaMusicExtensions extends BaseLuaExtension {
   constructor(gameEmulator) {
@@ -8,6 +10,9 @@ class LuaMusicExtensions extends BaseLuaExtension {
     this.gameEmulator = gameEmulator;
     this.audioEngine = null;
     this.resourceManager = null;
+    this.songIds = new Map(); // Audio engine resource -> Lua resource ID (as passed to Music.Play)
+    this.pendingCallbacks = []; // Lua calls waiting for the next tick
+    this.onSongRow = (e) => this.queueSongRow(e.detail);
   }
 
   /**
@@ -37,10 +42,54 @@ class LuaMusicExtensions extends BaseLuaExtension {
     if (!this.resourceManager) {
       console.warn('[LuaMusicExtensions] ResourceManager not available - Music functionality will be limited');
     }
+    
+    // Every run starts reporting rows with the default sync effect
+    this.audioEngine?.addEventListener('songRow', this.onSongRow);
+    this.audioEngine?.setSongSyncEffect?.(LuaMusicExtensions.DEFAULT_SYNC_EFFECT);
         
     console.log('[LuaMusicExtensions] Music extension initialized successfully');
   }
 
+  /**
+   * Reset extension state (called when the project stops)
+   */
+  reset() {
+    this.audioEngine?.removeEventListener('songRow', this.onSongRow);
+    this.songIds.clear();
+    this.pendingCallbacks = [];
+  }
+
+  /**
+   * Queue the script callbacks for a row that has just been heard
+   * @param {Object} detail - songRow event detail {resourceId, order, pattern, row, events}
+   */
+  queueSongRow(detail) {
+    const id = JSON.stringify(this.songIds.get(detail.resourceId) ?? detail.resourceId);
+    this.pendingCallbacks.push(`OnMusicRow(${detail.order}, ${detail.row}, ${detail.pattern}, ${id})`);
+    for (const event of detail.events || []) {
+      this.pendingCallbacks.push(`OnMusicEvent(${event.param}, ${event.channel}, ${id})`);
+    }
+    // A script that never runs its tick (e.g. stopped at a breakpoint) must not pile up calls
+    if (this.pendingCallbacks.length > LuaMusicExtensions.MAX_PENDING_CALLBACKS) {
+      this.pendingCallbacks.splice(0, this.pendingCallbacks.length - LuaMusicExtensions.MAX_PENDING_CALLBACKS);
+    }
+  }
+
+  /**
+   * Lua code delivering the queued callbacks, or null if there are none; called by GameEmulator before Update().
+   * Callbacks the script does not define are skipped.
+   * @returns {string|null}
+   */
+  takePendingCallbacks() {
+    if (this.pendingCallbacks.length === 0) return null;
+    const calls = this.pendingCallbacks.map(call => {
+      const name = call.slice(0, call.indexOf('('));
+      return `if type(${name}) == "function" then ${call} end`;
+    });
+    this.pendingCallbacks = [];
+    return calls.join('\n');
+  }
+
   /**
    * Play background music using preloaded resources from centralized system
    * Lua usage: Music.Play(resourceId, volume, loop)
@@ -86,6 +135,7 @@ class LuaMusicExtensions extends BaseLuaExtension {
     // Use preloaded resource - start music with the preloaded resource ID
     if (this.audioEngine && resource.audioResource) {
       // Note: startSong expects (resourceId, volume, loop)
+      this.songIds.set(resource.audioResource, resourceId);
       this.audioEngine.startSong(resource.audioResource, volume, loop);
       console.log(`[LuaMusicExtensions] Playing preloaded Music: ${resourceId} (${resource.audioResource}) with volume ${volume}, loop: ${loop}`);
       return true;
@@ -129,7 +179,116 @@ class LuaMusicExtensions extends BaseLuaExtension {
       throw new Error(errorMsg);
     }
   }
+
+  /**
+   * Crossfade to a song: it fades in while the music that is playing fades out.
+   * An empty resource ID fades all music out.
+   * Lua usage: Music.FadeTo(resourceId, seconds, volume)
+   */
+  FadeTo() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const seconds = parseFloat(this.luaState.raw_tostring(3));
+    const volume = parseFloat(this.luaState.raw_tostring(4));
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`Invalid fade time for Music: ${resourceId}`);
+    }
+
+    const audioResource = resourceId ? this.getAudioResource(resourceId) : null;
+    if (audioResource) {
+      this.songIds.set(audioResource, resourceId);
+    }
+    this.getAudioEngine().fadeToSong(audioResource, seconds, Number.isFinite(volume) ? volume : 1.0, true);
+    console.log(`[LuaMusicExtensions] Fading to Music: ${resourceId || '(silence)'} over ${seconds}s`);
+    return true;
+  }
+
+  /**
+   * Pause or resume a song, keeping its position
+   * Lua usage: Music.Pause(resourceId, paused)
+   */
+  Pause() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const paused = this.luaState.raw_tostring(3) !== 'false';
+    return this.getAudioEngine().pauseSong(this.getAudioResource(resourceId), paused);
+  }
+
+  /**
+   * Get the position of a song: the order, pattern and row being heard and the time in seconds
+   * Lua usage: local pos = Music.GetPosition(resourceId); print(pos.order, pos.row)
+   */
+  GetPosition() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    return this.getAudioEngine().getSongPosition(this.getAudioResource(resourceId));
+  }
+
+  /**
+   * Jump to a row of the song's order list
+   * Lua usage: Music.SetPosition(resourceId, order, row)
+   */
+  SetPosition() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const order = parseInt(this.luaState.raw_tostring(3), 10);
+    const row = parseInt(this.luaState.raw_tostring(4), 10);
+    if (!Number.isFinite(order) || order < 0) {
+      throw new Error(`Invalid order for Music: ${resourceId}`);
+    }
+    return this.getAudioEngine().setSongPosition(this.getAudioResource(resourceId), order, Number.isFinite(row) ? Math.max(0, row) : 0);
+  }
+
+  /**
+   * Speed a song up or slow it down without changing its pitch
+   * Lua usage: Music.SetTempoScale(resourceId, 1.5)
+   */
+  SetTempoScale() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    const scale = parseFloat(this.luaState.raw_tostring(3));
+    if (!Number.isFinite(scale) || scale <= 0) {
+      throw new Error(`Invalid tempo scale for Music: ${resourceId}`);
+    }
+    return this.getAudioEngine().setSongTempoScale(this.getAudioResource(resourceId), scale);
+  }
+
+  /**
+   * Choose the effect command that triggers OnMusicEvent (empty string for none)
+   * Lua usage: Music.SetSyncEffect("Z")
+   */
+  SetSyncEffect() {
+    const effect = (this.luaState.raw_tostring(2) || '').trim().toUpperCase();
+    if (effect.length > 1) {
+      throw new Error(`Sync effect must be a single effect letter, got: ${effect}`);
+    }
+    this.getAudioEngine().setSongSyncEffect(effect);
+    return true;
+  }
+
+  /**
+   * Look up the audio engine resource of a preloaded song
+   * @param {string} resourceId - Lua resource ID (MUSIC constant)
+   */
+  getAudioResource(resourceId) {
+    if (!resourceId) {
+      throw new Error('Music resource ID is required');
+    }
+    const resource = this.gameEmulator.GetResource(resourceId);
+    if (!resource) {
+      throw new Error(`Music resource not found: ${resourceId}`);
+    }
+    if (!resource.isPreloaded || !resource.audioResource) {
+      throw new Error(`Music resource not preloaded: ${resourceId}`);
+    }
+    return resource.audioResource;
+  }
+
+  getAudioEngine() {
+    if (!this.audioEngine) {
+      throw new Error('Audio system not available');
+    }
+    return this.audioEngine;
+  }
 }
 
+LuaMusicExtensions.DEFAULT_SYNC_EFFECT = 'Z';
+LuaMusicExtensions.MAX_PENDING_CALLBACKS = 256;
+
 // Make the class available globally
 window.LuaMusicExtensions = LuaMusicExtensions;
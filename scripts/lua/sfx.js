@@ -43,14 +43,23 @@ class LuaSFXExtensions extends BaseLuaExtension {
 
   /**
    * Play a sound effect using preloaded resources from centralized system
-   * Lua usage: SFX.Play(resourceId, shouldRepeat)
+   * Lua usage: SFX.Play(resourceId, {loop, pitch, pan, volume, group, priority})
+   *            SFX.Play(resourceId, shouldRepeat)
    */
   Play() {
-    // Get the resource ID from Lua stack (index 2 is first parameter)
+    // Get the resource ID from Lua stack (index 2 is first parameter);
+    // the options table arrives as one argument per field (see extensions.json)
     const resourceId = this.luaState.raw_tostring(2) || '';
-    const shouldRepeat = this.luaState.raw_tostring(3) === 'true' || false;
+    const options = {
+      loop: this.luaState.raw_tostring(3) === 'true',
+      pitch: this.readNumber(4),
+      pan: this.readNumber(5),
+      volume: this.readNumber(6),
+      group: this.readString(7),
+      priority: this.readNumber(8)
+    };
     
-    console.log(`[LuaSfxExtensions] Playing SFX: ${resourceId}, repeat: ${shouldRepeat}`);
+    console.log(`[LuaSfxExtensions] Playing SFX: ${resourceId}, options:`, options);
     
     if (!resourceId) {
       console.warn('[LuaSfxExtensions] Play called with empty resource ID');
@@ -80,7 +89,7 @@ class LuaSFXExtensions extends BaseLuaExtension {
       if (this.gameEmulator) {
         const self = this;
         this.gameEmulator.loadAudioFileOnDemand(resourceId).then(function(audioResourceId) {
-          self.audioEngine.startSound(audioResourceId, shouldRepeat);
+          self.audioEngine.startSound(audioResourceId, options);
         }).catch(function(error) {
           console.error(`[LuaSfxExtensions] Failed to load/play SFX ${resourceId}:`, error);
         });
@@ -94,11 +103,8 @@ class LuaSFXExtensions extends BaseLuaExtension {
     
     // Use preloaded resource - start audio with the preloaded resource ID
     if (this.audioEngine && resource.audioResource) {
-      // Note: startSound expects (resourceId, volume), not (resourceId, shouldRepeat)
-      // For now, we'll use default volume of 1.0 and ignore shouldRepeat
-      // TODO: Implement proper repeat functionality in audio engine
-      this.audioEngine.startSound(resource.audioResource, 1.0);
-      console.log(`[LuaSfxExtensions] Playing preloaded SFX: ${resourceId} (${resource.audioResource}) with volume 1.0, repeat: ${shouldRepeat}`);
+      this.audioEngine.startSound(resource.audioResource, options);
+      console.log(`[LuaSfxExtensions] Playing preloaded SFX: ${resourceId} (${resource.audioResource})`);
       return true;
     } else {
       const errorMsg = `Audio system not available or resource not properly preloaded - cannot play SFX: ${resourceId}`;
@@ -129,10 +135,8 @@ class LuaSFXExtensions extends BaseLuaExtension {
       throw new Error(errorMsg);
     }
     
-    const filePath = resource.filePath;
-    
     if (this.audioEngine) {
-      this.audioEngine.stopSound(filePath);
+      this.audioEngine.stopAllSounds(resource.audioResource);
       return true;
     } else {
       const errorMsg = `Audio system not available - cannot stop SFX: ${resourceId}`;
@@ -161,10 +165,8 @@ class LuaSFXExtensions extends BaseLuaExtension {
       throw new Error(errorMsg);
     }
     
-    const filePath = resource.filePath;
-    
     if (this.audioEngine && typeof this.audioEngine.isSoundPlaying === 'function') {
-      return this.audioEngine.isSoundPlaying(filePath);
+      return this.audioEngine.isSoundPlaying(resource.audioResource);
     }
     
     // If audio engine doesn't support checking playing status, return false (not an error)
@@ -195,10 +197,8 @@ class LuaSFXExtensions extends BaseLuaExtension {
       throw new Error(errorMsg);
     }
     
-    const filePath = resource.filePath;
-    
     if (this.audioEngine && typeof this.audioEngine.setSoundVolume === 'function') {
-      this.audioEngine.setSoundVolume(filePath, volumeLevel);
+      this.audioEngine.setSoundVolume(resource.audioResource, volumeLevel);
       return true;
     } else {
       const errorMsg = `Volume control not available in audio engine for: ${resourceId}`;
@@ -228,6 +228,26 @@ class LuaSFXExtensions extends BaseLuaExtension {
     
     return sfxResources.length;
   }
+
+  /**
+   * Read an optional number argument from the Lua stack
+   * @param {number} index - Stack index
+   * @returns {number|undefined} The number, or undefined when nil/missing
+   */
+  readNumber(index) {
+    const value = parseFloat(this.luaState.raw_tostring(index));
+    return Number.isFinite(value) ? value : undefined;
+  }
+
+  /**
+   * Read an optional string argument from the Lua stack
+   * @param {number} index - Stack index
+   * @returns {string|undefined} The string, or undefined when nil/missing
+   */
+  readString(index) {
+    const value = this.luaState.raw_tostring(index);
+    return value && value !== 'nil' ? value : undefined;
+  }
 }
 
 // Make the class available globally
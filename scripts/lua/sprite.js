@@ -0,0 +1,235 @@
+// sprite.js - Sprite Extensions for Lua
+// Plays animations defined with the sprite editor (.sprite resources) and draws their current frame.
+// Every function takes a sprite ID: a resource ID (SPRITES.HERO) addresses one shared instance of
+// the sprite, and Sprite.Create returns a handle ("SPRITES.HERO#1") for an instance of its own.
+
+class LuaSpriteExtensions extends BaseLuaExtension {
+  constructor(gameEmulator) {
+    super();
+    this.gameEmulator = gameEmulator;
+    // Playback state per sprite ID (resource ID or instance handle): {resourceId, animation, frameIndex, elapsed, playing}
+    this.states = new Map();
+    this.nextInstanceId = 1;
+  }
+
+  /**
+   * Initialize the Sprite extension
+   * @param {Object} luaState - The Lua execution state
+   */
+  async initialize(luaState) {
+    console.log('[LuaSpriteExtensions] Initializing Sprite extension...');
+    this.setLuaState(luaState);
+    this.reset();
+    console.log('[LuaSpriteExtensions] Sprite extension initialized');
+  }
+
+  /**
+   * Reset extension state (called when the project stops)
+   */
+  reset() {
+    this.states.clear();
+    this.nextInstanceId = 1;
+  }
+
+  /**
+   * Advance every playing animation; called by GameEmulator after Update()
+   * @param {number} deltaTime - Elapsed game time in milliseconds
+   */
+  update(deltaTime) {
+    for (const state of this.states.values()) {
+      if (!state.playing) continue;
+
+      const resource = this.gameEmulator.GetResource(state.resourceId);
+      const animation = resource?.sprite?.animations[state.animation];
+      if (!animation || animation.frames.length === 0) continue;
+
+      state.elapsed += deltaTime;
+      while (state.playing && state.elapsed >= animation.frames[state.frameIndex].duration) {
+        state.elapsed -= animation.frames[state.frameIndex].duration;
+        if (state.frameIndex < animation.frames.length - 1) {
+          state.frameIndex++;
+        } else if (animation.loop) {
+          state.frameIndex = 0;
+        } else {
+          // One-shot animations stop on their last frame
+          state.elapsed = 0;
+          state.playing = false;
+        }
+      }
+    }
+  }
+
+  /**
+   * Create an instance of a sprite with its own animation state
+   * Lua usage: local enemy = Sprite.Create(SPRITES.BAT)
+   * @returns {string} Handle to pass to the other Sprite functions
+   */
+  Create() {
+    const resourceId = this.luaState.raw_tostring(2) || '';
+    // Validates the resource; the sprite itself may still be loading
+    this.getSprite(resourceId);
+
+    const handle = `${resourceId}#${this.nextInstanceId++}`;
+    this.states.set(handle, { resourceId, animation: null, frameIndex: 0, elapsed: 0, playing: false });
+    return handle;
+  }
+
+  /**
+   * Forget an instance made with Sprite.Create
+   * Lua usage: Sprite.Destroy(enemy)
+   */
+  Destroy() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    return spriteId.includes('#') && this.states.delete(spriteId);
+  }
+
+  /**
+   * Start an animation; playing the animation that is already running keeps its position
+   * Lua usage: Sprite.Play(SPRITES.HERO, "walk", restart)
+   */
+  Play() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    const requested = this.luaState.raw_tostring(3);
+    const restart = this.luaState.raw_tostring(4) === 'true';
+
+    const resourceId = this.getResourceId(spriteId);
+    const sprite = this.getSprite(resourceId);
+    if (!sprite) return false;
+
+    const animationName = requested && requested !== 'nil' ? requested : sprite.defaultAnimation;
+    if (!sprite.animations[animationName]) {
+      const errorMsg = `Sprite ${resourceId} has no animation named "${animationName}"`;
+      console.error(`[LuaSpriteExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    const state = this.states.get(spriteId);
+    if (state && state.animation === animationName && state.playing && !restart) {
+      return true;
+    }
+
+    this.states.set(spriteId, { resourceId, animation: animationName, frameIndex: 0, elapsed: 0, playing: true });
+    return true;
+  }
+
+  /**
+   * Pause the animation on its current frame
+   * Lua usage: Sprite.Stop(SPRITES.HERO)
+   */
+  Stop() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    this.getResourceId(spriteId);
+    const state = this.states.get(spriteId);
+    if (!state) return false;
+
+    state.playing = false;
+    return true;
+  }
+
+  /**
+   * Check whether an animation is running (false once a non-looping animation has finished)
+   * Lua usage: Sprite.IsPlaying(SPRITES.HERO)
+   */
+  IsPlaying() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    this.getResourceId(spriteId);
+    const state = this.states.get(spriteId);
+    return !!(state && state.playing);
+  }
+
+  /**
+   * Get the index (0-based) of the frame that is currently shown
+   * Lua usage: Sprite.GetFrame(SPRITES.HERO)
+   */
+  GetFrame() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    this.getResourceId(spriteId);
+    const state = this.states.get(spriteId);
+    return state ? state.frameIndex : 0;
+  }
+
+  /**
+   * Draw the current frame so that its origin lands on (x, y)
+   * Lua usage: Sprite.Draw(SPRITES.HERO, x, y, flipX)
+   */
+  Draw() {
+    const spriteId = this.luaState.raw_tostring(2) || '';
+    const x = Math.floor(parseFloat(this.luaState.raw_tostring(3)) || 0);
+    const y = Math.floor(parseFloat(this.luaState.raw_tostring(4)) || 0);
+    const flipX = this.luaState.raw_tostring(5) === 'true';
+
+    const sprite = this.getSprite(this.getResourceId(spriteId));
+    if (!sprite) return false;
+
+    // Sprites that were never played show the first frame of their default animation
+    const state = this.states.get(spriteId);
+    const frame = state?.animation
+      ? sprite.animations[state.animation]?.frames[state.frameIndex]
+      : sprite.animations[sprite.defaultAnimation]?.frames[0];
+    if (!frame) return false;
+
+    const graphics = this.gameEmulator.extensionLoader?.getExtension('Graphics');
+    const ctx = graphics?.getContext();
+    const texture = graphics?.getTexture(sprite.textureId);
+    if (!ctx || !texture) return false;
+
+    if (flipX) {
+      // Mirror around the origin so the sprite turns on the spot
+      ctx.save();
+      ctx.translate(x + frame.originX, y - frame.originY);
+      ctx.scale(-1, 1);
+      ctx.drawImage(texture.canvas, frame.x, frame.y, frame.width, frame.height, 0, 0, frame.width, frame.height);
+      ctx.restore();
+    } else {
+      ctx.drawImage(texture.canvas, frame.x, frame.y, frame.width, frame.height, x - frame.originX, y - frame.originY, frame.width, frame.height);
+    }
+    return true;
+  }
+
+  /**
+   * Resource ID of a sprite ID; handles of destroyed (or never created) instances are an error
+   * @param {string} spriteId - Resource ID or instance handle from Sprite.Create
+   * @returns {string} Resource ID (e.g., "SPRITES.HERO")
+   */
+  getResourceId(spriteId) {
+    if (!spriteId.includes('#')) return spriteId;
+
+    const state = this.states.get(spriteId);
+    if (!state) {
+      const errorMsg = `Unknown sprite instance: ${spriteId}`;
+      console.error(`[LuaSpriteExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+    return state.resourceId;
+  }
+
+  /**
+   * Look up a built sprite through the centralized resource system
+   * @param {string} resourceId - Resource ID (e.g., "SPRITES.HERO")
+   * @returns {Object|null} Sprite definition or null while it is still loading
+   */
+  getSprite(resourceId) {
+    if (!resourceId) {
+      console.warn('[LuaSpriteExtensions] Called with empty sprite ID');
+      return null;
+    }
+
+    const resource = this.gameEmulator.GetResource(resourceId);
+    if (!resource) {
+      const errorMsg = `Sprite resource not found: ${resourceId}`;
+      console.error(`[LuaSpriteExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    if (resource.type !== 'SPRITES') {
+      const errorMsg = `Resource is not a sprite: ${resourceId}`;
+      console.error(`[LuaSpriteExtensions] ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    return resource.sprite || null;
+  }
+}
+
+// Make the class available globally
+window.LuaSpriteExtensions = LuaSpriteExtensions;
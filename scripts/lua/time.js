@@ -7,12 +7,46 @@ class LuaTimeExtensions extends BaseLuaExtension {
     this.gameEmulator = gameEmulator;
   }
 
+  /**
+   * Current date on the emulator's virtual clock: the wall-clock time the game started plus
+   * elapsed game time, so it follows pause, speed and frame stepping
+   * @returns {Date}
+   */
+  getNow() {
+    const clock = this.gameEmulator?.gameClock;
+    return clock ? new Date(clock.startDate + clock.time) : new Date();
+  }
+
+  /**
+   * Get game time elapsed since the game started
+   * Lua usage: Time.GetTime()
+   */
+  GetTime() {
+    return this.gameEmulator?.gameClock?.time || 0;
+  }
+
+  /**
+   * Get the number of ticks (Update() calls) since the game started
+   * Lua usage: Time.GetFrame()
+   */
+  GetFrame() {
+    return this.gameEmulator?.gameClock?.frame || 0;
+  }
+
+  /**
+   * Get the game time covered by the current tick
+   * Lua usage: Time.GetDeltaTime()
+   */
+  GetDeltaTime() {
+    return this.gameEmulator?.gameClock?.deltaTime || 0;
+  }
+
   /**
    * Get current hours as degrees for watch hand positioning
    * Lua usage: Time.HoursToDegrees()
    */
   HoursToDegrees() {
-    const now = new Date();
+    const now = this.getNow();
     const hours = now.getHours() % 12; // Convert to 12-hour format
     const minutes = now.getMinutes();
     // Calculate degrees: 30 degrees per hour + 0.5 degrees per minute
@@ -26,7 +60,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.MinutesToDegrees()
    */
   MinutesToDegrees() {
-    const now = new Date();
+    const now = this.getNow();
     const minutes = now.getMinutes();
     const seconds = now.getSeconds();
     // Calculate degrees: 6 degrees per minute + 0.1 degrees per second
@@ -40,7 +74,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.SecondsToDegrees()
    */
   SecondsToDegrees() {
-    const now = new Date();
+    const now = this.getNow();
     const seconds = now.getSeconds();
     // Calculate degrees: 6 degrees per second
     const degrees = seconds * 6;
@@ -53,7 +87,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Hours()
    */
   Hours() {
-    const now = new Date();
+    const now = this.getNow();
     const hours = now.getHours();
     console.log(`[Lua Time] Hours() = ${hours}`);
     return hours;
@@ -64,7 +98,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Minutes()
    */
   Minutes() {
-    const now = new Date();
+    const now = this.getNow();
     const minutes = now.getMinutes();
     console.log(`[Lua Time] Minutes() = ${minutes}`);
     return minutes;
@@ -75,7 +109,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Seconds()
    */
   Seconds() {
-    const now = new Date();
+    const now = this.getNow();
     const seconds = now.getSeconds();
     console.log(`[Lua Time] Seconds() = ${seconds}`);
     return seconds;
@@ -86,7 +120,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Day()
    */
   Day() {
-    const now = new Date();
+    const now = this.getNow();
     const day = now.getDate();
     console.log(`[Lua Time] Day() = ${day}`);
     return day;
@@ -97,7 +131,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Month()
    */
   Month() {
-    const now = new Date();
+    const now = this.getNow();
     const month = now.getMonth() + 1; // JavaScript months are 0-based
     console.log(`[Lua Time] Month() = ${month}`);
     return month;
@@ -108,7 +142,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.Year()
    */
   Year() {
-    const now = new Date();
+    const now = this.getNow();
     const year = now.getFullYear();
     console.log(`[Lua Time] Year() = ${year}`);
     return year;
@@ -119,7 +153,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    * Lua usage: Time.DayOfWeek()
    */
   DayOfWeek() {
-    const now = new Date();
+    const now = this.getNow();
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const dayOfWeek = days[now.getDay()];
     console.log(`[Lua Time] DayOfWeek() = ${dayOfWeek}`);
@@ -133,7 +167,7 @@ class LuaTimeExtensions extends BaseLuaExtension {
    */
   ToString() {
     const format = arguments[0] || '%Y-%m-%d %H:%M:%S';
-    const now = new Date();
+    const now = this.getNow();
     
     // Simple implementation of common format specifiers
     let result = format;
@@ -20,6 +20,7 @@ class ProjectExplorer {
 
   // Start with no project by default; user can create/import later
   this.focusedProjectName = null;
+  this.localFolderProject = null; // Project opened from a folder on disk (files live there, not in IndexedDB)
 
     this.initialize();
   }
@@ -36,7 +37,7 @@ class ProjectExplorer {
             type: 'folder',
             children: {
               Music: { type: 'folder', filter: ['.mod', '.xm', '.s3m', '.it', '.mptm'], children: {} },
-              SFX: { type: 'folder', filter: ['.wav', '.sfx'], children: {} },
+              SFX: { type: 'folder', filter: ['.wav', '.sfx', '.ogg', '.mp3', '.clip'], children: {} },
               Images: { type: 'folder', filter: ['.png', '.gif'], children: {} },
               Palettes: { type: 'folder', filter: ['.act', '.pal', '.aco'], children: {} },
               Lua: { type: 'folder', filter: ['.lua', '.txt'], children: {} },
@@ -95,6 +96,9 @@ class ProjectExplorer {
   setupEventListeners() {
     // Listen to tab manager events for file highlighting (with deferred setup)
     this.setupTabManagerEventListener();
+    
+    // Files of a local folder project added, edited or removed by other programs
+    window.eventBus?.on?.('storage.files.changed', (changes) => this.applyExternalChanges(changes));
 
     // File upload change
     this.fileUpload.addEventListener('change', (e) => {
@@ -489,6 +493,12 @@ class ProjectExplorer {
     if (['.texture'].includes(ext)) {
       return '⚙️';
     }
+    if (['.sprite'].includes(ext)) {
+      return '🏃';
+    }
+    if (['.replay'].includes(ext)) {
+      return '🎬';
+    }
     
     return '📄';
   }
@@ -606,7 +616,11 @@ class ProjectExplorer {
     const projectName = pp.project || (projectPath.includes('/') ? projectPath.split('/')[0] : projectPath);
     if (!projectName || !this.projectData.structure[projectName]) return;
 
-    const confirmed = await this._confirm('Close Project', `Close project "${projectName}"? Open tabs for its files will be closed.`, { okText: 'Close Project', cancelText: 'Cancel' });
+    const isLocalFolder = projectName === this.localFolderProject;
+    const message = isLocalFolder
+      ? `Close project "${projectName}"? Open tabs for its files will be closed; the folder on disk is kept.`
+      : `Close project "${projectName}"? Open tabs for its files will be closed.`;
+    const confirmed = await this._confirm('Close Project', message, { okText: 'Close Project', cancelText: 'Cancel' });
     if (!confirmed) return;
 
     // Collect all file paths (sources + build) for deletion from storage
@@ -626,9 +640,12 @@ class ProjectExplorer {
     addPaths(this.projectData.structure[projectName]?.children?.[sourcesRoot], `${projectName}/${sourcesRoot}`);
     addPaths(this.projectData.structure[projectName]?.children?.[buildRoot], `${projectName}/${buildRoot}`);
 
-    // Delete from storage via FileManager, normalizing paths
+    // Delete from storage via FileManager, normalizing paths (a local folder is only detached)
     const fm = window.serviceContainer?.get?.('fileManager') || window.fileManager;
-    if (fm) {
+    if (isLocalFolder) {
+      window.fileIOService?.closeDirectory();
+      this.localFolderProject = null;
+    } else if (fm) {
       for (const p of toDelete) {
         const norm = window.ProjectPaths?.normalizeStoragePath ? window.ProjectPaths.normalizeStoragePath(p) : p.replace(/^Build\//, 'build/');
         try { await fm.deleteFile(norm); } catch (_) {}
@@ -674,6 +691,115 @@ class ProjectExplorer {
     this.renderTree();
   }
   
+  // Open a folder on disk as a project: its files are read and written in place and
+  // changes made by other tools (git, text editors) show up in the tree
+  async openLocalFolder() {
+    const fileIO = window.fileIOService;
+    if (!fileIO?.supportsLocalFolders()) {
+      alert('Opening a folder needs a browser with the File System Access API (Chrome, Edge) or the desktop host');
+      return;
+    }
+    // All projects share one storage, so the folder replaces it
+    if (Object.keys(this.projectData.structure).length > 0) {
+      alert('Close the open projects before opening a folder');
+      return;
+    }
+
+    let directory;
+    if (fileIO.isNodeEnvironment()) {
+      await this._ensureModalUtils();
+      const form = await window.ModalUtils?.showForm?.('Open Folder', [
+        { name: 'folder', type: 'text', label: 'Project folder', required: true, defaultValue: fileIO.rootPath }
+      ], { okText: 'Open' });
+      directory = form?.folder?.trim();
+    } else {
+      try {
+        directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('[ProjectExplorer] Folder picker failed:', error);
+        }
+        return;
+      }
+    }
+    if (!directory) return;
+
+    try {
+      const files = await fileIO.openDirectory(directory);
+      await this.loadFolderProject(fileIO.getDirectoryName(), files);
+      window.gameEmulator?.updateStatus?.(`Opened folder ${fileIO.getDirectoryName()} (${files.length} files)`, 'success');
+    } catch (error) {
+      console.error('[ProjectExplorer] Failed to open folder:', error);
+      fileIO.closeDirectory();
+      alert('Failed to open folder: ' + error.message);
+    }
+  }
+
+  /**
+   * Build the tree of a project from the files of its folder
+   * @param {string} projectName - Folder name
+   * @param {Array<{path: string, size: number, lastModified: number}>} files - Storage records
+   */
+  async loadFolderProject(projectName, files) {
+    const sourcesRoot = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? window.ProjectPaths.getSourcesRootUi() : 'Resources';
+    this.addProject(projectName);
+    this.setFocusedProjectName(projectName);
+    this.localFolderProject = projectName;
+
+    // Only Sources/ is shown as is; build/ goes through the usual Game Objects mapping
+    for (const file of files) {
+      if (file.path.startsWith(`${sourcesRoot}/`)) {
+        this.addFileToProjectStructure(projectName, file.path, { size: file.size, lastModified: file.lastModified });
+      }
+    }
+    console.log(`[ProjectExplorer] Loaded folder project ${projectName} (${files.length} files)`);
+
+    await this.refreshBuildFolder();
+    await this.initializeProjectConfig();
+  }
+
+  /**
+   * Update the tree of the local folder project after files changed on disk
+   * @param {Object} changes - {added, changed, deleted} storage paths from FileIOService
+   */
+  async applyExternalChanges({ added = [], changed = [], deleted = [] } = {}) {
+    const projectName = this.localFolderProject;
+    if (!projectName || !this.projectData.structure[projectName]) return;
+    const sourcesRoot = (window.ProjectPaths && window.ProjectPaths.getSourcesRootUi) ? window.ProjectPaths.getSourcesRootUi() : 'Resources';
+    const buildPrefix = (window.ProjectPaths && window.ProjectPaths.getBuildStoragePrefix) ? window.ProjectPaths.getBuildStoragePrefix() : 'build/';
+    const isSource = (path) => path.startsWith(`${sourcesRoot}/`);
+
+    for (const path of added.filter(isSource)) {
+      this.addFileToProjectStructure(projectName, path, { lastModified: Date.now() });
+      this.emitFileAddedEvent({ name: path.split('/').pop(), path: `${projectName}/${path}` }, `${projectName}/${path.substring(0, path.lastIndexOf('/'))}`);
+    }
+
+    const deletedSources = deleted.filter(isSource);
+    for (const path of deletedSources) {
+      const parts = `${projectName}/${path}`.split('/');
+      const name = parts.pop();
+      const folder = this.getNodeByPath(parts.join('/'));
+      if (folder && folder[name]) delete folder[name];
+    }
+    if (deletedSources.length) {
+      // TabManager closes the tabs of the removed files
+      await window.eventBus?.emit('file.deleted', { path: deletedSources[0], isFolder: false, deletedPaths: deletedSources });
+    }
+
+    const buildChanged = [...added, ...changed, ...deleted].some(path => path.startsWith(buildPrefix));
+    if (buildChanged) {
+      await this.refreshBuildFolder();
+    } else {
+      this.renderTree();
+    }
+    if (deleted.length) {
+      this.emitFileListRefreshEvent();
+    }
+
+    const count = added.length + changed.length + deleted.length;
+    window.gameEmulator?.updateStatus?.(`${count} file${count === 1 ? '' : 's'} changed on disk`, 'info');
+  }
+  
   handleFileUpload(files) {
     const targetPath = this.currentUploadPath || this.getDefaultPath();
     this.addFiles(files, targetPath);
@@ -832,7 +958,7 @@ class ProjectExplorer {
   filterFile(file, targetPath) {
   const ext = this.getFileExtension(file.name).toLowerCase();
   const musicExts = ['.mod', '.xm', '.s3m', '.it', '.mptm'];
-  const sfxExts = ['.wav', '.sfx'];
+  const sfxExts = ['.wav', '.sfx', '.ogg', '.mp3', '.clip'];
   const luaExts = ['.lua', '.txt'];
     
     // Get the target folder data
@@ -854,12 +980,14 @@ class ProjectExplorer {
       return { allowed: true, path: `${project}/${sourcesRoot}/SFX` };
     } else if (['.png', '.gif', '.jpg', '.jpeg', '.bmp'].includes(ext)) {
       return { allowed: true, path: `${project}/${sourcesRoot}/Images` };
-    } else if (['.texture'].includes(ext)) {
+    } else if (['.texture', '.sprite'].includes(ext)) {
       return { allowed: true, path: `${project}/${sourcesRoot}/Images` };
     } else if (luaExts.includes(ext)) {
       return { allowed: true, path: `${project}/${sourcesRoot}/Lua` };
     } else if (['.pal', '.act', '.aco'].includes(ext)) {
       return { allowed: true, path: `${project}/${sourcesRoot}/Palettes` };
+    } else if (ext === '.replay') {
+      return { allowed: true, path: `${project}/${sourcesRoot}/Replays` };
     }
     // Default unrecognized files to Binary folder
     return { allowed: true, path: `${project}/${sourcesRoot}/Binary` };
@@ -958,7 +1086,7 @@ class ProjectExplorer {
     
     // Add the file reference (not the content - content is in storage)
     const finalExt = this.getFileExtension(finalFileName).toLowerCase();
-    const builderId = finalExt === '.sfx' ? 'sfx' : (['.pal', '.act', '.aco'].includes(finalExt) ? 'pal' : undefined);
+    const builderId = finalExt === '.sfx' ? 'sfx' : finalExt === '.clip' ? 'clip' : (['.pal', '.act', '.aco'].includes(finalExt) ? 'pal' : undefined);
 
     current[finalFileName] = {
       type: 'file',
@@ -979,7 +1107,7 @@ class ProjectExplorer {
   if (file instanceof File) {
       try {
         // Decide binary vs text: known text types stay text; everything else treated as binary
-        const textExts = ['.lua', '.txt', '.pal', '.sfx'];
+        const textExts = ['.lua', '.txt', '.pal', '.sfx', '.clip', '.replay'];
         const isBinary = !textExts.includes(finalExt);
         const readPromise = isBinary ? file.arrayBuffer() : file.text();
         readPromise.then(async (content) => {
@@ -1046,6 +1174,11 @@ class ProjectExplorer {
         this.createTextureFileForImage(uiFullPath, path, finalFileName);
       });
     }
+
+    // Auto-create audio clip for compressed recordings, which only reach the game through a ClipBuilder
+    if (this.isCompressedRecording(finalFileName)) {
+      persistDone.then(() => this.createClipFileForRecording(uiFullPath, path, finalFileName));
+    }
     
     // Auto-open file in tab if not skipping
     if (!skipAutoOpen) {
@@ -1221,6 +1354,8 @@ class ProjectExplorer {
       for (const rec of records) {
         const path = rec.path || rec; // support both record and string paths
         if (typeof path !== 'string' || !path.startsWith('build/')) continue;
+        // Dot files are build bookkeeping (the build cache), not outputs
+        if (path.split('/').pop().startsWith('.')) continue;
         try {
           // Load to get content size and ensure it exists
           const obj = await fm.loadFile(path);
@@ -1354,6 +1489,31 @@ class ProjectExplorer {
     // Update the UI to show the new build file
     this.renderTree();
   }
+
+  /**
+   * Remove a build output from the tree, along with folders it leaves empty
+   * @param {string} relativePath - Path below the build root (e.g. "SFX/jump.wav")
+   */
+  removeBuildFileFromStructure(relativePath) {
+    const buildRoot = (window.ProjectPaths && window.ProjectPaths.getBuildRootUi) ? window.ProjectPaths.getBuildRootUi() : 'Build';
+    const project = this.getFocusedProjectName();
+    const root = project ? this.projectData.structure[project]?.children?.[buildRoot] : this.projectData.structure[buildRoot];
+    if (!root) return;
+
+    const parts = relativePath.split('/');
+    const fileName = parts.pop();
+    const folders = [root];
+    for (const part of parts) {
+      const next = folders[folders.length - 1].children?.[part];
+      if (!next || next.type !== 'folder') return;
+      folders.push(next);
+    }
+    delete folders[folders.length - 1].children[fileName];
+    for (let i = folders.length - 1; i > 0 && Object.keys(folders[i].children).length === 0; i--) {
+      delete folders[i - 1].children[parts[i - 1]];
+    }
+    this.renderTree();
+  }
   
   getNodeByPath(path) {
     const parts = path.split('/');
@@ -1427,36 +1587,31 @@ class ProjectExplorer {
   }
   
   async deleteNode(path) {
-    const confirmed = await this._confirm(
-      'Delete',
-      `Are you sure you want to delete "${path}"?`,
-      { okText: 'Delete', cancelText: 'Cancel', danger: true }
-    );
-    if (!confirmed) return;
-
     // Determine if path is file or folder from structure
     const node = this.getNodeByPath(path);
     const isFolder = node && node.type === 'folder';
 
   // Build storage deletion list
-    const toDelete = [];
-    const collectPaths = (basePath, nodeData) => {
-      if (!nodeData) return;
-      if (nodeData.type === 'file') {
-        toDelete.push(basePath);
-      } else if (nodeData.children) {
-        for (const [name, child] of Object.entries(nodeData.children)) {
-          collectPaths(`${basePath}/${name}`.replace(/\\/g, '/'), child);
-        }
-      }
-    };
+    const toDelete = isFolder ? this._collectFilePaths(path, node) : [path];
 
-    if (isFolder) {
-      collectPaths(path, node);
-    } else {
-      toDelete.push(path);
+    // Scripts and links that still use a deleted resource would break
+    let message = `Are you sure you want to delete "${path}"?`;
+    const references = this._getReferenceService();
+    if (references) {
+      const project = window.ProjectPaths?.parseProjectPath?.(path).project || null;
+      const found = await references.findReferences(toDelete, { project, exclude: toDelete });
+      if (found.length) {
+        message += `<br><br>⚠️ Still referenced ${found.length} time(s):<br>${references.describe(found)}`;
+      }
     }
 
+    const confirmed = await this._confirm(
+      'Delete',
+      message,
+      { okText: 'Delete', cancelText: 'Cancel', danger: true }
+    );
+    if (!confirmed) return;
+
   // Delete from storage (FileManager preferred)
     try {
       const fm = window.serviceContainer?.get?.('fileManager') || window.fileManager;
@@ -1574,6 +1729,19 @@ class ProjectExplorer {
       
       console.log(`[ProjectExplorer] Found node data:`, nodeData);
       
+      // Every file that moves, for the reference update afterwards
+      const renames = new Map();
+      if (type === 'file') {
+        renames.set(path, newPath);
+        if (linkedOldPath && linkedNewPath && this.getNodeByPath(linkedOldPath)) {
+          renames.set(linkedOldPath, linkedNewPath);
+        }
+      } else {
+        for (const filePath of this._collectFilePaths(path, nodeData)) {
+          renames.set(filePath, newPath + filePath.substring(path.length));
+        }
+      }
+      
       // Handle file renaming (update storage) regardless of in-memory file presence
       if (type === 'file') {
         await this.renameFileInStorage(path, newPath, nodeData.file);
@@ -1635,6 +1803,8 @@ class ProjectExplorer {
       }
       
       console.log(`[ProjectExplorer] Renamed: ${path} → ${newPath}`);
+      
+      await this._updateRenamedReferences(renames);
     } catch (error) {
       console.error(`[ProjectExplorer] Failed to rename ${path}:`, error);
       alert(`Failed to rename ${type}: ${error.message}`);
@@ -1789,6 +1959,54 @@ class ProjectExplorer {
     return { valid: true };
   }
   
+  /**
+   * UI paths of every file under a folder node
+   */
+  _collectFilePaths(basePath, nodeData) {
+    if (!nodeData) return [];
+    if (nodeData.type === 'file') return [basePath];
+    const paths = [];
+    for (const [name, child] of Object.entries(nodeData.children || {})) {
+      paths.push(...this._collectFilePaths(`${basePath}/${name}`.replace(/\\/g, '/'), child));
+    }
+    return paths;
+  }
+
+  _getReferenceService() {
+    const services = window.serviceContainer;
+    return services?.has?.('referenceService') ? services.get('referenceService') : window.referenceService;
+  }
+
+  /**
+   * Offer to update the Lua constants and path links that still use the old names of renamed files
+   * @param {Map<string, string>} renames - Old UI path -> new UI path of every renamed file
+   */
+  async _updateRenamedReferences(renames) {
+    const references = this._getReferenceService();
+    if (!references || renames.size === 0) return;
+
+    const [firstPath] = renames.keys();
+    const project = window.ProjectPaths?.parseProjectPath?.(firstPath).project || null;
+    // A constant only needs updating when the new name generates a different one
+    const found = (await references.findReferences([...renames.keys()], { project }))
+      .filter(reference => reference.kind === 'link' || references.getResourceId(renames.get(reference.target)) !== reference.name);
+    if (!found.length) return;
+
+    const fileCount = new Set(found.map(reference => reference.file.fullPath)).size;
+    const confirmed = await this._confirm(
+      'Update References',
+      `${found.length} reference(s) in ${fileCount} file(s) still use the old name:<br>${references.describe(found)}<br><br>Update them?`,
+      { okText: 'Update', cancelText: 'Keep' }
+    );
+    if (!confirmed) return;
+
+    const { updated, skipped } = await references.updateReferences(found, renames);
+    console.log(`[ProjectExplorer] Updated references in ${updated.length} file(s)`);
+    if (skipped.length) {
+      alert(`These files have unsaved changes and were not updated:\n${skipped.join('\n')}`);
+    }
+  }
+  
   async renameFileInStorage(oldPath, newPath, _file) {
     const fm = window.serviceContainer?.get?.('fileManager') || window.fileManager;
     if (!fm) {
@@ -3175,6 +3393,54 @@ class ProjectExplorer {
     }
   }
 
+  isCompressedRecording(filename) {
+    const ext = this.getFileExtension(filename).toLowerCase();
+    return ext === '.ogg' || ext === '.mp3';
+  }
+
+  // Auto-create audio clip file for imported recordings
+  async createClipFileForRecording(recordingUIPath, recordingPath, recordingFileName) {
+    try {
+      const baseName = recordingFileName.substring(0, recordingFileName.lastIndexOf('.'));
+      const clipFileName = baseName + '.clip';
+      const clipUIPath = recordingPath + '/' + clipFileName;
+      const clipStoragePath = window.ProjectPaths?.normalizeStoragePath ?
+        window.ProjectPaths.normalizeStoragePath(clipUIPath) : clipUIPath;
+
+      // Check if clip file already exists
+      if (window.fileIOService) {
+        try {
+          const existingClip = await window.fileIOService.loadFile(clipStoragePath);
+          if (existingClip) {
+            console.log('[ProjectExplorer] Clip file already exists, skipping creation:', clipFileName);
+            return;
+          }
+        } catch (e) {
+          // File doesn't exist, proceed with creation
+        }
+      }
+
+      const clip = AudioClip.createDefault();
+      clip.source = recordingUIPath;
+      const clipContent = AudioClip.serialize(clip);
+
+      if (window.fileIOService) {
+        await window.fileIOService.saveFile(clipStoragePath, clipContent, { type: '.clip', builderId: 'clip' });
+        console.log('[ProjectExplorer] Auto-created clip file:', clipStoragePath);
+
+        this.addFileToProject({
+          name: clipFileName,
+          size: clipContent.length,
+          lastModified: Date.now(),
+          originalPath: clipUIPath
+        }, recordingPath, true, true);
+        this.renderTree();
+      }
+    } catch (error) {
+      console.error('[ProjectExplorer] Failed to auto-create clip file:', error);
+    }
+  }
+
   // Public method to refresh the project explorer display
   refresh() {
     console.log('[ProjectExplorer] Refreshing display...');
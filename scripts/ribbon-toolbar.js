@@ -16,6 +16,9 @@ class RibbonToolbar {
     // Wait for component registry to be available
     this.waitForComponentRegistry();
 
+    // Keep Undo/Redo in step with the active editor's history
+    window.eventBus?.on?.('history.changed', () => this.updateHistoryButtons());
+    
     // React to project focus changes
     try {
       window.eventBus?.on?.('project.focus.changed', () => {
@@ -281,6 +284,11 @@ class RibbonToolbar {
       await this.createNewProject();
     });
 
+    // Local folder project
+    this.setupButton('openFolderBtn', async () => {
+      await window.gameEmulator?.projectExplorer?.openLocalFolder();
+    });
+
     // Import/Export RWP
     this.setupButton('exportRwpBtn', async () => {
       await this.exportProjectRwp();
@@ -295,10 +303,111 @@ class RibbonToolbar {
         window.gameEmulator.buildProject();
       }
     });
+    this.setupButton('cleanBuildBtn', () => {
+      if (window.gameEmulator) {
+        window.gameEmulator.buildProject({ clean: true });
+      }
+    });
+    this.setupButton('sfxLibraryBtn', () => {
+      const browser = window.serviceContainer?.get?.('sfxBrowser') || window.sfxBrowser;
+      browser?.open();
+    });
+    this.setupButton('findInProjectBtn', () => {
+      const search = window.serviceContainer?.get?.('projectSearch') || window.projectSearch;
+      search?.open();
+    });
+    
+    // Edit operations act on the editor of the active tab
+    this.setupButton('undoBtn', () => this.getUndoEditor()?.undo());
+    this.setupButton('redoBtn', () => this.getUndoEditor()?.redo());
+    this.setupButton('historyBtn', (e) => {
+      e.stopPropagation();
+      this.toggleHistoryMenu();
+    });
+    this.updateHistoryButtons();
     
     // Note: Create buttons are now handled dynamically
   }
 
+  // Editor of the active tab, if it keeps an undo history
+  getUndoEditor() {
+    const viewer = window.gameEmulator?.tabManager?.getActiveTab()?.viewer;
+    return typeof viewer?.supportsUndo === 'function' && viewer.supportsUndo() ? viewer : null;
+  }
+
+  updateHistoryButtons() {
+    const editor = this.getUndoEditor();
+    const { entries, position } = editor ? editor.getUndoHistory() : { entries: [], position: 0 };
+    const undoStep = entries[position - 1];
+    const redoStep = entries[position];
+
+    this.updateButtonState('undoBtn', !!undoStep);
+    this.updateButtonState('redoBtn', !!redoStep);
+    this.updateButtonState('historyBtn', entries.length > 0);
+    if (this.buttons.undoBtn) {
+      this.buttons.undoBtn.title = undoStep ? `Undo ${undoStep.label} (Ctrl+Z)` : 'Nothing to undo (Ctrl+Z)';
+    }
+    if (this.buttons.redoBtn) {
+      this.buttons.redoBtn.title = redoStep ? `Redo ${redoStep.label} (Ctrl+Y)` : 'Nothing to redo (Ctrl+Y)';
+    }
+    if (this.historyMenu) {
+      this.renderHistoryMenu();
+    }
+  }
+
+  toggleHistoryMenu() {
+    if (this.historyMenu) {
+      this.closeHistoryMenu();
+      return;
+    }
+    this.historyMenu = document.createElement('div');
+    this.historyMenu.className = 'ribbon-history-menu';
+    const rect = this.buttons.historyBtn.getBoundingClientRect();
+    this.historyMenu.style.left = `${rect.left}px`;
+    this.historyMenu.style.top = `${rect.bottom + 4}px`;
+    document.body.appendChild(this.historyMenu);
+    this.renderHistoryMenu();
+
+    this.historyMenu.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const item = e.target.closest('.ribbon-history-item');
+      const editor = this.getUndoEditor();
+      if (!item || !editor) return;
+      // Picking an entry undoes or redoes up to and including it
+      editor.getHistoryService()?.goTo(editor, parseInt(item.dataset.position, 10));
+    });
+    this.closeHistoryMenuHandler = () => this.closeHistoryMenu();
+    document.addEventListener('click', this.closeHistoryMenuHandler);
+  }
+
+  renderHistoryMenu() {
+    const editor = this.getUndoEditor();
+    const { entries, position } = editor ? editor.getUndoHistory() : { entries: [], position: 0 };
+    this.historyMenu.innerHTML = '';
+    if (entries.length === 0) {
+      this.historyMenu.innerHTML = '<div class="ribbon-history-empty">No edits yet</div>';
+      return;
+    }
+    entries.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = `ribbon-history-item${entry.applied ? '' : ' undone'}${index === position - 1 ? ' current' : ''}`;
+      item.dataset.position = index + 1;
+      const label = document.createElement('span');
+      label.textContent = entry.label;
+      const time = document.createElement('span');
+      time.className = 'ribbon-history-time';
+      time.textContent = new Date(entry.time).toLocaleTimeString();
+      item.append(label, time);
+      this.historyMenu.appendChild(item);
+    });
+  }
+
+  closeHistoryMenu() {
+    this.historyMenu?.remove();
+    this.historyMenu = null;
+    document.removeEventListener('click', this.closeHistoryMenuHandler);
+  }
+
   // Export current focused project as .rwp
   async exportProjectRwp() {
     try {
@@ -490,6 +599,7 @@ class RibbonToolbar {
   // Called when tab changes to update button states
   onTabChanged() {
     this.updateSaveButton();
+    this.updateHistoryButtons();
   }
 }
 
@@ -0,0 +1,158 @@
+// history-service.js
+// Undo/redo history for the non-Monaco editors. Every editor (the "owner") has its own undo
+// and redo stacks of commands {label, undo(), redo()} that were already applied when recorded;
+// the ribbon buttons and Ctrl+Z / Ctrl+Y act on the editor of the active tab.
+
+class HistoryService {
+  constructor(limit = 100) {
+    this.limit = limit; // Steps kept per editor
+    this.mergeWindow = 1000; // ms in which commands with the same mergeKey become one step
+    this.histories = new Map(); // owner -> {undoStack, redoStack}
+    this.applying = false; // Set while a command is undone/redone, so its side effects are not recorded
+  }
+
+  /**
+   * Add a command that has just been applied; the redo stack is dropped
+   * @param {Object} owner - Editor the command belongs to
+   * @param {Object} command - {label, undo(), redo(), mergeKey?}; continuous edits (a slider drag,
+   *   the same field again) pass a mergeKey so they undo as one step. Only the first command of a
+   *   merged run is kept, so its redo() has to restore whatever state its undo() left behind.
+   * @returns {Object|null} The recorded (or merged) step, null while undoing/redoing
+   */
+  record(owner, command) {
+    if (this.applying) return null;
+
+    const history = this.getHistory(owner);
+    const now = Date.now();
+    const top = history.undoStack[history.undoStack.length - 1];
+    if (command.mergeKey && top && top.mergeKey === command.mergeKey &&
+        history.redoStack.length === 0 && now - top.time < this.mergeWindow) {
+      top.time = now;
+      return top;
+    }
+
+    const step = { ...command, time: now };
+    history.undoStack.push(step);
+    if (history.undoStack.length > this.limit) {
+      history.undoStack.shift();
+    }
+    history.redoStack = [];
+    this.notify(owner);
+    return step;
+  }
+
+  /**
+   * @returns {boolean} False when there was nothing to undo
+   */
+  undo(owner) {
+    const history = this.histories.get(owner);
+    const step = history?.undoStack.pop();
+    if (!step) return false;
+
+    this.apply(() => step.undo());
+    history.redoStack.push(step);
+    console.log(`[HistoryService] Undo: ${step.label}`);
+    this.notify(owner);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} False when there was nothing to redo
+   */
+  redo(owner) {
+    const history = this.histories.get(owner);
+    const step = history?.redoStack.pop();
+    if (!step) return false;
+
+    this.apply(() => step.redo());
+    history.undoStack.push(step);
+    console.log(`[HistoryService] Redo: ${step.label}`);
+    this.notify(owner);
+    return true;
+  }
+
+  /**
+   * Undo or redo until the given number of steps is applied (picking an entry of the history list)
+   * @param {Object} owner
+   * @param {number} position - Applied steps wanted, 0 = before the first entry
+   */
+  goTo(owner, position) {
+    const history = this.histories.get(owner);
+    if (!history) return;
+    while (history.undoStack.length > position && this.undo(owner));
+    while (history.undoStack.length < position && this.redo(owner));
+  }
+
+  canUndo(owner) {
+    return (this.histories.get(owner)?.undoStack.length || 0) > 0;
+  }
+
+  canRedo(owner) {
+    return (this.histories.get(owner)?.redoStack.length || 0) > 0;
+  }
+
+  /**
+   * Every step of an editor, oldest first
+   * @returns {{entries: Array<{label: string, time: number, applied: boolean}>, position: number}}
+   *   position is the number of applied steps (the entries before it can be undone)
+   */
+  list(owner) {
+    const history = this.histories.get(owner);
+    if (!history) return { entries: [], position: 0 };
+    const entry = (step, applied) => ({ label: step.label, time: step.time, applied });
+    return {
+      entries: [
+        ...history.undoStack.map(step => entry(step, true)),
+        ...[...history.redoStack].reverse().map(step => entry(step, false))
+      ],
+      position: history.undoStack.length
+    };
+  }
+
+  /**
+   * Drop the history of an editor (closed tab, reloaded content)
+   */
+  clear(owner) {
+    if (this.histories.delete(owner)) {
+      this.notify(owner);
+    }
+  }
+
+  getHistory(owner) {
+    if (!this.histories.has(owner)) {
+      this.histories.set(owner, { undoStack: [], redoStack: [] });
+    }
+    return this.histories.get(owner);
+  }
+
+  apply(action) {
+    this.applying = true;
+    try {
+      action();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  notify(owner) {
+    window.eventBus?.emit('history.changed', {
+      owner,
+      canUndo: this.canUndo(owner),
+      canRedo: this.canRedo(owner)
+    });
+  }
+}
+
+// Register in service container if available
+(function initHistoryService() {
+  try {
+    const services = window.serviceContainer;
+    const instance = new HistoryService();
+    if (services && services.registerSingleton) {
+      services.registerSingleton('historyService', instance);
+    }
+    window.historyService = instance;
+  } catch (_) {}
+})();
+
+window.HistoryService = HistoryService;
@@ -0,0 +1,286 @@
+// reference-service.js
+// Finds what points at a resource file: the Lua constants generated for it (SFX.COOL,
+// MUSIC.SONG_1, ...) in the project's Lua sources, and the path links of .texture
+// (sourceImagePath, palettePath) and .sprite (texture ID) files. ProjectExplorer uses it to update those
+// references when a file or folder is renamed and to warn before deleting a used resource.
+
+// Field paths of the links per file type; a function lists the fields present in the parsed file
+const REFERENCE_LINK_FIELDS = {
+  '.texture': [['sourceImagePath'], ['metadata', 'sourceImagePath'], ['palettePath'], ['metadata', 'palettePath']],
+  // SpriteData JSON: the texture IDs are the keys of the textures entries and every frame's textureId
+  '.sprite': data => [
+    ...(Array.isArray(data.textures) ? data.textures : []).map((_, index) => ['textures', index, 0]),
+    ...(Array.isArray(data.animations) ? data.animations : []).flatMap((entry, index) =>
+      (Array.isArray(entry?.[1]?.frames) ? entry[1].frames : []).map((_, frame) => ['animations', index, 1, 'frames', frame, 'textureId']))
+  ]
+};
+
+// Link fields where a bare file name is a file in the linking file's folder (see TextureBuilder.resolveInputs)
+const FOLDER_RELATIVE_LINK_KEYS = new Set(['sourceImagePath']);
+
+class ReferenceService {
+  /**
+   * Lua constant the emulator generates for a source file, mirroring
+   * GameEmulator.createResourceMapping: the first folder under Sources is the namespace
+   * (TEXTURES/SPRITES for .texture/.sprite) and the upper-cased base name the key
+   * @param {string} path - UI or storage path of a source file
+   * @returns {string|null} e.g. 'SFX.COOL', null for files outside a Sources subfolder
+   */
+  getResourceId(path) {
+    const storagePath = this.toStoragePath(path);
+    const sourcesRoot = window.ProjectPaths?.getSourcesRootUi?.() || 'Sources';
+    const parts = storagePath.split('/');
+    if (parts[0] !== sourcesRoot || parts.length < 3) return null;
+
+    const fileName = parts[parts.length - 1];
+    const dot = fileName.lastIndexOf('.');
+    const extension = dot > 0 ? fileName.substring(dot).toLowerCase() : '';
+    const baseName = dot > 0 ? fileName.substring(0, dot) : fileName;
+    let namespace = parts[1].toUpperCase();
+    if (extension === '.texture') namespace = 'TEXTURES';
+    else if (extension === '.sprite') namespace = 'SPRITES';
+    else if (extension === '.lua') return null;
+    return `${namespace}.${baseName.toUpperCase()}`;
+  }
+
+  /**
+   * Find the references to a set of files
+   * @param {string[]} paths - UI paths of the referenced files
+   * @param {Object} options - {project, exclude: UI paths of files not to scan (e.g. the ones being deleted)}
+   * @returns {Promise<Array<{target, file, kind, name, line?, column?, text?, field?}>>}
+   *   kind is 'lua' (a constant in a script, 1-based line/column) or 'link' (the path fields of a .texture/.sprite
+   *   that point at the target, in fields)
+   */
+  async findReferences(paths, { project = null, exclude = [] } = {}) {
+    const targets = paths.map(path => ({ path, storagePath: this.toStoragePath(path), resourceId: this.getResourceId(path) }));
+    const excluded = new Set(exclude.map(path => this.toStoragePath(path)));
+    const references = [];
+
+    for (const file of await this.loadSources(project)) {
+      if (excluded.has(file.storagePath)) continue;
+
+      if (file.extension === '.lua') {
+        const lines = file.content.split('\n');
+        for (const target of targets) {
+          if (!target.resourceId) continue;
+          const pattern = this.constantPattern(target.resourceId);
+          lines.forEach((text, index) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+              references.push({ target: target.path, file, kind: 'lua', name: target.resourceId, line: index + 1, column: match.index + 1, text: text.trim() });
+            }
+          });
+        }
+        continue;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(file.content);
+      } catch (_) {
+        continue;
+      }
+      // One reference per linked target, however many fields of the file name it
+      const links = new Map();
+      for (const field of this.getLinkFields(file.extension, data)) {
+        const value = this.getField(data, field);
+        const target = typeof value === 'string' && value && targets.find(t => this.resolveLink(file, field, value) === t.storagePath);
+        if (!target) continue;
+        if (links.has(target)) {
+          links.get(target).fields.push(field);
+        } else {
+          const reference = { target: target.path, file, kind: 'link', name: field.filter(key => typeof key === 'string').join('.'), fields: [field] };
+          links.set(target, reference);
+          references.push(reference);
+        }
+      }
+    }
+    return references;
+  }
+
+  /**
+   * Point references at the new locations of renamed files and save the changed sources.
+   * Files with unsaved edits in a tab are left alone so those edits are not overwritten.
+   * @param {Array} references - From findReferences, made for the old paths
+   * @param {Map<string, string>} renames - Old UI path -> new UI path
+   * @returns {Promise<{updated: string[], skipped: string[]}>} UI paths of the updated/skipped files
+   */
+  async updateReferences(references, renames) {
+    const fileManager = window.serviceContainer?.get('fileManager');
+    const tabManager = window.gameEmulator?.tabManager || window.tabManager;
+    const result = { updated: [], skipped: [] };
+    if (!fileManager) return result;
+
+    const byFile = new Map();
+    for (const reference of references) {
+      if (!byFile.has(reference.file)) byFile.set(reference.file, []);
+      byFile.get(reference.file).push(reference);
+    }
+
+    const changed = [];
+    for (const [file, fileReferences] of byFile) {
+      if (this.hasUnsavedTab(tabManager, file.storagePath)) {
+        result.skipped.push(file.fullPath);
+        continue;
+      }
+
+      const content = file.extension === '.lua'
+        ? this.updateLua(file.content, fileReferences, renames)
+        : this.updateLinks(file, fileReferences, renames);
+      if (content === file.content) continue;
+
+      const saved = await fileManager.saveFile(file.storagePath, content, file.builderId ? { builderId: file.builderId } : {});
+      if (saved) {
+        file.content = content;
+        result.updated.push(file.fullPath);
+        changed.push(file.storagePath);
+      } else {
+        console.error(`[ReferenceService] Failed to save ${file.fullPath}`);
+      }
+    }
+
+    await tabManager?.reloadChangedTabs?.(changed);
+    console.log(`[ReferenceService] Updated references in ${result.updated.length} file(s), skipped ${result.skipped.length}`);
+    return result;
+  }
+
+  updateLua(content, references, renames) {
+    const ids = new Map();
+    for (const reference of references) {
+      const newId = this.getResourceId(renames.get(reference.target) || '');
+      if (newId && newId !== reference.name) ids.set(reference.name, newId);
+    }
+    for (const [oldId, newId] of ids) {
+      content = content.replace(this.constantPattern(oldId), newId);
+    }
+    return content;
+  }
+
+  updateLinks(file, references, renames) {
+    const data = JSON.parse(file.content);
+    for (const reference of references) {
+      const newPath = renames.get(reference.target);
+      if (!newPath) continue;
+      const newStorage = this.toStoragePath(newPath);
+      for (const field of reference.fields) {
+        const value = this.getField(data, field);
+        if (typeof value !== 'string') continue;
+        if (this.isFolderRelative(field) && this.getFolder(newStorage) === this.getFolder(file.storagePath)) {
+          this.setField(data, field, newStorage.split('/').pop());
+          continue;
+        }
+        // Keep the form of the stored link (storage path or project-prefixed UI path)
+        const oldStorage = this.toStoragePath(value);
+        const prefix = value.endsWith(oldStorage) ? value.substring(0, value.length - oldStorage.length) : '';
+        this.setField(data, field, prefix + newStorage);
+      }
+    }
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Storage path a link field of a file points at
+   */
+  resolveLink(file, field, value) {
+    if (this.isFolderRelative(field) && !value.includes('/')) {
+      return `${this.getFolder(file.storagePath)}/${value}`;
+    }
+    return this.toStoragePath(value);
+  }
+
+  isFolderRelative(field) {
+    return FOLDER_RELATIVE_LINK_KEYS.has(field[field.length - 1]);
+  }
+
+  getFolder(path) {
+    return path.substring(0, path.lastIndexOf('/'));
+  }
+
+  /**
+   * Text and JSON sources that can hold references, with their stored content
+   */
+  async loadSources(project) {
+    const explorer = window.gameEmulator?.projectExplorer;
+    const fileManager = window.serviceContainer?.get('fileManager');
+    if (!explorer || !fileManager) return [];
+
+    const sources = [];
+    for (const file of explorer.GetFiles(null, ['.lua', ...Object.keys(REFERENCE_LINK_FIELDS)], project)) {
+      try {
+        const record = await fileManager.loadFile(file.fullPath);
+        const content = record?.content ?? record?.fileContent;
+        if (typeof content !== 'string') continue;
+        sources.push({
+          name: file.name,
+          fullPath: file.fullPath,
+          storagePath: this.toStoragePath(file.fullPath),
+          extension: file.extension.toLowerCase(),
+          builderId: record.builderId,
+          content
+        });
+      } catch (error) {
+        console.warn(`[ReferenceService] Could not read ${file.fullPath}:`, error);
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Short HTML list of references for confirmation dialogs
+   */
+  describe(references, limit = 8) {
+    const lines = references.slice(0, limit).map(reference => {
+      const where = reference.kind === 'lua' ? `line ${reference.line}` : reference.name;
+      return `${this.escape(reference.file.name)} (${where}): ${this.escape(reference.kind === 'lua' ? reference.name : reference.target.split('/').pop())}`;
+    });
+    if (references.length > limit) lines.push(`... and ${references.length - limit} more`);
+    return lines.join('<br>');
+  }
+
+  constantPattern(resourceId) {
+    return new RegExp(`\\b${resourceId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+  }
+
+  hasUnsavedTab(tabManager, storagePath) {
+    if (!tabManager?.getAllTabs) return false;
+    return tabManager.getAllTabs().some(tab => tab.fullPath && tab.viewer?.isModified?.() &&
+      this.toStoragePath(tab.fullPath) === storagePath);
+  }
+
+  getLinkFields(extension, data) {
+    const fields = REFERENCE_LINK_FIELDS[extension];
+    return typeof fields === 'function' ? fields(data) : fields || [];
+  }
+
+  getField(data, field) {
+    return field.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+  }
+
+  setField(data, field, value) {
+    const parent = this.getField(data, field.slice(0, -1));
+    if (parent && typeof parent === 'object') parent[field[field.length - 1]] = value;
+  }
+
+  toStoragePath(path) {
+    return window.ProjectPaths?.normalizeStoragePath ? window.ProjectPaths.normalizeStoragePath(path) : path;
+  }
+
+  escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+// Register in service container if available
+(function initReferenceService() {
+  try {
+    const services = window.serviceContainer;
+    const instance = new ReferenceService();
+    if (services && services.registerSingleton) {
+      services.registerSingleton('referenceService', instance);
+    }
+    window.referenceService = instance;
+  } catch (_) {}
+})();
+
+window.ReferenceService = ReferenceService;
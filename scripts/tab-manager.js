@@ -122,6 +122,8 @@ class TabManager {
     this.setupContentRefreshListener();
   // Subscribe to file deletion events to close affected tabs
   this.setupFileDeletionListener();
+    // Reload tabs whose files were edited outside RetroStudio (local folder projects)
+    window.eventBus?.on?.('storage.files.changed', ({ changed }) => this.reloadChangedTabs(changed));
     
     // Tab clicking
     this.tabBar.addEventListener('click', async (e) => {
@@ -284,6 +286,47 @@ class TabManager {
     }
   }
   
+  /**
+   * Reload the tabs of files changed on disk by another program; tabs with unsaved
+   * edits are left alone so nothing is lost
+   * @param {string[]} paths - Storage paths
+   */
+  async reloadChangedTabs(paths = []) {
+    if (!paths.length) return;
+    const normalize = (p) => (window.ProjectPaths?.normalizeStoragePath ? window.ProjectPaths.normalizeStoragePath(p) : p);
+    const changedSet = new Set(paths);
+    const tabs = [...this.dedicatedTabs.values()];
+    if (this.previewPath && this.previewViewer) {
+      tabs.push({ fullPath: this.previewPath, viewer: this.previewViewer });
+    }
+
+    for (const tabInfo of tabs) {
+      const viewer = tabInfo.viewer;
+      if (!tabInfo.fullPath || !viewer || !changedSet.has(normalize(tabInfo.fullPath))) continue;
+      if (typeof viewer.isModified === 'function' && viewer.isModified()) {
+        console.warn(`[TabManager] ${tabInfo.fullPath} changed on disk, keeping the unsaved edits of its tab`);
+        window.gameEmulator?.updateStatus?.(`${tabInfo.fullPath.split('/').pop()} changed on disk - save to overwrite it`, 'warning');
+        continue;
+      }
+      try {
+        const reloaded = typeof viewer.reload === 'function' ? await viewer.reload() : false;
+        if (!reloaded && typeof viewer.setContent === 'function') {
+          const fileManager = window.serviceContainer?.get?.('fileManager') || window.fileManager;
+          const record = await fileManager?.loadFile(normalize(tabInfo.fullPath));
+          if (record) {
+            viewer.setContent(record.content);
+            viewer.markClean?.();
+          }
+        }
+        // Undo steps refer to the content before the reload
+        viewer.getHistoryService?.()?.clear(viewer);
+        console.log(`[TabManager] Reloaded ${tabInfo.fullPath} after an external change`);
+      } catch (error) {
+        console.error(`[TabManager] Failed to reload ${tabInfo.fullPath}:`, error);
+      }
+    }
+  }
+  
   async refreshBuildArtifactTabs() {
 
     let refreshedCount = 0;
@@ -29,6 +29,9 @@ class ModViewer extends ViewerBase {
     this.animationFrame = null;
     this.isVisualizationActive = false;
     
+    // Offline WAV export
+    this.renderer = null;
+    
   this.loadAudioResource();
   }
   
@@ -103,6 +106,23 @@ class ModViewer extends ViewerBase {
             <span id="formatInfo">MOD File</span>
           </div>
         </div>
+        
+        <!-- Offline Export -->
+        <div class="mod-export">
+          <label>Orders <input type="number" id="exportStartOrder" min="0" value="0"></label>
+          <label>to <input type="number" id="exportEndOrder" min="0" placeholder="end"></label>
+          <label>Loops <input type="number" id="exportLoops" min="1" max="16" value="1"></label>
+          <label>Fade <input type="number" id="exportFade" min="0" max="60" step="0.5" value="0"> s</label>
+          <label>
+            <select id="exportSampleRate">
+              <option value="44100">44.1 kHz</option>
+              <option value="48000">48 kHz</option>
+            </select>
+          </label>
+          <label><input type="checkbox" id="exportStems"> Stems per channel</label>
+          <button id="exportWavBtn" title="Render offline and download">⬇ Export WAV</button>
+          <span id="exportStatus" class="mod-export-status"></span>
+        </div>
       </div>
     `;
     
@@ -140,6 +160,7 @@ class ModViewer extends ViewerBase {
     
     // Setup control event handlers
     this.setupPlayerControls();
+    this.setupExportControls(bodyContainer);
     
     // Initialize FFT visualization
     this.setupFFTVisualization();
@@ -480,6 +501,57 @@ class ModViewer extends ViewerBase {
     this.setupVolumeControl();
   }
   
+  setupExportControls(bodyContainer) {
+    const button = bodyContainer.querySelector('#exportWavBtn');
+    if (!button) return;
+    
+    button.addEventListener('click', async () => {
+      if (this.renderer) {
+        this.renderer.cancel();
+        return;
+      }
+      if (!this.audioResource || !this.audioResource.data) {
+        this.updateExportStatus('Module not loaded yet');
+        return;
+      }
+      
+      const value = (id) => bodyContainer.querySelector(id).value;
+      const endOrder = value('#exportEndOrder');
+      const options = {
+        sampleRate: parseInt(value('#exportSampleRate'), 10),
+        startOrder: parseInt(value('#exportStartOrder'), 10) || 0,
+        endOrder: endOrder === '' ? -1 : parseInt(endOrder, 10),
+        loops: parseInt(value('#exportLoops'), 10) || 1,
+        fadeSeconds: parseFloat(value('#exportFade')) || 0,
+        stems: bodyContainer.querySelector('#exportStems').checked
+      };
+      if (options.endOrder >= 0 && options.endOrder < options.startOrder) {
+        this.updateExportStatus('The last order is before the first');
+        return;
+      }
+      
+      this.renderer = new ModuleRenderer();
+      button.textContent = '■ Cancel';
+      try {
+        const files = await this.renderer.export(this.getFileName(), this.audioResource.data, options, (status) => this.updateExportStatus(status));
+        this.updateExportStatus(`Exported ${files.length} file${files.length === 1 ? '' : 's'}`);
+      } catch (error) {
+        console.error('[ModViewer] Export failed:', error);
+        this.updateExportStatus(error.message);
+      } finally {
+        this.renderer = null;
+        button.textContent = '⬇ Export WAV';
+      }
+    });
+  }
+  
+  updateExportStatus(status) {
+    const statusElement = this.element ? this.element.querySelector('#exportStatus') : null;
+    if (statusElement) {
+      statusElement.textContent = status;
+    }
+  }
+  
   setupVolumeControl() {
     if (this.volumeSlider) {
       this.volumeSlider.addEventListener('input', (e) => {
@@ -906,6 +978,9 @@ class ModViewer extends ViewerBase {
       // Clear any other intervals
       this.stopProgressTracking();
       
+      // Abandon a running export
+      this.renderer?.cancel();
+      
     } catch (error) {
       console.error('[ModViewer] Error in cleanup:', error);
     }